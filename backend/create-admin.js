@@ -0,0 +1,59 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from './models/User.js';
+import { getPasswordPolicyError } from './utils/passwordUtils.js';
+
+// Load environment variables
+dotenv.config();
+
+// Admins cannot register through the app, so the first ones are created here:
+//   node create-admin.js <email> <password> <firstName> <lastName>
+const [email, password, firstName, lastName] = process.argv.slice(2);
+
+if (!email || !password || !firstName || !lastName) {
+  console.log('Usage: node create-admin.js <email> <password> <firstName> <lastName>');
+  process.exit(1);
+}
+
+const policyError = getPasswordPolicyError(password, { email, firstName, lastName });
+if (policyError) {
+  console.log(`❌ ${policyError}`);
+  process.exit(1);
+}
+
+const createAdmin = async () => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is not set');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      console.log(existingUser.role === 'admin'
+        ? `ℹ️ ${email} is already an admin`
+        : `❌ ${email} is already registered as a ${existingUser.role}`);
+      return;
+    }
+
+    const admin = new User({
+      email,
+      password,
+      firstName,
+      lastName,
+      role: 'admin',
+      isVerified: true
+    });
+    await admin.save();
+
+    console.log(`✅ Admin created: ${admin.email}`);
+  } catch (error) {
+    console.error('❌ Failed to create admin:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+createAdmin();
@@ -8,18 +8,29 @@ import { Server } from 'socket.io';
 import { createServer } from 'http';
 import { fileURLToPath } from 'url';
 import authRoutes from './routes/auth.js';
+import sessionRoutes from './routes/sessions.js';
+import twoFactorRoutes from './routes/twoFactor.js';
 import chatRoutes from './routes/chat.js';
 import rateLimit from 'express-rate-limit';
 import userRoutes from './routes/users.js';
 import uploadRoutes from './routes/upload.js';
 import doctorLeaveRoutes from './routes/doctorLeave.js';
+import doctorVerificationRoutes from './routes/doctorVerification.js';
+import doctorPatientRoutes from './routes/doctorPatients.js';
+import medicalHistoryRoutes from './routes/medicalHistory.js';
+import adminUserRoutes from './routes/adminUsers.js';
+import adminAnalyticsRoutes from './routes/adminAnalytics.js';
+import dashboardRoutes from './routes/dashboard.js';
 import appointmentRoutes from './routes/appointments.js';
+import appointmentSeriesRoutes from './routes/appointmentSeries.js';
+import waitlistRoutes from './routes/waitlist.js';
 import otpRoutes from './routes/otp.js';
 import { authenticateToken } from './middleware/auth.js';
 import availabilityRoutes from './routes/availability.js';
 import notificationRoutes from './routes/notifications.js';
 import { setupSocketHandlers } from './socket/handlers.js';
 import { startAppointmentScheduler } from './services/appointmentScheduler.js';
+import { startWaitlistSweep } from './services/waitlistService.js';
 
 dotenv.config();
 
@@ -204,12 +215,22 @@ app.get('/api/test', (req, res) => {
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/otp', apiLimiter, otpRoutes); // Add rate limiting to OTP routes
 app.use('/api', apiLimiter);
+app.use('/api/sessions', authenticateToken, sessionRoutes);
+app.use('/api/two-factor', authenticateToken, twoFactorRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/dashboard', authenticateToken, dashboardRoutes);
+app.use('/api/appointments/series', authenticateToken, appointmentSeriesRoutes);
 app.use('/api/appointments', authenticateToken, appointmentRoutes);
+app.use('/api/waitlist', authenticateToken, waitlistRoutes);
 app.use('/api/chat', authenticateToken, chatRoutes);
 app.use('/api/notifications', authenticateToken, notificationRoutes);
 app.use('/api/upload', authenticateToken, uploadRoutes);
 app.use('/api/doctor/leave', authenticateToken, doctorLeaveRoutes);
+app.use('/api/doctor/verification', authenticateToken, doctorVerificationRoutes);
+app.use('/api/doctor/patients', authenticateToken, doctorPatientRoutes);
+app.use('/api/medical-history', authenticateToken, medicalHistoryRoutes);
+app.use('/api/admin/users', authenticateToken, adminUserRoutes);
+app.use('/api/admin/analytics', authenticateToken, adminAnalyticsRoutes);
 app.use('/api/availability', availabilityRoutes);
 
 // Socket.io setup
@@ -217,6 +238,7 @@ setupSocketHandlers(io);
 
 // Start appointment reminder scheduler
 startAppointmentScheduler();
+startWaitlistSweep();
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -1,5 +1,41 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+
+/**
+ * Check an access token and the session it was issued for
+ * @param {string} token - Access token
+ * @returns {Promise<Object>} { user, sessionId } or { message } when access is refused
+ */
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+
+  // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+  if (!decoded.sid) {
+    return { message: 'Your session has ended. Please sign in again.' };
+  }
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId).select('-password'),
+    Session.findById(decoded.sid).select('user revokedAt expiresAt')
+  ]);
+
+  if (!user) {
+    return { message: 'Invalid token' };
+  }
+
+  if (!session || !session.isActive() || !session.user.equals(user._id)) {
+    return { message: 'Your session has ended. Please sign in again.' };
+  }
+
+  // Suspension and deletion apply at once, even to tokens issued before them
+  const blockMessage = user.getAccessBlockMessage();
+  if (blockMessage) {
+    return { message: blockMessage };
+  }
+
+  return { user, sessionId: session._id.toString() };
+};
 
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -10,17 +46,17 @@ export const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ message: 'Access token required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId).select('-password');
-    
+    const { user, sessionId, message } = await verifyAccessToken(token);
     if (!user) {
-      return res.status(401).json({ message: 'Invalid token' });
+      return res.status(401).json({ message });
     }
 
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
-    return res.status(403).json({ message: 'Invalid or expired token' });
+    // 401 so the client knows to refresh its access token
+    return res.status(401).json({ message: 'Invalid or expired token' });
   }
 };
 
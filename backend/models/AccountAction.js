@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// What an admin can do to a user account
+export const ACCOUNT_ACTIONS = ['suspended', 'reactivated', 'deleted'];
+
+// Audit trail of admin actions on user accounts, each with the reason given
+const accountActionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ACCOUNT_ACTIONS,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+accountActionSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('AccountAction', accountActionSchema);
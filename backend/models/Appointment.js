@@ -1,5 +1,40 @@
 import mongoose from 'mongoose';
 
+export const APPOINTMENT_STATUSES = ['pending', 'confirmed', 'completed', 'cancelled', 'no_show', 'expired', 'missed'];
+
+// Appointments in these states hold their time range on the doctor's calendar
+export const ACTIVE_APPOINTMENT_STATUSES = ['pending', 'confirmed'];
+
+// Appointments that used, or still hold, doctor time; used for load and utilisation figures
+export const BOOKED_APPOINTMENT_STATUSES = [...ACTIVE_APPOINTMENT_STATUSES, 'completed', 'no_show'];
+
+// Allowed status changes; every status other than pending and confirmed is final.
+// confirmed -> pending happens when a patient moves a confirmed appointment.
+// expired and missed are only set by the scheduler.
+export const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled', 'expired'],
+  confirmed: ['pending', 'completed', 'cancelled', 'no_show', 'missed'],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+  expired: [],
+  missed: []
+};
+
+/**
+ * Check whether an appointment may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+export const canTransitionStatus = (from, to) => {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Granularity of the slot reservation blocks, in minutes. Slot lengths and availability
+// windows can be any whole number of minutes, so coarser blocks would let adjacent slots collide.
+const SLOT_BLOCK_MINUTES = 1;
+
 const appointmentSchema = new mongoose.Schema({
   patient: {
     type: mongoose.Schema.Types.ObjectId,
@@ -21,9 +56,35 @@ const appointmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'completed', 'cancelled'],
+    enum: APPOINTMENT_STATUSES,
     default: 'pending'
   },
+  // Audit trail of every status change; changedBy is empty for automatic changes
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: [...APPOINTMENT_STATUSES, null],
+      default: null
+    },
+    to: {
+      type: String,
+      enum: APPOINTMENT_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   symptoms: {
     type: String,
     required: true
@@ -56,12 +117,188 @@ const appointmentSchema = new mongoose.Schema({
     enum: ['pending', 'paid', 'refunded'],
     default: 'pending'
   },
-  reminderSent: {
-    type: Boolean,
-    default: false
+  // Reminder stages already handled for each participant; stage is minutes before the start
+  remindersSent: [{
+    stage: Number,
+    role: {
+      type: String,
+      enum: ['patient', 'doctor']
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Video call activity, used to tell a patient no-show from a missed consultation
+  videoSession: {
+    doctorCalledAt: Date,
+    patientCalledAt: Date,
+    startedAt: Date
+  },
+  cancellation: {
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    cancelledAt: Date
+  },
+  rescheduleHistory: [{
+    previousDate: Date,
+    newDate: Date,
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Doctors who passed the appointment on to a colleague, e.g. because of leave
+  handoffHistory: [{
+    fromDoctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    toDoctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    handedOffAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Follow-up series this appointment belongs to, and its position in it (1-based)
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries',
+    default: null
+  },
+  seriesIndex: Number,
+  // Time blocks reserved on the doctor's calendar while the appointment is active.
+  // Backed by a unique index so that two overlapping bookings cannot both be stored.
+  slotBlocks: {
+    type: [Date],
+    default: undefined,
+    select: false
   }
 }, {
   timestamps: true
 });
 
+appointmentSchema.index({ doctor: 1, appointmentDate: 1 });
+appointmentSchema.index({ series: 1, seriesIndex: 1 });
+appointmentSchema.index(
+  { doctor: 1, slotBlocks: 1 },
+  { unique: true, partialFilterExpression: { slotBlocks: { $exists: true } } }
+);
+
+/**
+ * Split [start, start + duration) into fixed-size blocks, rounding outwards
+ * @param {Date} start - Appointment start
+ * @param {number} duration - Length in minutes
+ * @returns {Date[]} Block start times covering the range
+ */
+export const getSlotBlocks = (start, duration) => {
+  const blockMs = SLOT_BLOCK_MINUTES * 60 * 1000;
+  const startMs = Math.floor(start.getTime() / blockMs) * blockMs;
+  const endMs = Math.ceil((start.getTime() + duration * 60 * 1000) / blockMs) * blockMs;
+
+  const blocks = [];
+  for (let time = startMs; time < endMs; time += blockMs) {
+    blocks.push(new Date(time));
+  }
+  return blocks;
+};
+
+// Keep the reserved blocks in sync with the appointment time and status
+appointmentSchema.pre('save', function(next) {
+  if (!this.isNew && !this.isModified('appointmentDate') && !this.isModified('duration') && !this.isModified('status')) {
+    return next();
+  }
+
+  if (ACTIVE_APPOINTMENT_STATUSES.includes(this.status)) {
+    this.slotBlocks = getSlotBlocks(this.appointmentDate, this.duration);
+  } else {
+    this.slotBlocks = undefined;
+  }
+  next();
+});
+
+// Start the audit trail with the booking itself
+appointmentSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, changedBy: this.patient });
+  }
+  next();
+});
+
+/**
+ * Move the appointment to a new status and record it in the audit trail.
+ * The caller saves the document.
+ * @param {string} status - Requested status
+ * @param {string|null} changedBy - User making the change, null for automatic changes
+ * @param {string} reason - Why the status changed
+ * @returns {boolean} False if the transition is not allowed
+ */
+appointmentSchema.methods.transitionTo = function(status, changedBy = null, reason = '') {
+  if (!canTransitionStatus(this.status, status)) {
+    return false;
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy,
+    reason,
+    changedAt: new Date()
+  });
+  this.status = status;
+  return true;
+};
+
+// Release the reserved blocks when an update moves the appointment out of an active status
+appointmentSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate();
+  const status = update.$set?.status ?? update.status;
+
+  if (status && !ACTIVE_APPOINTMENT_STATUSES.includes(status)) {
+    update.$unset = { ...update.$unset, slotBlocks: 1 };
+    this.setUpdate(update);
+  }
+  next();
+});
+
+/**
+ * Find an active appointment of the doctor that overlaps [start, start + duration)
+ * @param {string} doctorId - Doctor ID
+ * @param {Date} start - Proposed start
+ * @param {number} duration - Proposed length in minutes
+ * @param {string|Array} excludeId - Appointment or appointments to ignore (when moving existing ones)
+ * @returns {Promise<Object|null>} The first overlapping appointment
+ */
+appointmentSchema.statics.findOverlapping = function(doctorId, start, duration, excludeId = null) {
+  const end = new Date(start.getTime() + duration * 60 * 1000);
+  const query = {
+    doctor: doctorId,
+    status: { $in: ACTIVE_APPOINTMENT_STATUSES },
+    appointmentDate: { $lt: end },
+    $expr: {
+      $gt: [{ $add: ['$appointmentDate', { $multiply: ['$duration', 60 * 1000] }] }, start]
+    }
+  };
+
+  if (Array.isArray(excludeId)) {
+    query._id = { $nin: excludeId };
+  } else if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.findOne(query).sort({ appointmentDate: 1 });
+};
+
 export default mongoose.model('Appointment', appointmentSchema);
\ No newline at end of file
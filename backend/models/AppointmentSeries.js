@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+export const SERIES_UNITS = ['week', 'month'];
+export const MAX_SERIES_OCCURRENCES = 26;
+
+// A run of follow-up appointments a doctor scheduled from one consultation
+const appointmentSeriesSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sourceAppointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    max: 12,
+    required: true
+  },
+  unit: {
+    type: String,
+    enum: SERIES_UNITS,
+    required: true
+  },
+  occurrences: {
+    type: Number,
+    min: 1,
+    max: MAX_SERIES_OCCURRENCES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  reason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+appointmentSeriesSchema.index({ doctor: 1, patient: 1 });
+
+export default mongoose.model('AppointmentSeries', appointmentSeriesSchema);
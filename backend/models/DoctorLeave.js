@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import { getLeaveIntervals } from '../utils/scheduleUtils.js';
+
+// 'busy' marks short ad-hoc blocks such as meetings; the others describe time off
+export const LEAVE_TYPES = ['vacation', 'sick', 'emergency', 'conference', 'busy', 'other'];
+
+// What a doctor can do with an appointment that falls inside their leave
+export const LEAVE_RESOLUTION_ACTIONS = ['cancel', 'reschedule', 'handoff'];
 
 const doctorLeaveSchema = new mongoose.Schema({
   doctor: {
@@ -14,13 +21,23 @@ const doctorLeaveSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Optional HH:MM window in the doctor's zone, blocked on each day of the leave;
+  // without it the whole days are blocked
+  startTime: {
+    type: String
+  },
+  endTime: {
+    type: String
+  },
   reason: {
     type: String,
-    required: true
+    required: function() {
+      return this.type !== 'busy';
+    }
   },
   type: {
     type: String,
-    enum: ['vacation', 'sick', 'emergency', 'other'],
+    enum: LEAVE_TYPES,
     default: 'vacation'
   },
   status: {
@@ -35,9 +52,33 @@ const doctorLeaveSchema = new mongoose.Schema({
   approvedAt: {
     type: Date
   },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: {
+    type: Date
+  },
   rejectionReason: {
     type: String
-  }
+  },
+  // The doctor's choice for each appointment inside the leave, carried out when it is approved
+  conflictPlan: [{
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
+    action: {
+      type: String,
+      enum: LEAVE_RESOLUTION_ACTIONS
+    },
+    newDate: Date,
+    colleague: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String
+  }]
 }, {
   timestamps: true
 });
@@ -46,4 +87,20 @@ const doctorLeaveSchema = new mongoose.Schema({
 doctorLeaveSchema.index({ doctor: 1, startDate: 1, endDate: 1 });
 doctorLeaveSchema.index({ doctor: 1, status: 1 });
 
+// Find a doctor's approved leave that blocks any part of [start, end)
+doctorLeaveSchema.statics.findApprovedInRange = async function(doctorId, start, end, timeZone) {
+  // Days are stored at UTC midnight, so widen the day match to cover every zone offset
+  const dayMs = 24 * 60 * 60 * 1000;
+  const candidates = await this.find({
+    doctor: doctorId,
+    status: 'approved',
+    startDate: { $lt: new Date(end.getTime() + dayMs) },
+    endDate: { $gt: new Date(start.getTime() - 2 * dayMs) }
+  }).sort({ startDate: 1 });
+
+  return candidates.filter(leave =>
+    getLeaveIntervals(leave, timeZone).some(interval => interval.start < end && start < interval.end)
+  );
+};
+
 export default mongoose.model('DoctorLeave', doctorLeaveSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Documents a doctor can attach to a single verification request
+export const MAX_VERIFICATION_DOCUMENTS = 5;
+
+const doctorVerificationSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  licenseNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // License scans, certificates and similar, uploaded through /api/upload/license-document
+  documents: [{
+    fileUrl: {
+      type: String,
+      required: true
+    },
+    fileName: String,
+    fileType: String,
+    fileSize: Number
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+doctorVerificationSchema.index({ status: 1, createdAt: 1 });
+doctorVerificationSchema.index({ doctor: 1, createdAt: -1 });
+
+// The most recent request a doctor has submitted, whatever its outcome
+doctorVerificationSchema.statics.findLatestForDoctor = function(doctorId) {
+  return this.findOne({ doctor: doctorId }).sort({ createdAt: -1 });
+};
+
+export default mongoose.model('DoctorVerification', doctorVerificationSchema);
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// pending: waiting for runAt, running: leased by a worker,
+// completed: finished, dead: gave up after maxAttempts (dead-letter)
+export const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'pending'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Lease held by the worker running the job; another worker may take over once it lapses
+  lockedBy: String,
+  lockedUntil: Date,
+  lastError: {
+    type: String,
+    default: ''
+  },
+  // Jobs with the same key are only queued once
+  uniqueKey: String,
+  completedAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, partialFilterExpression: { uniqueKey: { $exists: true } } });
+// Finished jobs are kept for a week; dead jobs stay until someone looks at them
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default mongoose.model('Job', jobSchema);
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+// Severity a patient can give an allergy
+export const ALLERGY_SEVERITIES = ['mild', 'moderate', 'severe'];
+
+// Whether a condition is still being treated
+export const CONDITION_STATUSES = ['active', 'resolved'];
+
+// Each section of the history with its entry fields; the first field is required
+export const MEDICAL_HISTORY_SECTIONS = {
+  allergies: {
+    substance: { type: String, required: true, trim: true },
+    reaction: { type: String, trim: true },
+    severity: { type: String, enum: ALLERGY_SEVERITIES }
+  },
+  conditions: {
+    name: { type: String, required: true, trim: true },
+    diagnosedDate: Date,
+    status: { type: String, enum: CONDITION_STATUSES, default: 'active' },
+    notes: { type: String, trim: true }
+  },
+  medications: {
+    name: { type: String, required: true, trim: true },
+    dosage: { type: String, trim: true },
+    frequency: { type: String, trim: true },
+    startedDate: Date,
+    notes: { type: String, trim: true }
+  },
+  surgeries: {
+    procedure: { type: String, required: true, trim: true },
+    date: Date,
+    notes: { type: String, trim: true }
+  },
+  familyHistory: {
+    relation: { type: String, required: true, trim: true },
+    condition: { type: String, required: true, trim: true },
+    notes: { type: String, trim: true }
+  }
+};
+
+// Schema paths for every section, shared with the version snapshots
+export const medicalHistorySectionPaths = Object.fromEntries(
+  Object.entries(MEDICAL_HISTORY_SECTIONS).map(([section, fields]) => [section, [fields]])
+);
+
+const medicalHistorySchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  ...medicalHistorySectionPaths,
+  // Bumped on every saved change; edits based on an older version are refused
+  version: {
+    type: Number,
+    default: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * The patient's history, created on first use from the conditions given at registration
+ * @param {Object} patient - Patient user document
+ * @returns {Promise<Object>} MedicalHistory document
+ */
+medicalHistorySchema.statics.findOrCreateForPatient = async function(patient) {
+  const existing = await this.findOne({ patient: patient._id });
+  if (existing) {
+    return existing;
+  }
+
+  const conditions = (patient.medicalHistory || [])
+    .filter(entry => entry.condition)
+    .map(entry => ({
+      name: entry.condition,
+      diagnosedDate: entry.diagnosedDate,
+      notes: entry.notes
+    }));
+
+  // Upsert so two first requests at once still end with a single record
+  return this.findOneAndUpdate(
+    { patient: patient._id },
+    { $setOnInsert: { patient: patient._id, conditions } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+export default mongoose.model('MedicalHistory', medicalHistorySchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import { medicalHistorySectionPaths } from './MedicalHistory.js';
+
+// The whole medical history as it stood after one saved change
+const medicalHistoryVersionSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  ...medicalHistorySectionPaths,
+  // Sections that differ from the previous version
+  changedSections: [String],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One snapshot per version of a patient's history
+medicalHistoryVersionSchema.index({ patient: 1, version: -1 }, { unique: true });
+
+export default mongoose.model('MedicalHistoryVersion', medicalHistoryVersionSchema);
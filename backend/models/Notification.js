@@ -17,6 +17,26 @@ const notificationSchema = new mongoose.Schema({
       'appointment_request',
       'appointment_confirmed',
       'appointment_cancelled',
+      'appointment_cancelled_by_patient',
+      'appointment_rescheduled',
+      'appointment_moved_by_doctor',
+      'appointment_handed_off',
+      'appointment_handoff_received',
+      'appointment_expired',
+      'appointment_missed',
+      'appointment_no_show',
+      'appointment_reminder',
+      'follow_up_scheduled',
+      'follow_up_cancelled',
+      'follow_up_rescheduled',
+      'waitlist_slot_offered',
+      'waitlist_offer_expired',
+      'leave_requested',
+      'leave_approved',
+      'leave_rejected',
+      'verification_requested',
+      'verification_approved',
+      'verification_rejected',
       'appointment_completed',
       'new_message',
       'video_call_request',
@@ -44,6 +64,14 @@ const notificationSchema = new mongoose.Schema({
     messageId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Message'
+    },
+    leaveId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DoctorLeave'
+    },
+    verificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DoctorVerification'
     }
   },
   isRead: {
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// Why a session stopped working before it expired
+export const SESSION_REVOKE_REASONS = ['logout', 'logout_all', 'revoked', 'reuse_detected', 'password_reset', 'password_change'];
+
+// One signed-in device; its refresh token is rotated on every use
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the refresh token currently issued, never the token itself
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The token it replaced, accepted for a short grace period so parallel refreshes do not look like theft
+  previousRefreshTokenHash: {
+    type: String
+  },
+  rotatedAt: {
+    type: Date
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: [...SESSION_REVOKE_REASONS, null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Expired sessions are removed by MongoDB a day after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Whether the session can still be used to authenticate
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Sessions of a user that are neither revoked nor expired
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+export default mongoose.model('Session', sessionSchema);
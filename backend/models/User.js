@@ -1,5 +1,9 @@
 import bcrypt from 'bcryptjs';
 import mongoose from 'mongoose';
+import { getDefaultTimeZone, isValidTimeZone } from '../utils/timeZoneUtils.js';
+
+// Ways a user can receive appointment reminders
+export const REMINDER_CHANNELS = ['inApp', 'email', 'push'];
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -26,7 +30,8 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['patient', 'doctor'],
+    // Admins are created with create-admin.js, never through registration
+    enum: ['patient', 'doctor', 'admin'],
     required: true
   },
   phone: {
@@ -37,6 +42,20 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  timeZone: {
+    type: String,
+    default: getDefaultTimeZone,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Time zone must be a valid IANA time zone'
+    }
+  },
+  // Reminder delivery preferences; a channel is used unless it is switched off
+  reminderChannels: {
+    inApp: { type: Boolean, default: true },
+    email: { type: Boolean, default: true },
+    push: { type: Boolean, default: true }
+  },
   // Doctor-specific fields
   specialization: {
     type: String,
@@ -119,6 +138,19 @@ const userSchema = new mongoose.Schema({
     startTime: String,
     endTime: String
   }],
+  slotDuration: {
+    type: Number,
+    min: [5, 'Slot duration must be at least 5 minutes'],
+    max: [240, 'Slot duration cannot exceed 240 minutes'],
+    default: 30 // minutes
+  },
+  // Patients cannot cancel or move a confirmed appointment later than this many hours before it starts
+  cancellationCutoffHours: {
+    type: Number,
+    min: [0, 'Cancellation cutoff cannot be negative'],
+    max: [168, 'Cancellation cutoff cannot exceed 168 hours'],
+    default: 24
+  },
   // Patient-specific fields
   dateOfBirth: {
     type: Date,
@@ -147,18 +179,62 @@ const userSchema = new mongoose.Schema({
       message: 'Gender is required for patients'
     }
   },
+  // Conditions given at registration; the editable, versioned history lives in MedicalHistory
   medicalHistory: [{
     condition: String,
     diagnosedDate: Date,
     notes: String
   }],
+  // Doctors: license checked by an admin (see DoctorVerification)
   isVerified: {
     type: Boolean,
     default: false
   },
+  // The email passed OTP verification at registration or when it was changed
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set while an admin has suspended the account, cleared when it is reactivated
+  suspension: {
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Soft delete: the account is kept for medical and appointment records but can no longer be used
+  deletedAt: {
+    type: Date
+  },
+  // Issued once a password reset code is verified; only its SHA-256 is stored
+  passwordReset: {
+    tokenHash: String,
+    expiresAt: Date
+  },
+  // Address the user asked to switch to, until the code sent there is confirmed
+  emailChange: {
+    newEmail: String,
+    requestedAt: Date
+  },
+  // Authenticator-app sign-in codes; recovery codes are stored as SHA-256 hashes and used once
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    // Secret shown during enrollment, kept until the first code confirms the app has it
+    pendingSecret: String,
+    // Time step of the last accepted code, so the same code cannot sign in twice
+    lastUsedStep: Number,
+    recoveryCodeHashes: [String],
+    enabledAt: Date
   }
 }, {
   timestamps: true
@@ -195,9 +271,25 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Why this account may not sign in or use the API, or null if it may
+userSchema.methods.getAccessBlockMessage = function() {
+  if (this.deletedAt) {
+    return 'This account has been deleted';
+  }
+  if (!this.isActive) {
+    return this.suspension?.reason
+      ? `This account has been suspended: ${this.suspension.reason}`
+      : 'This account has been suspended';
+  }
+  return null;
+};
+
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordReset;
+  delete user.emailChange;
+  user.twoFactor = { enabled: Boolean(user.twoFactor?.enabled) };
   return user;
 };
 
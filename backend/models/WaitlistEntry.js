@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// waiting: in the queue, offered: holding a slot until hold.expiresAt,
+// booked: accepted the hold, cancelled: left the waitlist, expired: date range passed
+export const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'cancelled', 'expired'];
+export const ACTIVE_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+// A patient waiting for any free slot with a doctor between two dates
+const waitlistEntrySchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Whole calendar days of the doctor, stored at UTC midnight like leave
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  symptoms: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: WAITLIST_STATUSES,
+    default: 'waiting'
+  },
+  // Slot reserved for the patient while the offer is open
+  hold: {
+    start: Date,
+    duration: Number,
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  // Slots the patient declined or let lapse, never offered to them again
+  passedSlots: [Date],
+  offersMade: {
+    type: Number,
+    default: 0
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ doctor: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ patient: 1, status: 1 });
+waitlistEntrySchema.index({ doctor: 1, 'hold.start': 1 });
+
+// Find an open hold that overlaps [start, start + duration) for a doctor
+waitlistEntrySchema.statics.findOverlappingHold = function(doctorId, start, duration, excludeEntryId = null) {
+  const end = new Date(start.getTime() + duration * 60 * 1000);
+  const query = {
+    doctor: doctorId,
+    status: 'offered',
+    'hold.expiresAt': { $gt: new Date() },
+    'hold.start': { $lt: end },
+    $expr: {
+      $gt: [{ $add: ['$hold.start', { $multiply: ['$hold.duration', 60 * 1000] }] }, start]
+    }
+  };
+
+  if (excludeEntryId) {
+    query._id = { $ne: excludeEntryId };
+  }
+
+  return this.findOne(query).sort({ 'hold.start': 1 });
+};
+
+export default mongoose.model('WaitlistEntry', waitlistEntrySchema);
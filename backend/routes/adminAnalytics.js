@@ -0,0 +1,92 @@
+import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import {
+  resolveAnalyticsRange,
+  getAnalyticsReport,
+  getDailyActivity,
+  getSpecializationUtilisation,
+  getAppointmentOutcomes,
+  getTimeToConfirm,
+  getEngagement,
+  toCsv
+} from '../services/analyticsService.js';
+
+const router = express.Router();
+
+// Every route here is for admins only
+router.use(requireRole(['admin']));
+
+// Reports that can be downloaded as CSV, each with its columns and rows
+const CSV_REPORTS = {
+  daily: {
+    columns: ['date', 'bookings', 'messages', 'notifications', 'signups'],
+    getRows: getDailyActivity
+  },
+  specializations: {
+    columns: ['specialization', 'doctors', 'availableMinutes', 'bookedMinutes', 'utilisation'],
+    getRows: getSpecializationUtilisation
+  },
+  summary: {
+    columns: ['metric', 'value'],
+    getRows: async (range) => {
+      const [outcomes, timeToConfirm, engagement] = await Promise.all([
+        getAppointmentOutcomes(range),
+        getTimeToConfirm(range),
+        getEngagement(range)
+      ]);
+
+      return [
+        ...Object.entries(outcomes).map(([metric, value]) => ({ metric, value })),
+        { metric: 'medianMinutesToConfirm', value: timeToConfirm.medianMinutes },
+        { metric: 'messages', value: engagement.messages },
+        { metric: 'notifications', value: engagement.notifications },
+        { metric: 'notificationReadRate', value: engagement.notificationReadRate },
+        { metric: 'patientSignups', value: engagement.signups.patient },
+        { metric: 'doctorSignups', value: engagement.signups.doctor }
+      ];
+    }
+  }
+};
+
+// Get every analytics figure for a date range (?from=&to= as YYYY-MM-DD, ?timeZone=)
+router.get('/', async (req, res) => {
+  try {
+    const range = resolveAnalyticsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    console.log(`📊 Building analytics for ${range.from} to ${range.to}`);
+
+    res.json(await getAnalyticsReport(range));
+  } catch (error) {
+    console.error('❌ Error building analytics:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download one report as CSV (?report=daily|specializations|summary)
+router.get('/export', async (req, res) => {
+  try {
+    const report = CSV_REPORTS[req.query.report];
+    if (!report) {
+      return res.status(400).json({ message: `Report must be one of: ${Object.keys(CSV_REPORTS).join(', ')}` });
+    }
+
+    const range = resolveAnalyticsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const rows = await report.getRows(range);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${req.query.report}-${range.from}-to-${range.to}.csv"`);
+    res.send(toCsv(rows, report.columns));
+  } catch (error) {
+    console.error('❌ Error exporting analytics:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
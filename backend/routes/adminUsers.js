@@ -0,0 +1,192 @@
+import express from 'express';
+import User from '../models/User.js';
+import AccountAction from '../models/AccountAction.js';
+import { requireRole } from '../middleware/auth.js';
+import { disconnectUser } from '../socket/handlers.js';
+
+const router = express.Router();
+
+// Every route here is for admins only
+router.use(requireRole(['admin']));
+
+// Match search text literally, not as a pattern
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Account state filters for the user list
+const STATUS_QUERIES = {
+  active: { isActive: true, deletedAt: null },
+  suspended: { isActive: false, deletedAt: null },
+  deleted: { deletedAt: { $ne: null } }
+};
+
+// Shared checks before an admin acts on an account; responds and returns true if the action is refused
+const rejectAccountAction = (req, res) => {
+  if (!req.body.reason?.trim()) {
+    res.status(400).json({ message: 'Please give a reason for this action' });
+    return true;
+  }
+
+  if (req.params.id === req.user._id.toString()) {
+    res.status(400).json({ message: 'You cannot change your own account here' });
+    return true;
+  }
+
+  return false;
+};
+
+// Apply a state change if the account is still in the expected state, and record it
+const applyAccountAction = async (req, res, { action, filter, update, refusal }) => {
+  const user = await User.findOneAndUpdate(
+    { _id: req.params.id, ...filter },
+    update,
+    { new: true, runValidators: false }
+  ).select('-password');
+
+  if (!user) {
+    const exists = await User.exists({ _id: req.params.id });
+    return exists
+      ? res.status(400).json({ message: refusal })
+      : res.status(404).json({ message: 'User not found' });
+  }
+
+  await AccountAction.create({
+    user: user._id,
+    admin: req.user._id,
+    action,
+    reason: req.body.reason.trim()
+  });
+
+  // Open sockets would otherwise keep working until they reconnect
+  if (action !== 'reactivated') {
+    disconnectUser(user._id.toString(), user.getAccessBlockMessage());
+  }
+
+  console.log(`✅ User ${user._id} ${action} by admin ${req.user._id}`);
+
+  res.json(user);
+};
+
+// Search users by name or email, role and account state
+router.get('/', async (req, res) => {
+  try {
+    const { search, role, status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (typeof search === 'string' && search.trim()) {
+      const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+      query.$or = [{ firstName: pattern }, { lastName: pattern }, { email: pattern }];
+    }
+    if (role) {
+      query.role = role;
+    }
+    if (STATUS_QUERIES[status]) {
+      Object.assign(query, STATUS_QUERIES[status]);
+    }
+
+    const users = await User.find(query)
+      .select('firstName lastName email role specialization isActive isVerified suspension deletedAt createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users,
+      totalPages: Math.ceil(total / limit),
+      currentPage: Number(page),
+      total
+    });
+  } catch (error) {
+    console.error('Failed to search users:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one user with the history of admin actions on the account
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('-password')
+      .populate('suspension.suspendedBy', 'firstName lastName');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const actions = await AccountAction.find({ user: user._id })
+      .populate('admin', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({ user, actions });
+  } catch (error) {
+    console.error('Failed to fetch user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suspend an account; it is signed out everywhere at once
+router.put('/:id/suspend', async (req, res) => {
+  try {
+    if (rejectAccountAction(req, res)) {
+      return;
+    }
+
+    await applyAccountAction(req, res, {
+      action: 'suspended',
+      filter: { isActive: true, deletedAt: null },
+      update: {
+        isActive: false,
+        suspension: {
+          reason: req.body.reason.trim(),
+          suspendedAt: new Date(),
+          suspendedBy: req.user._id
+        }
+      },
+      refusal: 'Only active accounts can be suspended'
+    });
+  } catch (error) {
+    console.error('Failed to suspend user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reactivate a suspended account
+router.put('/:id/reactivate', async (req, res) => {
+  try {
+    if (rejectAccountAction(req, res)) {
+      return;
+    }
+
+    await applyAccountAction(req, res, {
+      action: 'reactivated',
+      filter: { isActive: false, deletedAt: null },
+      update: { isActive: true, $unset: { suspension: 1 } },
+      refusal: 'Only suspended accounts can be reactivated'
+    });
+  } catch (error) {
+    console.error('Failed to reactivate user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Soft-delete an account: records stay, but the account can no longer be used
+router.delete('/:id', async (req, res) => {
+  try {
+    if (rejectAccountAction(req, res)) {
+      return;
+    }
+
+    await applyAccountAction(req, res, {
+      action: 'deleted',
+      filter: { deletedAt: null },
+      update: { isActive: false, deletedAt: new Date(), $unset: { suspension: 1 } },
+      refusal: 'This account has already been deleted'
+    });
+  } catch (error) {
+    console.error('Failed to delete user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,558 @@
+import express from 'express';
+import Appointment, { ACTIVE_APPOINTMENT_STATUSES } from '../models/Appointment.js';
+import AppointmentSeries, { SERIES_UNITS, MAX_SERIES_OCCURRENCES } from '../models/AppointmentSeries.js';
+import { requireRole } from '../middleware/auth.js';
+import { checkSlotBookable, saveWithSlotReservation, isInsideCancellationCutoff } from '../services/bookingService.js';
+import { scheduleAppointmentReminders } from '../services/appointmentScheduler.js';
+import { createNotification, getNotificationTemplate } from '../services/notificationService.js';
+import { queueWaitlistOffers } from '../services/waitlistService.js';
+import { generateSeriesDates, getDoctorTimeZone } from '../utils/scheduleUtils.js';
+import { formatDateTimeInZone, formatTimeInZone } from '../utils/timeZoneUtils.js';
+
+const router = express.Router();
+
+// Read the repeat settings of a request; returns { error } or the parsed settings
+const parseRepeatSettings = (body) => {
+  const interval = parseInt(body.interval, 10);
+  const occurrences = parseInt(body.occurrences, 10);
+
+  if (!SERIES_UNITS.includes(body.unit)) {
+    return { error: 'Repeat unit must be week or month' };
+  }
+  if (isNaN(interval) || interval < 1 || interval > 12) {
+    return { error: 'Repeat interval must be between 1 and 12' };
+  }
+  if (isNaN(occurrences) || occurrences < 1 || occurrences > MAX_SERIES_OCCURRENCES) {
+    return { error: `A series can have between 1 and ${MAX_SERIES_OCCURRENCES} appointments` };
+  }
+
+  return { interval, occurrences, unit: body.unit };
+};
+
+// e.g. "every week" or "every 2 months"
+const describeFrequency = (interval, unit) => {
+  return interval === 1 ? `every ${unit}` : `every ${interval} ${unit}s`;
+};
+
+/**
+ * Check each proposed occurrence against availability, leave and existing appointments
+ * @param {Object} doctor - Doctor user document
+ * @param {Date[]} dates - Proposed start times
+ * @param {Array} excludeIds - Appointments to ignore for every date (the series being moved)
+ * @returns {Promise<Array>} { start, display, duration, available, issue } per occurrence
+ */
+const checkOccurrences = async (doctor, dates, excludeIds = []) => {
+  const timeZone = getDoctorTimeZone(doctor);
+  const results = [];
+
+  for (const start of dates) {
+    const slotCheck = await checkSlotBookable(doctor, start, excludeIds);
+    let issue = '';
+
+    if (slotCheck.conflict) {
+      const end = new Date(slotCheck.conflict.appointmentDate.getTime() + slotCheck.conflict.duration * 60 * 1000);
+      issue = `Overlaps an appointment from ${formatTimeInZone(slotCheck.conflict.appointmentDate, timeZone)} to ${formatTimeInZone(end, timeZone)}`;
+    } else if (!slotCheck.bookable) {
+      issue = slotCheck.message;
+    }
+
+    results.push({
+      start: start.toISOString(),
+      display: formatDateTimeInZone(start, timeZone),
+      duration: slotCheck.duration,
+      available: slotCheck.bookable,
+      issue
+    });
+  }
+
+  return results;
+};
+
+// Load the completed consultation a series is scheduled from; returns an error response or null
+const findSourceAppointment = async (req, res) => {
+  const source = await Appointment.findOne({ _id: req.body.appointmentId, doctor: req.user._id });
+
+  if (!source) {
+    res.status(404).json({ message: 'Appointment not found' });
+    return null;
+  }
+
+  if (source.status !== 'completed') {
+    res.status(400).json({ message: 'Follow-ups can only be scheduled from a completed appointment' });
+    return null;
+  }
+
+  return source;
+};
+
+// Upcoming appointments of a series that can still be cancelled or moved
+const findUpcomingOccurrences = (seriesId) => {
+  return Appointment.find({
+    series: seriesId,
+    status: { $in: ACTIVE_APPOINTMENT_STATUSES },
+    appointmentDate: { $gt: new Date() }
+  }).sort({ seriesIndex: 1 });
+};
+
+// Release the series' reserved blocks so its occurrences can move onto each other's old times
+const releaseSlotBlocks = (appointments) => {
+  return Appointment.updateMany(
+    { _id: { $in: appointments.map(appointment => appointment._id) } },
+    { $unset: { slotBlocks: 1 } }
+  );
+};
+
+// Put a partly moved series back at its previous times and reserve those blocks again.
+// An occurrence can only return once the sibling now holding its old time has moved back,
+// so keep passing over the rest while any of them succeeds.
+// Returns [index, appointment] for the occurrences whose old time was booked in the meantime.
+const restoreOccurrences = async (appointments, previous, failedIndex) => {
+  for (const [index, appointment] of appointments.entries()) {
+    if (index <= failedIndex) {
+      appointment.rescheduleHistory.pop();
+    }
+    Object.assign(appointment, previous[index]);
+    // The time may be unchanged for occurrences that were not moved yet, so make sure the blocks are saved
+    appointment.markModified('appointmentDate');
+  }
+
+  let pending = [...appointments.entries()];
+  let restoredAny = true;
+  while (pending.length > 0 && restoredAny) {
+    const stillPending = [];
+    for (const entry of pending) {
+      const reservation = await saveWithSlotReservation(entry[1]);
+      if (!reservation.saved) {
+        stillPending.push(entry);
+      }
+    }
+    restoredAny = stillPending.length < pending.length;
+    pending = stillPending;
+  }
+
+  return pending;
+};
+
+/**
+ * Deal with occurrences a failed move could not put back. One that was already moved keeps
+ * its new time and blocks; one that holds no time any more is cancelled rather than left
+ * active without a reservation.
+ * @param {Array} unrestored - [index, appointment] from restoreOccurrences
+ * @param {number} failedIndex - Occurrence whose new time was taken
+ * @param {Array} previous - Time of each occurrence before the move
+ * @param {Object} doctor - Doctor moving the series
+ * @returns {Promise<Array>} { _id, previousDate, appointmentDate, outcome } per occurrence
+ */
+const settleUnrestoredOccurrences = async (unrestored, failedIndex, previous, doctor) => {
+  const settled = [];
+
+  for (const [index, appointment] of unrestored) {
+    if (index < failedIndex) {
+      const current = await Appointment.findById(appointment._id);
+      if (current.status === 'confirmed') {
+        try {
+          await scheduleAppointmentReminders(current);
+        } catch (error) {
+          console.error('❌ Failed to schedule reminders:', error);
+        }
+      }
+      settled.push({ _id: current._id, previousDate: previous[index].appointmentDate, appointmentDate: current.appointmentDate, outcome: 'moved' });
+      continue;
+    }
+
+    const reason = 'Its time was booked by someone else while the series was being moved';
+    appointment.transitionTo('cancelled', doctor._id, reason);
+    appointment.cancellation = {
+      cancelledBy: doctor._id,
+      reason,
+      cancelledAt: new Date()
+    };
+    await appointment.save();
+    settled.push({ _id: appointment._id, previousDate: previous[index].appointmentDate, appointmentDate: null, outcome: 'cancelled' });
+  }
+
+  return settled;
+};
+
+// Preview the dates of a follow-up series (doctors only)
+router.post('/preview', requireRole(['doctor']), async (req, res) => {
+  try {
+    const settings = parseRepeatSettings(req.body);
+    if (settings.error) {
+      return res.status(400).json({ message: settings.error });
+    }
+
+    const firstStart = new Date(req.body.firstDate);
+    if (isNaN(firstStart.getTime())) {
+      return res.status(400).json({ message: 'Invalid first appointment date' });
+    }
+
+    const source = await findSourceAppointment(req, res);
+    if (!source) {
+      return;
+    }
+
+    const dates = generateSeriesDates(firstStart, getDoctorTimeZone(req.user), settings.interval, settings.unit, settings.occurrences);
+    const occurrences = await checkOccurrences(req.user, dates);
+
+    res.json({
+      occurrences,
+      allAvailable: occurrences.every(occurrence => occurrence.available)
+    });
+  } catch (error) {
+    console.error('❌ Error previewing follow-up series:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Schedule a follow-up series from a completed appointment (doctors only)
+router.post('/', requireRole(['doctor']), async (req, res) => {
+  try {
+    const settings = parseRepeatSettings(req.body);
+    if (settings.error) {
+      return res.status(400).json({ message: settings.error });
+    }
+
+    const firstStart = new Date(req.body.firstDate);
+    if (isNaN(firstStart.getTime())) {
+      return res.status(400).json({ message: 'Invalid first appointment date' });
+    }
+
+    const source = await findSourceAppointment(req, res);
+    if (!source) {
+      return;
+    }
+
+    const reason = (req.body.reason || '').trim();
+
+    console.log(`🔁 Doctor scheduling ${settings.occurrences} follow-ups from appointment ${source._id}`);
+
+    const dates = generateSeriesDates(firstStart, getDoctorTimeZone(req.user), settings.interval, settings.unit, settings.occurrences);
+    const occurrences = await checkOccurrences(req.user, dates);
+
+    if (!occurrences.every(occurrence => occurrence.available)) {
+      return res.status(409).json({
+        message: 'Some follow-up dates are not available',
+        occurrences
+      });
+    }
+
+    const series = await AppointmentSeries.create({
+      patient: source.patient,
+      doctor: req.user._id,
+      sourceAppointment: source._id,
+      interval: settings.interval,
+      unit: settings.unit,
+      occurrences: settings.occurrences,
+      reason
+    });
+
+    const created = [];
+    for (const [index, start] of dates.entries()) {
+      const appointment = new Appointment({
+        patient: source.patient,
+        doctor: req.user._id,
+        appointmentDate: start,
+        duration: occurrences[index].duration,
+        status: 'confirmed',
+        symptoms: reason || `Follow-up: ${source.symptoms}`,
+        consultationFee: req.user.consultationFee ?? source.consultationFee,
+        series: series._id,
+        seriesIndex: index + 1,
+        statusHistory: [{ from: null, to: 'confirmed', changedBy: req.user._id, reason: 'Scheduled as a follow-up' }]
+      });
+
+      const reservation = await saveWithSlotReservation(appointment);
+      if (!reservation.saved) {
+        // Another booking took one of the slots since the check; undo the whole series
+        await Appointment.deleteMany({ _id: { $in: created.map(item => item._id) } });
+        await AppointmentSeries.deleteOne({ _id: series._id });
+        return res.status(409).json({
+          message: `The follow-up on ${occurrences[index].display} is no longer available`,
+          occurrences
+        });
+      }
+      created.push(appointment);
+    }
+
+    for (const appointment of created) {
+      try {
+        await scheduleAppointmentReminders(appointment);
+      } catch (error) {
+        console.error('❌ Failed to schedule reminders:', error);
+      }
+    }
+
+    console.log(`✅ Follow-up series ${series._id} created`);
+
+    await source.populate('patient', 'firstName lastName timeZone');
+    const template = getNotificationTemplate('follow_up_scheduled', {
+      doctorName: `${req.user.firstName} ${req.user.lastName}`,
+      count: created.length,
+      frequency: describeFrequency(settings.interval, settings.unit),
+      appointmentDate: formatDateTimeInZone(dates[0], source.patient.timeZone)
+    });
+
+    await createNotification({
+      recipient: source.patient._id,
+      sender: req.user._id,
+      type: 'follow_up_scheduled',
+      title: template.title,
+      message: template.message,
+      data: { appointmentId: created[0]._id },
+      sendEmail: false
+    });
+
+    res.status(201).json({ series, appointments: created });
+  } catch (error) {
+    console.error('❌ Error creating follow-up series:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a series with all of its appointments
+router.get('/:id', async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findOne({
+      _id: req.params.id,
+      $or: [{ patient: req.user._id }, { doctor: req.user._id }]
+    })
+      .populate('patient', 'firstName lastName email phone')
+      .populate('doctor', 'firstName lastName specialization');
+
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    const appointments = await Appointment.find({ series: series._id }).sort({ seriesIndex: 1 });
+
+    res.json({ series, appointments });
+  } catch (error) {
+    console.error('❌ Error fetching follow-up series:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel every upcoming appointment of a series
+router.put('/:id/cancel', async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+
+    if (!reason) {
+      return res.status(400).json({ message: 'Please provide a reason for cancelling' });
+    }
+
+    const series = await AppointmentSeries.findOne({
+      _id: req.params.id,
+      $or: [{ patient: req.user._id }, { doctor: req.user._id }]
+    })
+      .populate('patient', 'firstName lastName')
+      .populate('doctor', 'firstName lastName cancellationCutoffHours');
+
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    console.log(`🔁 ${req.user.role} cancelling follow-up series ${series._id}`);
+
+    const upcoming = await findUpcomingOccurrences(series._id);
+    const cancelled = [];
+    const kept = [];
+
+    for (const appointment of upcoming) {
+      // Patients cannot cancel confirmed appointments inside the doctor's cutoff
+      if (req.user.role === 'patient' && isInsideCancellationCutoff(appointment, series.doctor)) {
+        kept.push(appointment);
+        continue;
+      }
+
+      appointment.transitionTo('cancelled', req.user._id, reason);
+      appointment.cancellation = {
+        cancelledBy: req.user._id,
+        reason,
+        cancelledAt: new Date()
+      };
+      await appointment.save();
+      cancelled.push(appointment);
+    }
+
+    if (kept.length === 0) {
+      series.status = 'cancelled';
+      await series.save();
+    }
+
+    console.log(`✅ Cancelled ${cancelled.length} follow-ups, kept ${kept.length}`);
+
+    if (cancelled.length > 0) {
+      await queueWaitlistOffers(series.doctor._id);
+
+      const recipient = req.user.role === 'doctor' ? series.patient : series.doctor;
+      const template = getNotificationTemplate('follow_up_cancelled', {
+        cancelledBy: req.user.role === 'doctor'
+          ? `Dr. ${req.user.firstName} ${req.user.lastName}`
+          : `${req.user.firstName} ${req.user.lastName}`,
+        count: cancelled.length,
+        reason
+      });
+
+      await createNotification({
+        recipient: recipient._id,
+        sender: req.user._id,
+        type: 'follow_up_cancelled',
+        title: template.title,
+        message: template.message,
+        data: { appointmentId: cancelled[0]._id },
+        sendEmail: false
+      });
+    }
+
+    res.json({
+      series,
+      cancelled: cancelled.length,
+      kept: kept.map(appointment => ({
+        _id: appointment._id,
+        appointmentDate: appointment.appointmentDate
+      })),
+      message: kept.length > 0
+        ? `${kept.length} appointment${kept.length === 1 ? ' is' : 's are'} inside the doctor's cancellation cutoff and could not be cancelled`
+        : 'Follow-up series cancelled'
+    });
+  } catch (error) {
+    console.error('❌ Error cancelling follow-up series:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move every upcoming appointment of a series to a new start, keeping its rhythm (doctors only)
+router.put('/:id/reschedule', requireRole(['doctor']), async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+    const firstStart = new Date(req.body.firstDate);
+
+    if (isNaN(firstStart.getTime())) {
+      return res.status(400).json({ message: 'Invalid first appointment date' });
+    }
+
+    const series = await AppointmentSeries.findOne({
+      _id: req.params.id,
+      doctor: req.user._id,
+      status: 'active'
+    }).populate('patient', 'firstName lastName timeZone');
+
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    const upcoming = await findUpcomingOccurrences(series._id);
+    if (upcoming.length === 0) {
+      return res.status(400).json({ message: 'This series has no upcoming appointments to move' });
+    }
+
+    console.log(`🔁 Doctor moving ${upcoming.length} follow-ups of series ${series._id}`);
+
+    const dates = generateSeriesDates(firstStart, getDoctorTimeZone(req.user), series.interval, series.unit, upcoming.length);
+    const occurrences = await checkOccurrences(req.user, dates, upcoming.map(appointment => appointment._id));
+
+    if (!occurrences.every(occurrence => occurrence.available)) {
+      return res.status(409).json({
+        message: 'Some of the new dates are not available',
+        occurrences
+      });
+    }
+
+    const previous = upcoming.map(appointment => ({
+      appointmentDate: appointment.appointmentDate,
+      duration: appointment.duration,
+      remindersSent: appointment.remindersSent
+    }));
+
+    // Two phases: free every old time of the series first, then reserve the new ones
+    await releaseSlotBlocks(upcoming);
+
+    for (const [index, appointment] of upcoming.entries()) {
+      appointment.rescheduleHistory.push({
+        previousDate: appointment.appointmentDate,
+        newDate: dates[index],
+        rescheduledBy: req.user._id,
+        reason
+      });
+      appointment.appointmentDate = dates[index];
+      appointment.duration = occurrences[index].duration;
+      appointment.remindersSent = [];
+
+      const reservation = await saveWithSlotReservation(appointment);
+      if (!reservation.saved) {
+        const unrestored = await restoreOccurrences(upcoming, previous, index);
+        const notRestored = await settleUnrestoredOccurrences(unrestored, index, previous, req.user);
+        const cancelled = notRestored.filter(occurrence => occurrence.outcome === 'cancelled');
+
+        if (notRestored.length > 0) {
+          console.log(`⚠️ ${notRestored.length} follow-ups of series ${series._id} could not be put back (${cancelled.length} cancelled)`);
+        }
+
+        if (cancelled.length > 0) {
+          const template = getNotificationTemplate('follow_up_cancelled', {
+            cancelledBy: `Dr. ${req.user.firstName} ${req.user.lastName}`,
+            count: cancelled.length,
+            reason: 'The time was booked by someone else while the series was being moved'
+          });
+
+          await createNotification({
+            recipient: series.patient._id,
+            sender: req.user._id,
+            type: 'follow_up_cancelled',
+            title: template.title,
+            message: template.message,
+            data: { appointmentId: cancelled[0]._id },
+            sendEmail: false
+          });
+        }
+
+        return res.status(409).json({
+          message: `The new time on ${occurrences[index].display} is no longer available`,
+          occurrences,
+          notRestored
+        });
+      }
+    }
+
+    for (const appointment of upcoming) {
+      if (appointment.status === 'confirmed') {
+        try {
+          await scheduleAppointmentReminders(appointment);
+        } catch (error) {
+          console.error('❌ Failed to schedule reminders:', error);
+        }
+      }
+    }
+
+    console.log(`✅ Follow-up series ${series._id} moved`);
+
+    // The old times are free again
+    await queueWaitlistOffers(req.user._id);
+
+    const template = getNotificationTemplate('follow_up_rescheduled', {
+      doctorName: `${req.user.firstName} ${req.user.lastName}`,
+      count: upcoming.length,
+      appointmentDate: formatDateTimeInZone(dates[0], series.patient.timeZone),
+      reason
+    });
+
+    await createNotification({
+      recipient: series.patient._id,
+      sender: req.user._id,
+      type: 'follow_up_rescheduled',
+      title: template.title,
+      message: template.message,
+      data: { appointmentId: upcoming[0]._id },
+      sendEmail: false
+    });
+
+    res.json({ series, appointments: upcoming });
+  } catch (error) {
+    console.error('❌ Error moving follow-up series:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
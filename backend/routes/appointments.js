@@ -1,11 +1,112 @@
 import express from 'express';
-import Appointment from '../models/Appointment.js';
+import Appointment, { canTransitionStatus } from '../models/Appointment.js';
 import User from '../models/User.js';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
 import { requireRole } from '../middleware/auth.js';
+import { checkSlotBookable, saveWithSlotReservation, isInsideCancellationCutoff, notifyAppointmentRequest } from '../services/bookingService.js';
+import { queueWaitlistOffers } from '../services/waitlistService.js';
+import { formatDateTimeInZone, formatTimeInZone } from '../utils/timeZoneUtils.js';
 import { createNotification, getNotificationTemplate } from '../services/notificationService.js';
+import { scheduleAppointmentReminders } from '../services/appointmentScheduler.js';
 
 const router = express.Router();
 
+// Respond with 409 naming the time range that is already taken, in the requester's zone
+const respondWithConflict = (res, conflict, timeZone) => {
+  if (!conflict) {
+    return res.status(409).json({ message: 'This time slot is no longer available' });
+  }
+
+  const start = conflict.appointmentDate;
+  const end = new Date(start.getTime() + conflict.duration * 60 * 1000);
+
+  return res.status(409).json({
+    message: `This time overlaps an existing appointment from ${formatTimeInZone(start, timeZone)} to ${formatTimeInZone(end, timeZone)}`,
+    conflict: {
+      start: start.toISOString(),
+      end: end.toISOString()
+    }
+  });
+};
+
+// Statuses a doctor may set directly; pending comes back only through a patient
+// reschedule and expired/missed are set by the scheduler
+const DOCTOR_STATUS_UPDATES = ['confirmed', 'cancelled', 'completed', 'no_show'];
+
+// Populate the people named in the status audit trail
+const STATUS_HISTORY_POPULATE = { path: 'statusHistory.changedBy', select: 'firstName lastName role' };
+
+// Respond with 400 for a status change the state machine does not allow
+const respondWithInvalidTransition = (res, from, to) => {
+  return res.status(400).json({
+    message: `Cannot change a ${from} appointment to ${to}`
+  });
+};
+
+// Shared checks before a patient cancels or reschedules; returns an error response or null
+const rejectPatientChange = (res, appointment, action) => {
+  if (!appointment) {
+    return res.status(404).json({ message: 'Appointment not found' });
+  }
+
+  if (!['pending', 'confirmed'].includes(appointment.status)) {
+    return res.status(400).json({ message: `Only pending or confirmed appointments can be ${action}` });
+  }
+
+  if (appointment.appointmentDate <= new Date()) {
+    return res.status(400).json({ message: 'This appointment has already started' });
+  }
+
+  if (isInsideCancellationCutoff(appointment, appointment.doctor)) {
+    const cutoffHours = appointment.doctor.cancellationCutoffHours ?? 24;
+    return res.status(400).json({
+      message: `Confirmed appointments cannot be ${action} less than ${cutoffHours} hours before they start. Please contact your doctor.`
+    });
+  }
+
+  return null;
+};
+
+// Files attached to the prescription, then files the two parties shared in chat, newest first
+const getAppointmentAttachments = async (appointment) => {
+  const attachments = (appointment.prescription?.uploadedFiles || []).map(fileUrl => ({
+    source: 'prescription',
+    fileUrl,
+    fileName: decodeURIComponent(fileUrl.split('/').pop().split('?')[0])
+  }));
+
+  if (!appointment.patient || !appointment.doctor) {
+    return attachments;
+  }
+
+  const conversation = await Conversation.findOne({
+    participants: { $all: [appointment.patient._id, appointment.doctor._id], $size: 2 }
+  }).select('_id');
+
+  if (conversation) {
+    const messages = await Message.find({
+      conversation: conversation._id,
+      messageType: { $in: ['file', 'image', 'video'] }
+    })
+      .populate('sender', 'firstName lastName role')
+      .select('sender messageType fileUrl fileName fileSize createdAt')
+      .sort({ createdAt: -1 });
+
+    attachments.push(...messages.map(message => ({
+      source: 'chat',
+      fileUrl: message.fileUrl,
+      fileName: message.fileName,
+      fileSize: message.fileSize,
+      messageType: message.messageType,
+      sender: message.sender,
+      sharedAt: message.createdAt
+    })));
+  }
+
+  return attachments;
+};
+
 // Create appointment (patients only)
 router.post('/', requireRole(['patient']), async (req, res) => {
   try {
@@ -24,59 +125,34 @@ router.post('/', requireRole(['patient']), async (req, res) => {
       return res.status(404).json({ message: 'Doctor not found' });
     }
 
-    // Check if appointment slot is available
-    const existingAppointment = await Appointment.findOne({
-      doctor: doctorId,
-      appointmentDate: new Date(appointmentDate),
-      status: { $in: ['pending', 'confirmed'] }
-    });
+    const requestedStart = new Date(appointmentDate);
 
-    if (existingAppointment) {
-      return res.status(400).json({ message: 'This time slot is not available' });
+    // Check availability, leave and overlapping appointments
+    const slotCheck = await checkSlotBookable(doctor, requestedStart);
+    if (!slotCheck.bookable) {
+      return slotCheck.conflict
+        ? respondWithConflict(res, slotCheck.conflict, req.user.timeZone)
+        : res.status(slotCheck.status).json({ message: slotCheck.message });
     }
 
     const appointment = new Appointment({
       patient: req.user._id,
       doctor: doctorId,
-      appointmentDate: new Date(appointmentDate),
+      appointmentDate: requestedStart,
+      duration: slotCheck.duration,
       symptoms,
       consultationFee: doctor.consultationFee
     });
 
-    await appointment.save();
+    const reservation = await saveWithSlotReservation(appointment);
+    if (!reservation.saved) {
+      return respondWithConflict(res, reservation.conflict, req.user.timeZone);
+    }
     await appointment.populate(['patient', 'doctor']);
 
     console.log('✅ Appointment created successfully:', appointment._id);
 
-    // Create notification for doctor (no email functionality)
-    const formattedDate = new Date(appointmentDate).toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-
-    const template = getNotificationTemplate('appointment_request', {
-      patientName: `${req.user.firstName} ${req.user.lastName}`,
-      appointmentDate: formattedDate
-    });
-
-    await createNotification({
-      recipient: doctorId,
-      sender: req.user._id,
-      type: 'appointment_request',
-      title: template.title,
-      message: template.message,
-      data: { appointmentId: appointment._id },
-      sendEmail: true,
-      emailData: {
-        patientName: `${req.user.firstName} ${req.user.lastName}`,
-        appointmentDate: formattedDate,
-        symptoms
-      }
-    });
+    await notifyAppointmentRequest(appointment, req.user, doctor);
 
     console.log('✅ Notification created for doctor');
 
@@ -105,7 +181,8 @@ router.get('/', async (req, res) => {
 
     const appointments = await Appointment.find(query)
       .populate('patient', 'firstName lastName email phone')
-      .populate('doctor', 'firstName lastName specialization')
+      .populate('doctor', 'firstName lastName specialization cancellationCutoffHours')
+      .populate(STATUS_HISTORY_POPULATE)
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort({ appointmentDate: -1 });
@@ -122,36 +199,92 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Get one appointment with its prescription, files and status history (participants and admins)
+router.get('/:id', async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id)
+      .populate('patient', 'firstName lastName email phone dateOfBirth gender avatar')
+      .populate('doctor', 'firstName lastName email specialization avatar cancellationCutoffHours timeZone')
+      .populate(STATUS_HISTORY_POPULATE)
+      .populate('cancellation.cancelledBy', 'firstName lastName role');
+
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    const isParticipant = [appointment.patient?._id, appointment.doctor?._id]
+      .some(id => id && id.equals(req.user._id));
+    if (!isParticipant && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'You do not have access to this appointment' });
+    }
+
+    const attachments = await getAppointmentAttachments(appointment);
+
+    res.json({ ...appointment.toObject(), attachments });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid appointment ID' });
+    }
+    console.error('❌ Error fetching appointment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update appointment status (doctors only)
 router.put('/:id/status', requireRole(['doctor']), async (req, res) => {
   try {
     const { status } = req.body;
+    const reason = (req.body.reason || '').trim();
     
     console.log(`📋 Doctor updating appointment ${req.params.id} status to: ${status}`);
+
+    if (!DOCTOR_STATUS_UPDATES.includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+
+    if (status === 'confirmed' && !req.user.isVerified) {
+      return res.status(403).json({ message: 'Your credentials must be verified by an admin before you can accept appointments' });
+    }
     
-    const appointment = await Appointment.findOneAndUpdate(
-      { _id: req.params.id, doctor: req.user._id },
-      { status },
-      { new: true }
-    ).populate(['patient', 'doctor']);
+    const appointment = await Appointment.findOne({ _id: req.params.id, doctor: req.user._id })
+      .populate(['patient', 'doctor']);
 
     if (!appointment) {
       return res.status(404).json({ message: 'Appointment not found' });
     }
 
+    if (!canTransitionStatus(appointment.status, status)) {
+      return respondWithInvalidTransition(res, appointment.status, status);
+    }
+
+    if (status === 'no_show' && appointment.appointmentDate > new Date()) {
+      return res.status(400).json({ message: 'An appointment can only be marked as a no-show after it has started' });
+    }
+
+    appointment.transitionTo(status, req.user._id, reason);
+    if (status === 'cancelled') {
+      appointment.cancellation = {
+        cancelledBy: req.user._id,
+        reason,
+        cancelledAt: new Date()
+      };
+    }
+    await appointment.save();
+    await appointment.populate(STATUS_HISTORY_POPULATE);
+
     console.log('✅ Appointment status updated successfully');
 
-    // Create notification for patient (no email functionality)
-    const formattedDate = appointment.appointmentDate.toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+    // Create notification for patient, with the time in the patient's zone
+    const formattedDate = formatDateTimeInZone(appointment.appointmentDate, appointment.patient.timeZone);
 
     if (status === 'confirmed') {
+      // Queue the reminders now; the periodic sweep picks them up if this fails
+      try {
+        await scheduleAppointmentReminders(appointment);
+      } catch (error) {
+        console.error('❌ Failed to schedule reminders:', error);
+      }
+
       // Create notification
       const template = getNotificationTemplate('appointment_confirmed', {
         doctorName: `${req.user.firstName} ${req.user.lastName}`,
@@ -190,6 +323,9 @@ router.put('/:id/status', requireRole(['doctor']), async (req, res) => {
       });
 
       console.log('✅ Cancellation notification sent to patient');
+
+      // The freed slot can go to the next patient on the waitlist
+      await queueWaitlistOffers(req.user._id);
     }
 
     res.json(appointment);
@@ -199,6 +335,146 @@ router.put('/:id/status', requireRole(['doctor']), async (req, res) => {
   }
 });
 
+// Cancel appointment (patients only)
+router.put('/:id/cancel', requireRole(['patient']), async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+
+    if (!reason) {
+      return res.status(400).json({ message: 'Please provide a reason for cancelling' });
+    }
+
+    console.log(`📋 Patient cancelling appointment ${req.params.id}`);
+
+    const appointment = await Appointment.findOne({
+      _id: req.params.id,
+      patient: req.user._id
+    }).populate('doctor', '-password');
+
+    const rejection = rejectPatientChange(res, appointment, 'cancelled');
+    if (rejection) {
+      return rejection;
+    }
+
+    appointment.transitionTo('cancelled', req.user._id, reason);
+    appointment.cancellation = {
+      cancelledBy: req.user._id,
+      reason,
+      cancelledAt: new Date()
+    };
+    await appointment.save();
+    await appointment.populate([{ path: 'patient', select: 'firstName lastName email phone' }, STATUS_HISTORY_POPULATE]);
+
+    console.log('✅ Appointment cancelled by patient');
+
+    await queueWaitlistOffers(appointment.doctor._id);
+
+    // Notify the doctor, with the time in the doctor's zone
+    const template = getNotificationTemplate('appointment_cancelled_by_patient', {
+      patientName: `${req.user.firstName} ${req.user.lastName}`,
+      appointmentDate: formatDateTimeInZone(appointment.appointmentDate, appointment.doctor.timeZone),
+      reason
+    });
+
+    await createNotification({
+      recipient: appointment.doctor._id,
+      sender: req.user._id,
+      type: 'appointment_cancelled_by_patient',
+      title: template.title,
+      message: template.message,
+      data: { appointmentId: appointment._id },
+      sendEmail: false
+    });
+
+    res.json(appointment);
+  } catch (error) {
+    console.error('❌ Error cancelling appointment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reschedule appointment to another free slot (patients only)
+router.put('/:id/reschedule', requireRole(['patient']), async (req, res) => {
+  try {
+    const { appointmentDate } = req.body;
+    const reason = (req.body.reason || '').trim();
+
+    if (!reason) {
+      return res.status(400).json({ message: 'Please provide a reason for rescheduling' });
+    }
+
+    console.log(`📋 Patient rescheduling appointment ${req.params.id} to ${appointmentDate}`);
+
+    const appointment = await Appointment.findOne({
+      _id: req.params.id,
+      patient: req.user._id
+    }).populate('doctor', '-password');
+
+    const rejection = rejectPatientChange(res, appointment, 'rescheduled');
+    if (rejection) {
+      return rejection;
+    }
+
+    const newStart = new Date(appointmentDate);
+    const slotCheck = await checkSlotBookable(appointment.doctor, newStart, appointment._id);
+    if (!slotCheck.bookable) {
+      return slotCheck.conflict
+        ? respondWithConflict(res, slotCheck.conflict, req.user.timeZone)
+        : res.status(slotCheck.status).json({ message: slotCheck.message });
+    }
+
+    const previousDate = appointment.appointmentDate;
+
+    appointment.rescheduleHistory.push({
+      previousDate,
+      newDate: newStart,
+      rescheduledBy: req.user._id,
+      reason
+    });
+    appointment.appointmentDate = newStart;
+    appointment.duration = slotCheck.duration;
+    // The doctor has to confirm the new time again
+    if (appointment.status !== 'pending') {
+      appointment.transitionTo('pending', req.user._id, reason);
+    }
+    appointment.remindersSent = [];
+
+    const reservation = await saveWithSlotReservation(appointment);
+    if (!reservation.saved) {
+      return respondWithConflict(res, reservation.conflict, req.user.timeZone);
+    }
+    await appointment.populate([{ path: 'patient', select: 'firstName lastName email phone' }, STATUS_HISTORY_POPULATE]);
+
+    console.log('✅ Appointment rescheduled by patient');
+
+    // The old time is free again
+    await queueWaitlistOffers(appointment.doctor._id);
+
+    // Notify the doctor, with the times in the doctor's zone
+    const template = getNotificationTemplate('appointment_rescheduled', {
+      patientName: `${req.user.firstName} ${req.user.lastName}`,
+      previousDate: formatDateTimeInZone(previousDate, appointment.doctor.timeZone),
+      appointmentDate: formatDateTimeInZone(newStart, appointment.doctor.timeZone),
+      reason
+    });
+
+    await createNotification({
+      recipient: appointment.doctor._id,
+      sender: req.user._id,
+      type: 'appointment_rescheduled',
+      title: template.title,
+      message: template.message,
+      data: { appointmentId: appointment._id },
+      sendEmail: false
+    });
+
+    res.json(appointment);
+  } catch (error) {
+    console.error('❌ Error rescheduling appointment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Add prescription (doctors only)
 router.put('/:id/prescription', requireRole(['doctor']), async (req, res) => {
   try {
@@ -206,16 +482,24 @@ router.put('/:id/prescription', requireRole(['doctor']), async (req, res) => {
     
     console.log(`💊 Doctor adding prescription to appointment ${req.params.id}`);
     
-    const appointment = await Appointment.findOneAndUpdate(
-      { _id: req.params.id, doctor: req.user._id },
-      { prescription, status: 'completed' },
-      { new: true }
-    ).populate(['patient', 'doctor']);
+    const appointment = await Appointment.findOne({ _id: req.params.id, doctor: req.user._id })
+      .populate(['patient', 'doctor']);
 
     if (!appointment) {
       return res.status(404).json({ message: 'Appointment not found' });
     }
 
+    // Adding the prescription completes the consultation; a completed one can be updated
+    if (appointment.status !== 'completed' && !canTransitionStatus(appointment.status, 'completed')) {
+      return respondWithInvalidTransition(res, appointment.status, 'completed');
+    }
+
+    appointment.prescription = prescription;
+    if (appointment.status !== 'completed') {
+      appointment.transitionTo('completed', req.user._id, 'Prescription added');
+    }
+    await appointment.save();
+
     console.log('✅ Prescription added successfully');
 
     // Create in-app notifications (no email functionality)
@@ -1,7 +1,20 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import User from '../models/User.js';
 import { body, validationResult } from 'express-validator';
+import { isValidTimeZone } from '../utils/timeZoneUtils.js';
+import { getPasswordPolicyError } from '../utils/passwordUtils.js';
+import { generateOTP, storeOTP, validateOTP, removeOTP, generateSecureToken, otpRateLimiter, isEmailVerificationTokenValid } from '../utils/otpUtils.js';
+import { sendOTPMail, sendPasswordChangedEmail } from '../services/emailService.js';
+import { createSession, refreshSession, revokeSessionByRefreshToken, revokeUserSessions } from '../services/sessionService.js';
+import {
+  isTwoFactorRequired,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  signLoginChallenge,
+  findUserForLoginChallenge
+} from '../services/twoFactorService.js';
 
 const router = express.Router();
 
@@ -12,8 +25,8 @@ const registrationValidation = [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters'),
+    .isString()
+    .withMessage('Password is required'),
   body('firstName')
     .trim()
     .isLength({ min: 1 })
@@ -25,6 +38,14 @@ const registrationValidation = [
   body('role')
     .isIn(['patient', 'doctor'])
     .withMessage('Role must be either patient or doctor'),
+  body('verificationToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Please verify your email before registering'),
+  body('timeZone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be a valid IANA time zone'),
   
   // Conditional validation for doctor fields
   body('specialization')
@@ -66,6 +87,66 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+// The password step of a login that still needs its second factor
+const loadLoginChallenge = async (req, res) => {
+  const user = await findUserForLoginChallenge(req.body.twoFactorToken);
+  if (!user) {
+    res.status(401).json({ message: 'Your sign-in has expired. Please enter your password again.' });
+    return null;
+  }
+
+  const blockMessage = user.getAccessBlockMessage();
+  if (blockMessage) {
+    res.status(403).json({ message: blockMessage });
+    return null;
+  }
+
+  return user;
+};
+
+// How long a password reset code is valid
+const PASSWORD_RESET_OTP_MINUTES = 10;
+
+// How long the user has to choose a new password once the code is verified
+const PASSWORD_RESET_TOKEN_MINUTES = 15;
+
+// Reset codes are kept apart from registration codes sent to the same address
+const passwordResetKey = (email) => `password-reset:${email}`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const emailValidation = body('email')
+  .isEmail()
+  .normalizeEmail()
+  .withMessage('Please provide a valid email');
+
+const passwordResetVerifyValidation = [
+  emailValidation,
+  body('otp')
+    .isLength({ min: 6, max: 6 })
+    .isNumeric()
+    .withMessage('Code must be a 6-digit number')
+];
+
+const passwordResetCompleteValidation = [
+  emailValidation,
+  body('resetToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isString()
+    .withMessage('Password is required')
+];
+
+// Status code and type for each way a code can fail validation
+const OTP_ERROR_STATUS = {
+  OTP_EXPIRED: 410,
+  MAX_ATTEMPTS_EXCEEDED: 429,
+  OTP_NOT_FOUND: 404,
+  INVALID_OTP: 400
+};
+
 // Register
 router.post('/register', registrationValidation, async (req, res) => {
   try {
@@ -80,7 +161,21 @@ router.post('/register', registrationValidation, async (req, res) => {
       });
     }
 
-    const { email, password, firstName, lastName, role, ...otherData } = req.body;
+    const { email, password, firstName, lastName, role, verificationToken, ...otherData } = req.body;
+
+    const policyError = getPasswordPolicyError(password, { email, firstName, lastName });
+    if (policyError) {
+      return res.status(400).json({ message: policyError });
+    }
+
+    // The token from /api/otp/verify proves this exact email received the code
+    if (!isEmailVerificationTokenValid(verificationToken, email)) {
+      console.log('Registration refused without a valid email verification:', email);
+      return res.status(400).json({
+        message: 'Your email verification has expired or does not match this email. Please verify your email again.',
+        type: 'EMAIL_NOT_VERIFIED'
+      });
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -95,7 +190,8 @@ router.post('/register', registrationValidation, async (req, res) => {
       password,
       firstName,
       lastName,
-      role
+      role,
+      emailVerified: true
     };
 
     // Add role-specific fields
@@ -116,6 +212,10 @@ router.post('/register', registrationValidation, async (req, res) => {
       userData.phone = otherData.phone;
     }
 
+    if (otherData.timeZone) {
+      userData.timeZone = otherData.timeZone;
+    }
+
     console.log('Creating user with data:', { ...userData, password: '[HIDDEN]' });
 
     // Create new user
@@ -124,16 +224,13 @@ router.post('/register', registrationValidation, async (req, res) => {
 
     console.log('User created successfully:', user._id);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Sign the new user in on this device
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: user.toJSON()
     });
   } catch (error) {
@@ -196,18 +293,33 @@ router.post('/login', loginValidation, async (req, res) => {
 
     console.log('Password verified for user:', email);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    const blockMessage = user.getAccessBlockMessage();
+    if (blockMessage) {
+      console.log('Login refused for inactive account:', email);
+      return res.status(403).json({ message: blockMessage });
+    }
+
+    // The password alone is not enough: hand back a challenge for the authenticator code,
+    // or for enrolling an app when the org requires one and the user has none yet
+    if (user.twoFactor?.enabled || isTwoFactorRequired(user)) {
+      console.log('Password accepted, second factor required for user:', email);
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        setupRequired: !user.twoFactor?.enabled,
+        twoFactorToken: signLoginChallenge(user)
+      });
+    }
+
+    // Each sign-in is its own session, listed and revocable from the profile
+    const { token, refreshToken } = await createSession(user, req);
 
     console.log('Login successful for user:', email);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: user.toJSON()
     });
   } catch (error) {
@@ -219,4 +331,291 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
+// Second login step: a code from the authenticator app or a recovery code
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const user = await loadLoginChallenge(req, res);
+    if (!user) return;
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not set up for this account' });
+    }
+
+    const { code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
+
+    const result = await verifySecondFactor(user, { code, recoveryCode });
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    console.log('Login successful with second factor for user:', user.email);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: user.toJSON()
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// Enrollment during login, for accounts that must use two-factor authentication but have not set it up
+router.post('/login/2fa/setup', async (req, res) => {
+  try {
+    const user = await loadLoginChallenge(req, res);
+    if (!user) return;
+
+    if (user.twoFactor?.enabled || !isTwoFactorRequired(user)) {
+      return res.status(400).json({ message: 'Set up two-factor authentication from your profile' });
+    }
+
+    res.json(await beginTwoFactorSetup(user));
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm the enrolled app with its first code, then finish signing in
+router.post('/login/2fa/enable', async (req, res) => {
+  try {
+    const user = await loadLoginChallenge(req, res);
+    if (!user) return;
+
+    if (user.twoFactor?.enabled || !isTwoFactorRequired(user)) {
+      return res.status(400).json({ message: 'Set up two-factor authentication from your profile' });
+    }
+
+    const recoveryCodes = await enableTwoFactor(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+    const updatedUser = await User.findById(user._id);
+
+    console.log('Login successful after two-factor enrollment for user:', user.email);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: updatedUser.toJSON(),
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enrollment error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// Swap a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await refreshSession(req.body.refreshToken, req);
+    if (!result.token) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign this device out; works with an expired access token since only the refresh token is needed
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeSessionByRefreshToken(req.body.refreshToken);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * Email a password reset code. The response is the same whether or not the address
+ * has an account, so the endpoint cannot be used to find out who is registered.
+ * POST /api/auth/password-reset/request
+ */
+router.post('/password-reset/request', [emailValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    const rateLimitEmail = otpRateLimiter.canMakeRequest(passwordResetKey(email));
+    if (!rateLimitEmail.allowed) {
+      console.log(`Password reset rate limit exceeded for email: ${email}`);
+      return res.status(429).json({ message: rateLimitEmail.message, type: 'RATE_LIMIT_EMAIL' });
+    }
+
+    const rateLimitIP = otpRateLimiter.canMakeRequest(passwordResetKey(clientIP));
+    if (!rateLimitIP.allowed) {
+      console.log(`Password reset rate limit exceeded for IP: ${clientIP}`);
+      return res.status(429).json({ message: rateLimitIP.message, type: 'RATE_LIMIT_IP' });
+    }
+
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a reset code has been sent',
+      type: 'OTP_SENT',
+      email
+    };
+
+    const user = await User.findOne({ email });
+    if (!user || user.deletedAt) {
+      console.log('Password reset requested for unknown account:', email);
+      return res.json(response);
+    }
+
+    // A new request replaces any code sent before
+    const otp = generateOTP();
+    storeOTP(passwordResetKey(email), otp, PASSWORD_RESET_OTP_MINUTES);
+
+    const emailResult = await sendOTPMail(email, otp, 'password_reset');
+    if (!emailResult.success) {
+      console.error('Failed to send password reset email:', emailResult.error);
+      removeOTP(passwordResetKey(email));
+      return res.status(500).json({
+        message: 'Failed to send reset code. Please try again.',
+        type: 'EMAIL_SEND_FAILED',
+        error: process.env.NODE_ENV === 'development' ? emailResult.error : undefined
+      });
+    }
+
+    console.log(`🔑 Password reset code sent to ${email}`);
+
+    res.json({
+      ...response,
+      // In development, include the code for testing
+      ...(process.env.NODE_ENV === 'development' && { otp })
+    });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * Check a password reset code and hand out a short-lived token for choosing the new password
+ * POST /api/auth/password-reset/verify
+ */
+router.post('/password-reset/verify', passwordResetVerifyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, otp } = req.body;
+
+    const result = validateOTP(passwordResetKey(email), otp);
+    if (!result.success) {
+      console.log(`Password reset code rejected for ${email}:`, result.error);
+      return res.status(OTP_ERROR_STATUS[result.error] || 400).json({
+        message: result.message,
+        type: result.error,
+        ...(result.attemptsLeft && { attemptsLeft: result.attemptsLeft })
+      });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user || user.deletedAt) {
+      return res.status(404).json({ message: 'Account not found', type: 'OTP_NOT_FOUND' });
+    }
+
+    const resetToken = generateSecureToken();
+    user.passwordReset = {
+      tokenHash: hashToken(resetToken),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TOKEN_MINUTES * 60 * 1000)
+    };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Code verified. You can now choose a new password.',
+      type: 'OTP_VERIFIED',
+      resetToken
+    });
+  } catch (error) {
+    console.error('Password reset verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * Set a new password with the token from the verify step, then sign out every device
+ * POST /api/auth/password-reset/complete
+ */
+router.post('/password-reset/complete', passwordResetCompleteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, resetToken, password } = req.body;
+
+    const user = await User.findOne({ email });
+    const validToken = user && !user.deletedAt &&
+      user.passwordReset?.tokenHash === hashToken(resetToken) &&
+      user.passwordReset.expiresAt > new Date();
+
+    if (!validToken) {
+      return res.status(400).json({ message: 'This reset link has expired. Please request a new code.' });
+    }
+
+    const policyError = getPasswordPolicyError(password, user);
+    if (policyError) {
+      return res.status(400).json({ message: policyError });
+    }
+
+    user.password = password;
+    user.passwordReset = undefined;
+    await user.save();
+
+    const revoked = await revokeUserSessions(user._id, 'password_reset');
+
+    otpRateLimiter.reset(passwordResetKey(email));
+    otpRateLimiter.reset(passwordResetKey(req.ip || req.connection.remoteAddress));
+
+    console.log(`🔑 Password reset for user ${user._id}; ${revoked} session(s) signed out`);
+
+    sendPasswordChangedEmail(user.email, user.firstName).then(result => {
+      if (!result.success) {
+        console.error('Failed to send password changed email:', result.error);
+      }
+    });
+
+    res.json({ success: true, message: 'Your password has been reset. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 export default router;
\ No newline at end of file
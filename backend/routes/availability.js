@@ -1,15 +1,38 @@
 import express from 'express';
 import User from '../models/User.js';
-import Appointment from '../models/Appointment.js';
+import Appointment, { ACTIVE_APPOINTMENT_STATUSES } from '../models/Appointment.js';
 import DoctorLeave from '../models/DoctorLeave.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import {
+  parseDateParam,
+  getDateKey,
+  generateTimeSlotsInRange,
+  getSlotDuration,
+  getDoctorTimeZone,
+  getAvailabilityWindows,
+  rangesOverlap,
+  findLeaveAt,
+  MAX_SLOT_DURATION
+} from '../utils/scheduleUtils.js';
+import {
+  resolveTimeZone,
+  getZonedDayBounds,
+  getZonedParts,
+  formatTimeInZone
+} from '../utils/timeZoneUtils.js';
 
 const router = express.Router();
 
 // Get available time slots for a doctor on a specific date
+// The date is read in the viewer's zone (?timeZone=), slots come from the doctor's zone
 router.get('/doctor/:doctorId/date/:date', async (req, res) => {
   try {
     const { doctorId, date } = req.params;
-    const requestedDate = new Date(date);
+    const requestedDate = parseDateParam(date);
+
+    if (!requestedDate) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
     
     console.log(`🔍 Checking availability for doctor ${doctorId} on ${date}`);
 
@@ -19,102 +42,105 @@ router.get('/doctor/:doctorId/date/:date', async (req, res) => {
       return res.status(404).json({ message: 'Doctor not found' });
     }
 
-    // Check if doctor is on leave
-    const leaveOnDate = await DoctorLeave.findOne({
-      doctor: doctorId,
-      status: 'approved',
-      startDate: { $lte: requestedDate },
-      endDate: { $gte: requestedDate }
-    });
+    const doctorTimeZone = getDoctorTimeZone(doctor);
+    const viewerTimeZone = resolveTimeZone(req.query.timeZone, doctorTimeZone);
+    const { start: dayStart, end: dayEnd } = getZonedDayBounds(requestedDate, viewerTimeZone);
+    const now = new Date();
 
-    if (leaveOnDate) {
-      console.log(`❌ Doctor is on leave: ${leaveOnDate.type}`);
+    // Check if the date is in the past
+    if (dayEnd <= now) {
       return res.json({
         available: false,
-        reason: 'Doctor is on leave',
-        leaveType: leaveOnDate.type,
+        reason: 'Date is in the past',
+        timeZone: viewerTimeZone,
         timeSlots: []
       });
     }
 
-    // Check if the date is in the past
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    requestedDate.setHours(0, 0, 0, 0);
-    
-    if (requestedDate < today) {
+    // Generate slots from the doctor's weekly availability template
+    const allTimeSlots = generateTimeSlotsInRange(doctor, dayStart, dayEnd);
+    const slotDuration = getSlotDuration(doctor);
+
+    if (allTimeSlots.length === 0) {
       return res.json({
         available: false,
-        reason: 'Date is in the past',
+        reason: 'Doctor does not work on this day',
+        slotDuration,
+        timeZone: viewerTimeZone,
         timeSlots: []
       });
     }
 
-    // Get existing appointments for this doctor on this date
-    const startOfDay = new Date(requestedDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date(requestedDate);
-    endOfDay.setHours(23, 59, 59, 999);
+    // Whole-day leave removes every slot, hourly blocks only the slots they overlap
+    const lastSlotEnd = new Date(allTimeSlots[allTimeSlots.length - 1].getTime() + slotDuration * 60 * 1000);
+    const leaves = await DoctorLeave.findApprovedInRange(doctorId, allTimeSlots[0], lastSlotEnd, doctorTimeZone);
+    const getLeaveForSlot = (slot) => findLeaveAt(leaves, slot, slotDuration, doctorTimeZone);
+
+    const workingSlots = allTimeSlots.filter(slot => !getLeaveForSlot(slot));
+
+    if (workingSlots.length === 0) {
+      const leaveOnDate = getLeaveForSlot(allTimeSlots[0]);
+      console.log(`❌ Doctor is on leave: ${leaveOnDate.type}`);
+      return res.json({
+        available: false,
+        reason: 'Doctor is on leave',
+        leaveType: leaveOnDate.type,
+        timeZone: viewerTimeZone,
+        timeSlots: []
+      });
+    }
+
+    // Get existing appointments that could overlap this date, including long ones that start the day before
+    const searchStart = new Date(dayStart.getTime() - MAX_SLOT_DURATION * 60 * 1000);
 
     const existingAppointments = await Appointment.find({
       doctor: doctorId,
       appointmentDate: {
-        $gte: startOfDay,
-        $lte: endOfDay
+        $gte: searchStart,
+        $lt: dayEnd
       },
-      status: { $in: ['pending', 'confirmed'] }
+      status: { $in: ACTIVE_APPOINTMENT_STATUSES }
     });
 
     console.log(`📋 Found ${existingAppointments.length} existing appointments`);
 
-    // Generate all possible time slots (9 AM to 5 PM, 30-minute intervals)
-    const allTimeSlots = [];
-    for (let hour = 9; hour < 17; hour++) {
-      for (let minute = 0; minute < 60; minute += 30) {
-        const timeSlot = new Date(requestedDate);
-        timeSlot.setHours(hour, minute, 0, 0);
-        allTimeSlots.push(timeSlot);
-      }
-    }
+    // Slots currently offered to patients on the waitlist
+    const heldSlots = await WaitlistEntry.find({
+      doctor: doctorId,
+      status: 'offered',
+      'hold.expiresAt': { $gt: now },
+      'hold.start': { $gte: searchStart, $lt: dayEnd }
+    });
 
-    // Filter out booked time slots
-    const bookedTimes = existingAppointments.map(apt => 
-      new Date(apt.appointmentDate).getTime()
-    );
+    // Filter out slots whose range overlaps a booked appointment or a hold, and slots already started
+    const availableTimeSlots = workingSlots.filter(slot => {
+      const isBooked = existingAppointments.some(apt =>
+        rangesOverlap(slot, slotDuration, apt.appointmentDate, apt.duration)
+      );
+      const isHeld = heldSlots.some(entry =>
+        rangesOverlap(slot, slotDuration, entry.hold.start, entry.hold.duration)
+      );
 
-    const availableTimeSlots = allTimeSlots.filter(slot => {
-      const slotTime = slot.getTime();
-      
-      // Check if this exact time is booked
-      if (bookedTimes.includes(slotTime)) {
-        return false;
-      }
-
-      // If it's today, only show future time slots
-      if (requestedDate.getTime() === today.getTime()) {
-        const now = new Date();
-        return slot > now;
-      }
-
-      return true;
+      return !isBooked && !isHeld && slot > now;
     });
 
     console.log(`✅ Found ${availableTimeSlots.length} available time slots`);
 
-    // Format time slots for response
-    const formattedTimeSlots = availableTimeSlots.map(slot => ({
-      time: slot.toTimeString().slice(0, 5), // HH:MM format
-      datetime: slot.toISOString(),
-      display: slot.toLocaleTimeString('en-US', { 
-        hour: '2-digit', 
-        minute: '2-digit',
-        hour12: true 
-      })
-    }));
+    // Format time slots for response in the viewer's zone
+    const formattedTimeSlots = availableTimeSlots.map(slot => {
+      const { hour, minute } = getZonedParts(slot, viewerTimeZone);
+      return {
+        time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`, // HH:MM format
+        datetime: slot.toISOString(),
+        display: formatTimeInZone(slot, viewerTimeZone)
+      };
+    });
 
     res.json({
       available: true,
+      slotDuration,
+      timeZone: viewerTimeZone,
+      doctorTimeZone,
       timeSlots: formattedTimeSlots,
       totalSlots: formattedTimeSlots.length
     });
@@ -130,32 +156,39 @@ router.get('/doctors/date/:date', async (req, res) => {
   try {
     const { date } = req.params;
     const { specialization } = req.query;
-    const requestedDate = new Date(date);
+    const requestedDate = parseDateParam(date);
+
+    if (!requestedDate) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
     
     console.log(`🔍 Finding available doctors for ${date}`);
 
     // Get all doctors
-    const query = { role: 'doctor', isActive: true };
+    const query = { role: 'doctor', isActive: true, isVerified: true };
     if (specialization) {
       query.specialization = new RegExp(specialization, 'i');
     }
 
     const allDoctors = await User.find(query).select('-password');
 
-    // Get doctors who are on leave on this date
+    // Get doctors who are on leave all day (leave days are stored at UTC midnight);
+    // hourly blocks leave the rest of the day bookable
+    const leaveDay = new Date(`${getDateKey(requestedDate)}T00:00:00.000Z`);
     const doctorsOnLeave = await DoctorLeave.find({
       status: 'approved',
-      startDate: { $lte: requestedDate },
-      endDate: { $gte: requestedDate }
+      startDate: { $lte: leaveDay },
+      endDate: { $gte: leaveDay },
+      startTime: null
     }).distinct('doctor');
 
     console.log(`❌ ${doctorsOnLeave.length} doctors are on leave`);
 
-    // Filter out doctors who are on leave
+    // Filter out doctors who are on leave or do not work on this weekday
     const availableDoctors = allDoctors.filter(doctor => 
       !doctorsOnLeave.some(leaveDoctor => 
         leaveDoctor.toString() === doctor._id.toString()
-      )
+      ) && getAvailabilityWindows(doctor, requestedDate).length > 0
     );
 
     console.log(`✅ ${availableDoctors.length} doctors are available`);
@@ -0,0 +1,21 @@
+import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { getDoctorDashboard, getPatientDashboard } from '../services/dashboardService.js';
+
+const router = express.Router();
+
+// Get the signed-in user's dashboard figures, computed over all their appointments
+router.get('/', requireRole(['patient', 'doctor']), async (req, res) => {
+  try {
+    const dashboard = req.user.role === 'doctor'
+      ? await getDoctorDashboard(req.user)
+      : await getPatientDashboard(req.user);
+
+    res.json(dashboard);
+  } catch (error) {
+    console.error('❌ Error building dashboard:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
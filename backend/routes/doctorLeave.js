@@ -1,18 +1,106 @@
 import express from 'express';
 import DoctorLeave from '../models/DoctorLeave.js';
+import User from '../models/User.js';
+import Appointment from '../models/Appointment.js';
 import { requireRole } from '../middleware/auth.js';
+import { queueWaitlistOffers, releaseHoldsInIntervals } from '../services/waitlistService.js';
+import {
+  findLeaveConflicts,
+  findOverlappingLeave,
+  checkLeaveResolutions,
+  applyLeaveResolutions,
+  toStoredResolutions,
+  fromStoredResolutions,
+  notifyAdminsOfLeave,
+  notifyLeaveDecision
+} from '../services/leaveService.js';
+import { checkSlotBookable } from '../services/bookingService.js';
+import { getDoctorTimeZone, getLeaveIntervals, parseDateParam, parseTime } from '../utils/scheduleUtils.js';
 
 const router = express.Router();
 
+// Appointment details the doctor needs to decide what to do with it
+const formatConflict = (appointment) => ({
+  _id: appointment._id,
+  appointmentDate: appointment.appointmentDate,
+  duration: appointment.duration,
+  status: appointment.status,
+  symptoms: appointment.symptoms,
+  patient: {
+    _id: appointment.patient._id,
+    firstName: appointment.patient.firstName,
+    lastName: appointment.patient.lastName
+  }
+});
+
+// Hourly leave needs both times in HH:MM, with the end after the start
+const validateLeaveTimes = (startTime, endTime) => {
+  if (!startTime && !endTime) {
+    return null;
+  }
+
+  const start = parseTime(startTime);
+  const end = parseTime(endTime);
+  if (start === null || end === null) {
+    return 'Leave times must use the HH:MM format';
+  }
+  if (end <= start) {
+    return 'Leave end time must be after the start time';
+  }
+
+  return null;
+};
+
+// Busy blocks cover a few hours; every other leave type needs a reason
+const validateLeaveDetails = (type, reason, startTime) => {
+  if (type === 'busy' && !startTime) {
+    return 'Busy blocks need a start and end time';
+  }
+  if (type !== 'busy' && !reason) {
+    return 'Please provide a reason for your leave';
+  }
+
+  return null;
+};
+
+// Check a doctor's choices for the appointments inside a leave
+const planLeaveConflicts = async (doctor, leave, resolutions) => {
+  const conflicts = await findLeaveConflicts(doctor, leave);
+  if (conflicts.length === 0) {
+    return { conflicts, errors: [], plans: [] };
+  }
+
+  const { errors, plans } = await checkLeaveResolutions(doctor, conflicts, resolutions, leave);
+  return { conflicts, errors, plans };
+};
+
+// Send the appointments back to the doctor while any choice is missing or invalid
+const sendConflictReview = (res, { conflicts, errors }) => {
+  return res.status(409).json({
+    message: 'Some appointments fall inside this leave. Choose what to do with each of them.',
+    conflicts: conflicts.map(formatConflict),
+    errors
+  });
+};
+
+// Carry out the choices once the leave is approved, and withdraw waitlist holds in the blocked time
+const resolveLeaveConflicts = async (doctor, plans, leave) => {
+  const results = await applyLeaveResolutions(plans, doctor);
+  await releaseHoldsInIntervals(doctor._id, getLeaveIntervals(leave, getDoctorTimeZone(doctor)));
+  return results;
+};
+
 // Create leave request (doctors only)
 router.post('/', requireRole(['doctor']), async (req, res) => {
   try {
-    const { startDate, endDate, reason, type } = req.body;
+    const { startDate, endDate, startTime, endTime, reason, type } = req.body;
 
     console.log('📅 Creating leave request:', {
       doctor: req.user._id,
       startDate,
       endDate,
+      startTime,
+      endTime,
       reason,
       type
     });
@@ -31,17 +119,21 @@ router.post('/', requireRole(['doctor']), async (req, res) => {
       return res.status(400).json({ message: 'End date cannot be before start date' });
     }
 
+    const detailsError = validateLeaveTimes(startTime, endTime) || validateLeaveDetails(type, reason, startTime);
+    if (detailsError) {
+      return res.status(400).json({ message: detailsError });
+    }
+
+    // Without times the leave covers the whole days
+    const leave = {
+      startDate: start,
+      endDate: end,
+      startTime: startTime || undefined,
+      endTime: endTime || undefined
+    };
+
     // Check for overlapping leave requests
-    const overlappingLeave = await DoctorLeave.findOne({
-      doctor: req.user._id,
-      status: { $in: ['pending', 'approved'] },
-      $or: [
-        {
-          startDate: { $lte: end },
-          endDate: { $gte: start }
-        }
-      ]
-    });
+    const overlappingLeave = await findOverlappingLeave(req.user, leave);
 
     if (overlappingLeave) {
       return res.status(400).json({ 
@@ -49,15 +141,19 @@ router.post('/', requireRole(['doctor']), async (req, res) => {
       });
     }
 
+    // The doctor decides what happens to appointments in this time; it is carried out on approval
+    const review = await planLeaveConflicts(req.user, leave, req.body.resolutions);
+    if (review.errors.length > 0) {
+      return sendConflictReview(res, review);
+    }
+
     const leaveRequest = new DoctorLeave({
       doctor: req.user._id,
-      startDate: start,
-      endDate: end,
+      ...leave,
       reason,
       type,
-      status: 'approved', // Auto-approve leaves
-      approvedBy: req.user._id,
-      approvedAt: new Date()
+      status: 'pending',
+      conflictPlan: toStoredResolutions(review.plans)
     });
 
     await leaveRequest.save();
@@ -65,6 +161,8 @@ router.post('/', requireRole(['doctor']), async (req, res) => {
 
     console.log('✅ Leave request created successfully:', leaveRequest._id);
 
+    await notifyAdminsOfLeave(leaveRequest, req.user);
+
     res.status(201).json(leaveRequest);
   } catch (error) {
     console.error('❌ Leave request creation error:', error);
@@ -72,12 +170,17 @@ router.post('/', requireRole(['doctor']), async (req, res) => {
   }
 });
 
-// Get doctor's leave requests
-router.get('/', requireRole(['doctor']), async (req, res) => {
+// Get leave requests: a doctor's own, or every doctor's for admins
+router.get('/', requireRole(['doctor', 'admin']), async (req, res) => {
   try {
-    const { status, year } = req.query;
+    const { status, year, doctor } = req.query;
     
-    const query = { doctor: req.user._id };
+    const query = {};
+    if (req.user.role === 'doctor') {
+      query.doctor = req.user._id;
+    } else if (doctor) {
+      query.doctor = doctor;
+    }
     
     if (status) {
       query.status = status;
@@ -91,8 +194,9 @@ router.get('/', requireRole(['doctor']), async (req, res) => {
     }
 
     const leaveRequests = await DoctorLeave.find(query)
-      .populate('doctor', 'firstName lastName email')
+      .populate('doctor', 'firstName lastName email specialization')
       .populate('approvedBy', 'firstName lastName')
+      .populate('rejectedBy', 'firstName lastName')
       .sort({ createdAt: -1 });
 
     res.json(leaveRequests);
@@ -102,26 +206,85 @@ router.get('/', requireRole(['doctor']), async (req, res) => {
   }
 });
 
+// Colleagues who are free at the time of one of the doctor's appointments
+router.get('/handoff-options/:appointmentId', requireRole(['doctor']), async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({ _id: req.params.appointmentId, doctor: req.user._id });
+
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    const doctors = await User.find({ role: 'doctor', isActive: true, isVerified: true, _id: { $ne: req.user._id } })
+      .select('firstName lastName specialization availability slotDuration timeZone isVerified');
+
+    const colleagues = [];
+    for (const doctor of doctors) {
+      const slotCheck = await checkSlotBookable(doctor, appointment.appointmentDate);
+      if (slotCheck.bookable) {
+        colleagues.push({
+          _id: doctor._id,
+          firstName: doctor.firstName,
+          lastName: doctor.lastName,
+          specialization: doctor.specialization
+        });
+      }
+    }
+
+    // Colleagues in the same specialization first
+    colleagues.sort((a, b) =>
+      (b.specialization === req.user.specialization) - (a.specialization === req.user.specialization)
+    );
+
+    res.json({ colleagues });
+  } catch (error) {
+    console.error('Failed to find colleagues for handoff:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Check if doctor is available on a specific date
 router.get('/availability/:doctorId/:date', async (req, res) => {
   try {
     const { doctorId, date } = req.params;
-    const checkDate = new Date(date);
-    
-    // Check if doctor has approved leave on this date
-    const leaveOnDate = await DoctorLeave.findOne({
+
+    if (!parseDateParam(date)) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+
+    const doctor = await User.findOne({ _id: doctorId, role: 'doctor' }).select('timeZone');
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    // Leave days are stored at UTC midnight
+    const checkDate = new Date(`${date}T00:00:00.000Z`);
+    const leavesOnDate = await DoctorLeave.find({
       doctor: doctorId,
       status: 'approved',
       startDate: { $lte: checkDate },
       endDate: { $gte: checkDate }
-    });
+    }).sort({ startTime: 1 });
+
+    // A whole-day leave makes the doctor unavailable; hourly blocks, in the doctor's zone, only take out their hours
+    const leaveOnDate = leavesOnDate.find(leave => !leave.startTime);
+    const blocks = leavesOnDate
+      .filter(leave => leave.startTime)
+      .map(leave => ({
+        startTime: leave.startTime,
+        endTime: leave.endTime,
+        type: leave.type,
+        reason: leave.reason
+      }));
 
     const isAvailable = !leaveOnDate;
     
     res.json({ 
       isAvailable,
       leaveReason: leaveOnDate ? leaveOnDate.reason : null,
-      leaveType: leaveOnDate ? leaveOnDate.type : null
+      leaveType: leaveOnDate ? leaveOnDate.type : null,
+      blocks,
+      timeZone: getDoctorTimeZone(doctor)
     });
   } catch (error) {
     console.error('Failed to check doctor availability:', error);
@@ -129,10 +292,10 @@ router.get('/availability/:doctorId/:date', async (req, res) => {
   }
 });
 
-// Update leave request details (doctors can edit their approved leaves)
+// Update leave request details (doctors can edit their pending and approved leaves)
 router.put('/:id', requireRole(['doctor']), async (req, res) => {
   try {
-    const { startDate, endDate, reason, type } = req.body;
+    const { startDate, endDate, startTime, endTime, reason, type } = req.body;
 
     // Validate dates if provided
     let updateData = {};
@@ -157,33 +320,69 @@ router.put('/:id', requireRole(['doctor']), async (req, res) => {
     if (reason) updateData.reason = reason;
     if (type) updateData.type = type;
 
-    // Check for overlapping leave requests (excluding current leave)
-    if (startDate || endDate) {
-      const currentLeave = await DoctorLeave.findById(req.params.id);
-      if (!currentLeave) {
-        return res.status(404).json({ message: 'Leave request not found' });
+    // Sending empty times turns an hourly block back into whole days
+    const timesChanged = 'startTime' in req.body || 'endTime' in req.body;
+    if (timesChanged) {
+      const timeError = validateLeaveTimes(startTime, endTime);
+      if (timeError) {
+        return res.status(400).json({ message: timeError });
       }
 
-      const finalStart = updateData.startDate || currentLeave.startDate;
-      const finalEnd = updateData.endDate || currentLeave.endDate;
-
-      const overlappingLeave = await DoctorLeave.findOne({
-        doctor: req.user._id,
-        _id: { $ne: req.params.id }, // Exclude current leave
-        status: 'approved',
-        $or: [
-          {
-            startDate: { $lte: finalEnd },
-            endDate: { $gte: finalStart }
-          }
-        ]
-      });
+      if (startTime) {
+        updateData.startTime = startTime;
+        updateData.endTime = endTime;
+      } else {
+        updateData.$unset = { startTime: 1, endTime: 1 };
+      }
+    }
+
+    const currentLeave = await DoctorLeave.findOne({ _id: req.params.id, doctor: req.user._id });
+    if (!currentLeave) {
+      return res.status(404).json({ message: 'Leave request not found' });
+    }
+
+    const leave = {
+      startDate: updateData.startDate || currentLeave.startDate,
+      endDate: updateData.endDate || currentLeave.endDate,
+      startTime: timesChanged ? startTime || undefined : currentLeave.startTime,
+      endTime: timesChanged ? endTime || undefined : currentLeave.endTime
+    };
+
+    const detailsError = validateLeaveDetails(updateData.type || currentLeave.type, updateData.reason || currentLeave.reason, leave.startTime);
+    if (detailsError) {
+      return res.status(400).json({ message: detailsError });
+    }
+
+    // New days or hours need a fresh plan for the appointments they cover and another approval;
+    // a pending request can also just have its plan updated
+    const scheduleChanged = leave.startDate.getTime() !== currentLeave.startDate.getTime() ||
+      leave.endDate.getTime() !== currentLeave.endDate.getTime() ||
+      (leave.startTime || '') !== (currentLeave.startTime || '') ||
+      (leave.endTime || '') !== (currentLeave.endTime || '');
+    const replan = scheduleChanged || (currentLeave.status === 'pending' && req.body.resolutions !== undefined);
+
+    if (replan) {
+      if (currentLeave.status === 'rejected') {
+        return res.status(400).json({ message: 'A rejected leave request cannot be changed. Please submit a new one.' });
+      }
+
+      // Check for overlapping leave requests (excluding current leave)
+      const overlappingLeave = await findOverlappingLeave(req.user, leave, { excludeLeaveId: currentLeave._id });
 
       if (overlappingLeave) {
         return res.status(400).json({
-          message: 'You already have approved leave for overlapping dates'
+          message: 'You already have a leave request for overlapping dates'
         });
       }
+
+      const review = await planLeaveConflicts(req.user, leave, req.body.resolutions);
+      if (review.errors.length > 0) {
+        return sendConflictReview(res, review);
+      }
+
+      updateData.conflictPlan = toStoredResolutions(review.plans);
+      updateData.status = 'pending';
+      updateData.$unset = { ...updateData.$unset, approvedBy: 1, approvedAt: 1 };
     }
 
     const leaveRequest = await DoctorLeave.findOneAndUpdate(
@@ -197,6 +396,16 @@ router.put('/:id', requireRole(['doctor']), async (req, res) => {
     }
 
     console.log('✅ Leave request updated successfully:', leaveRequest._id);
+
+    if (scheduleChanged) {
+      await notifyAdminsOfLeave(leaveRequest, req.user);
+
+      // Leave awaiting approval again no longer blocks its time
+      if (currentLeave.status === 'approved') {
+        await queueWaitlistOffers(req.user._id);
+      }
+    }
+
     res.json(leaveRequest);
   } catch (error) {
     console.error('Failed to update leave request:', error);
@@ -204,29 +413,68 @@ router.put('/:id', requireRole(['doctor']), async (req, res) => {
   }
 });
 
-// Update leave request status (admin only - for now, doctors can approve their own)
-router.put('/:id/status', requireRole(['doctor']), async (req, res) => {
+// Approve or reject a pending leave request (admins only)
+router.put('/:id/status', requireRole(['admin']), async (req, res) => {
   try {
     const { status, rejectionReason } = req.body;
 
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be approved or rejected' });
+    }
+
+    if (status === 'rejected' && !rejectionReason?.trim()) {
+      return res.status(400).json({ message: 'Please give a reason for rejecting this leave' });
+    }
+
+    const currentLeave = await DoctorLeave.findById(req.params.id);
+    if (!currentLeave) {
+      return res.status(404).json({ message: 'Leave request not found' });
+    }
+
+    if (currentLeave.status !== 'pending') {
+      return res.status(400).json({ message: 'This leave request has already been reviewed' });
+    }
+
+    const doctor = await User.findOne({ _id: currentLeave.doctor, role: 'doctor' });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    // Approving puts the leave into effect, so the doctor's plan must still cover every appointment in it
+    let plans = [];
+    if (status === 'approved') {
+      const review = await planLeaveConflicts(doctor, currentLeave, fromStoredResolutions(currentLeave.conflictPlan));
+      if (review.errors.length > 0) {
+        return res.status(409).json({
+          message: `The doctor's plan no longer covers ${review.errors.length} appointment(s) inside this leave. Ask them to update the request before approving it.`,
+          errors: review.errors
+        });
+      }
+      plans = review.plans;
+    }
+
+    // Only one admin can review a request
     const leaveRequest = await DoctorLeave.findOneAndUpdate(
-      { _id: req.params.id, doctor: req.user._id },
-      {
-        status,
-        ...(status === 'approved' && {
-          approvedBy: req.user._id,
-          approvedAt: new Date()
-        }),
-        ...(status === 'rejected' && rejectionReason && { rejectionReason })
-      },
+      { _id: req.params.id, status: 'pending' },
+      status === 'approved'
+        ? { status, approvedBy: req.user._id, approvedAt: new Date() }
+        : { status, rejectedBy: req.user._id, rejectedAt: new Date(), rejectionReason: rejectionReason.trim() },
       { new: true }
-    ).populate('doctor', 'firstName lastName email');
+    ).populate('doctor', 'firstName lastName email specialization');
 
     if (!leaveRequest) {
-      return res.status(404).json({ message: 'Leave request not found' });
+      return res.status(409).json({ message: 'This leave request has already been reviewed' });
     }
 
-    res.json(leaveRequest);
+    console.log(`✅ Leave request ${leaveRequest._id} ${status} by admin ${req.user._id}`);
+
+    const resolutions = status === 'approved'
+      ? await resolveLeaveConflicts(doctor, plans, leaveRequest)
+      : [];
+
+    await notifyLeaveDecision(leaveRequest, req.user, resolutions.filter(result => result.resolved).length);
+
+    res.json({ ...leaveRequest.toJSON(), resolutions });
   } catch (error) {
     console.error('Failed to update leave request:', error);
     res.status(500).json({ message: 'Server error' });
@@ -249,6 +497,8 @@ router.delete('/:id', requireRole(['doctor']), async (req, res) => {
     }
 
     console.log('✅ Leave request deleted successfully:', leaveRequest._id);
+
+    await queueWaitlistOffers(req.user._id);
     res.json({ message: 'Leave request deleted successfully' });
   } catch (error) {
     console.error('Failed to delete leave request:', error);
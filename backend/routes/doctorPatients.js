@@ -0,0 +1,43 @@
+import express from 'express';
+import { requireRole } from '../middleware/auth.js';
+import { getDoctorPatients, getPatientHistory, PATIENT_SORTS } from '../services/patientRegistryService.js';
+
+const router = express.Router();
+
+// Every route here is for doctors only, and only covers their own patients
+router.use(requireRole(['doctor']));
+
+// List the doctor's patients (?search=, ?sort=name|lastVisit|nextVisit|visits, ?order=asc|desc, ?page=, ?limit=)
+router.get('/', async (req, res) => {
+  try {
+    if (req.query.sort && !PATIENT_SORTS[req.query.sort]) {
+      return res.status(400).json({ message: `Sort must be one of: ${Object.keys(PATIENT_SORTS).join(', ')}` });
+    }
+
+    if (req.query.order && !['asc', 'desc'].includes(req.query.order)) {
+      return res.status(400).json({ message: 'Order must be asc or desc' });
+    }
+
+    res.json(await getDoctorPatients(req.user, req.query));
+  } catch (error) {
+    console.error('❌ Error listing patients:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one patient's full appointment timeline with this doctor
+router.get('/:id/history', async (req, res) => {
+  try {
+    const history = await getPatientHistory(req.user, req.params.id);
+    if (!history) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    console.error('❌ Error fetching patient history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
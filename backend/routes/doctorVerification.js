@@ -0,0 +1,173 @@
+import express from 'express';
+import DoctorVerification, { MAX_VERIFICATION_DOCUMENTS } from '../models/DoctorVerification.js';
+import User from '../models/User.js';
+import { requireRole } from '../middleware/auth.js';
+import { notifyAdminsOfVerification, notifyVerificationDecision } from '../services/verificationService.js';
+
+const router = express.Router();
+
+// File details are plain values; anything else from the client is dropped
+const plainValue = (value) => (typeof value === 'string' || typeof value === 'number' ? value : undefined);
+
+// Keep only the file details the upload route returns
+const parseDocuments = (documents) => {
+  if (!Array.isArray(documents)) {
+    return null;
+  }
+
+  const parsed = documents.map(document => {
+    const fileSize = Number(plainValue(document?.fileSize));
+    return {
+      fileUrl: typeof document?.fileUrl === 'string' ? document.fileUrl.trim() : '',
+      fileName: plainValue(document?.fileName),
+      fileType: plainValue(document?.fileType),
+      // A size that is not a number would fail to save
+      fileSize: Number.isFinite(fileSize) ? fileSize : undefined
+    };
+  });
+
+  return parsed.every(document => document.fileUrl) ? parsed : null;
+};
+
+// Get the doctor's own verification status and latest request
+router.get('/me', requireRole(['doctor']), async (req, res) => {
+  try {
+    const verification = await DoctorVerification.findLatestForDoctor(req.user._id)
+      .populate('reviewedBy', 'firstName lastName');
+
+    res.json({
+      isVerified: req.user.isVerified,
+      verification
+    });
+  } catch (error) {
+    console.error('Failed to fetch verification status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Submit license documents for review
+router.post('/', requireRole(['doctor']), async (req, res) => {
+  try {
+    const licenseNumber = typeof req.body.licenseNumber === 'string' ? req.body.licenseNumber.trim() : '';
+    const documents = parseDocuments(req.body.documents);
+
+    if (req.user.isVerified) {
+      return res.status(400).json({ message: 'Your credentials are already verified' });
+    }
+
+    if (!licenseNumber) {
+      return res.status(400).json({ message: 'License number is required' });
+    }
+
+    if (!documents || documents.length === 0) {
+      return res.status(400).json({ message: 'Please upload at least one license document' });
+    }
+
+    if (documents.length > MAX_VERIFICATION_DOCUMENTS) {
+      return res.status(400).json({ message: `You can attach up to ${MAX_VERIFICATION_DOCUMENTS} documents` });
+    }
+
+    const openRequest = await DoctorVerification.findOne({ doctor: req.user._id, status: 'pending' });
+    if (openRequest) {
+      return res.status(409).json({ message: 'Your credentials are already waiting for review' });
+    }
+
+    const verification = new DoctorVerification({
+      doctor: req.user._id,
+      licenseNumber,
+      documents
+    });
+    await verification.save();
+
+    // The profile shows the license number under review
+    await User.updateOne({ _id: req.user._id }, { licenseNumber });
+
+    console.log(`📋 Doctor ${req.user._id} submitted credentials for verification`);
+
+    await notifyAdminsOfVerification(verification, req.user);
+
+    res.status(201).json(verification);
+  } catch (error) {
+    console.error('Failed to submit verification:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the verification queue (admins only)
+router.get('/', requireRole(['admin']), async (req, res) => {
+  try {
+    const { status, doctor } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (doctor) {
+      query.doctor = doctor;
+    }
+
+    // Oldest pending requests first, so the queue is worked in order
+    const verifications = await DoctorVerification.find(query)
+      .populate('doctor', 'firstName lastName email phone specialization experience licenseNumber createdAt')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 });
+
+    res.json(verifications);
+  } catch (error) {
+    console.error('Failed to fetch verifications:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve or reject a doctor's credentials (admins only)
+router.put('/:id/status', requireRole(['admin']), async (req, res) => {
+  try {
+    const { status } = req.body;
+    const rejectionReason = typeof req.body.rejectionReason === 'string' ? req.body.rejectionReason.trim() : '';
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be approved or rejected' });
+    }
+
+    if (status === 'rejected' && !rejectionReason) {
+      return res.status(400).json({ message: 'Please give a reason for rejecting these credentials' });
+    }
+
+    // Only one admin can review a request
+    const verification = await DoctorVerification.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        status,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        ...(status === 'rejected' && { rejectionReason })
+      },
+      { new: true }
+    ).populate('doctor', 'firstName lastName email specialization');
+
+    if (!verification) {
+      const exists = await DoctorVerification.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ message: 'This verification request has already been reviewed' })
+        : res.status(404).json({ message: 'Verification request not found' });
+    }
+
+    if (status === 'approved') {
+      await User.updateOne(
+        { _id: verification.doctor._id, role: 'doctor' },
+        { isVerified: true, licenseNumber: verification.licenseNumber }
+      );
+    }
+
+    console.log(`✅ Verification ${verification._id} ${status} by admin ${req.user._id}`);
+
+    await notifyVerificationDecision(verification, req.user);
+
+    res.json(verification);
+  } catch (error) {
+    console.error('Failed to review verification:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
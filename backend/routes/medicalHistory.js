@@ -0,0 +1,125 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import MedicalHistory, { MEDICAL_HISTORY_SECTIONS } from '../models/MedicalHistory.js';
+import MedicalHistoryVersion from '../models/MedicalHistoryVersion.js';
+import Appointment, { BOOKED_APPOINTMENT_STATUSES } from '../models/Appointment.js';
+import User from '../models/User.js';
+import { requireRole } from '../middleware/auth.js';
+import { parseSection, updateMedicalHistory } from '../services/medicalHistoryService.js';
+
+const router = express.Router();
+
+// Doctors may read the history of patients they have an active or past appointment with
+const findPatientForDoctor = async (doctor, patientId) => {
+  if (!mongoose.Types.ObjectId.isValid(patientId)) {
+    return { status: 404, message: 'Patient not found' };
+  }
+
+  const hasAppointment = await Appointment.exists({
+    doctor: doctor._id,
+    patient: patientId,
+    status: { $in: BOOKED_APPOINTMENT_STATUSES }
+  });
+  if (!hasAppointment) {
+    return { status: 403, message: 'You can only view the history of your own patients' };
+  }
+
+  const patient = await User.findOne({ _id: patientId, role: 'patient' });
+  if (!patient) {
+    return { status: 404, message: 'Patient not found' };
+  }
+
+  return { patient };
+};
+
+const findVersions = (patientId) => MedicalHistoryVersion.find({ patient: patientId })
+  .populate('changedBy', 'firstName lastName role')
+  .sort({ version: -1 });
+
+// Get the signed-in patient's medical history
+router.get('/me', requireRole(['patient']), async (req, res) => {
+  try {
+    res.json(await MedicalHistory.findOrCreateForPatient(req.user));
+  } catch (error) {
+    console.error('Failed to fetch medical history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace one or more sections of the patient's history; send the version being edited
+router.put('/me', requireRole(['patient']), async (req, res) => {
+  try {
+    const { version } = req.body;
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({ message: 'The version being edited is required' });
+    }
+
+    const sections = {};
+    for (const section of Object.keys(MEDICAL_HISTORY_SECTIONS)) {
+      if (req.body[section] === undefined) {
+        continue;
+      }
+
+      const { entries, error } = parseSection(section, req.body[section]);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      sections[section] = entries;
+    }
+
+    const result = await updateMedicalHistory(req.user, version, sections);
+    if (!result.history) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json(result.history);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    console.error('Failed to update medical history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get every saved version of the patient's own history, newest first
+router.get('/me/versions', requireRole(['patient']), async (req, res) => {
+  try {
+    res.json(await findVersions(req.user._id));
+  } catch (error) {
+    console.error('Failed to fetch medical history versions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a patient's medical history (doctors with an appointment with them)
+router.get('/patients/:patientId', requireRole(['doctor']), async (req, res) => {
+  try {
+    const { patient, status, message } = await findPatientForDoctor(req.user, req.params.patientId);
+    if (!patient) {
+      return res.status(status).json({ message });
+    }
+
+    res.json(await MedicalHistory.findOrCreateForPatient(patient));
+  } catch (error) {
+    console.error('Failed to fetch patient medical history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get every saved version of a patient's history (doctors with an appointment with them)
+router.get('/patients/:patientId/versions', requireRole(['doctor']), async (req, res) => {
+  try {
+    const { patient, status, message } = await findPatientForDoctor(req.user, req.params.patientId);
+    if (!patient) {
+      return res.status(status).json({ message });
+    }
+
+    res.json(await findVersions(patient._id));
+  } catch (error) {
+    console.error('Failed to fetch patient medical history versions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -7,7 +7,8 @@ import {
   validateOTP, 
   removeOTP, 
   hasOTP, 
-  otpRateLimiter 
+  otpRateLimiter,
+  signEmailVerificationToken
 } from '../utils/otpUtils.js';
 
 const router = express.Router();
@@ -192,7 +193,9 @@ router.post('/verify', otpVerificationValidation, async (req, res) => {
       message: 'Email verified successfully',
       type: 'OTP_VERIFIED',
       email: email,
-      verified: true
+      verified: true,
+      // Required by /api/auth/register to prove this email was verified
+      verificationToken: signEmailVerificationToken(email)
     });
 
   } catch (error) {
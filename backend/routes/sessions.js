@@ -0,0 +1,58 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import { revokeSession, revokeUserSessions } from '../services/sessionService.js';
+
+const router = express.Router();
+
+// List the signed-in user's active sessions, most recently used first
+router.get('/', async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id)
+      .select('userAgent ipAddress lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.toString() === req.sessionId
+    })));
+  } catch (error) {
+    console.error('Failed to fetch sessions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log out everywhere, this device included
+router.delete('/', async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, 'logout_all');
+
+    console.log(`🔒 User ${req.user._id} logged out of ${revoked} session(s)`);
+
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    console.error('Failed to revoke sessions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign one of the user's own devices out
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const revoked = await revokeSession(req.params.id, 'revoked', { user: req.user._id });
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Failed to revoke session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
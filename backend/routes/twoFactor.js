@@ -0,0 +1,116 @@
+import express from 'express';
+import User from '../models/User.js';
+import {
+  isTwoFactorRequired,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifySecondFactor
+} from '../services/twoFactorService.js';
+
+const router = express.Router();
+
+// Whether two-factor authentication is on, and whether the account may turn it off
+router.get('/status', async (req, res) => {
+  try {
+    const twoFactor = req.user.twoFactor || {};
+    res.json({
+      enabled: Boolean(twoFactor.enabled),
+      required: isTwoFactorRequired(req.user),
+      enabledAt: twoFactor.enabledAt || null,
+      recoveryCodesLeft: twoFactor.enabled ? (twoFactor.recoveryCodeHashes || []).length : 0
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start enrollment: returns the QR code and secret for the authenticator app
+router.post('/setup', async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json(await beginTwoFactorSetup(req.user));
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm enrollment with the first code from the app; returns the recovery codes once
+router.post('/enable', async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!req.user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start the setup first' });
+    }
+
+    const recoveryCodes = await enableTwoFactor(req.user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn two-factor authentication off; needs the password and a current code or recovery code
+router.post('/disable', async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your account' });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id);
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const result = await verifySecondFactor(user, { code, recoveryCode });
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    await disableTwoFactor(user);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the recovery codes; needs a current code from the app
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const result = await verifySecondFactor(req.user, { code: req.body.code });
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json({ recoveryCodes: await regenerateRecoveryCodes(req.user) });
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
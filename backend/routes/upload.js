@@ -4,7 +4,7 @@ import multer from 'multer';
 import express from 'express';
 import { v2 as cloudinary } from 'cloudinary';
 import { fileURLToPath } from 'url';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -248,4 +248,62 @@ router.post('/prescription-file', authenticateToken, upload.single('file'), asyn
   }
 });
 
+// Upload a license document for credential verification (doctors only)
+router.post('/license-document', authenticateToken, requireRole(['doctor']), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const folder = `licenses/${req.user._id}`;
+    let uploadResult;
+
+    try {
+      if (isCloudinaryConfigured) {
+        // Upload to Cloudinary
+        uploadResult = await new Promise((resolve, reject) => {
+          const uploadStream = cloudinary.uploader.upload_stream(
+            {
+              resource_type: 'auto',
+              folder: `telemedicine/${folder}`,
+              public_id: `${Date.now()}_${req.file.originalname.replace(/[^a-zA-Z0-9]/g, '_')}`,
+              use_filename: true,
+              unique_filename: false
+            },
+            (error, result) => {
+              if (error) reject(error);
+              else resolve(result);
+            }
+          );
+          
+          uploadStream.end(req.file.buffer);
+        });
+      } else {
+        // Fallback to local storage
+        uploadResult = await uploadToLocal(req.file, folder);
+      }
+    } catch (uploadError) {
+      // Try local storage as fallback
+      if (!isCloudinaryConfigured) {
+        throw uploadError;
+      }
+      uploadResult = await uploadToLocal(req.file, folder);
+    }
+
+    res.json({
+      fileUrl: uploadResult.secure_url,
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      fileType: req.file.mimetype
+    });
+
+  } catch (error) {
+    console.error('License document upload error:', error);
+    res.status(500).json({ 
+      message: 'Failed to upload file',
+      error: error.message 
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,9 +1,80 @@
 import express from 'express';
-import User from '../models/User.js';
+import { body, validationResult } from 'express-validator';
+import User, { REMINDER_CHANNELS } from '../models/User.js';
 import { requireRole } from '../middleware/auth.js';
+import { validateAvailability } from '../utils/scheduleUtils.js';
+import { isValidTimeZone } from '../utils/timeZoneUtils.js';
+import { getPasswordPolicyError } from '../utils/passwordUtils.js';
+import { generateOTP, storeOTP, validateOTP, removeOTP, otpRateLimiter } from '../utils/otpUtils.js';
+import { queueWaitlistOffers } from '../services/waitlistService.js';
+import { revokeUserSessions } from '../services/sessionService.js';
+import { sendOTPMail, sendPasswordChangedEmail, sendEmailChangeNotice } from '../services/emailService.js';
 
 const router = express.Router();
 
+// How long the code sent to a new email address is valid
+const EMAIL_CHANGE_OTP_MINUTES = 10;
+
+// Fields the profile form may change. Credentials, account state and two-factor
+// settings have their own routes and are never taken from a profile update.
+const PROFILE_FIELDS = [
+  'firstName',
+  'lastName',
+  'phone',
+  'avatar',
+  'timeZone',
+  'reminderChannels',
+  'specialization',
+  'licenseNumber',
+  'experience',
+  'consultationFee',
+  'availability',
+  'slotDuration',
+  'cancellationCutoffHours',
+  'dateOfBirth',
+  'gender',
+  'medicalHistory'
+];
+
+// One pending email change per account
+const emailChangeKey = (userId) => `email-change:${userId}`;
+
+// Status code for each way a code can fail validation
+const OTP_ERROR_STATUS = {
+  OTP_EXPIRED: 410,
+  MAX_ATTEMPTS_EXCEEDED: 429,
+  OTP_NOT_FOUND: 404,
+  INVALID_OTP: 400
+};
+
+const passwordChangeValidation = [
+  body('currentPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isString()
+    .withMessage('New password is required')
+];
+
+const emailChangeValidation = [
+  body('newEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('currentPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('Current password is required')
+];
+
+const emailChangeVerifyValidation = [
+  body('otp')
+    .isLength({ min: 6, max: 6 })
+    .isNumeric()
+    .withMessage('Code must be a 6-digit number')
+];
+
 // Get current user profile
 router.get('/profile', async (req, res) => {
   try {
@@ -23,16 +94,17 @@ router.put('/profile', async (req, res) => {
       updates: { ...req.body, password: '[HIDDEN]' }
     });
 
-    const updates = { ...req.body };
-    
-    // Remove sensitive fields that shouldn't be updated through this route
-    delete updates.password;
-    delete updates.email;
-    delete updates.role;
-    delete updates._id;
-    delete updates.__v;
-    delete updates.createdAt;
-    delete updates.updatedAt;
+    const updates = {};
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    // A verified license number only changes through a new verification
+    if (req.user.isVerified) {
+      delete updates.licenseNumber;
+    }
 
     // Remove empty strings and undefined values to prevent validation errors
     Object.keys(updates).forEach(key => {
@@ -41,6 +113,20 @@ router.put('/profile', async (req, res) => {
       }
     });
 
+    if (updates.timeZone !== undefined && !isValidTimeZone(updates.timeZone)) {
+      return res.status(400).json({ message: 'Time zone must be a valid IANA time zone' });
+    }
+
+    if (updates.reminderChannels !== undefined) {
+      const channels = updates.reminderChannels;
+      const validChannels = channels && typeof channels === 'object' &&
+        REMINDER_CHANNELS.every(channel => channels[channel] === undefined || typeof channels[channel] === 'boolean') &&
+        Object.keys(channels).every(channel => REMINDER_CHANNELS.includes(channel));
+      if (!validChannels) {
+        return res.status(400).json({ message: 'Reminder channels must be on/off settings for in-app, email and push' });
+      }
+    }
+
     // Validate required fields based on role
     if (req.user.role === 'doctor') {
       const requiredDoctorFields = ['specialization', 'experience', 'consultationFee'];
@@ -70,7 +156,37 @@ router.put('/profile', async (req, res) => {
           });
         }
       }
+
+      if (updates.slotDuration !== undefined) {
+        updates.slotDuration = parseInt(updates.slotDuration);
+        if (isNaN(updates.slotDuration) || updates.slotDuration < 5 || updates.slotDuration > 240) {
+          return res.status(400).json({
+            message: 'Slot duration must be between 5 and 240 minutes'
+          });
+        }
+      }
+
+      if (updates.cancellationCutoffHours !== undefined) {
+        updates.cancellationCutoffHours = parseFloat(updates.cancellationCutoffHours);
+        if (isNaN(updates.cancellationCutoffHours) || updates.cancellationCutoffHours < 0 || updates.cancellationCutoffHours > 168) {
+          return res.status(400).json({
+            message: 'Cancellation cutoff must be between 0 and 168 hours'
+          });
+        }
+      }
+
+      if (updates.availability !== undefined) {
+        const availabilityError = validateAvailability(updates.availability);
+        if (availabilityError) {
+          return res.status(400).json({ message: availabilityError });
+        }
+      }
     } else if (req.user.role === 'patient') {
+      // Scheduling settings only apply to doctors
+      delete updates.availability;
+      delete updates.slotDuration;
+      delete updates.cancellationCutoffHours;
+
       const requiredPatientFields = ['dateOfBirth', 'gender'];
       for (const field of requiredPatientFields) {
         if (updates[field] !== undefined && (updates[field] === '' || updates[field] === null)) {
@@ -116,6 +232,11 @@ router.put('/profile', async (req, res) => {
     }
 
     console.log('Profile updated successfully:', user._id);
+
+    // Wider hours or shorter slots can open times for patients on the waitlist
+    if (user.role === 'doctor' && (updates.availability !== undefined || updates.slotDuration !== undefined || updates.timeZone !== undefined)) {
+      await queueWaitlistOffers(user._id);
+    }
     res.json(user);
   } catch (error) {
     console.error('Profile update error:', error);
@@ -143,12 +264,194 @@ router.put('/profile', async (req, res) => {
   }
 });
 
+// Change the password; needs the current one, and signs out every other device
+router.put('/password', passwordChangeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const policyError = getPasswordPolicyError(newPassword, user);
+    if (policyError) {
+      return res.status(400).json({ message: policyError });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({ message: 'New password must be different from the current one' });
+    }
+
+    user.password = newPassword;
+    user.passwordReset = undefined;
+    await user.save();
+
+    const revoked = await revokeUserSessions(user._id, 'password_change', req.sessionId);
+
+    console.log(`🔑 User ${user._id} changed their password; ${revoked} other session(s) signed out`);
+
+    sendPasswordChangedEmail(user.email, user.firstName).then(result => {
+      if (!result.success) {
+        console.error('Failed to send password changed email:', result.error);
+      }
+    });
+
+    res.json({ message: 'Password changed successfully', signedOutSessions: revoked });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start an email change: a code goes to the new address and a notice to the current one
+router.post('/email', emailChangeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { newEmail, currentPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({ message: 'This is already your email address' });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({ message: 'Another account already uses this email' });
+    }
+
+    const rateLimit = otpRateLimiter.canMakeRequest(emailChangeKey(user._id));
+    if (!rateLimit.allowed) {
+      return res.status(429).json({ message: rateLimit.message, type: 'RATE_LIMIT_EMAIL' });
+    }
+
+    const otp = generateOTP();
+    storeOTP(emailChangeKey(user._id), otp, EMAIL_CHANGE_OTP_MINUTES);
+
+    const emailResult = await sendOTPMail(newEmail, otp, 'email_change');
+    if (!emailResult.success) {
+      console.error('Failed to send email change code:', emailResult.error);
+      removeOTP(emailChangeKey(user._id));
+      return res.status(500).json({
+        message: 'Failed to send verification code. Please try again.',
+        type: 'EMAIL_SEND_FAILED',
+        error: process.env.NODE_ENV === 'development' ? emailResult.error : undefined
+      });
+    }
+
+    user.emailChange = { newEmail, requestedAt: new Date() };
+    await user.save();
+
+    // The current address hears about the change before it can happen
+    const noticeResult = await sendEmailChangeNotice(user.email, user.firstName, newEmail);
+    if (!noticeResult.success) {
+      console.error('Failed to send email change notice:', noticeResult.error);
+    }
+
+    console.log(`📧 User ${user._id} requested an email change to ${newEmail}`);
+
+    res.json({
+      message: `We sent a verification code to ${newEmail}`,
+      newEmail,
+      // In development, include the code for testing
+      ...(process.env.NODE_ENV === 'development' && { otp })
+    });
+  } catch (error) {
+    console.error('Email change request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Finish an email change with the code sent to the new address
+router.post('/email/verify', emailChangeVerifyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const newEmail = user.emailChange?.newEmail;
+    if (!newEmail) {
+      return res.status(404).json({ message: 'There is no pending email change', type: 'OTP_NOT_FOUND' });
+    }
+
+    const result = validateOTP(emailChangeKey(user._id), req.body.otp);
+    if (!result.success) {
+      return res.status(OTP_ERROR_STATUS[result.error] || 400).json({
+        message: result.message,
+        type: result.error,
+        ...(result.attemptsLeft && { attemptsLeft: result.attemptsLeft })
+      });
+    }
+
+    if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+      user.emailChange = undefined;
+      await user.save();
+      return res.status(400).json({ message: 'Another account already uses this email' });
+    }
+
+    const previousEmail = user.email;
+    user.email = newEmail;
+    user.emailVerified = true;
+    user.emailChange = undefined;
+    await user.save();
+
+    otpRateLimiter.reset(emailChangeKey(user._id));
+
+    console.log(`📧 User ${user._id} changed their email from ${previousEmail} to ${newEmail}`);
+
+    res.json(user);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Another account already uses this email' });
+    }
+    console.error('Email change verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a pending email change
+router.delete('/email', async (req, res) => {
+  try {
+    removeOTP(emailChangeKey(req.user._id));
+    await User.updateOne({ _id: req.user._id }, { $unset: { emailChange: 1 } });
+
+    res.json({ message: 'Email change cancelled' });
+  } catch (error) {
+    console.error('Email change cancel error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get all doctors (for patients to browse)
 router.get('/doctors', async (req, res) => {
   try {
     const { specialization, page = 1, limit = 10 } = req.query;
     
-    const query = { role: 'doctor', isActive: true };
+    // Patients only see doctors whose credentials an admin has verified
+    const query = { role: 'doctor', isActive: true, isVerified: true };
     if (specialization) {
       query.specialization = new RegExp(specialization, 'i');
     }
@@ -178,7 +481,8 @@ router.get('/doctors/:id', async (req, res) => {
     const doctor = await User.findOne({
       _id: req.params.id,
       role: 'doctor',
-      isActive: true
+      isActive: true,
+      isVerified: true
     }).select('-password');
 
     if (!doctor) {
@@ -0,0 +1,242 @@
+import express from 'express';
+import User from '../models/User.js';
+import Appointment from '../models/Appointment.js';
+import WaitlistEntry, { ACTIVE_WAITLIST_STATUSES } from '../models/WaitlistEntry.js';
+import { requireRole } from '../middleware/auth.js';
+import { checkSlotBookable, saveWithSlotReservation, notifyAppointmentRequest } from '../services/bookingService.js';
+import { queueWaitlistOffers } from '../services/waitlistService.js';
+import { parseDateParam, getDateKey, getDoctorTimeZone } from '../utils/scheduleUtils.js';
+import { getZonedCalendarDate } from '../utils/timeZoneUtils.js';
+
+const router = express.Router();
+
+// Longest date range a patient can wait for
+const MAX_WAITLIST_DAYS = 60;
+
+// Put an accepted offer back in the queue when its slot was taken after all
+const releaseOffer = async (entry) => {
+  await WaitlistEntry.updateOne(
+    { _id: entry._id },
+    { $set: { status: 'waiting' }, $push: { passedSlots: entry.hold.start }, $unset: { hold: 1 } }
+  );
+  await queueWaitlistOffers(entry.doctor);
+};
+
+// Join a doctor's waitlist for a date range (patients only)
+router.post('/', requireRole(['patient']), async (req, res) => {
+  try {
+    const { doctorId, startDate, endDate, symptoms } = req.body;
+    const start = parseDateParam(startDate);
+    const end = parseDateParam(endDate);
+
+    if (!start || !end) {
+      return res.status(400).json({ message: 'Please choose a valid date range' });
+    }
+
+    if (!symptoms || !symptoms.trim()) {
+      return res.status(400).json({ message: 'Please describe your symptoms' });
+    }
+
+    const doctor = await User.findOne({ _id: doctorId, role: 'doctor', isVerified: true });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    // Ranges are whole days of the doctor, stored at UTC midnight like leave
+    const startDay = new Date(`${getDateKey(start)}T00:00:00.000Z`);
+    const endDay = new Date(`${getDateKey(end)}T00:00:00.000Z`);
+    const todayDay = new Date(`${getDateKey(getZonedCalendarDate(new Date(), getDoctorTimeZone(doctor)))}T00:00:00.000Z`);
+
+    if (endDay < startDay) {
+      return res.status(400).json({ message: 'End date cannot be before start date' });
+    }
+
+    if (endDay < todayDay) {
+      return res.status(400).json({ message: 'The date range is in the past' });
+    }
+
+    if ((endDay - startDay) / (24 * 60 * 60 * 1000) >= MAX_WAITLIST_DAYS) {
+      return res.status(400).json({ message: `You can wait for at most ${MAX_WAITLIST_DAYS} days at a time` });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      patient: req.user._id,
+      doctor: doctor._id,
+      status: { $in: ACTIVE_WAITLIST_STATUSES }
+    });
+
+    if (existing) {
+      return res.status(409).json({ message: 'You are already on this doctor\'s waitlist' });
+    }
+
+    const entry = await WaitlistEntry.create({
+      patient: req.user._id,
+      doctor: doctor._id,
+      startDate: startDay < todayDay ? todayDay : startDay,
+      endDate: endDay,
+      symptoms: symptoms.trim()
+    });
+
+    console.log(`📝 Patient ${req.user._id} joined the waitlist of doctor ${doctor._id}`);
+
+    await queueWaitlistOffers(doctor._id);
+
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('❌ Error joining waitlist:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the patient's own waitlist entries, or the doctor's queue
+router.get('/', async (req, res) => {
+  try {
+    const query = req.user.role === 'doctor'
+      ? { doctor: req.user._id, status: { $in: ACTIVE_WAITLIST_STATUSES } }
+      : { patient: req.user._id, status: { $in: ACTIVE_WAITLIST_STATUSES } };
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('patient', 'firstName lastName')
+      .populate('doctor', 'firstName lastName specialization')
+      .sort({ createdAt: 1 });
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('❌ Error fetching waitlist:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Accept a held slot, turning it into an appointment request (patients only)
+router.post('/:id/accept', requireRole(['patient']), async (req, res) => {
+  let entry = null;
+  let appointmentSaved = false;
+
+  try {
+    // Claim the offer first so a lapsing hold cannot hand the slot on at the same time
+    entry = await WaitlistEntry.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        patient: req.user._id,
+        status: 'offered',
+        'hold.expiresAt': { $gt: new Date() }
+      },
+      { $set: { status: 'booked' } },
+      { new: true }
+    );
+
+    if (!entry) {
+      return res.status(404).json({ message: 'This offer is no longer available' });
+    }
+
+    const doctor = await User.findOne({ _id: entry.doctor, role: 'doctor' });
+    if (!doctor) {
+      await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { status: 'cancelled' } });
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    console.log(`🎟️ Patient ${req.user._id} accepted waitlist hold ${entry._id}`);
+
+    const slotCheck = await checkSlotBookable(doctor, entry.hold.start, null, { holdEntryId: entry._id });
+    if (!slotCheck.bookable) {
+      await releaseOffer(entry);
+      return res.status(409).json({ message: 'Sorry, this slot is no longer available. You are still on the waitlist.' });
+    }
+
+    const appointment = new Appointment({
+      patient: req.user._id,
+      doctor: doctor._id,
+      appointmentDate: entry.hold.start,
+      duration: slotCheck.duration,
+      symptoms: entry.symptoms,
+      consultationFee: doctor.consultationFee
+    });
+
+    const reservation = await saveWithSlotReservation(appointment);
+    if (!reservation.saved) {
+      await releaseOffer(entry);
+      return res.status(409).json({ message: 'Sorry, this slot is no longer available. You are still on the waitlist.' });
+    }
+    appointmentSaved = true;
+
+    entry.appointment = appointment._id;
+    await entry.save();
+
+    console.log('✅ Waitlist hold booked as appointment:', appointment._id);
+
+    // The appointment stands even if the doctor cannot be told right away
+    try {
+      await notifyAppointmentRequest(appointment, req.user, doctor);
+    } catch (error) {
+      console.error('❌ Failed to notify doctor of waitlist booking:', error);
+    }
+
+    res.status(201).json({ entry, appointment });
+  } catch (error) {
+    console.error('❌ Error accepting waitlist offer:', error);
+
+    // Without an appointment the patient must not drop off the waitlist
+    if (entry && !appointmentSaved) {
+      try {
+        await releaseOffer(entry);
+      } catch (releaseError) {
+        console.error('❌ Failed to return waitlist entry to the queue:', releaseError);
+      }
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn down a held slot and stay on the waitlist (patients only)
+router.post('/:id/decline', requireRole(['patient']), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ _id: req.params.id, patient: req.user._id, status: 'offered' });
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    const declined = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered' },
+      { $set: { status: 'waiting' }, $push: { passedSlots: entry.hold.start }, $unset: { hold: 1 } },
+      { new: true }
+    );
+
+    if (!declined) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    await queueWaitlistOffers(entry.doctor);
+
+    res.json(declined);
+  } catch (error) {
+    console.error('❌ Error declining waitlist offer:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Leave the waitlist, releasing any held slot (patients only)
+router.delete('/:id', requireRole(['patient']), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: req.params.id, patient: req.user._id, status: { $in: ACTIVE_WAITLIST_STATUSES } },
+      { $set: { status: 'cancelled' }, $unset: { hold: 1 } }
+    );
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Waitlist entry not found' });
+    }
+
+    if (entry.status === 'offered') {
+      await queueWaitlistOffers(entry.doctor);
+    }
+
+    res.json({ message: 'You have left the waitlist' });
+  } catch (error) {
+    console.error('❌ Error leaving waitlist:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,295 @@
+import User from '../models/User.js';
+import Message from '../models/Message.js';
+import Notification from '../models/Notification.js';
+import Appointment, { BOOKED_APPOINTMENT_STATUSES } from '../models/Appointment.js';
+import { getWorkingSlots } from './bookingService.js';
+import { addDays, parseDateParam, getDateKey, getSlotDuration } from '../utils/scheduleUtils.js';
+import { resolveTimeZone, getZonedCalendarDate, getZonedDayBounds } from '../utils/timeZoneUtils.js';
+
+// Longest range a single report covers, to keep the per-doctor slot counts cheap
+export const MAX_ANALYTICS_DAYS = 366;
+
+// Days reported when no range is given
+const DEFAULT_ANALYTICS_DAYS = 30;
+
+// Share of a total, rounded for display; null when there is nothing to divide
+const toRate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : null);
+
+// Count documents created in the range per day of the report's zone
+const countPerDay = (model, range, match = {}) => model.aggregate([
+  { $match: { ...match, createdAt: { $gte: range.start, $lt: range.end } } },
+  {
+    $group: {
+      _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: range.timeZone } },
+      count: { $sum: 1 }
+    }
+  }
+]);
+
+/**
+ * Read the report range from query parameters
+ * @param {Object} query - { from, to } as YYYY-MM-DD, and the viewer's timeZone
+ * @returns {Object} { from, to, start, end, timeZone, days } or { error }
+ */
+export const resolveAnalyticsRange = ({ from, to, timeZone } = {}) => {
+  const zone = resolveTimeZone(timeZone);
+  const toDate = to ? parseDateParam(to) : getZonedCalendarDate(new Date(), zone);
+  const fromDate = from ? parseDateParam(from) : toDate && addDays(toDate, 1 - DEFAULT_ANALYTICS_DAYS);
+
+  if (!fromDate || !toDate) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+
+  if (getDateKey(fromDate) > getDateKey(toDate)) {
+    return { error: 'The start date must not be after the end date' };
+  }
+
+  const days = [];
+  for (let calendarDate = fromDate; getDateKey(calendarDate) <= getDateKey(toDate); calendarDate = addDays(calendarDate, 1)) {
+    if (days.length === MAX_ANALYTICS_DAYS) {
+      return { error: `A report can cover at most ${MAX_ANALYTICS_DAYS} days` };
+    }
+    days.push(getDateKey(calendarDate));
+  }
+
+  return {
+    from: days[0],
+    to: days[days.length - 1],
+    start: getZonedDayBounds(fromDate, zone).start,
+    end: getZonedDayBounds(toDate, zone).end,
+    timeZone: zone,
+    days
+  };
+};
+
+/**
+ * Bookings, messages, notifications and sign-ups for each day of the range
+ * @param {Object} range - From resolveAnalyticsRange
+ * @returns {Promise<Array>} { date, bookings, messages, notifications, signups } per day
+ */
+export const getDailyActivity = async (range) => {
+  const [bookings, messages, notifications, signups] = await Promise.all([
+    countPerDay(Appointment, range),
+    countPerDay(Message, range),
+    countPerDay(Notification, range),
+    countPerDay(User, range, { role: { $ne: 'admin' } })
+  ]);
+
+  const byDay = (rows) => new Map(rows.map(row => [row._id, row.count]));
+  const counts = {
+    bookings: byDay(bookings),
+    messages: byDay(messages),
+    notifications: byDay(notifications),
+    signups: byDay(signups)
+  };
+
+  return range.days.map(date => ({
+    date,
+    bookings: counts.bookings.get(date) || 0,
+    messages: counts.messages.get(date) || 0,
+    notifications: counts.notifications.get(date) || 0,
+    signups: counts.signups.get(date) || 0
+  }));
+};
+
+/**
+ * What became of the appointments booked in the range
+ * @param {Object} range - From resolveAnalyticsRange
+ * @returns {Promise<Object>} Counts per outcome with confirmation, cancellation and no-show rates
+ */
+export const getAppointmentOutcomes = async (range) => {
+  const countWhen = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+  const [totals = {}] = await Appointment.aggregate([
+    { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+    {
+      $group: {
+        _id: null,
+        booked: { $sum: 1 },
+        // Confirmed at some point, even if later completed or cancelled
+        confirmed: countWhen({ $in: ['confirmed', '$statusHistory.to'] }),
+        cancelled: countWhen({ $eq: ['$status', 'cancelled'] }),
+        completed: countWhen({ $eq: ['$status', 'completed'] }),
+        noShows: countWhen({ $eq: ['$status', 'no_show'] }),
+        expired: countWhen({ $eq: ['$status', 'expired'] }),
+        missed: countWhen({ $eq: ['$status', 'missed'] })
+      }
+    }
+  ]);
+
+  const { booked = 0, confirmed = 0, cancelled = 0, completed = 0, noShows = 0, expired = 0, missed = 0 } = totals;
+
+  return {
+    booked,
+    confirmed,
+    cancelled,
+    completed,
+    noShows,
+    expired,
+    missed,
+    confirmationRate: toRate(confirmed, booked),
+    cancellationRate: toRate(cancelled, booked),
+    // Of the consultations that were due to take place, how many the patient missed
+    noShowRate: toRate(noShows, completed + noShows)
+  };
+};
+
+/**
+ * Median time between a booking and the doctor confirming it
+ * @param {Object} range - From resolveAnalyticsRange
+ * @returns {Promise<Object>} { medianMinutes, confirmedCount }
+ */
+export const getTimeToConfirm = async (range) => {
+  const rows = await Appointment.aggregate([
+    { $match: { createdAt: { $gte: range.start, $lt: range.end }, 'statusHistory.to': 'confirmed' } },
+    {
+      $project: {
+        confirmation: {
+          $arrayElemAt: [
+            { $filter: { input: '$statusHistory', as: 'entry', cond: { $eq: ['$$entry.to', 'confirmed'] } } },
+            0
+          ]
+        },
+        createdAt: 1
+      }
+    },
+    { $project: { minutes: { $divide: [{ $subtract: ['$confirmation.changedAt', '$createdAt'] }, 60 * 1000] } } },
+    { $sort: { minutes: 1 } }
+  ]);
+
+  const minutes = rows.map(row => row.minutes);
+  const middle = Math.floor(minutes.length / 2);
+  const median = minutes.length === 0
+    ? null
+    : minutes.length % 2 === 1 ? minutes[middle] : (minutes[middle - 1] + minutes[middle]) / 2;
+
+  return {
+    medianMinutes: median === null ? null : Math.round(median),
+    confirmedCount: minutes.length
+  };
+};
+
+/**
+ * Share of open slot time that was booked, per specialization
+ * @param {Object} range - From resolveAnalyticsRange
+ * @returns {Promise<Array>} { specialization, doctors, availableMinutes, bookedMinutes, utilisation }
+ */
+export const getSpecializationUtilisation = async (range) => {
+  const doctors = await User.find({ role: 'doctor', isActive: true, isVerified: true })
+    .select('specialization availability slotDuration timeZone');
+
+  const booked = await Appointment.aggregate([
+    {
+      $match: {
+        appointmentDate: { $gte: range.start, $lt: range.end },
+        status: { $in: BOOKED_APPOINTMENT_STATUSES }
+      }
+    },
+    { $group: { _id: '$doctor', minutes: { $sum: '$duration' } } }
+  ]);
+  const bookedByDoctor = new Map(booked.map(row => [row._id.toString(), row.minutes]));
+
+  const bySpecialization = new Map();
+  for (const doctor of doctors) {
+    // Open time is the weekly template minus approved leave
+    const openSlots = await getWorkingSlots(doctor, range.start, range.end);
+
+    const specialization = doctor.specialization || 'Unspecified';
+    const entry = bySpecialization.get(specialization) || {
+      specialization,
+      doctors: 0,
+      availableMinutes: 0,
+      bookedMinutes: 0
+    };
+    entry.doctors += 1;
+    entry.availableMinutes += openSlots.length * getSlotDuration(doctor);
+    entry.bookedMinutes += bookedByDoctor.get(doctor._id.toString()) || 0;
+    bySpecialization.set(specialization, entry);
+  }
+
+  return [...bySpecialization.values()]
+    .map(entry => ({ ...entry, utilisation: toRate(entry.bookedMinutes, entry.availableMinutes) }))
+    .sort((a, b) => (b.utilisation ?? -1) - (a.utilisation ?? -1));
+};
+
+/**
+ * Messaging, notification and sign-up totals for the range
+ * @param {Object} range - From resolveAnalyticsRange
+ * @returns {Promise<Object>} { messages, notifications, notificationReadRate, signups: { patient, doctor } }
+ */
+export const getEngagement = async (range) => {
+  const createdInRange = { createdAt: { $gte: range.start, $lt: range.end } };
+
+  const [messages, notificationTotals, signups] = await Promise.all([
+    Message.countDocuments(createdInRange),
+    Notification.aggregate([
+      { $match: createdInRange },
+      { $group: { _id: null, sent: { $sum: 1 }, read: { $sum: { $cond: ['$isRead', 1, 0] } } } }
+    ]),
+    User.aggregate([
+      { $match: { ...createdInRange, role: { $ne: 'admin' } } },
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const { sent = 0, read = 0 } = notificationTotals[0] || {};
+  const signupsByRole = Object.fromEntries(signups.map(row => [row._id, row.count]));
+
+  return {
+    messages,
+    notifications: sent,
+    notificationReadRate: toRate(read, sent),
+    signups: {
+      patient: signupsByRole.patient || 0,
+      doctor: signupsByRole.doctor || 0
+    }
+  };
+};
+
+/**
+ * Every analytics figure for the range
+ * @param {Object} range - From resolveAnalyticsRange
+ * @returns {Promise<Object>} { range, outcomes, timeToConfirm, engagement, daily, specializations }
+ */
+export const getAnalyticsReport = async (range) => {
+  const [outcomes, timeToConfirm, engagement, daily, specializations] = await Promise.all([
+    getAppointmentOutcomes(range),
+    getTimeToConfirm(range),
+    getEngagement(range),
+    getDailyActivity(range),
+    getSpecializationUtilisation(range)
+  ]);
+
+  return {
+    range: { from: range.from, to: range.to, timeZone: range.timeZone },
+    outcomes,
+    timeToConfirm,
+    engagement,
+    daily,
+    specializations
+  };
+};
+
+// Quote a CSV value when it contains a separator, quote or line break. Text that a
+// spreadsheet would read as a formula is prefixed with an apostrophe so it stays text.
+const toCsvValue = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Turn rows into CSV text with a header line
+ * @param {Array} rows - Objects to export
+ * @param {string[]} columns - Keys to export, in order
+ * @returns {string} CSV text
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => toCsvValue(row[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+};
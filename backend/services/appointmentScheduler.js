@@ -1,79 +1,316 @@
-import cron from 'node-cron';
 import Appointment from '../models/Appointment.js';
-import User from '../models/User.js';
-import { sendAppointmentReminderEmail } from './emailService.js';
-
-// Check for appointments that are 50-60 minutes away and send reminder emails
-const checkUpcomingAppointments = async () => {
-  try {
-    const now = new Date();
-    const oneHourFromNow = new Date(now.getTime() + 60 * 60 * 1000);
-    const fiftyMinutesFromNow = new Date(now.getTime() + 50 * 60 * 1000);
-
-    // Find appointments between 50-60 minutes from now that are confirmed
-    const upcomingAppointments = await Appointment.find({
-      appointmentDate: {
-        $gte: fiftyMinutesFromNow,
-        $lte: oneHourFromNow
-      },
-      status: 'confirmed',
-      reminderSent: { $ne: true }
-    }).populate(['patient', 'doctor']);
-
-    console.log(`📅 Found ${upcomingAppointments.length} appointments needing reminders`);
-
-    for (const appointment of upcomingAppointments) {
-      try {
-        // Send reminder email to patient
-        const formattedDate = appointment.appointmentDate.toLocaleDateString('en-US', {
-          weekday: 'long',
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit'
-        });
-
-        const emailResult = await sendAppointmentReminderEmail(
-          appointment.patient.email,
-          `${appointment.patient.firstName} ${appointment.patient.lastName}`,
-          `${appointment.doctor.firstName} ${appointment.doctor.lastName}`,
-          formattedDate,
-          appointment.meetingLink || ''
-        );
-
-        if (emailResult.success) {
-          // Mark reminder as sent only if email was sent successfully
-          appointment.reminderSent = true;
-          await appointment.save();
-          console.log(`✅ Reminder email sent and marked for appointment ${appointment._id}`);
-        } else {
-          console.error(`❌ Failed to send reminder email for appointment ${appointment._id}:`, emailResult.error);
+import { enqueueJob, registerJobHandler, scheduleRecurringJob, startJobWorker } from './jobQueue.js';
+import { createNotification, getNotificationTemplate, queueNotificationEmail } from './notificationService.js';
+import { emitToUser } from '../socket/handlers.js';
+import { formatDateTimeInZone } from '../utils/timeZoneUtils.js';
+
+const REMINDER_JOB = 'appointment-reminder';
+const REMINDER_SWEEP_JOB = 'appointment-reminder-sweep';
+const STATUS_SWEEP_JOB = 'appointment-status-sweep';
+const SWEEP_INTERVAL_MINUTES = 10;
+
+// Default grace periods, in minutes after an appointment's scheduled end
+const DEFAULT_PENDING_EXPIRY_GRACE_MINUTES = 15;
+const DEFAULT_MISSED_GRACE_MINUTES = 30;
+
+// Read a grace period from the environment at run time (dotenv loads after this module)
+const getGraceMinutes = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+// Appointments whose scheduled end is at or before the cutoff
+const endedBefore = (cutoff) => ({
+  appointmentDate: { $lte: cutoff },
+  $expr: {
+    $lte: [{ $add: ['$appointmentDate', { $multiply: ['$duration', 60 * 1000] }] }, cutoff]
+  }
+});
+
+// Minutes before the start at which each reminder goes out, unless REMINDER_STAGES_MINUTES overrides it
+const DEFAULT_REMINDER_STAGES = [24 * 60, 60, 10];
+
+// Reminder plan from the environment, largest lead time first
+const getReminderStages = () => {
+  const configured = (process.env.REMINDER_STAGES_MINUTES || '')
+    .split(',')
+    .map(value => parseInt(value.trim(), 10))
+    .filter(value => Number.isInteger(value) && value > 0);
+
+  const stages = configured.length > 0 ? configured : DEFAULT_REMINDER_STAGES;
+  return [...new Set(stages)].sort((a, b) => b - a);
+};
+
+// Human-readable time left, e.g. "24 hours" or "10 minutes"
+const formatTimeUntil = (minutes) => {
+  const rounded = Math.max(1, Math.round(minutes));
+  const [value, unit] = rounded < 60 ? [rounded, 'minute'] : [Math.round(rounded / 60), 'hour'];
+  return `${value} ${unit}${value === 1 ? '' : 's'}`;
+};
+
+// Deliver one reminder over the channels the recipient has enabled.
+// Email goes through its own queued job so a failed send is retried on its own.
+const sendReminder = async (appointment, role, minutesUntil) => {
+  const recipient = appointment[role];
+  const other = role === 'patient' ? appointment.doctor : appointment.patient;
+  const channels = recipient.reminderChannels || {};
+  const withName = role === 'patient'
+    ? `Dr. ${other.firstName} ${other.lastName}`
+    : `${other.firstName} ${other.lastName}`;
+  const appointmentDate = formatDateTimeInZone(appointment.appointmentDate, recipient.timeZone);
+  const timeUntil = formatTimeUntil(minutesUntil);
+
+  const template = getNotificationTemplate('appointment_reminder', { withName, appointmentDate, timeUntil });
+
+  if (channels.inApp !== false) {
+    await createNotification({
+      recipient: recipient._id,
+      sender: other._id,
+      type: 'appointment_reminder',
+      title: template.title,
+      message: template.message,
+      data: { appointmentId: appointment._id },
+      sendEmail: false
+    });
+  }
+
+  if (channels.push !== false) {
+    emitToUser(recipient._id.toString(), 'new-notification', {
+      type: 'appointment_reminder',
+      title: template.title,
+      message: template.message,
+      appointmentId: appointment._id
+    });
+  }
+
+  if (channels.email !== false) {
+    await queueNotificationEmail('appointment_reminder', recipient._id, {
+      withLabel: role === 'patient' ? 'Doctor' : 'Patient',
+      withName,
+      appointmentDate,
+      timeUntil,
+      meetingLink: appointment.meetingLink || ''
+    });
+  }
+};
+
+/**
+ * Queue one reminder job per stage and participant of a confirmed appointment.
+ * Job keys include the start time, so calling this again is harmless and a
+ * rescheduled appointment gets a fresh set of jobs.
+ * @param {Object} appointment - Appointment document
+ */
+export const scheduleAppointmentReminders = async (appointment) => {
+  const start = appointment.appointmentDate.getTime();
+
+  for (const role of ['patient', 'doctor']) {
+    for (const stage of getReminderStages()) {
+      const alreadySent = appointment.remindersSent.some(sent => sent.role === role && sent.stage === stage);
+      if (alreadySent) {
+        continue;
+      }
+
+      await enqueueJob(REMINDER_JOB, {
+        appointmentId: appointment._id.toString(),
+        appointmentDate: appointment.appointmentDate.toISOString(),
+        role,
+        stage
+      }, {
+        runAt: new Date(start - stage * 60 * 1000),
+        uniqueKey: `${REMINDER_JOB}:${appointment._id}:${start}:${role}:${stage}`
+      });
+    }
+  }
+};
+
+// Send one reminder stage to one participant
+const sendAppointmentReminder = async ({ appointmentId, appointmentDate, role, stage }) => {
+  const appointment = await Appointment.findById(appointmentId).populate(['patient', 'doctor']);
+
+  // Cancelled, completed or moved since the job was queued; a moved appointment has its own jobs
+  if (!appointment || appointment.status !== 'confirmed' ||
+      appointment.appointmentDate.getTime() !== new Date(appointmentDate).getTime()) {
+    return;
+  }
+
+  const minutesUntil = (appointment.appointmentDate.getTime() - Date.now()) / (60 * 1000);
+  if (minutesUntil <= 0) {
+    return;
+  }
+
+  // After downtime several stages can be due at once; only the closest one is sent
+  const superseded = getReminderStages().some(other => other < stage && other >= minutesUntil);
+  const alreadySent = appointment.remindersSent.some(sent => sent.role === role && sent.stage === stage);
+  if (superseded || alreadySent) {
+    return;
+  }
+
+  await sendReminder(appointment, role, minutesUntil);
+  await Appointment.updateOne(
+    { _id: appointment._id },
+    { $push: { remindersSent: { stage, role, sentAt: new Date() } } }
+  );
+
+  console.log(`✅ ${stage}-minute reminder sent to ${role} for appointment ${appointment._id}`);
+};
+
+// Make sure every confirmed appointment inside the reminder window has its jobs queued,
+// including ones confirmed before the queue existed
+const queueUpcomingReminders = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + (getReminderStages()[0] + SWEEP_INTERVAL_MINUTES) * 60 * 1000);
+
+  const upcomingAppointments = await Appointment.find({
+    appointmentDate: {
+      $gt: now,
+      $lte: horizon
+    },
+    status: 'confirmed'
+  });
+
+  console.log(`📅 Found ${upcomingAppointments.length} confirmed appointments within the reminder window`);
+
+  for (const appointment of upcomingAppointments) {
+    await scheduleAppointmentReminders(appointment);
+  }
+};
+
+// Move an appointment to a final status on behalf of the system and tell both parties.
+// The update only applies if the status is unchanged, so a doctor's concurrent action wins.
+const closeAppointment = async (appointment, status, reason, notificationType) => {
+  const closed = await Appointment.findOneAndUpdate(
+    { _id: appointment._id, status: appointment.status },
+    {
+      $set: { status },
+      $push: {
+        statusHistory: {
+          from: appointment.status,
+          to: status,
+          changedBy: null,
+          reason,
+          changedAt: new Date()
         }
-      } catch (error) {
-        console.error(`❌ Failed to process reminder for appointment ${appointment._id}:`, error);
       }
+    },
+    { new: true }
+  ).populate(['patient', 'doctor']);
+
+  if (!closed) {
+    return false;
+  }
+
+  const participants = [
+    { recipient: closed.patient, sender: closed.doctor },
+    { recipient: closed.doctor, sender: closed.patient }
+  ];
+
+  for (const { recipient, sender } of participants) {
+    const template = getNotificationTemplate(notificationType, {
+      patientName: `${closed.patient.firstName} ${closed.patient.lastName}`,
+      appointmentDate: formatDateTimeInZone(closed.appointmentDate, recipient.timeZone)
+    });
+
+    await createNotification({
+      recipient: recipient._id,
+      sender: sender._id,
+      type: notificationType,
+      title: template.title,
+      message: template.message,
+      data: { appointmentId: closed._id },
+      sendEmail: false
+    });
+  }
+
+  return true;
+};
+
+// Expire pending requests the doctor never answered once their slot has passed
+const expireStalePendingAppointments = async () => {
+  const graceMinutes = getGraceMinutes('PENDING_EXPIRY_GRACE_MINUTES', DEFAULT_PENDING_EXPIRY_GRACE_MINUTES);
+  const cutoff = new Date(Date.now() - graceMinutes * 60 * 1000);
+
+  const staleAppointments = await Appointment.find({
+    status: 'pending',
+    ...endedBefore(cutoff)
+  });
+
+  console.log(`📅 Found ${staleAppointments.length} unanswered appointment requests to expire`);
+
+  for (const appointment of staleAppointments) {
+    try {
+      const closed = await closeAppointment(
+        appointment,
+        'expired',
+        'The doctor did not respond before the appointment time passed',
+        'appointment_expired'
+      );
+      if (closed) {
+        console.log(`✅ Appointment ${appointment._id} expired`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to expire appointment ${appointment._id}:`, error);
     }
-  } catch (error) {
-    console.error('❌ Error checking upcoming appointments:', error);
   }
 };
 
-// Schedule the task to run every 10 minutes
-export const startAppointmentScheduler = () => {
-  console.log('🚀 Starting appointment reminder scheduler...');
-  
-  // Run every 10 minutes
-  cron.schedule('*/10 * * * *', async () => {
-    console.log('⏰ Running appointment reminder check...');
-    await checkUpcomingAppointments();
+// Close confirmed appointments that passed without a video consultation.
+// If the doctor tried to call and the patient never did, it is the patient's no-show;
+// otherwise the consultation is recorded as missed.
+const closeMissedAppointments = async () => {
+  const graceMinutes = getGraceMinutes('MISSED_APPOINTMENT_GRACE_MINUTES', DEFAULT_MISSED_GRACE_MINUTES);
+  const cutoff = new Date(Date.now() - graceMinutes * 60 * 1000);
+
+  const missedAppointments = await Appointment.find({
+    status: 'confirmed',
+    'videoSession.startedAt': { $exists: false },
+    ...endedBefore(cutoff)
   });
-  
-  console.log('✅ Appointment reminder scheduler started - checking every 10 minutes');
+
+  console.log(`📅 Found ${missedAppointments.length} confirmed appointments without a consultation`);
+
+  for (const appointment of missedAppointments) {
+    try {
+      const patientNoShow = appointment.videoSession?.doctorCalledAt && !appointment.videoSession?.patientCalledAt;
+      const closed = patientNoShow
+        ? await closeAppointment(appointment, 'no_show', 'The patient did not join the video consultation', 'appointment_no_show')
+        : await closeAppointment(appointment, 'missed', 'No video consultation took place', 'appointment_missed');
+
+      if (closed) {
+        console.log(`✅ Appointment ${appointment._id} marked as ${patientNoShow ? 'no-show' : 'missed'}`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to close appointment ${appointment._id}:`, error);
+    }
+  }
+};
+
+registerJobHandler(REMINDER_JOB, sendAppointmentReminder);
+registerJobHandler(REMINDER_SWEEP_JOB, queueUpcomingReminders);
+registerJobHandler(STATUS_SWEEP_JOB, async () => {
+  await expireStalePendingAppointments();
+  await closeMissedAppointments();
+});
+
+// Queue the periodic sweeps and start working through the job queue
+export const startAppointmentScheduler = () => {
+  console.log('🚀 Starting appointment scheduler...');
+
+  scheduleRecurringJob(REMINDER_SWEEP_JOB, SWEEP_INTERVAL_MINUTES);
+  scheduleRecurringJob(STATUS_SWEEP_JOB, SWEEP_INTERVAL_MINUTES);
+  startJobWorker();
+
+  console.log(`✅ Appointment scheduler started - sweeping every ${SWEEP_INTERVAL_MINUTES} minutes`);
 };
 
 // Manual trigger for testing
 export const triggerReminderCheck = async () => {
   console.log('🔧 Manually triggering reminder check...');
-  await checkUpcomingAppointments();
+  await queueUpcomingReminders();
+};
+
+// Manual trigger for testing
+export const triggerExpiryCheck = async () => {
+  console.log('🔧 Manually triggering expiry and no-show check...');
+  await expireStalePendingAppointments();
+  await closeMissedAppointments();
 };
@@ -0,0 +1,154 @@
+import Appointment from '../models/Appointment.js';
+import DoctorLeave from '../models/DoctorLeave.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import { createNotification, getNotificationTemplate } from './notificationService.js';
+import {
+  getSlotDuration,
+  getDoctorTimeZone,
+  generateTimeSlotsInRange,
+  findLeaveAt,
+  isSlotInAvailability
+} from '../utils/scheduleUtils.js';
+import { formatDateTimeInZone } from '../utils/timeZoneUtils.js';
+
+/**
+ * Check that a doctor can take an appointment starting at the given time
+ * @param {Object} doctor - Doctor user document
+ * @param {Date} start - Proposed appointment start
+ * @param {string|Array} excludeAppointmentId - Appointment or appointments being moved, ignored in the overlap check
+ * @param {Object} options - { holdEntryId } when a patient is accepting their waitlist hold on this slot
+ * @returns {Promise<Object>} { bookable, duration } or { bookable: false, status, message, conflict }
+ */
+export const checkSlotBookable = async (doctor, start, excludeAppointmentId = null, { holdEntryId = null } = {}) => {
+  if (!(start instanceof Date) || isNaN(start.getTime())) {
+    return { bookable: false, status: 400, message: 'Invalid appointment date' };
+  }
+
+  if (start <= new Date()) {
+    return { bookable: false, status: 400, message: 'Appointment time must be in the future' };
+  }
+
+  // Doctors take appointments only once an admin has verified their credentials
+  if (!doctor.isVerified) {
+    return { bookable: false, status: 403, message: 'This doctor has not been verified yet' };
+  }
+
+  // Only accept times generated from the doctor's weekly availability
+  if (!isSlotInAvailability(doctor, start)) {
+    return { bookable: false, status: 400, message: 'The doctor is not available at this time' };
+  }
+
+  // Whole-day leave and hourly blocks both rule out any overlapping part of the slot
+  const duration = getSlotDuration(doctor);
+  const end = new Date(start.getTime() + duration * 60 * 1000);
+  const leaves = await DoctorLeave.findApprovedInRange(doctor._id, start, end, getDoctorTimeZone(doctor));
+
+  if (leaves.length > 0) {
+    return { bookable: false, status: 400, message: 'The doctor is on leave at this time' };
+  }
+
+  // Check that no active appointment overlaps [start, start + duration)
+  const conflict = await Appointment.findOverlapping(doctor._id, start, duration, excludeAppointmentId);
+  if (conflict) {
+    return { bookable: false, status: 409, conflict };
+  }
+
+  // Slots offered to a patient on the waitlist stay reserved until the offer lapses
+  if (await WaitlistEntry.findOverlappingHold(doctor._id, start, duration, holdEntryId)) {
+    return { bookable: false, status: 409, message: 'This time is being held for a patient on the waitlist' };
+  }
+
+  return { bookable: true, duration };
+};
+
+/**
+ * The doctor's slots in [start, end) that approved leave does not block, booked or not
+ * @param {Object} doctor - Doctor user document
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end (exclusive)
+ * @returns {Promise<Date[]>} Slot start times in chronological order
+ */
+export const getWorkingSlots = async (doctor, start, end) => {
+  const slots = generateTimeSlotsInRange(doctor, start, end);
+  if (slots.length === 0) {
+    return [];
+  }
+
+  const duration = getSlotDuration(doctor);
+  const timeZone = getDoctorTimeZone(doctor);
+  const searchEnd = new Date(slots[slots.length - 1].getTime() + duration * 60 * 1000);
+  const leaves = await DoctorLeave.findApprovedInRange(doctor._id, slots[0], searchEnd, timeZone);
+
+  return slots.filter(slot => !findLeaveAt(leaves, slot, duration, timeZone));
+};
+
+/**
+ * Save an appointment, turning a slot reservation clash into a conflict result
+ * @param {Object} appointment - Appointment document with its new time set
+ * @returns {Promise<Object>} { saved: true } or { saved: false, conflict }
+ */
+export const saveWithSlotReservation = async (appointment) => {
+  try {
+    await appointment.save();
+    return { saved: true };
+  } catch (error) {
+    // A parallel request reserved an overlapping block between the check and the save
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const conflict = await Appointment.findOverlapping(
+      appointment.doctor._id,
+      appointment.appointmentDate,
+      appointment.duration,
+      appointment.isNew ? null : appointment._id
+    );
+    return { saved: false, conflict };
+  }
+};
+
+/**
+ * Check whether a patient is too close to a confirmed appointment to change it
+ * @param {Object} appointment - Appointment document
+ * @param {Object} doctor - The appointment's doctor
+ * @returns {boolean} True if the doctor's cancellation cutoff has passed
+ */
+export const isInsideCancellationCutoff = (appointment, doctor) => {
+  if (appointment.status !== 'confirmed') {
+    return false;
+  }
+
+  const cutoffHours = doctor.cancellationCutoffHours ?? 24;
+  return appointment.appointmentDate.getTime() - Date.now() < cutoffHours * 60 * 60 * 1000;
+};
+
+/**
+ * Tell a doctor about a new appointment request, in-app and by email
+ * @param {Object} appointment - The saved pending appointment
+ * @param {Object} patient - Patient who booked it
+ * @param {Object} doctor - Doctor user document
+ */
+export const notifyAppointmentRequest = async (appointment, patient, doctor) => {
+  // Show the time in the doctor's zone
+  const formattedDate = formatDateTimeInZone(appointment.appointmentDate, doctor.timeZone);
+
+  const template = getNotificationTemplate('appointment_request', {
+    patientName: `${patient.firstName} ${patient.lastName}`,
+    appointmentDate: formattedDate
+  });
+
+  await createNotification({
+    recipient: doctor._id,
+    sender: patient._id,
+    type: 'appointment_request',
+    title: template.title,
+    message: template.message,
+    data: { appointmentId: appointment._id },
+    sendEmail: true,
+    emailData: {
+      patientName: `${patient.firstName} ${patient.lastName}`,
+      appointmentDate: formattedDate,
+      symptoms: appointment.symptoms
+    }
+  });
+};
@@ -0,0 +1,251 @@
+import Message from '../models/Message.js';
+import Appointment, { ACTIVE_APPOINTMENT_STATUSES, BOOKED_APPOINTMENT_STATUSES } from '../models/Appointment.js';
+import { getWorkingSlots } from './bookingService.js';
+import { addDays, getDateKey, getDoctorTimeZone, getSlotDuration } from '../utils/scheduleUtils.js';
+import { resolveTimeZone, getZonedCalendarDate, getZonedDayBounds } from '../utils/timeZoneUtils.js';
+
+// Pending requests listed on the doctor's dashboard, oldest first
+const PENDING_REQUESTS_SHOWN = 5;
+
+// Units a prescription duration such as "7 days" or "2 weeks" can use
+const DURATION_UNIT_DAYS = { day: 1, week: 7, month: 30 };
+
+/**
+ * When a medication course ends, from its free-text duration
+ * @param {Date} prescribedAt - Start of the consultation it was prescribed in
+ * @param {string} duration - e.g. "5 days", "2 weeks", "1 month"
+ * @returns {Date|null} End of the course, or null if the duration has no clear end
+ */
+const getMedicationEndDate = (prescribedAt, duration) => {
+  const match = /(\d+)\s*(day|week|month)s?/i.exec(duration || '');
+  if (!match) {
+    return null;
+  }
+
+  const days = parseInt(match[1], 10) * DURATION_UNIT_DAYS[match[2].toLowerCase()];
+  return new Date(prescribedAt.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Count a user's appointments by status, across their whole history
+ * @param {string} role - 'patient' or 'doctor'
+ * @param {Object} userId - User ID
+ * @returns {Promise<Object>} { total, upcoming, completed, pending }
+ */
+const getAppointmentCounts = async (role, userId) => {
+  const now = new Date();
+  const [counts = {}] = await Appointment.aggregate([
+    { $match: { [role]: userId } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        upcoming: {
+          $sum: {
+            $cond: [
+              { $and: [{ $in: ['$status', ACTIVE_APPOINTMENT_STATUSES] }, { $gt: ['$appointmentDate', now] }] },
+              1,
+              0
+            ]
+          }
+        },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return {
+    total: counts.total || 0,
+    upcoming: counts.upcoming || 0,
+    completed: counts.completed || 0,
+    pending: counts.pending || 0
+  };
+};
+
+// Today's appointments in the doctor's zone, in the order they will be seen
+const getTodayQueue = async (doctor, timeZone) => {
+  const today = getZonedCalendarDate(new Date(), timeZone);
+  const { start, end } = getZonedDayBounds(today, timeZone);
+
+  const appointments = await Appointment.find({
+    doctor: doctor._id,
+    appointmentDate: { $gte: start, $lt: end },
+    status: { $in: BOOKED_APPOINTMENT_STATUSES }
+  })
+    .populate('patient', 'firstName lastName')
+    .select('patient appointmentDate duration status symptoms')
+    .sort({ appointmentDate: 1 });
+
+  return {
+    date: getDateKey(today),
+    total: appointments.length,
+    remaining: appointments.filter(apt => ACTIVE_APPOINTMENT_STATUSES.includes(apt.status)).length,
+    appointments
+  };
+};
+
+// Booked and open minutes for each day of the doctor's current week, Monday to Sunday
+const getWeekLoad = async (doctor, timeZone) => {
+  const today = getZonedCalendarDate(new Date(), timeZone);
+  const weekday = new Date(Date.UTC(today.year, today.month, today.day)).getUTCDay();
+  const monday = addDays(today, -((weekday + 6) % 7));
+  const start = getZonedDayBounds(monday, timeZone).start;
+  const end = getZonedDayBounds(addDays(monday, 6), timeZone).end;
+
+  const booked = await Appointment.aggregate([
+    {
+      $match: {
+        doctor: doctor._id,
+        appointmentDate: { $gte: start, $lt: end },
+        status: { $in: BOOKED_APPOINTMENT_STATUSES }
+      }
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$appointmentDate', timezone: timeZone } },
+        appointments: { $sum: 1 },
+        minutes: { $sum: '$duration' }
+      }
+    }
+  ]);
+  const bookedByDay = new Map(booked.map(row => [row._id, row]));
+
+  const slotDuration = getSlotDuration(doctor);
+  const openMinutesByDay = new Map();
+  for (const slot of await getWorkingSlots(doctor, start, end)) {
+    const key = getDateKey(getZonedCalendarDate(slot, timeZone));
+    openMinutesByDay.set(key, (openMinutesByDay.get(key) || 0) + slotDuration);
+  }
+
+  const days = [];
+  for (let offset = 0; offset < 7; offset++) {
+    const date = getDateKey(addDays(monday, offset));
+    days.push({
+      date,
+      appointments: bookedByDay.get(date)?.appointments || 0,
+      bookedMinutes: bookedByDay.get(date)?.minutes || 0,
+      openMinutes: openMinutesByDay.get(date) || 0
+    });
+  }
+
+  const totals = days.reduce((sum, day) => ({
+    appointments: sum.appointments + day.appointments,
+    bookedMinutes: sum.bookedMinutes + day.bookedMinutes,
+    openMinutes: sum.openMinutes + day.openMinutes
+  }), { appointments: 0, bookedMinutes: 0, openMinutes: 0 });
+
+  return {
+    ...totals,
+    utilisation: totals.openMinutes > 0 ? Math.round((totals.bookedMinutes / totals.openMinutes) * 1000) / 1000 : null,
+    days
+  };
+};
+
+// Requests still waiting for the doctor to confirm or decline
+const getPendingRequests = async (doctor) => {
+  const query = { doctor: doctor._id, status: 'pending', appointmentDate: { $gt: new Date() } };
+
+  const [count, oldest] = await Promise.all([
+    Appointment.countDocuments(query),
+    Appointment.find(query)
+      .populate('patient', 'firstName lastName')
+      .select('patient appointmentDate symptoms createdAt')
+      .sort({ createdAt: 1 })
+      .limit(PENDING_REQUESTS_SHOWN)
+  ]);
+
+  return { count, oldest };
+};
+
+// The patient's next pending or confirmed appointment
+const getNextAppointment = (patient) => {
+  return Appointment.findOne({
+    patient: patient._id,
+    status: { $in: ACTIVE_APPOINTMENT_STATUSES },
+    appointmentDate: { $gt: new Date() }
+  })
+    .populate('doctor', 'firstName lastName specialization')
+    .select('doctor appointmentDate duration status')
+    .sort({ appointmentDate: 1 });
+};
+
+// Medications whose course has not ended; a course without a clear duration counts as ongoing
+const getActivePrescriptions = async (patient) => {
+  const appointments = await Appointment.find({
+    patient: patient._id,
+    status: 'completed',
+    'prescription.medications.0': { $exists: true }
+  })
+    .populate('doctor', 'firstName lastName')
+    .select('doctor appointmentDate prescription.medications')
+    .sort({ appointmentDate: -1 });
+
+  const now = new Date();
+  const medications = [];
+  let prescriptions = 0;
+
+  for (const appointment of appointments) {
+    const active = appointment.prescription.medications
+      .map(medication => ({
+        name: medication.name,
+        dosage: medication.dosage,
+        frequency: medication.frequency,
+        endsAt: getMedicationEndDate(appointment.appointmentDate, medication.duration)
+      }))
+      .filter(medication => medication.endsAt === null || medication.endsAt > now);
+
+    if (active.length > 0) {
+      prescriptions += 1;
+      medications.push(...active.map(medication => ({
+        ...medication,
+        appointmentId: appointment._id,
+        doctor: appointment.doctor
+      })));
+    }
+  }
+
+  return { count: prescriptions, medications };
+};
+
+/**
+ * Dashboard figures for a doctor, from their full appointment history
+ * @param {Object} doctor - Doctor user document
+ * @returns {Promise<Object>} { timeZone, counts, unreadMessages, todayQueue, weekLoad, pendingRequests }
+ */
+export const getDoctorDashboard = async (doctor) => {
+  const timeZone = getDoctorTimeZone(doctor);
+
+  const [counts, unreadMessages, todayQueue, weekLoad, pendingRequests] = await Promise.all([
+    getAppointmentCounts('doctor', doctor._id),
+    Message.countDocuments({ recipient: doctor._id, isRead: false }),
+    getTodayQueue(doctor, timeZone),
+    getWeekLoad(doctor, timeZone),
+    getPendingRequests(doctor)
+  ]);
+
+  return { role: 'doctor', timeZone, counts, unreadMessages, todayQueue, weekLoad, pendingRequests };
+};
+
+/**
+ * Dashboard figures for a patient, from their full appointment history
+ * @param {Object} patient - Patient user document
+ * @returns {Promise<Object>} { timeZone, counts, unreadMessages, nextAppointment, activePrescriptions }
+ */
+export const getPatientDashboard = async (patient) => {
+  const [counts, unreadMessages, nextAppointment, activePrescriptions] = await Promise.all([
+    getAppointmentCounts('patient', patient._id),
+    Message.countDocuments({ recipient: patient._id, isRead: false }),
+    getNextAppointment(patient),
+    getActivePrescriptions(patient)
+  ]);
+
+  return {
+    role: 'patient',
+    timeZone: resolveTimeZone(patient.timeZone),
+    counts,
+    unreadMessages,
+    nextAppointment,
+    activePrescriptions
+  };
+};
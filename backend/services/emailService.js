@@ -8,9 +8,37 @@ if (process.env.SENDGRID_API_KEY) {
   sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 }
 
+// Wording of the OTP email for each reason a code is sent
+const OTP_EMAIL_COPY = {
+  registration: {
+    subject: 'Your TeleMed Verification Code',
+    heading: 'Verify Your Email Address',
+    intro: 'Hello! Thank you for registering with TeleMed. To complete your account setup, please verify your email address using the code below:',
+    ignore: "If you didn't create an account with TeleMed, please ignore this email.",
+    nextStep: 'Enter this code in the registration form to continue.'
+  },
+  password_reset: {
+    subject: 'Your TeleMed Password Reset Code',
+    heading: 'Reset Your Password',
+    intro: 'We received a request to reset the password for your TeleMed account. Use the code below to choose a new password:',
+    ignore: "If you didn't ask to reset your password, please ignore this email. Your password will not change.",
+    nextStep: 'Enter this code on the password reset screen to continue.'
+  },
+  email_change: {
+    subject: 'Confirm Your New TeleMed Email Address',
+    heading: 'Confirm Your New Email Address',
+    intro: 'You asked to use this address for your TeleMed account. To confirm the change, enter the code below:',
+    ignore: "If you didn't ask for this change, please ignore this email. The account will keep its current address.",
+    nextStep: 'Enter this code on your profile page to finish the change.'
+  }
+};
+
 // Email template for OTP
-const otpEmailTemplate = (otp) => ({
-  subject: 'Your TeleMed Verification Code',
+const otpEmailTemplate = (otp, purpose = 'registration') => {
+  const copy = OTP_EMAIL_COPY[purpose] || OTP_EMAIL_COPY.registration;
+
+  return {
+  subject: copy.subject,
   html: `
     <!DOCTYPE html>
     <html>
@@ -102,8 +130,8 @@ const otpEmailTemplate = (otp) => ({
           <div class="subtitle">Healthcare at Your Fingertips</div>
         </div>
 
-        <h2>Verify Your Email Address</h2>
-        <p>Hello! Thank you for registering with TeleMed. To complete your account setup, please verify your email address using the code below:</p>
+        <h2>${copy.heading}</h2>
+        <p>${copy.intro}</p>
 
         <div class="otp-container">
           <div class="otp-label">Your verification code is:</div>
@@ -113,11 +141,11 @@ const otpEmailTemplate = (otp) => ({
         <div class="warning">
           <div class="warning-title">⚠️ Important Security Note</div>
           <div class="warning-text">
-            This verification code will expire in 10 minutes. If you didn't create an account with TeleMed, please ignore this email.
+            This verification code will expire in 10 minutes. ${copy.ignore}
           </div>
         </div>
 
-        <p>Enter this code in the registration form to continue. If you're having trouble, please contact our support team.</p>
+        <p>${copy.nextStep} If you're having trouble, please contact our support team.</p>
 
         <div class="footer">
           <p>This email was sent from TeleMed, your trusted healthcare platform.</p>
@@ -128,29 +156,31 @@ const otpEmailTemplate = (otp) => ({
     </html>
   `,
   text: `
-    TeleMed - Email Verification
+    TeleMed - ${copy.heading}
 
-    Hello! Thank you for registering with TeleMed.
+    ${copy.intro}
 
     Your verification code is: ${otp}
 
     This code will expire in 10 minutes.
-    If you didn't create an account with TeleMed, please ignore this email.
+    ${copy.ignore}
 
-    Enter this code in the registration form to continue.
+    ${copy.nextStep}
 
     This email was sent from TeleMed.
     For support, contact us at support@telemed.com
   `
-});
+  };
+};
 
 /**
  * Send OTP email
  * @param {string} email - Recipient email address
  * @param {string} otp - 6-digit OTP code
+ * @param {string} purpose - 'registration', 'password_reset' or 'email_change'
  * @returns {Promise<Object>} Email sending result
  */
-export const sendOTPMail = async (email, otp) => {
+export const sendOTPMail = async (email, otp, purpose = 'registration') => {
   try {
     console.log('=== EMAIL DEBUG START ===');
     console.log('Environment check:');
@@ -168,7 +198,7 @@ export const sendOTPMail = async (email, otp) => {
       };
     }
 
-    const template = otpEmailTemplate(otp);
+    const template = otpEmailTemplate(otp, purpose);
 
     console.log('Using SendGrid for email delivery');
 
@@ -605,15 +635,17 @@ export const sendAppointmentRequestEmail = async (doctorEmail, doctorName, patie
 };
 
 /**
- * Send appointment reminder email to patient
- * @param {string} patientEmail - Patient's email
- * @param {string} patientName - Patient's name
- * @param {string} doctorName - Doctor's name
+ * Send appointment reminder email to a patient or doctor
+ * @param {string} recipientEmail - Recipient's email
+ * @param {string} recipientName - Recipient's name
+ * @param {string} withLabel - Label for the other party, "Doctor" or "Patient"
+ * @param {string} withName - Other party's display name
  * @param {string} appointmentDate - Formatted appointment date
+ * @param {string} timeUntil - How long until the appointment, e.g. "1 hour"
  * @param {string} meetingLink - Meeting link if available
  * @returns {Promise<Object>} Email sending result
  */
-export const sendAppointmentReminderEmail = async (patientEmail, patientName, doctorName, appointmentDate, meetingLink = '') => {
+export const sendAppointmentReminderEmail = async (recipientEmail, recipientName, withLabel, withName, appointmentDate, timeUntil, meetingLink = '') => {
   try {
     const template = {
       subject: 'Appointment Reminder - TeleMed',
@@ -718,13 +750,13 @@ export const sendAppointmentReminderEmail = async (patientEmail, patientName, do
               <h2>Appointment Reminder</h2>
             </div>
 
-            <p>Hello ${patientName},</p>
+            <p>Hello ${recipientName},</p>
             <p>This is a friendly reminder that your appointment is coming up soon. Here are the details:</p>
 
             <div class="appointment-card">
               <div class="appointment-detail">
-                <span class="label">Doctor:</span>
-                <span class="value">Dr. ${doctorName}</span>
+                <span class="label">${withLabel}:</span>
+                <span class="value">${withName}</span>
               </div>
               <div class="appointment-detail">
                 <span class="label">Date & Time:</span>
@@ -734,7 +766,7 @@ export const sendAppointmentReminderEmail = async (patientEmail, patientName, do
 
             <div class="urgent-notice">
               <div class="urgent-title">⚠️ Important Reminder</div>
-              <div>Your video consultation will begin in approximately 30 minutes. Please ensure you have:</div>
+              <div>Your video consultation will begin in approximately ${timeUntil}. Please ensure you have:</div>
               <ul style="margin: 10px 0; padding-left: 20px;">
                 <li>A stable internet connection</li>
                 <li>A quiet, private space</li>
@@ -762,14 +794,14 @@ export const sendAppointmentReminderEmail = async (patientEmail, patientName, do
       text: `
         TeleMed - Appointment Reminder
 
-        Hello ${patientName},
+        Hello ${recipientName},
 
-        This is a reminder that your appointment with Dr. ${doctorName} is coming up soon.
+        This is a reminder that your appointment with ${withName} is coming up soon.
 
         Appointment Details:
         - Date & Time: ${appointmentDate}
 
-        Your video consultation will begin in approximately 30 minutes.
+        Your video consultation will begin in approximately ${timeUntil}.
         Please ensure you have a stable internet connection and your device ready.
 
         ${meetingLink ? `Join here: ${meetingLink}` : ''}
@@ -792,7 +824,7 @@ export const sendAppointmentReminderEmail = async (patientEmail, patientName, do
     }
 
     const msg = {
-      to: patientEmail,
+      to: recipientEmail,
       from: process.env.EMAIL_FROM || 'noreply@telemed.com',
       subject: template.subject,
       html: template.html,
@@ -1001,6 +1033,172 @@ export const sendAppointmentConfirmationEmail = async (patientEmail, patientName
   }
 };
 
+/**
+ * Tell a user their password was changed, so they can act if it was not them
+ * @param {string} email - User email
+ * @param {string} firstName - User first name
+ * @returns {Promise<Object>} Email sending result
+ */
+export const sendPasswordChangedEmail = async (email, firstName) => {
+  try {
+    const changedAt = new Date().toUTCString();
+    const template = {
+      subject: 'Your TeleMed password was changed',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>TeleMed - Password Changed</title>
+        </head>
+        <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+          <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+            <div style="text-align: center; margin-bottom: 30px;">
+              <div style="font-size: 28px; font-weight: bold; color: #3b82f6;">🏥 TeleMed</div>
+            </div>
+            <h2>Your password was changed</h2>
+            <p>Hello ${firstName},</p>
+            <p>The password for your TeleMed account was changed on ${changedAt}. For your security, other devices signed in to your account have been signed out.</p>
+            <div style="background-color: #fef2f2; border: 1px solid #fecaca; padding: 15px; border-radius: 8px; margin: 20px 0; color: #7f1d1d; font-size: 14px;">
+              <strong>Wasn't you?</strong> Reset your password right away from the sign-in page and contact us at support@telemed.com.
+            </div>
+            <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; color: #6b7280; font-size: 12px;">
+              <p>This email was sent from TeleMed, your trusted healthcare platform.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        TeleMed - Your password was changed
+
+        Hello ${firstName},
+
+        The password for your TeleMed account was changed on ${changedAt}.
+        For your security, other devices signed in to your account have been signed out.
+
+        Wasn't you? Reset your password right away from the sign-in page and contact us at support@telemed.com.
+      `
+    };
+
+    if (!process.env.SENDGRID_API_KEY) {
+      console.error('SendGrid API key not configured');
+      return {
+        success: false,
+        error: 'SendGrid API key not configured',
+        message: 'Email service not configured'
+      };
+    }
+
+    const result = await sgMail.send({
+      to: email,
+      from: process.env.EMAIL_FROM || 'noreply@telemed.com',
+      subject: template.subject,
+      html: template.html,
+      text: template.text,
+    });
+    console.log('Password changed email sent successfully via SendGrid:', result[0]?.headers?.['x-message-id']);
+
+    return {
+      success: true,
+      messageId: result[0]?.headers?.['x-message-id'],
+      message: 'Password changed email sent successfully via SendGrid'
+    };
+  } catch (error) {
+    console.error('Error sending password changed email:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Failed to send password changed email'
+    };
+  }
+};
+
+/**
+ * Warn the current address that the account is being moved to a new one, before the switch happens
+ * @param {string} email - Current user email
+ * @param {string} firstName - User first name
+ * @param {string} newEmail - Address the user asked to switch to
+ * @returns {Promise<Object>} Email sending result
+ */
+export const sendEmailChangeNotice = async (email, firstName, newEmail) => {
+  try {
+    const template = {
+      subject: 'Your TeleMed email address is being changed',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>TeleMed - Email Change Requested</title>
+        </head>
+        <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+          <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+            <div style="text-align: center; margin-bottom: 30px;">
+              <div style="font-size: 28px; font-weight: bold; color: #3b82f6;">🏥 TeleMed</div>
+            </div>
+            <h2>Email change requested</h2>
+            <p>Hello ${firstName},</p>
+            <p>Someone signed in to your TeleMed account asked to change its email address to <strong>${newEmail}</strong>. The change happens once the code we sent to that address is entered.</p>
+            <p>After that, sign-in and notifications will use the new address.</p>
+            <div style="background-color: #fef2f2; border: 1px solid #fecaca; padding: 15px; border-radius: 8px; margin: 20px 0; color: #7f1d1d; font-size: 14px;">
+              <strong>Wasn't you?</strong> Change your password right away and contact us at support@telemed.com.
+            </div>
+            <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; color: #6b7280; font-size: 12px;">
+              <p>This email was sent from TeleMed, your trusted healthcare platform.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        TeleMed - Email change requested
+
+        Hello ${firstName},
+
+        Someone signed in to your TeleMed account asked to change its email address to ${newEmail}.
+        The change happens once the code we sent to that address is entered.
+        After that, sign-in and notifications will use the new address.
+
+        Wasn't you? Change your password right away and contact us at support@telemed.com.
+      `
+    };
+
+    if (!process.env.SENDGRID_API_KEY) {
+      console.error('SendGrid API key not configured');
+      return {
+        success: false,
+        error: 'SendGrid API key not configured',
+        message: 'Email service not configured'
+      };
+    }
+
+    const result = await sgMail.send({
+      to: email,
+      from: process.env.EMAIL_FROM || 'noreply@telemed.com',
+      subject: template.subject,
+      html: template.html,
+      text: template.text,
+    });
+    console.log('Email change notice sent successfully via SendGrid:', result[0]?.headers?.['x-message-id']);
+
+    return {
+      success: true,
+      messageId: result[0]?.headers?.['x-message-id'],
+      message: 'Email change notice sent successfully via SendGrid'
+    };
+  } catch (error) {
+    console.error('Error sending email change notice:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: 'Failed to send email change notice'
+    };
+  }
+};
+
 /**
  * Test email configuration
  * @returns {Promise<Object>} Test result
@@ -0,0 +1,192 @@
+import os from 'os';
+import crypto from 'crypto';
+import Job from '../models/Job.js';
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const LEASE_MS = 5 * 60 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// Identifies this process in job leases
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const handlers = new Map();
+const recurringJobs = [];
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Register the function that runs jobs of a type. A handler throws to request a retry.
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job) => void
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type
+ * @param {Object} payload - Data passed to the handler
+ * @param {Object} options - { runAt, maxAttempts, uniqueKey }
+ * @returns {Promise<Object>} The queued job, or the existing one with the same uniqueKey
+ */
+export const enqueueJob = async (type, payload = {}, { runAt = new Date(), maxAttempts, uniqueKey } = {}) => {
+  const fields = { type, payload, runAt };
+  if (maxAttempts) {
+    fields.maxAttempts = maxAttempts;
+  }
+
+  if (!uniqueKey) {
+    return Job.create(fields);
+  }
+
+  try {
+    return await Job.findOneAndUpdate(
+      { uniqueKey },
+      { $setOnInsert: { ...fields, uniqueKey } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another process queued the same job at the same moment
+    if (error.code === 11000) {
+      return Job.findOne({ uniqueKey });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Run a job type at a fixed interval. Each interval gets one job with a unique key,
+ * so the job runs once per interval however many workers are running.
+ * @param {string} type - Job type
+ * @param {number} intervalMinutes - Minutes between runs
+ */
+export const scheduleRecurringJob = (type, intervalMinutes) => {
+  recurringJobs.push({ type, intervalMs: intervalMinutes * 60 * 1000, lastRun: null });
+};
+
+/**
+ * Delay before the next attempt, doubling after each failure
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export const getBackoffMs = (attempts) => {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+};
+
+// Queue the current run of every recurring job that has not been queued yet
+const queueRecurringJobs = async () => {
+  for (const recurring of recurringJobs) {
+    const runAt = Math.floor(Date.now() / recurring.intervalMs) * recurring.intervalMs;
+    if (runAt === recurring.lastRun) {
+      continue;
+    }
+
+    await enqueueJob(recurring.type, {}, {
+      runAt: new Date(runAt),
+      uniqueKey: `${recurring.type}:${new Date(runAt).toISOString()}`
+    });
+    recurring.lastRun = runAt;
+  }
+};
+
+// Lease the oldest due job, including running jobs whose worker let the lease lapse
+const claimNextJob = async () => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + LEASE_MS)
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Schedule a retry, or move the job to the dead-letter state once it is out of attempts
+const failJob = async (job, error) => {
+  const dead = job.attempts >= job.maxAttempts;
+  const update = dead
+    ? { status: 'dead', failedAt: new Date() }
+    : { status: 'pending', runAt: new Date(Date.now() + getBackoffMs(job.attempts)) };
+
+  await Job.updateOne(
+    { _id: job._id, lockedBy: workerId },
+    { $set: { ...update, lastError: error.message }, $unset: { lockedBy: 1, lockedUntil: 1 } }
+  );
+
+  if (dead) {
+    console.error(`☠️ Job ${job._id} (${job.type}) moved to dead-letter after ${job.attempts} attempts:`, error.message);
+  } else {
+    console.error(`❌ Job ${job._id} (${job.type}) failed, retrying in ${getBackoffMs(job.attempts) / 1000}s:`, error.message);
+  }
+};
+
+const runJob = async (job) => {
+  // The previous worker crashed or stalled on every attempt
+  if (job.attempts > job.maxAttempts) {
+    return failJob(job, new Error(job.lastError || 'Lease expired too many times'));
+  }
+
+  try {
+    await handlers.get(job.type)(job.payload, job);
+    await Job.updateOne(
+      { _id: job._id, lockedBy: workerId },
+      { $set: { status: 'completed', completedAt: new Date() }, $unset: { lockedBy: 1, lockedUntil: 1 } }
+    );
+  } catch (error) {
+    await failJob(job, error);
+  }
+};
+
+const poll = async () => {
+  if (polling) {
+    return;
+  }
+  polling = true;
+
+  try {
+    await queueRecurringJobs();
+
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = pollTimer ? await claimNextJob() : null;
+    }
+  } catch (error) {
+    console.error('❌ Job worker error:', error);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Start polling the queue in this process
+ * @param {Object} options - { pollIntervalMs }
+ */
+export const startJobWorker = ({ pollIntervalMs = DEFAULT_POLL_INTERVAL_MS } = {}) => {
+  if (pollTimer) {
+    return;
+  }
+
+  pollTimer = setInterval(poll, pollIntervalMs);
+  console.log(`✅ Job worker ${workerId} started - polling every ${pollIntervalMs / 1000} seconds`);
+};
+
+// Stop taking new jobs; a job already running is allowed to finish
+export const stopJobWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
@@ -0,0 +1,444 @@
+import User from '../models/User.js';
+import DoctorLeave, { LEAVE_RESOLUTION_ACTIONS } from '../models/DoctorLeave.js';
+import Appointment, { ACTIVE_APPOINTMENT_STATUSES } from '../models/Appointment.js';
+import { checkSlotBookable, saveWithSlotReservation } from './bookingService.js';
+import { scheduleAppointmentReminders } from './appointmentScheduler.js';
+import { createNotification, getNotificationTemplate } from './notificationService.js';
+import {
+  getDoctorTimeZone,
+  getLeaveIntervals,
+  getSlotDuration,
+  rangesOverlap,
+  MAX_SLOT_DURATION
+} from '../utils/scheduleUtils.js';
+import { formatDateTimeInZone } from '../utils/timeZoneUtils.js';
+
+// Instants a leave, saved or proposed, blocks in the doctor's zone
+const getDoctorLeaveIntervals = (doctor, leave) => getLeaveIntervals(leave, getDoctorTimeZone(doctor));
+
+// Whether [start, start + duration) touches any of the intervals
+const overlapsIntervals = (intervals, start, duration) => {
+  const end = new Date(start.getTime() + duration * 60 * 1000);
+  return intervals.some(interval => start < interval.end && interval.start < end);
+};
+
+/**
+ * Find another pending or approved leave of the doctor that blocks some of the same time
+ * @param {Object} doctor - Doctor user document
+ * @param {Object} leave - { startDate, endDate, startTime, endTime }
+ * @param {Object} options - { statuses, excludeLeaveId }
+ * @returns {Promise<Object|null>} The overlapping leave
+ */
+export const findOverlappingLeave = async (doctor, leave, { statuses = ['pending', 'approved'], excludeLeaveId = null } = {}) => {
+  const query = {
+    doctor: doctor._id,
+    status: { $in: statuses },
+    startDate: { $lte: leave.endDate },
+    endDate: { $gte: leave.startDate }
+  };
+
+  if (excludeLeaveId) {
+    query._id = { $ne: excludeLeaveId };
+  }
+
+  // Hourly blocks on the same days only clash when their hours meet
+  const intervals = getDoctorLeaveIntervals(doctor, leave);
+  const candidates = await DoctorLeave.find(query);
+
+  return candidates.find(candidate =>
+    getDoctorLeaveIntervals(doctor, candidate).some(other =>
+      intervals.some(interval => interval.start < other.end && other.start < interval.end)
+    )
+  ) || null;
+};
+
+/**
+ * Find a doctor's pending and confirmed appointments that a leave would overlap
+ * @param {Object} doctor - Doctor user document
+ * @param {Object} leave - { startDate, endDate, startTime, endTime }
+ * @returns {Promise<Array>} Appointments with the patient populated, earliest first
+ */
+export const findLeaveConflicts = async (doctor, leave) => {
+  const intervals = getDoctorLeaveIntervals(doctor, leave);
+  const searchStart = new Date(intervals[0].start.getTime() - MAX_SLOT_DURATION * 60 * 1000);
+
+  const appointments = await Appointment.find({
+    doctor: doctor._id,
+    status: { $in: ACTIVE_APPOINTMENT_STATUSES },
+    appointmentDate: { $gte: searchStart, $lt: intervals[intervals.length - 1].end }
+  })
+    .populate('patient', 'firstName lastName timeZone')
+    .sort({ appointmentDate: 1 });
+
+  return appointments.filter(appointment =>
+    overlapsIntervals(intervals, appointment.appointmentDate, appointment.duration)
+  );
+};
+
+/**
+ * Check the doctor's choice for every conflicting appointment before anything is changed
+ * @param {Object} doctor - Doctor taking the leave
+ * @param {Array} conflicts - Appointments from findLeaveConflicts
+ * @param {Array} resolutions - [{ appointmentId, action, newDate, colleagueId, note }]
+ * @param {Object} leave - { startDate, endDate, startTime, endTime }
+ * @returns {Promise<Object>} { errors: [{ appointmentId, message }], plans }
+ */
+export const checkLeaveResolutions = async (doctor, conflicts, resolutions = [], leave) => {
+  const intervals = getDoctorLeaveIntervals(doctor, leave);
+  const errors = [];
+  const plans = [];
+
+  // Appointments already placed by earlier choices, so two choices cannot take the same time
+  const planned = [];
+  const clashesWithPlan = (doctorId, start, duration) => planned.some(item =>
+    item.doctorId === doctorId.toString() && rangesOverlap(start, duration, item.start, item.duration)
+  );
+
+  for (const appointment of conflicts) {
+    const resolution = (Array.isArray(resolutions) ? resolutions : [])
+      .find(item => item && item.appointmentId === appointment._id.toString());
+    const fail = (message) => errors.push({ appointmentId: appointment._id, message });
+
+    if (!resolution || !LEAVE_RESOLUTION_ACTIONS.includes(resolution.action)) {
+      fail('Choose whether to cancel, reschedule or hand off this appointment');
+      continue;
+    }
+
+    const note = (resolution.note || '').trim();
+
+    if (resolution.action === 'cancel') {
+      plans.push({ appointment, action: 'cancel', note });
+      continue;
+    }
+
+    if (resolution.action === 'reschedule') {
+      const newStart = new Date(resolution.newDate);
+      if (isNaN(newStart.getTime())) {
+        fail('Pick a new time for this appointment');
+        continue;
+      }
+
+      if (overlapsIntervals(intervals, newStart, getSlotDuration(doctor))) {
+        fail('The new time falls inside the leave');
+        continue;
+      }
+
+      const slotCheck = await checkSlotBookable(doctor, newStart, appointment._id);
+      if (!slotCheck.bookable) {
+        fail(slotCheck.conflict ? 'The new time overlaps another appointment' : slotCheck.message);
+        continue;
+      }
+
+      if (clashesWithPlan(doctor._id, newStart, slotCheck.duration)) {
+        fail('Another appointment is already being moved to this time');
+        continue;
+      }
+
+      planned.push({ doctorId: doctor._id.toString(), start: newStart, duration: slotCheck.duration });
+      plans.push({ appointment, action: 'reschedule', note, newStart, duration: slotCheck.duration });
+      continue;
+    }
+
+    // Hand off to a colleague at the same time
+    const colleague = await User.findOne({ _id: resolution.colleagueId, role: 'doctor', isActive: true, isVerified: true });
+    if (!colleague || colleague._id.equals(doctor._id)) {
+      fail('Choose a colleague to hand this appointment to');
+      continue;
+    }
+
+    const slotCheck = await checkSlotBookable(colleague, appointment.appointmentDate);
+    if (!slotCheck.bookable) {
+      fail(`Dr. ${colleague.lastName} is not free at this time`);
+      continue;
+    }
+
+    if (clashesWithPlan(colleague._id, appointment.appointmentDate, slotCheck.duration)) {
+      fail(`Another appointment is already being handed to Dr. ${colleague.lastName} at this time`);
+      continue;
+    }
+
+    planned.push({ doctorId: colleague._id.toString(), start: appointment.appointmentDate, duration: slotCheck.duration });
+    plans.push({ appointment, action: 'handoff', note, colleague, duration: slotCheck.duration });
+  }
+
+  return { errors, plans };
+};
+
+// Cancel an appointment because of the leave and tell the patient
+const cancelForLeave = async ({ appointment, note }, doctor) => {
+  const reason = note || 'The doctor is on leave';
+
+  if (!appointment.transitionTo('cancelled', doctor._id, reason)) {
+    return false;
+  }
+  appointment.cancellation = {
+    cancelledBy: doctor._id,
+    reason,
+    cancelledAt: new Date()
+  };
+  await appointment.save();
+
+  const template = getNotificationTemplate('appointment_cancelled', {
+    appointmentDate: formatDateTimeInZone(appointment.appointmentDate, appointment.patient.timeZone),
+    reason
+  });
+
+  await createNotification({
+    recipient: appointment.patient._id,
+    sender: doctor._id,
+    type: 'appointment_cancelled',
+    title: template.title,
+    message: template.message,
+    data: { appointmentId: appointment._id },
+    sendEmail: false
+  });
+
+  return true;
+};
+
+// Move an appointment out of the leave and tell the patient
+const rescheduleForLeave = async ({ appointment, note, newStart, duration }, doctor) => {
+  const previousDate = appointment.appointmentDate;
+
+  appointment.rescheduleHistory.push({
+    previousDate,
+    newDate: newStart,
+    rescheduledBy: doctor._id,
+    reason: note || 'The doctor is on leave'
+  });
+  appointment.appointmentDate = newStart;
+  appointment.duration = duration;
+  appointment.remindersSent = [];
+
+  const reservation = await saveWithSlotReservation(appointment);
+  if (!reservation.saved) {
+    return false;
+  }
+
+  if (appointment.status === 'confirmed') {
+    try {
+      await scheduleAppointmentReminders(appointment);
+    } catch (error) {
+      console.error('❌ Failed to schedule reminders:', error);
+    }
+  }
+
+  const template = getNotificationTemplate('appointment_moved_by_doctor', {
+    doctorName: `${doctor.firstName} ${doctor.lastName}`,
+    previousDate: formatDateTimeInZone(previousDate, appointment.patient.timeZone),
+    appointmentDate: formatDateTimeInZone(newStart, appointment.patient.timeZone),
+    reason: note
+  });
+
+  await createNotification({
+    recipient: appointment.patient._id,
+    sender: doctor._id,
+    type: 'appointment_moved_by_doctor',
+    title: template.title,
+    message: template.message,
+    data: { appointmentId: appointment._id },
+    sendEmail: false
+  });
+
+  return true;
+};
+
+// Pass an appointment to a colleague at the same time and tell both of them
+const handOffForLeave = async ({ appointment, note, colleague, duration }, doctor) => {
+  appointment.handoffHistory.push({
+    fromDoctor: doctor._id,
+    toDoctor: colleague._id,
+    reason: note || 'The doctor is on leave'
+  });
+  appointment.doctor = colleague._id;
+  appointment.duration = duration;
+  appointment.remindersSent = [];
+
+  const reservation = await saveWithSlotReservation(appointment);
+  if (!reservation.saved) {
+    return false;
+  }
+
+  if (appointment.status === 'confirmed') {
+    try {
+      await scheduleAppointmentReminders(appointment);
+    } catch (error) {
+      console.error('❌ Failed to schedule reminders:', error);
+    }
+  }
+
+  const patientTemplate = getNotificationTemplate('appointment_handed_off', {
+    doctorName: `${doctor.firstName} ${doctor.lastName}`,
+    colleagueName: `${colleague.firstName} ${colleague.lastName}`,
+    appointmentDate: formatDateTimeInZone(appointment.appointmentDate, appointment.patient.timeZone),
+    reason: note
+  });
+
+  await createNotification({
+    recipient: appointment.patient._id,
+    sender: doctor._id,
+    type: 'appointment_handed_off',
+    title: patientTemplate.title,
+    message: patientTemplate.message,
+    data: { appointmentId: appointment._id },
+    sendEmail: false
+  });
+
+  const colleagueTemplate = getNotificationTemplate('appointment_handoff_received', {
+    doctorName: `${doctor.firstName} ${doctor.lastName}`,
+    patientName: `${appointment.patient.firstName} ${appointment.patient.lastName}`,
+    appointmentDate: formatDateTimeInZone(appointment.appointmentDate, colleague.timeZone)
+  });
+
+  await createNotification({
+    recipient: colleague._id,
+    sender: doctor._id,
+    type: 'appointment_handoff_received',
+    title: colleagueTemplate.title,
+    message: colleagueTemplate.message,
+    data: { appointmentId: appointment._id },
+    sendEmail: false
+  });
+
+  return true;
+};
+
+const resolvers = {
+  cancel: cancelForLeave,
+  reschedule: rescheduleForLeave,
+  handoff: handOffForLeave
+};
+
+/**
+ * Carry out checked resolutions. A slot taken since the check leaves that appointment
+ * unresolved rather than failing the others.
+ * @param {Array} plans - Plans from checkLeaveResolutions
+ * @param {Object} doctor - Doctor taking the leave
+ * @returns {Promise<Array>} [{ appointmentId, action, resolved }]
+ */
+export const applyLeaveResolutions = async (plans, doctor) => {
+  const results = [];
+
+  for (const plan of plans) {
+    let resolved = false;
+    try {
+      resolved = await resolvers[plan.action](plan, doctor);
+    } catch (error) {
+      console.error(`❌ Failed to ${plan.action} appointment ${plan.appointment._id} for leave:`, error);
+    }
+
+    results.push({ appointmentId: plan.appointment._id, action: plan.action, resolved });
+  }
+
+  console.log(`✅ Resolved ${results.filter(result => result.resolved).length} of ${results.length} appointments affected by leave`);
+
+  return results;
+};
+
+/**
+ * Keep checked choices on a pending leave so they can be carried out when it is approved
+ * @param {Array} plans - Plans from checkLeaveResolutions
+ * @returns {Array} Resolutions in the shape of DoctorLeave.conflictPlan
+ */
+export const toStoredResolutions = (plans) => plans.map(plan => ({
+  appointment: plan.appointment._id,
+  action: plan.action,
+  newDate: plan.newStart,
+  colleague: plan.colleague?._id,
+  note: plan.note
+}));
+
+/**
+ * Turn the choices stored on a leave back into the shape checkLeaveResolutions expects
+ * @param {Array} resolutions - The leave's conflictPlan
+ * @returns {Array} [{ appointmentId, action, newDate, colleagueId, note }]
+ */
+export const fromStoredResolutions = (resolutions = []) => resolutions.map(resolution => ({
+  appointmentId: resolution.appointment.toString(),
+  action: resolution.action,
+  newDate: resolution.newDate,
+  colleagueId: resolution.colleague,
+  note: resolution.note
+}));
+
+/**
+ * Describe the days, and hours if any, a leave covers
+ * @param {Object} leave - DoctorLeave document
+ * @returns {string} e.g. "Oct 20, 2026 - Oct 21, 2026, 14:00-16:00"
+ */
+export const describeLeavePeriod = (leave) => {
+  // Leave days are stored at UTC midnight
+  const formatDay = (date) => date.toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+
+  const days = leave.startDate.getTime() === leave.endDate.getTime()
+    ? formatDay(leave.startDate)
+    : `${formatDay(leave.startDate)} - ${formatDay(leave.endDate)}`;
+
+  return leave.startTime ? `${days}, ${leave.startTime}-${leave.endTime}` : days;
+};
+
+/**
+ * Ask every active admin to review a new leave request.
+ * Failures are logged, never thrown, so the request is still stored.
+ * @param {Object} leave - Pending DoctorLeave document
+ * @param {Object} doctor - Doctor who requested it
+ */
+export const notifyAdminsOfLeave = async (leave, doctor) => {
+  try {
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+    const template = getNotificationTemplate('leave_requested', {
+      doctorName: `${doctor.firstName} ${doctor.lastName}`,
+      leavePeriod: describeLeavePeriod(leave)
+    });
+
+    for (const admin of admins) {
+      await createNotification({
+        recipient: admin._id,
+        sender: doctor._id,
+        type: 'leave_requested',
+        title: template.title,
+        message: template.message,
+        data: { leaveId: leave._id },
+        sendEmail: false
+      });
+    }
+  } catch (error) {
+    console.error('❌ Failed to notify admins of leave request:', error);
+  }
+};
+
+/**
+ * Tell a doctor that an admin approved or rejected their leave.
+ * Failures are logged, never thrown, so the decision still stands.
+ * @param {Object} leave - Reviewed DoctorLeave document
+ * @param {Object} admin - Admin who reviewed it
+ * @param {number} resolvedCount - Appointments updated on approval
+ */
+export const notifyLeaveDecision = async (leave, admin, resolvedCount = 0) => {
+  const type = leave.status === 'approved' ? 'leave_approved' : 'leave_rejected';
+
+  try {
+    const template = getNotificationTemplate(type, {
+      leavePeriod: describeLeavePeriod(leave),
+      reason: leave.rejectionReason,
+      resolvedCount
+    });
+
+    await createNotification({
+      recipient: leave.doctor._id,
+      sender: admin._id,
+      type,
+      title: template.title,
+      message: template.message,
+      data: { leaveId: leave._id },
+      sendEmail: false
+    });
+  } catch (error) {
+    console.error('❌ Failed to notify doctor of leave decision:', error);
+  }
+};
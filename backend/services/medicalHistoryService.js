@@ -0,0 +1,174 @@
+import MedicalHistory, { MEDICAL_HISTORY_SECTIONS } from '../models/MedicalHistory.js';
+import MedicalHistoryVersion from '../models/MedicalHistoryVersion.js';
+
+// Most entries kept in one section
+const MAX_SECTION_ENTRIES = 50;
+
+// Longest free text kept in a single field
+const MAX_FIELD_LENGTH = 1000;
+
+// A snapshot this old whose version never reached the live record was left by a save that died halfway
+const ORPHANED_SNAPSHOT_SECONDS = 60;
+
+const VERSION_CONFLICT = {
+  status: 409,
+  message: 'Your medical history was changed elsewhere. Please reload and try again.'
+};
+
+// Sections as plain entries without ids, for comparing and saving
+const toSectionValues = (history) => Object.fromEntries(
+  Object.keys(MEDICAL_HISTORY_SECTIONS).map(section => [
+    section,
+    (history[section] || []).map(entry => {
+      const { _id, ...fields } = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+      return fields;
+    })
+  ])
+);
+
+/**
+ * Read one section's entries from a request
+ * @param {string} section - Key of MEDICAL_HISTORY_SECTIONS
+ * @param {*} entries - Entries as sent by the client
+ * @returns {Object} { entries } or { error }
+ */
+export const parseSection = (section, entries) => {
+  if (!Array.isArray(entries)) {
+    return { error: `${section} must be a list` };
+  }
+
+  if (entries.length > MAX_SECTION_ENTRIES) {
+    return { error: `${section} can have at most ${MAX_SECTION_ENTRIES} entries` };
+  }
+
+  const fields = MEDICAL_HISTORY_SECTIONS[section];
+  const parsed = [];
+
+  for (const entry of entries) {
+    const value = {};
+
+    for (const [field, spec] of Object.entries(fields)) {
+      const raw = entry?.[field];
+      if (raw === undefined || raw === null || raw === '') {
+        if (spec.required) {
+          return { error: `Each entry in ${section} needs a ${field}` };
+        }
+        continue;
+      }
+
+      if (spec === Date) {
+        const date = new Date(raw);
+        if (isNaN(date.getTime())) {
+          return { error: `${field} in ${section} must be a valid date` };
+        }
+        value[field] = date;
+        continue;
+      }
+
+      const text = String(raw).trim().slice(0, MAX_FIELD_LENGTH);
+      if (spec.enum && !spec.enum.includes(text)) {
+        return { error: `${field} in ${section} must be one of: ${spec.enum.join(', ')}` };
+      }
+      if (text) {
+        value[field] = text;
+      } else if (spec.required) {
+        return { error: `Each entry in ${section} needs a ${field}` };
+      }
+    }
+
+    parsed.push(value);
+  }
+
+  return { entries: parsed };
+};
+
+// Store the snapshot of the next version; its unique version number also makes a parallel save of the same version fail
+const createSnapshot = async (history, snapshot) => {
+  try {
+    return await MedicalHistoryVersion.create(snapshot);
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // Another save got there first, unless the live record never reached that version
+    const stillCurrent = await MedicalHistory.exists({ _id: history._id, version: history.version });
+    if (!stillCurrent) {
+      return null;
+    }
+
+    // Clear a snapshot left behind by a save that died halfway, then try once more
+    const orphanedBefore = new Date(Date.now() - ORPHANED_SNAPSHOT_SECONDS * 1000);
+    const cleared = await MedicalHistoryVersion.deleteOne({
+      patient: snapshot.patient,
+      version: snapshot.version,
+      createdAt: { $lt: orphanedBefore }
+    });
+    if (cleared.deletedCount === 0) {
+      return null;
+    }
+    return MedicalHistoryVersion.create(snapshot);
+  }
+};
+
+/**
+ * Replace sections of a patient's history and record the result as a new version.
+ * The snapshot is written before the live record, so every live version has one;
+ * it is removed again if the live update does not go through.
+ * @param {Object} patient - Patient user document, also recorded as the editor
+ * @param {number} version - Version the patient was editing
+ * @param {Object} sections - Parsed entries per section to replace
+ * @returns {Promise<Object>} { history } or { status, message }
+ */
+export const updateMedicalHistory = async (patient, version, sections) => {
+  const history = await MedicalHistory.findOrCreateForPatient(patient);
+  if (history.version !== version) {
+    return VERSION_CONFLICT;
+  }
+
+  const current = toSectionValues(history);
+  const changedSections = Object.keys(sections)
+    .filter(section => JSON.stringify(sections[section]) !== JSON.stringify(current[section]));
+
+  if (changedSections.length === 0) {
+    return { history };
+  }
+
+  const snapshot = await createSnapshot(history, {
+    patient: patient._id,
+    version: version + 1,
+    ...current,
+    ...sections,
+    changedSections,
+    changedBy: patient._id
+  });
+
+  if (!snapshot) {
+    return VERSION_CONFLICT;
+  }
+
+  let updated;
+  try {
+    // Only apply the change if nobody saved in between
+    updated = await MedicalHistory.findOneAndUpdate(
+      { _id: history._id, version },
+      {
+        $set: { ...sections, updatedBy: patient._id },
+        $inc: { version: 1 }
+      },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    await MedicalHistoryVersion.deleteOne({ _id: snapshot._id });
+    throw error;
+  }
+
+  if (!updated) {
+    await MedicalHistoryVersion.deleteOne({ _id: snapshot._id });
+    return VERSION_CONFLICT;
+  }
+
+  console.log(`🩺 Patient ${patient._id} updated medical history (${changedSections.join(', ')}) to version ${updated.version}`);
+
+  return { history: updated };
+};
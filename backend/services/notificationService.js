@@ -1,6 +1,73 @@
 import Notification from '../models/Notification.js';
 import User from '../models/User.js';
-import { sendAppointmentRequestEmail, sendAppointmentConfirmationEmail } from './emailService.js';
+import { enqueueJob, registerJobHandler } from './jobQueue.js';
+import {
+  sendAppointmentRequestEmail,
+  sendAppointmentConfirmationEmail,
+  sendAppointmentReminderEmail
+} from './emailService.js';
+
+const EMAIL_JOB = 'send-notification-email';
+
+// Email sent for each notification type that has one
+const emailSenders = {
+  // Email to doctor about new appointment request
+  appointment_request: (recipient, emailData) => sendAppointmentRequestEmail(
+    recipient.email,
+    `${recipient.firstName} ${recipient.lastName}`,
+    emailData.patientName,
+    emailData.appointmentDate,
+    emailData.symptoms
+  ),
+  // Email to patient about appointment confirmation
+  appointment_confirmed: (recipient, emailData) => sendAppointmentConfirmationEmail(
+    recipient.email,
+    `${recipient.firstName} ${recipient.lastName}`,
+    emailData.doctorName,
+    emailData.appointmentDate
+  ),
+  // Reminder to either participant
+  appointment_reminder: (recipient, emailData) => sendAppointmentReminderEmail(
+    recipient.email,
+    `${recipient.firstName} ${recipient.lastName}`,
+    emailData.withLabel,
+    emailData.withName,
+    emailData.appointmentDate,
+    emailData.timeUntil,
+    emailData.meetingLink
+  )
+};
+
+/**
+ * Queue a notification email; the job queue retries it if sending fails
+ * @param {string} type - Notification type with an email template
+ * @param {string} recipientId - User to email
+ * @param {Object} emailData - Values for the email template
+ * @param {string} notificationId - Notification to mark as emailed, if any
+ * @returns {Promise<Object>} The queued job
+ */
+export const queueNotificationEmail = (type, recipientId, emailData, notificationId = null) => {
+  return enqueueJob(EMAIL_JOB, { type, recipientId, emailData, notificationId });
+};
+
+registerJobHandler(EMAIL_JOB, async ({ type, recipientId, emailData, notificationId }) => {
+  const recipientUser = await User.findById(recipientId).select('email firstName lastName');
+
+  if (!recipientUser || !recipientUser.email) {
+    console.log('⚠️ Recipient email not found, skipping email');
+    return;
+  }
+
+  const result = await emailSenders[type](recipientUser, emailData);
+  if (!result.success) {
+    throw new Error(result.error || result.message);
+  }
+
+  if (notificationId) {
+    await Notification.updateOne({ _id: notificationId }, { isEmailSent: true });
+  }
+  console.log(`📧 Email sent successfully for ${type}`);
+});
 
 export const createNotification = async ({
   recipient,
@@ -30,36 +97,12 @@ export const createNotification = async ({
 
     console.log(`✅ Notification created successfully: ${notification._id}`);
 
-    // Send email if requested and for appointment notifications
+    // Queue email if requested and for appointment notifications
     if (sendEmail && (type === 'appointment_request' || type === 'appointment_confirmed')) {
       try {
-        const recipientUser = await User.findById(recipient).select('email firstName lastName');
-
-        if (recipientUser && recipientUser.email) {
-          if (type === 'appointment_request') {
-            // Email to doctor about new appointment request
-            await sendAppointmentRequestEmail(
-              recipientUser.email,
-              `${recipientUser.firstName} ${recipientUser.lastName}`,
-              emailData.patientName,
-              emailData.appointmentDate,
-              emailData.symptoms
-            );
-          } else if (type === 'appointment_confirmed') {
-            // Email to patient about appointment confirmation
-            await sendAppointmentConfirmationEmail(
-              recipientUser.email,
-              `${recipientUser.firstName} ${recipientUser.lastName}`,
-              emailData.doctorName,
-              emailData.appointmentDate
-            );
-          }
-          console.log(`📧 Email sent successfully for ${type}`);
-        } else {
-          console.log('⚠️ Recipient email not found, skipping email');
-        }
+        await queueNotificationEmail(type, recipient, emailData, notification._id);
       } catch (emailError) {
-        console.error('❌ Failed to send email:', emailError);
+        console.error('❌ Failed to queue email:', emailError);
         // Don't throw error, continue with notification creation
       }
     }
@@ -83,7 +126,87 @@ export const getNotificationTemplate = (type, data) => {
     },
     appointment_cancelled: {
       title: 'Appointment Cancelled',
-      message: `Your appointment scheduled for ${data.appointmentDate} has been cancelled. If you need to reschedule, please book a new appointment.`
+      message: `Your appointment scheduled for ${data.appointmentDate} has been cancelled.${data.reason ? ` Reason: ${data.reason}` : ''} If you need to reschedule, please book a new appointment.`
+    },
+    appointment_cancelled_by_patient: {
+      title: 'Appointment Cancelled by Patient',
+      message: `${data.patientName} has cancelled the appointment scheduled for ${data.appointmentDate}.${data.reason ? ` Reason: ${data.reason}` : ''}`
+    },
+    appointment_rescheduled: {
+      title: 'Appointment Rescheduled',
+      message: `${data.patientName} has moved the appointment from ${data.previousDate} to ${data.appointmentDate}.${data.reason ? ` Reason: ${data.reason}` : ''} Please review and confirm the new time.`
+    },
+    appointment_moved_by_doctor: {
+      title: 'Appointment Moved',
+      message: `Dr. ${data.doctorName} has moved your appointment from ${data.previousDate} to ${data.appointmentDate}.${data.reason ? ` Reason: ${data.reason}` : ''}`
+    },
+    appointment_handed_off: {
+      title: 'Appointment Handed Over',
+      message: `Dr. ${data.doctorName} is unavailable, so your appointment on ${data.appointmentDate} will be with Dr. ${data.colleagueName} instead.${data.reason ? ` Reason: ${data.reason}` : ''}`
+    },
+    appointment_handoff_received: {
+      title: 'Appointment Handed Over to You',
+      message: `Dr. ${data.doctorName} has handed over the appointment with ${data.patientName} on ${data.appointmentDate} to you.`
+    },
+    appointment_expired: {
+      title: 'Appointment Request Expired',
+      message: `The appointment request for ${data.appointmentDate} was not confirmed before its time passed and has expired. Please book a new appointment if you still need a consultation.`
+    },
+    appointment_missed: {
+      title: 'Appointment Missed',
+      message: `No video consultation took place for the appointment on ${data.appointmentDate}, so it has been marked as missed.`
+    },
+    appointment_no_show: {
+      title: 'Appointment Marked as No-Show',
+      message: `The patient did not join the video consultation on ${data.appointmentDate}, so it has been marked as a no-show.`
+    },
+    appointment_reminder: {
+      title: 'Appointment Reminder',
+      message: `Your appointment with ${data.withName} starts in ${data.timeUntil} (${data.appointmentDate}). Please be ready to join the video consultation.`
+    },
+    follow_up_scheduled: {
+      title: 'Follow-up Appointments Scheduled',
+      message: `Dr. ${data.doctorName} has scheduled ${data.count} follow-up appointment${data.count === 1 ? '' : 's'} for you, ${data.frequency}, starting ${data.appointmentDate}.`
+    },
+    follow_up_cancelled: {
+      title: 'Follow-up Series Cancelled',
+      message: `${data.cancelledBy} has cancelled ${data.count} upcoming follow-up appointment${data.count === 1 ? '' : 's'}.${data.reason ? ` Reason: ${data.reason}` : ''}`
+    },
+    follow_up_rescheduled: {
+      title: 'Follow-up Series Moved',
+      message: `Dr. ${data.doctorName} has moved ${data.count} upcoming follow-up appointment${data.count === 1 ? '' : 's'}. The next one is now on ${data.appointmentDate}.${data.reason ? ` Reason: ${data.reason}` : ''}`
+    },
+    waitlist_slot_offered: {
+      title: 'A Slot Opened Up',
+      message: `A slot with Dr. ${data.doctorName} opened up on ${data.appointmentDate}. It is held for you for ${data.holdMinutes} minutes - accept it from your appointments page to book it.`
+    },
+    waitlist_offer_expired: {
+      title: 'Waitlist Offer Expired',
+      message: `The slot with Dr. ${data.doctorName} on ${data.appointmentDate} was not accepted in time and has been offered to the next patient. You are still on the waitlist.`
+    },
+    leave_requested: {
+      title: 'New Leave Request',
+      message: `Dr. ${data.doctorName} has requested leave for ${data.leavePeriod}. Please review the request.`
+    },
+    leave_approved: {
+      title: 'Leave Approved',
+      message: `Your leave for ${data.leavePeriod} has been approved.${data.resolvedCount ? ` ${data.resolvedCount} affected appointment(s) were updated as you planned.` : ''}`
+    },
+    leave_rejected: {
+      title: 'Leave Rejected',
+      message: `Your leave request for ${data.leavePeriod} has been rejected. Reason: ${data.reason}`
+    },
+    verification_requested: {
+      title: 'New Credential Verification',
+      message: `Dr. ${data.doctorName} has submitted license ${data.licenseNumber} for verification. Please review the documents.`
+    },
+    verification_approved: {
+      title: 'Credentials Verified',
+      message: `Your credentials have been verified. Patients can now find you and book appointments with you.`
+    },
+    verification_rejected: {
+      title: 'Credential Verification Rejected',
+      message: `Your credential verification was rejected. Reason: ${data.reason}. You can upload new documents and submit again.`
     },
     appointment_completed: {
       title: 'Consultation Completed',
@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import Appointment, { ACTIVE_APPOINTMENT_STATUSES } from '../models/Appointment.js';
+
+// Ways the patient list can be ordered, each with the field it sorts on
+export const PATIENT_SORTS = {
+  name: 'sortName',
+  lastVisit: 'lastVisit',
+  nextVisit: 'nextVisit',
+  visits: 'totalAppointments'
+};
+
+// Most patients returned on one page
+const MAX_PAGE_SIZE = 100;
+
+// Patient fields a doctor sees in the registry
+const PATIENT_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'dateOfBirth', 'gender', 'avatar'];
+
+// Match search text literally, not as a pattern
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Every patient a doctor has had an appointment with, with visit figures from the full history
+ * @param {Object} doctor - Doctor user document
+ * @param {Object} options - { search, sort, order, page, limit }
+ * @returns {Promise<Object>} { patients, total, totalPages, currentPage }
+ */
+export const getDoctorPatients = async (doctor, { search, sort = 'lastVisit', order, page = 1, limit = 20 } = {}) => {
+  const now = new Date();
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || 20));
+  const sortField = PATIENT_SORTS[sort] || PATIENT_SORTS.lastVisit;
+  // Names read best A-Z, dates and counts most recent or largest first
+  const direction = order ? (order === 'asc' ? 1 : -1) : (sort === 'name' ? 1 : -1);
+
+  const pipeline = [
+    { $match: { doctor: doctor._id } },
+    {
+      $group: {
+        _id: '$patient',
+        totalAppointments: { $sum: 1 },
+        completedAppointments: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        totalPrescriptions: {
+          $sum: {
+            $cond: [
+              { $eq: ['$status', 'completed'] },
+              { $size: { $ifNull: ['$prescription.medications', []] } },
+              0
+            ]
+          }
+        },
+        lastVisit: {
+          $max: { $cond: [{ $eq: ['$status', 'completed'] }, '$appointmentDate', null] }
+        },
+        nextVisit: {
+          $min: {
+            $cond: [
+              { $and: [{ $in: ['$status', ACTIVE_APPOINTMENT_STATUSES] }, { $gt: ['$appointmentDate', now] }] },
+              '$appointmentDate',
+              null
+            ]
+          }
+        }
+      }
+    },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'patient' } },
+    { $unwind: '$patient' },
+    {
+      $addFields: {
+        sortName: { $toLower: { $concat: ['$patient.firstName', ' ', '$patient.lastName'] } }
+      }
+    }
+  ];
+
+  if (typeof search === 'string' && search.trim()) {
+    const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+    pipeline.push({
+      $match: {
+        $or: [
+          { 'patient.firstName': pattern },
+          { 'patient.lastName': pattern },
+          { 'patient.email': pattern },
+          { sortName: pattern }
+        ]
+      }
+    });
+  }
+
+  const [result] = await Appointment.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        patients: [
+          // Patients without the sorted date go last either way
+          { $addFields: { hasSortValue: { $cond: [{ $eq: [`$${sortField}`, null] }, 0, 1] } } },
+          { $sort: { hasSortValue: -1, [sortField]: direction, _id: 1 } },
+          { $skip: (pageNumber - 1) * pageSize },
+          { $limit: pageSize },
+          {
+            $project: {
+              _id: 0,
+              patient: Object.fromEntries(['_id', ...PATIENT_FIELDS].map(field => [field, `$patient.${field}`])),
+              totalAppointments: 1,
+              completedAppointments: 1,
+              totalPrescriptions: 1,
+              lastVisit: 1,
+              nextVisit: 1
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+
+  return {
+    patients: result.patients.map(({ patient, ...stats }) => ({ ...patient, ...stats })),
+    total,
+    totalPages: Math.ceil(total / pageSize),
+    currentPage: pageNumber
+  };
+};
+
+/**
+ * One patient's full timeline with a doctor, newest first
+ * @param {Object} doctor - Doctor user document
+ * @param {string} patientId - Patient user ID
+ * @returns {Promise<Object|null>} { patient, appointments }, or null if they have never had an appointment together
+ */
+export const getPatientHistory = async (doctor, patientId) => {
+  if (!mongoose.Types.ObjectId.isValid(patientId)) {
+    return null;
+  }
+
+  const appointments = await Appointment.find({ doctor: doctor._id, patient: patientId })
+    .populate('patient', PATIENT_FIELDS.join(' '))
+    .populate({ path: 'statusHistory.changedBy', select: 'firstName lastName role' })
+    .sort({ appointmentDate: -1 });
+
+  if (appointments.length === 0 || !appointments[0].patient) {
+    return null;
+  }
+
+  const { patient } = appointments[0];
+
+  return {
+    patient,
+    appointments: appointments.map(appointment => {
+      const entry = appointment.toObject();
+      delete entry.patient;
+      return entry;
+    })
+  };
+};
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { disconnectSession } from '../socket/handlers.js';
+import { isTwoFactorRequired } from './twoFactorService.js';
+
+// Access tokens are short-lived; the refresh token keeps the device signed in
+export const ACCESS_TOKEN_TTL = '15m';
+
+// How long a device stays signed in without being used
+const REFRESH_TOKEN_DAYS = 30;
+
+// How long the previous refresh token is still honoured after a rotation
+const REFRESH_GRACE_SECONDS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens carry the session ID so a presented token can be checked against its session
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user._id, role: user.role, sid: sessionId },
+  process.env.JWT_SECRET || 'your-secret-key',
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Device details shown in the session list
+const describeRequest = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 300),
+  ipAddress: req.ip || ''
+});
+
+/**
+ * Start a session for a user who has just signed in or registered
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for the device details
+ * @returns {Promise<Object>} { token, refreshToken, session }
+ */
+export const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    // Replaced below once the ID is known
+    refreshTokenHash: crypto.randomBytes(16).toString('hex'),
+    expiresAt: refreshExpiry(),
+    ...describeRequest(req)
+  });
+
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token.
+ * Presenting a refresh token that was already rotated away revokes the whole session.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request, for the device details
+ * @returns {Promise<Object>} { token, refreshToken } or { status, message }
+ */
+export const refreshSession = async (refreshToken, req) => {
+  const [sessionId] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return { status: 401, message: 'Invalid refresh token' };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return { status: 401, message: 'Your session has ended. Please sign in again.' };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (presentedHash !== session.refreshTokenHash) {
+    const withinGrace = presentedHash === session.previousRefreshTokenHash &&
+      session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REFRESH_GRACE_SECONDS * 1000;
+
+    if (withinGrace) {
+      // Another tab refreshed first; it holds the new tokens
+      return { status: 409, message: 'This session was just refreshed' };
+    }
+
+    // An old token came back: whoever holds it is not the current holder, so end the session for both
+    await revokeSession(session._id, 'reuse_detected');
+    return { status: 401, message: 'Your session has ended. Please sign in again.' };
+  }
+
+  const user = await User.findById(session.user);
+  const blockMessage = user ? user.getAccessBlockMessage() : 'Invalid refresh token';
+  if (blockMessage) {
+    return { status: 401, message: blockMessage };
+  }
+
+  // Sessions started before two-factor became mandatory end here, so the next sign-in enrolls an app
+  if (isTwoFactorRequired(user) && !user.twoFactor?.enabled) {
+    await revokeSession(session._id, 'revoked');
+    return { status: 401, message: 'Two-factor authentication is now required. Please sign in again to set it up.' };
+  }
+
+  const nextRefreshToken = newRefreshToken(session._id);
+
+  // Rotate only if no other request rotated this token in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      previousRefreshTokenHash: presentedHash,
+      rotatedAt: new Date(),
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+      ...describeRequest(req)
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return { status: 409, message: 'This session was just refreshed' };
+  }
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: nextRefreshToken
+  };
+};
+
+/**
+ * End one session and close its open sockets
+ * @param {Object|string} sessionId - Session to revoke
+ * @param {string} reason - One of SESSION_REVOKE_REASONS
+ * @param {Object} filter - Extra conditions, e.g. { user } so users only revoke their own sessions
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+export const revokeSession = async (sessionId, reason, filter = {}) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null, ...filter },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  disconnectSession(sessionId.toString());
+  return true;
+};
+
+/**
+ * End every active session of a user, e.g. "log out everywhere"
+ * @param {Object|string} userId - User whose sessions to revoke
+ * @param {string} reason - One of SESSION_REVOKE_REASONS
+ * @param {Object|string} exceptSessionId - A session to keep, if any
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(query).select('_id');
+  if (sessions.length === 0) {
+    return 0;
+  }
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  sessions.forEach(session => disconnectSession(session._id.toString()));
+  return sessions.length;
+};
+
+/**
+ * End the session a refresh token belongs to, for signing out from this device
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+export const revokeSessionByRefreshToken = async (refreshToken) => {
+  const [sessionId] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return false;
+  }
+
+  // Either the current or the just-rotated token may sign the device out
+  const hash = hashToken(refreshToken);
+  return revokeSession(sessionId, 'logout', {
+    $or: [{ refreshTokenHash: hash }, { previousRefreshTokenHash: hash }]
+  });
+};
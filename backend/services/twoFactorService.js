@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import User from '../models/User.js';
+import {
+  generateTOTPSecret,
+  verifyTOTP,
+  buildOTPAuthUrl,
+  generateSecureToken,
+  signPurposeToken,
+  verifyPurposeToken,
+  otpRateLimiter
+} from '../utils/otpUtils.js';
+
+// Number of single-use recovery codes handed out at a time
+const RECOVERY_CODE_COUNT = 10;
+
+// How long the user has to enter the second factor after the password was accepted
+const LOGIN_CHALLENGE_TTL = '5m';
+
+// Most second-factor attempts per account in the rate limiter's 15-minute window
+const MAX_CODE_ATTEMPTS = 5;
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(code.replace(/[^a-z0-9]/gi, '').toLowerCase())
+  .digest('hex');
+
+// e.g. "3f9a-c21b"; shown once, never stored in plain text
+const newRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = generateSecureToken(4);
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+});
+
+const attemptsKey = (userId) => `two-factor:${userId}`;
+
+/**
+ * Whether the org requires this account to use two-factor authentication.
+ * Set REQUIRE_DOCTOR_2FA=true to make it mandatory for doctors.
+ * @param {Object} user - User document
+ * @returns {boolean} True if the account may not sign in without it
+ */
+export const isTwoFactorRequired = (user) => {
+  return user.role === 'doctor' && process.env.REQUIRE_DOCTOR_2FA === 'true';
+};
+
+/**
+ * Start enrollment: keep a new secret as pending and return what the authenticator app needs
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } where qrCode is a PNG data URL
+ */
+export const beginTwoFactorSetup = async (user) => {
+  const secret = generateTOTPSecret();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+  const otpauthUrl = buildOTPAuthUrl(secret, user.email);
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+/**
+ * Finish enrollment once the app produces a valid code for the pending secret
+ * @param {Object} user - User document, loaded with its twoFactor fields
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<string[]|null>} Recovery codes to show once, or null if the code is wrong
+ */
+export const enableTwoFactor = async (user, code) => {
+  const pendingSecret = user.twoFactor?.pendingSecret;
+  const step = verifyTOTP(pendingSecret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const recoveryCodes = newRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': pendingSecret,
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.recoveryCodeHashes': recoveryCodes.map(hashRecoveryCode),
+      'twoFactor.enabledAt': new Date()
+    },
+    $unset: { 'twoFactor.pendingSecret': 1 }
+  });
+
+  console.log(`🔐 Two-factor authentication enabled for user ${user._id}`);
+  return recoveryCodes;
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+export const disableTwoFactor = async (user) => {
+  await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+  console.log(`🔓 Two-factor authentication disabled for user ${user._id}`);
+};
+
+/**
+ * Replace all recovery codes, e.g. when the old ones were used up or lost
+ * @param {Object} user - User document
+ * @returns {Promise<string[]>} New recovery codes to show once
+ */
+export const regenerateRecoveryCodes = async (user) => {
+  const recoveryCodes = newRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodeHashes': recoveryCodes.map(hashRecoveryCode) });
+  return recoveryCodes;
+};
+
+/**
+ * Check a second factor: a code from the app or an unused recovery code, which is then spent.
+ * Attempts are rate limited per account.
+ * @param {Object} user - User document, loaded with its twoFactor fields
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<Object>} { success } or { success: false, status, message }
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  const rateLimit = otpRateLimiter.canMakeRequest(attemptsKey(user._id), MAX_CODE_ATTEMPTS);
+  if (!rateLimit.allowed) {
+    return { success: false, status: 429, message: rateLimit.message };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(String(recoveryCode));
+    // Pull the code atomically so it cannot be spent twice
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodeHashes': hash },
+      { $pull: { 'twoFactor.recoveryCodeHashes': hash } }
+    );
+    if (result.modifiedCount === 0) {
+      return { success: false, status: 400, message: 'Invalid recovery code' };
+    }
+    console.log(`🔐 User ${user._id} signed in with a recovery code`);
+  } else {
+    const step = verifyTOTP(user.twoFactor?.secret, code, user.twoFactor?.lastUsedStep ?? -1);
+    if (step === null) {
+      return { success: false, status: 400, message: 'Invalid authentication code' };
+    }
+    // Only move forward, so a code accepted by a parallel request is not accepted again
+    const result = await User.updateOne(
+      { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    if (result.modifiedCount === 0) {
+      return { success: false, status: 400, message: 'This code was already used. Wait for the next one.' };
+    }
+  }
+
+  otpRateLimiter.reset(attemptsKey(user._id));
+  return { success: true };
+};
+
+/**
+ * Sign the token that carries a password-checked login over to the second step
+ * @param {Object} user - User whose password was accepted
+ * @returns {string} Short-lived challenge token
+ */
+export const signLoginChallenge = (user) => {
+  return signPurposeToken({ userId: user._id.toString() }, 'two_factor_login', LOGIN_CHALLENGE_TTL);
+};
+
+/**
+ * Load the user a login challenge token was issued for
+ * @param {string} token - Token from signLoginChallenge
+ * @returns {Promise<Object|null>} User document, or null if the token is invalid or expired
+ */
+export const findUserForLoginChallenge = async (token) => {
+  const decoded = verifyPurposeToken(token, 'two_factor_login');
+  return decoded ? User.findById(decoded.userId) : null;
+};
@@ -0,0 +1,60 @@
+import User from '../models/User.js';
+import { createNotification, getNotificationTemplate } from './notificationService.js';
+
+/**
+ * Ask every active admin to review a doctor's credentials.
+ * Failures are logged, never thrown, so the request is still stored.
+ * @param {Object} verification - Pending DoctorVerification document
+ * @param {Object} doctor - Doctor who submitted it
+ */
+export const notifyAdminsOfVerification = async (verification, doctor) => {
+  try {
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+    const template = getNotificationTemplate('verification_requested', {
+      doctorName: `${doctor.firstName} ${doctor.lastName}`,
+      licenseNumber: verification.licenseNumber
+    });
+
+    for (const admin of admins) {
+      await createNotification({
+        recipient: admin._id,
+        sender: doctor._id,
+        type: 'verification_requested',
+        title: template.title,
+        message: template.message,
+        data: { verificationId: verification._id },
+        sendEmail: false
+      });
+    }
+  } catch (error) {
+    console.error('❌ Failed to notify admins of verification request:', error);
+  }
+};
+
+/**
+ * Tell a doctor that an admin approved or rejected their credentials.
+ * Failures are logged, never thrown, so the decision still stands.
+ * @param {Object} verification - Reviewed DoctorVerification document
+ * @param {Object} admin - Admin who reviewed it
+ */
+export const notifyVerificationDecision = async (verification, admin) => {
+  const type = verification.status === 'approved' ? 'verification_approved' : 'verification_rejected';
+
+  try {
+    const template = getNotificationTemplate(type, {
+      reason: verification.rejectionReason
+    });
+
+    await createNotification({
+      recipient: verification.doctor._id,
+      sender: admin._id,
+      type,
+      title: template.title,
+      message: template.message,
+      data: { verificationId: verification._id },
+      sendEmail: false
+    });
+  } catch (error) {
+    console.error('❌ Failed to notify doctor of verification decision:', error);
+  }
+};
@@ -0,0 +1,280 @@
+import User from '../models/User.js';
+import Appointment, { ACTIVE_APPOINTMENT_STATUSES } from '../models/Appointment.js';
+import DoctorLeave from '../models/DoctorLeave.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import { enqueueJob, registerJobHandler, scheduleRecurringJob } from './jobQueue.js';
+import { createNotification, getNotificationTemplate } from './notificationService.js';
+import { emitToUser } from '../socket/handlers.js';
+import {
+  generateTimeSlotsInRange,
+  getSlotDuration,
+  getDoctorTimeZone,
+  getStoredDayRange,
+  rangesOverlap,
+  findLeaveAt,
+  MAX_SLOT_DURATION
+} from '../utils/scheduleUtils.js';
+import { formatDateTimeInZone } from '../utils/timeZoneUtils.js';
+
+const OFFER_JOB = 'waitlist-offer';
+const HOLD_EXPIRY_JOB = 'waitlist-hold-expiry';
+const SWEEP_JOB = 'waitlist-sweep';
+const SWEEP_INTERVAL_MINUTES = 10;
+
+// Offer passes for a doctor are batched into one job per window, so a burst of freed
+// slots does not start parallel passes that could hold the same slot for two patients
+const OFFER_BATCH_SECONDS = 60;
+
+// How long an offered slot is held, unless WAITLIST_HOLD_MINUTES overrides it
+const DEFAULT_HOLD_MINUTES = 30;
+
+// Read the hold length at run time (dotenv loads after this module)
+const getHoldMinutes = () => {
+  const value = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10);
+  return Number.isNaN(value) || value <= 0 ? DEFAULT_HOLD_MINUTES : value;
+};
+
+// Times an entry covers, from the start of its first day to the end of its last in the doctor's zone
+const getEntryRange = (entry, doctor) => {
+  return getStoredDayRange(entry.startDate, entry.endDate, getDoctorTimeZone(doctor));
+};
+
+/**
+ * Find a doctor's free slots in [start, end): inside availability, off leave,
+ * clear of active appointments and of slots already held for someone on the waitlist
+ * @param {Object} doctor - Doctor user document
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end (exclusive)
+ * @returns {Promise<Date[]>} Free slot start times in chronological order
+ */
+export const findFreeSlots = async (doctor, start, end) => {
+  const now = new Date();
+  const slots = generateTimeSlotsInRange(doctor, start, end).filter(slot => slot > now);
+
+  if (slots.length === 0) {
+    return [];
+  }
+
+  const duration = getSlotDuration(doctor);
+  const timeZone = getDoctorTimeZone(doctor);
+  const searchStart = new Date(slots[0].getTime() - MAX_SLOT_DURATION * 60 * 1000);
+  const searchEnd = new Date(slots[slots.length - 1].getTime() + duration * 60 * 1000);
+
+  const leaves = await DoctorLeave.findApprovedInRange(doctor._id, slots[0], searchEnd, timeZone);
+
+  const appointments = await Appointment.find({
+    doctor: doctor._id,
+    appointmentDate: { $gte: searchStart, $lt: searchEnd },
+    status: { $in: ACTIVE_APPOINTMENT_STATUSES }
+  });
+
+  const holds = await WaitlistEntry.find({
+    doctor: doctor._id,
+    status: 'offered',
+    'hold.expiresAt': { $gt: now },
+    'hold.start': { $gte: searchStart, $lt: searchEnd }
+  });
+
+  return slots.filter(slot => {
+    const onLeave = Boolean(findLeaveAt(leaves, slot, duration, timeZone));
+    const booked = appointments.some(apt => rangesOverlap(slot, duration, apt.appointmentDate, apt.duration));
+    const held = holds.some(entry => rangesOverlap(slot, duration, entry.hold.start, entry.hold.duration));
+
+    return !onLeave && !booked && !held;
+  });
+};
+
+// Hold a slot for a waiting patient and tell them about it
+const offerSlot = async (entry, doctor, slot) => {
+  const holdMinutes = getHoldMinutes();
+  const expiresAt = new Date(Date.now() + holdMinutes * 60 * 1000);
+
+  // The patient may have left the waitlist since the queue was read
+  const offered = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting' },
+    {
+      $set: {
+        status: 'offered',
+        hold: { start: slot, duration: getSlotDuration(doctor), offeredAt: new Date(), expiresAt }
+      },
+      $inc: { offersMade: 1 }
+    },
+    { new: true }
+  ).populate('patient', 'firstName lastName timeZone');
+
+  if (!offered) {
+    return;
+  }
+
+  await enqueueJob(HOLD_EXPIRY_JOB, { entryId: offered._id.toString() }, {
+    runAt: expiresAt,
+    uniqueKey: `${HOLD_EXPIRY_JOB}:${offered._id}:${expiresAt.toISOString()}`
+  });
+
+  const template = getNotificationTemplate('waitlist_slot_offered', {
+    doctorName: `${doctor.firstName} ${doctor.lastName}`,
+    appointmentDate: formatDateTimeInZone(slot, offered.patient.timeZone),
+    holdMinutes
+  });
+
+  await createNotification({
+    recipient: offered.patient._id,
+    sender: doctor._id,
+    type: 'waitlist_slot_offered',
+    title: template.title,
+    message: template.message,
+    sendEmail: false
+  });
+
+  // The hold is short, so push it to an open session straight away
+  emitToUser(offered.patient._id.toString(), 'new-notification', {
+    type: 'waitlist_slot_offered',
+    title: template.title,
+    message: template.message,
+    waitlistEntryId: offered._id
+  });
+
+  console.log(`🎟️ Held ${slot.toISOString()} with doctor ${doctor._id} for waitlist entry ${offered._id}`);
+};
+
+// Offer a doctor's free slots to the waiting patients, first come first served
+const offerOpenSlots = async ({ doctorId }) => {
+  const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+  if (!doctor) {
+    return;
+  }
+
+  const waiting = await WaitlistEntry.find({ doctor: doctor._id, status: 'waiting' }).sort({ createdAt: 1 });
+
+  for (const entry of waiting) {
+    const { start, end } = getEntryRange(entry, doctor);
+    const passed = entry.passedSlots.map(slot => slot.getTime());
+
+    // Each offer becomes a hold, so the next patient sees the slot as taken
+    const slot = (await findFreeSlots(doctor, start, end)).find(free => !passed.includes(free.getTime()));
+    if (slot) {
+      await offerSlot(entry, doctor, slot);
+    }
+  }
+};
+
+// Give a lapsed hold back to the queue; the patient keeps their place for other slots
+const expireHold = async ({ entryId }) => {
+  const entry = await WaitlistEntry.findOne({
+    _id: entryId,
+    status: 'offered',
+    'hold.expiresAt': { $lte: new Date() }
+  }).populate('patient', 'firstName lastName timeZone').populate('doctor', 'firstName lastName');
+
+  if (!entry) {
+    return;
+  }
+
+  const released = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', 'hold.expiresAt': entry.hold.expiresAt },
+    { $set: { status: 'waiting' }, $push: { passedSlots: entry.hold.start }, $unset: { hold: 1 } }
+  );
+
+  // Accepted or declined at the last moment
+  if (!released) {
+    return;
+  }
+
+  console.log(`⌛ Waitlist hold for entry ${entry._id} lapsed`);
+
+  const template = getNotificationTemplate('waitlist_offer_expired', {
+    doctorName: `${entry.doctor.firstName} ${entry.doctor.lastName}`,
+    appointmentDate: formatDateTimeInZone(entry.hold.start, entry.patient.timeZone)
+  });
+
+  await createNotification({
+    recipient: entry.patient._id,
+    sender: entry.doctor._id,
+    type: 'waitlist_offer_expired',
+    title: template.title,
+    message: template.message,
+    sendEmail: false
+  });
+
+  await offerOpenSlots({ doctorId: entry.doctor._id });
+};
+
+// Close entries whose dates have passed, release lapsed holds and retry offers for every waiting queue
+const sweepWaitlists = async () => {
+  const now = new Date();
+
+  // The last day ends at most a day and a half after its UTC midnight, whatever the zone
+  const candidates = await WaitlistEntry.find({ status: 'waiting', endDate: { $lt: now } }).populate('doctor');
+  for (const entry of candidates) {
+    if (!entry.doctor || getEntryRange(entry, entry.doctor).end <= now) {
+      await WaitlistEntry.updateOne({ _id: entry._id, status: 'waiting' }, { $set: { status: 'expired' } });
+    }
+  }
+
+  const lapsed = await WaitlistEntry.find({ status: 'offered', 'hold.expiresAt': { $lte: now } }).select('_id');
+  for (const entry of lapsed) {
+    await expireHold({ entryId: entry._id });
+  }
+
+  // Catches slots freed by paths that do not queue offers themselves, such as expired requests
+  const doctorIds = await WaitlistEntry.distinct('doctor', { status: 'waiting' });
+  for (const doctorId of doctorIds) {
+    await offerOpenSlots({ doctorId });
+  }
+};
+
+registerJobHandler(OFFER_JOB, offerOpenSlots);
+registerJobHandler(HOLD_EXPIRY_JOB, expireHold);
+registerJobHandler(SWEEP_JOB, sweepWaitlists);
+
+/**
+ * Queue a pass over a doctor's waitlist after one of their slots may have opened up.
+ * The pass runs at the end of the current batch window, once per doctor and window.
+ * Failures are logged, never thrown, so the change that freed the slot still goes through.
+ * @param {string} doctorId - Doctor whose waitlist to serve
+ */
+export const queueWaitlistOffers = async (doctorId) => {
+  try {
+    const batchMs = OFFER_BATCH_SECONDS * 1000;
+    const runAt = new Date((Math.floor(Date.now() / batchMs) + 1) * batchMs);
+    await enqueueJob(OFFER_JOB, { doctorId: doctorId.toString() }, {
+      runAt,
+      uniqueKey: `${OFFER_JOB}:${doctorId}:${runAt.toISOString()}`
+    });
+  } catch (error) {
+    console.error('❌ Failed to queue waitlist offers:', error);
+  }
+};
+
+/**
+ * Withdraw the holds that overlap blocked time, such as leave a doctor has just taken,
+ * and look for other slots for those patients
+ * @param {string} doctorId - Doctor
+ * @param {Array} intervals - [{ start, end }] now blocked
+ */
+export const releaseHoldsInIntervals = async (doctorId, intervals) => {
+  const holdEnd = { $add: ['$hold.start', { $multiply: ['$hold.duration', 60 * 1000] }] };
+  const result = await WaitlistEntry.updateMany(
+    {
+      doctor: doctorId,
+      status: 'offered',
+      $or: intervals.map(interval => ({
+        $expr: {
+          $and: [{ $lt: ['$hold.start', interval.end] }, { $gt: [holdEnd, interval.start] }]
+        }
+      }))
+    },
+    { $set: { status: 'waiting' }, $unset: { hold: 1 } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`🎟️ Withdrew ${result.modifiedCount} waitlist holds for doctor ${doctorId}`);
+    await queueWaitlistOffers(doctorId);
+  }
+};
+
+// Queue the periodic waitlist sweep; the job worker is started by the appointment scheduler
+export const startWaitlistSweep = () => {
+  scheduleRecurringJob(SWEEP_JOB, SWEEP_INTERVAL_MINUTES);
+  console.log(`✅ Waitlist sweep scheduled every ${SWEEP_INTERVAL_MINUTES} minutes`);
+};
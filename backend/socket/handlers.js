@@ -1,11 +1,70 @@
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
 import Message from '../models/Message.js';
 import Conversation from '../models/Conversation.js';
 import Appointment from '../models/Appointment.js';
 import { createNotification, getNotificationTemplate } from '../services/notificationService.js';
+import { verifyAccessToken } from '../middleware/auth.js';
+
+// Socket.io server, kept so services outside the socket handlers can push events
+let ioServer = null;
+
+/**
+ * Push an event to every open connection of a user
+ * @param {string} userId - Recipient user ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ * @returns {boolean} False if the socket server is not running
+ */
+export const emitToUser = (userId, event, payload) => {
+  if (!ioServer) {
+    return false;
+  }
+  ioServer.to(`user-${userId}`).emit(event, payload);
+  return true;
+};
+
+/**
+ * Close every open connection of a user whose account was suspended or deleted
+ * @param {string} userId - User to disconnect
+ * @param {string} message - Why the account can no longer be used
+ * @returns {boolean} False if the socket server is not running
+ */
+export const disconnectUser = (userId, message) => {
+  if (!ioServer) {
+    return false;
+  }
+  ioServer.to(`user-${userId}`).emit('account-blocked', { message });
+  ioServer.in(`user-${userId}`).disconnectSockets(true);
+  return true;
+};
+
+/**
+ * Close the open connections of one signed-in device whose session was revoked
+ * @param {string} sessionId - Revoked session
+ * @returns {boolean} False if the socket server is not running
+ */
+export const disconnectSession = (sessionId) => {
+  if (!ioServer) {
+    return false;
+  }
+  ioServer.to(`session-${sessionId}`).emit('session-revoked', { message: 'You have been signed out' });
+  ioServer.in(`session-${sessionId}`).disconnectSockets(true);
+  return true;
+};
+
+// Store call activity on the appointment; failures must not interrupt the call itself
+const recordVideoSession = async (appointmentId, userId, fields, filter = {}) => {
+  try {
+    await Appointment.updateOne(
+      { _id: appointmentId, $or: [{ patient: userId }, { doctor: userId }], ...filter },
+      { $set: fields }
+    );
+  } catch (error) {
+    console.error('❌ Error recording video session:', error);
+  }
+};
 
 export const setupSocketHandlers = (io) => {
+  ioServer = io;
   const activeUsers = new Map();
   const activeCalls = new Map();
 
@@ -17,14 +76,13 @@ export const setupSocketHandlers = (io) => {
         return next(new Error('Authentication error'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-      const user = await User.findById(decoded.userId).select('-password');
-      
+      const { user, sessionId, message } = await verifyAccessToken(token);
       if (!user) {
-        return next(new Error('User not found'));
+        return next(new Error(message));
       }
 
       socket.userId = user._id.toString();
+      socket.sessionId = sessionId;
       socket.user = user;
       next();
     } catch (error) {
@@ -51,6 +109,9 @@ export const setupSocketHandlers = (io) => {
     // Join user's personal room for direct notifications
     socket.join(`user-${socket.userId}`);
 
+    // Join the device's session room so revoking the session closes this connection
+    socket.join(`session-${socket.sessionId}`);
+
     // Join conversation rooms
     socket.on('join-conversation', async (conversationId) => {
       try {
@@ -179,6 +240,11 @@ export const setupSocketHandlers = (io) => {
 
         console.log(`📞 Video call initiated from ${socket.userId} to ${to} for appointment ${appointmentId}`);
 
+        // Remember who tried to start the consultation, for no-show detection; an attempt
+        // counts even when the other party is offline, which is exactly the no-show case
+        const calledAtField = socket.user.role === 'doctor' ? 'videoSession.doctorCalledAt' : 'videoSession.patientCalledAt';
+        await recordVideoSession(appointmentId, socket.userId, { [calledAtField]: new Date() });
+
         const recipientSocket = activeUsers.get(to);
         if (!recipientSocket) {
           return socket.emit('user-offline', { message: 'User is not online' });
@@ -241,6 +307,14 @@ export const setupSocketHandlers = (io) => {
           activeCalls.set(socket.userId, callData);
         }
 
+        // Both parties are on the call, so the consultation took place
+        await recordVideoSession(
+          appointmentId,
+          socket.userId,
+          { 'videoSession.startedAt': new Date() },
+          { 'videoSession.startedAt': { $exists: false } }
+        );
+
         const callerSocket = activeUsers.get(callerId);
         if (callerSocket) {
           io.to(callerSocket.socketId).emit('call-accepted', { 
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../services/analyticsService.js';
+
+test('toCsv writes a header line and one line per row', () => {
+  const csv = toCsv([{ name: 'Cardiology', booked: 4 }, { name: 'Dermatology', booked: null }], ['name', 'booked']);
+  assert.equal(csv, 'name,booked\nCardiology,4\nDermatology,\n');
+});
+
+test('toCsv quotes separators, quotes and line breaks', () => {
+  const csv = toCsv([{ name: 'Ear, Nose "and" Throat\nENT' }], ['name']);
+  assert.equal(csv, 'name\n"Ear, Nose ""and"" Throat\nENT"\n');
+});
+
+test('toCsv keeps text a spreadsheet would run as a formula as plain text', () => {
+  const rows = ['=HYPERLINK("http://evil")', '+1+1', '-2+3', '@SUM(A1)', '\tTab', '\rReturn'].map(name => ({ name }));
+  const lines = toCsv(rows, ['name']).split('\n');
+
+  assert.equal(lines[1], `"'=HYPERLINK(""http://evil"")"`);
+  assert.equal(lines[2], "'+1+1");
+  assert.equal(lines[3], "'-2+3");
+  assert.equal(lines[4], "'@SUM(A1)");
+  assert.equal(lines[5], "'\tTab");
+  assert.equal(lines[6], `"'\rReturn"`);
+});
+
+test('toCsv leaves numbers alone, negative ones included', () => {
+  assert.equal(toCsv([{ change: -3, rate: 0.5 }], ['change', 'rate']), 'change,rate\n-3,0.5\n');
+});
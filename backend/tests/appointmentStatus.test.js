@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Appointment, { canTransitionStatus, getSlotBlocks } from '../models/Appointment.js';
+
+const newAppointment = (status) => new Appointment({
+  patient: new mongoose.Types.ObjectId(),
+  doctor: new mongoose.Types.ObjectId(),
+  appointmentDate: new Date('2026-03-08T13:00:00.000Z'),
+  status
+});
+
+test('canTransitionStatus follows the status machine', () => {
+  assert.equal(canTransitionStatus('pending', 'confirmed'), true);
+  assert.equal(canTransitionStatus('pending', 'completed'), false);
+  assert.equal(canTransitionStatus('confirmed', 'no_show'), true);
+  assert.equal(canTransitionStatus('completed', 'cancelled'), false);
+  assert.equal(canTransitionStatus('unknown', 'confirmed'), false);
+});
+
+test('transitionTo changes the status and records who changed it and why', () => {
+  const appointment = newAppointment('pending');
+  const doctorId = new mongoose.Types.ObjectId();
+
+  assert.equal(appointment.transitionTo('confirmed', doctorId, 'Accepted'), true);
+  assert.equal(appointment.status, 'confirmed');
+
+  const entry = appointment.statusHistory.at(-1);
+  assert.equal(entry.from, 'pending');
+  assert.equal(entry.to, 'confirmed');
+  assert.equal(entry.changedBy.toString(), doctorId.toString());
+  assert.equal(entry.reason, 'Accepted');
+  assert.ok(entry.changedAt instanceof Date);
+});
+
+test('transitionTo refuses disallowed transitions and leaves the appointment untouched', () => {
+  const appointment = newAppointment('completed');
+
+  assert.equal(appointment.transitionTo('cancelled'), false);
+  assert.equal(appointment.status, 'completed');
+  assert.equal(appointment.statusHistory.length, 0);
+});
+
+test('transitionTo records automatic changes without a user', () => {
+  const appointment = newAppointment('pending');
+
+  assert.equal(appointment.transitionTo('expired'), true);
+  assert.equal(appointment.statusHistory.at(-1).changedBy, null);
+  // Terminal statuses cannot be left
+  assert.equal(appointment.transitionTo('confirmed'), false);
+});
+
+test('getSlotBlocks covers the appointment in 1-minute blocks, rounding outwards', () => {
+  const blocks = getSlotBlocks(new Date('2026-03-08T13:02:30.000Z'), 2);
+  assert.deepEqual(blocks.map(block => block.toISOString()), [
+    '2026-03-08T13:02:00.000Z',
+    '2026-03-08T13:03:00.000Z',
+    '2026-03-08T13:04:00.000Z'
+  ]);
+  assert.equal(getSlotBlocks(new Date('2026-03-08T13:00:00.000Z'), 30).length, 30);
+});
+
+test('getSlotBlocks of back-to-back appointments do not collide', () => {
+  const first = getSlotBlocks(new Date('2026-03-08T13:00:00.000Z'), 30).map(block => block.getTime());
+  const second = getSlotBlocks(new Date('2026-03-08T13:30:00.000Z'), 30).map(block => block.getTime());
+  assert.equal(first.filter(time => second.includes(time)).length, 0);
+});
+
+test('getSlotBlocks of adjacent 7-minute slots off the 5-minute grid do not collide', () => {
+  const first = getSlotBlocks(new Date('2026-03-08T14:00:00.000Z'), 7).map(block => block.getTime());
+  const second = getSlotBlocks(new Date('2026-03-08T14:07:00.000Z'), 7).map(block => block.getTime());
+  assert.equal(first.filter(time => second.includes(time)).length, 0);
+});
+
+test('getSlotBlocks of overlapping slots collide', () => {
+  const first = getSlotBlocks(new Date('2026-03-08T14:00:00.000Z'), 7).map(block => block.getTime());
+  const second = getSlotBlocks(new Date('2026-03-08T14:06:00.000Z'), 7).map(block => block.getTime());
+  assert.deepEqual(first.filter(time => second.includes(time)), [new Date('2026-03-08T14:06:00.000Z').getTime()]);
+});
@@ -0,0 +1,188 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import MedicalHistory from '../models/MedicalHistory.js';
+import MedicalHistoryVersion from '../models/MedicalHistoryVersion.js';
+import { parseSection, updateMedicalHistory } from '../services/medicalHistoryService.js';
+
+const patient = { _id: new mongoose.Types.ObjectId(), role: 'patient' };
+
+const newHistory = (version) => new MedicalHistory({
+  patient: patient._id,
+  version,
+  allergies: [{ substance: 'Penicillin', severity: 'severe' }]
+});
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+// Stub the model calls updateMedicalHistory makes; returns the mocks to inspect
+const stubModels = (history, { updated = history, snapshotError = null, deletedCount = 1 } = {}) => ({
+  find: mock.method(MedicalHistory, 'findOrCreateForPatient', async () => history),
+  createSnapshot: mock.method(MedicalHistoryVersion, 'create', async (snapshot) => {
+    if (snapshotError) {
+      throw snapshotError;
+    }
+    return { _id: new mongoose.Types.ObjectId(), ...snapshot };
+  }),
+  deleteSnapshot: mock.method(MedicalHistoryVersion, 'deleteOne', async () => ({ deletedCount })),
+  exists: mock.method(MedicalHistory, 'exists', async () => ({ _id: history._id })),
+  update: mock.method(MedicalHistory, 'findOneAndUpdate', async () => updated)
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('parseSection keeps known fields, trims text and parses dates', () => {
+  const { entries, error } = parseSection('conditions', [
+    { name: '  Asthma ', diagnosedDate: '2020-05-01', status: 'active', unknown: 'dropped' }
+  ]);
+
+  assert.equal(error, undefined);
+  assert.deepEqual(entries, [{ name: 'Asthma', diagnosedDate: new Date('2020-05-01'), status: 'active' }]);
+});
+
+test('parseSection skips empty optional fields', () => {
+  const { entries } = parseSection('allergies', [{ substance: 'Latex', reaction: '', severity: null }]);
+  assert.deepEqual(entries, [{ substance: 'Latex' }]);
+});
+
+test('parseSection refuses entries without their required fields', () => {
+  assert.match(parseSection('allergies', [{ reaction: 'Rash' }]).error, /needs a substance/);
+  assert.match(parseSection('allergies', [{ substance: '   ' }]).error, /needs a substance/);
+  assert.match(parseSection('familyHistory', [{ relation: 'Mother' }]).error, /needs a condition/);
+  assert.match(parseSection('allergies', [null]).error, /needs a substance/);
+});
+
+test('parseSection refuses values outside the allowed choices and invalid dates', () => {
+  assert.match(parseSection('allergies', [{ substance: 'Latex', severity: 'deadly' }]).error, /severity in allergies must be one of/);
+  assert.match(parseSection('surgeries', [{ procedure: 'Appendectomy', date: 'yesterday' }]).error, /valid date/);
+});
+
+test('parseSection refuses anything but a list of at most 50 entries', () => {
+  assert.match(parseSection('medications', { name: 'Aspirin' }).error, /must be a list/);
+  assert.match(parseSection('medications', 'Aspirin').error, /must be a list/);
+  assert.match(parseSection('medications', Array.from({ length: 51 }, () => ({ name: 'Aspirin' }))).error, /at most 50/);
+});
+
+test('parseSection cuts long text to 1000 characters', () => {
+  const { entries } = parseSection('medications', [{ name: 'Aspirin', notes: 'x'.repeat(1500) }]);
+  assert.equal(entries[0].notes.length, 1000);
+});
+
+test('updateMedicalHistory refuses an edit of an older version without writing', async () => {
+  const { createSnapshot, update } = stubModels(newHistory(3));
+
+  const result = await updateMedicalHistory(patient, 2, { allergies: [] });
+
+  assert.equal(result.status, 409);
+  assert.equal(createSnapshot.mock.callCount(), 0);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('updateMedicalHistory leaves the history alone when nothing changed', async () => {
+  const history = newHistory(3);
+  const { createSnapshot, update } = stubModels(history);
+
+  const result = await updateMedicalHistory(patient, 3, { allergies: [{ substance: 'Penicillin', severity: 'severe' }] });
+
+  assert.equal(result.history, history);
+  assert.equal(createSnapshot.mock.callCount(), 0);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('updateMedicalHistory records the next version before updating the live record', async () => {
+  const history = newHistory(3);
+  const updated = newHistory(4);
+  const { createSnapshot, update, deleteSnapshot } = stubModels(history, { updated });
+  const order = [];
+  createSnapshot.mock.mockImplementation(async (snapshot) => {
+    order.push('snapshot');
+    return { _id: new mongoose.Types.ObjectId(), ...snapshot };
+  });
+  update.mock.mockImplementation(async () => {
+    order.push('update');
+    return updated;
+  });
+
+  const result = await updateMedicalHistory(patient, 3, { medications: [{ name: 'Aspirin' }] });
+
+  assert.equal(result.history, updated);
+  assert.deepEqual(order, ['snapshot', 'update']);
+
+  const [snapshot] = createSnapshot.mock.calls[0].arguments;
+  assert.equal(snapshot.version, 4);
+  assert.deepEqual(snapshot.changedSections, ['medications']);
+  assert.deepEqual(snapshot.medications, [{ name: 'Aspirin' }]);
+  // Sections that were not edited are carried over into the snapshot
+  assert.equal(snapshot.allergies[0].substance, 'Penicillin');
+
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: history._id, version: 3 });
+  assert.deepEqual(change.$inc, { version: 1 });
+  assert.equal(deleteSnapshot.mock.callCount(), 0);
+});
+
+test('updateMedicalHistory removes its snapshot when another save updated the record first', async () => {
+  const { deleteSnapshot } = stubModels(newHistory(3), { updated: null });
+
+  const result = await updateMedicalHistory(patient, 3, { medications: [{ name: 'Aspirin' }] });
+
+  assert.equal(result.status, 409);
+  assert.equal(deleteSnapshot.mock.callCount(), 1);
+  assert.ok(deleteSnapshot.mock.calls[0].arguments[0]._id);
+});
+
+test('updateMedicalHistory removes its snapshot when the live update fails', async () => {
+  const { deleteSnapshot } = stubModels(newHistory(3));
+  mock.method(MedicalHistory, 'findOneAndUpdate', async () => {
+    throw new Error('connection lost');
+  });
+
+  await assert.rejects(updateMedicalHistory(patient, 3, { medications: [{ name: 'Aspirin' }] }), /connection lost/);
+  assert.equal(deleteSnapshot.mock.callCount(), 1);
+});
+
+test('updateMedicalHistory answers 409 when a parallel save already took the next version', async () => {
+  // The other save's snapshot is recent, so it is not cleared
+  const { update } = stubModels(newHistory(3), { snapshotError: duplicateKeyError(), deletedCount: 0 });
+
+  const result = await updateMedicalHistory(patient, 3, { medications: [{ name: 'Aspirin' }] });
+
+  assert.equal(result.status, 409);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('updateMedicalHistory keeps the next version snapshot once the live record has reached it', async () => {
+  const { exists, deleteSnapshot, update } = stubModels(newHistory(3), { snapshotError: duplicateKeyError() });
+  exists.mock.mockImplementation(async () => null);
+
+  const result = await updateMedicalHistory(patient, 3, { medications: [{ name: 'Aspirin' }] });
+
+  assert.equal(result.status, 409);
+  assert.equal(deleteSnapshot.mock.callCount(), 0);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('updateMedicalHistory replaces a snapshot orphaned by an earlier save that died halfway', async () => {
+  const history = newHistory(3);
+  const updated = newHistory(4);
+  const { createSnapshot, deleteSnapshot, update } = stubModels(history, { updated });
+  let attempts = 0;
+  createSnapshot.mock.mockImplementation(async (snapshot) => {
+    attempts += 1;
+    if (attempts === 1) {
+      throw duplicateKeyError();
+    }
+    return { _id: new mongoose.Types.ObjectId(), ...snapshot };
+  });
+
+  const result = await updateMedicalHistory(patient, 3, { medications: [{ name: 'Aspirin' }] });
+
+  assert.equal(result.history, updated);
+  assert.equal(attempts, 2);
+  const [orphanFilter] = deleteSnapshot.mock.calls[0].arguments;
+  assert.equal(orphanFilter.version, 4);
+  assert.ok(orphanFilter.createdAt.$lt instanceof Date);
+  assert.equal(update.mock.callCount(), 1);
+});
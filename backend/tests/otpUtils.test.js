@@ -0,0 +1,77 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTOTP, generateTOTPSecret, verifyTOTP, buildOTPAuthUrl } from '../utils/otpUtils.js';
+
+// "12345678901234567890", the RFC 6238 SHA-1 test key, in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// Pin the clock to the middle of a 30-second step
+const NOW_STEP = 59000000;
+const atStep = (step) => mock.method(Date, 'now', () => step * 30 * 1000 + 15 * 1000);
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('generateTOTP matches the RFC 6238 test vectors', () => {
+  assert.equal(generateTOTP(RFC_SECRET, 1), '287082');
+  assert.equal(generateTOTP(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+  assert.equal(generateTOTP(RFC_SECRET, Math.floor(2000000000 / 30)), '279037');
+});
+
+test('generateTOTPSecret returns a base32 secret the app can use', () => {
+  const secret = generateTOTPSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.match(generateTOTP(secret, NOW_STEP), /^\d{6}$/);
+});
+
+test('verifyTOTP accepts the current step and one step either side for clock drift', () => {
+  atStep(NOW_STEP);
+
+  assert.equal(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, NOW_STEP)), NOW_STEP);
+  assert.equal(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, NOW_STEP - 1)), NOW_STEP - 1);
+  assert.equal(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, NOW_STEP + 1)), NOW_STEP + 1);
+});
+
+test('verifyTOTP rejects codes two or more steps away', () => {
+  atStep(NOW_STEP);
+
+  assert.equal(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, NOW_STEP - 2)), null);
+  assert.equal(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, NOW_STEP + 2)), null);
+});
+
+test('verifyTOTP refuses a code from a step that was already used', () => {
+  atStep(NOW_STEP);
+  const code = generateTOTP(RFC_SECRET, NOW_STEP);
+
+  assert.equal(verifyTOTP(RFC_SECRET, code, NOW_STEP - 1), NOW_STEP);
+  assert.equal(verifyTOTP(RFC_SECRET, code, NOW_STEP), null);
+  // An older code inside the window is no use once a later one was accepted
+  assert.equal(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, NOW_STEP - 1), NOW_STEP), null);
+  // The next step's code still works
+  assert.equal(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, NOW_STEP + 1), NOW_STEP), NOW_STEP + 1);
+});
+
+test('verifyTOTP rejects malformed codes and a missing secret', () => {
+  atStep(NOW_STEP);
+  const code = generateTOTP(RFC_SECRET, NOW_STEP);
+
+  assert.equal(verifyTOTP(RFC_SECRET, ''), null);
+  assert.equal(verifyTOTP(RFC_SECRET, undefined), null);
+  assert.equal(verifyTOTP(RFC_SECRET, code.slice(1)), null);
+  assert.equal(verifyTOTP(RFC_SECRET, `${code}0`), null);
+  assert.equal(verifyTOTP(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`), null);
+  assert.equal(verifyTOTP(RFC_SECRET, 'abcdef'), null);
+  assert.equal(verifyTOTP(undefined, code), null);
+});
+
+test('buildOTPAuthUrl describes the secret for authenticator apps', () => {
+  const url = new URL(buildOTPAuthUrl(RFC_SECRET, 'jane@example.com'));
+
+  assert.equal(url.protocol, 'otpauth:');
+  assert.equal(url.host, 'totp');
+  assert.equal(decodeURIComponent(url.pathname), '/TeleMed:jane@example.com');
+  assert.equal(url.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(url.searchParams.get('digits'), '6');
+  assert.equal(url.searchParams.get('period'), '30');
+});
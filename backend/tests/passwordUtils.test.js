@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPasswordPolicyError, PASSWORD_MIN_LENGTH } from '../utils/passwordUtils.js';
+
+const user = { email: 'jane.doe@example.com', firstName: 'Jane', lastName: 'Doe' };
+
+test('getPasswordPolicyError accepts a password that meets every rule', () => {
+  assert.equal(getPasswordPolicyError('Correct9Horse'), null);
+  assert.equal(getPasswordPolicyError('Correct9Horse', user), null);
+});
+
+test('getPasswordPolicyError requires the minimum length', () => {
+  assert.equal(PASSWORD_MIN_LENGTH, 8);
+  assert.match(getPasswordPolicyError('Abcde12'), /at least 8 characters/);
+  assert.equal(getPasswordPolicyError('Abcdef12'), null);
+});
+
+test('getPasswordPolicyError requires upper and lower case letters and a number', () => {
+  assert.ok(getPasswordPolicyError('correct9horse'));
+  assert.ok(getPasswordPolicyError('CORRECT9HORSE'));
+  assert.ok(getPasswordPolicyError('CorrectHorse'));
+});
+
+test('getPasswordPolicyError refuses values that are not strings', () => {
+  assert.ok(getPasswordPolicyError(undefined));
+  assert.ok(getPasswordPolicyError(12345678));
+  assert.ok(getPasswordPolicyError(['Correct9Horse']));
+});
+
+test('getPasswordPolicyError refuses passwords containing the name or email, ignoring case', () => {
+  assert.match(getPasswordPolicyError('Jane2026xyz', user), /name or email/);
+  assert.match(getPasswordPolicyError('myDOE2026x', user), /name or email/);
+  assert.match(getPasswordPolicyError('Jane.doe2026', user), /name or email/);
+});
+
+test('getPasswordPolicyError ignores name parts shorter than three characters', () => {
+  assert.equal(getPasswordPolicyError('Alpha2026xy', { email: 'al@example.com', firstName: 'Al', lastName: 'Li' }), null);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTime,
+  parseDateParam,
+  addMonths,
+  generateTimeSlots,
+  isSlotInAvailability,
+  generateTimeSlotsInRange,
+  rangesOverlap,
+  generateSeriesDates
+} from '../utils/scheduleUtils.js';
+
+const newYorkDoctor = {
+  timeZone: 'America/New_York',
+  slotDuration: 30,
+  availability: [{ day: 'sunday', startTime: '09:00', endTime: '10:30' }]
+};
+
+test('parseTime reads HH:MM and rejects malformed times', () => {
+  assert.equal(parseTime('09:30'), 570);
+  assert.equal(parseTime('23:59'), 1439);
+  assert.equal(parseTime('24:00'), null);
+  assert.equal(parseTime('9:30'), null);
+});
+
+test('parseDateParam rejects impossible dates', () => {
+  assert.deepEqual(parseDateParam('2026-02-28'), { year: 2026, month: 1, day: 28 });
+  assert.equal(parseDateParam('2026-02-30'), null);
+  assert.equal(parseDateParam('2026-2-3'), null);
+});
+
+test('addMonths clamps to the end of shorter months', () => {
+  assert.deepEqual(addMonths({ year: 2026, month: 0, day: 31 }, 1), { year: 2026, month: 1, day: 28 });
+  assert.deepEqual(addMonths({ year: 2026, month: 10, day: 30 }, 3), { year: 2027, month: 1, day: 28 });
+});
+
+test('generateTimeSlots keeps local hours on the spring-forward day', () => {
+  const slots = generateTimeSlots(newYorkDoctor, { year: 2026, month: 2, day: 8 });
+  assert.deepEqual(slots.map(slot => slot.toISOString()), [
+    '2026-03-08T13:00:00.000Z',
+    '2026-03-08T13:30:00.000Z',
+    '2026-03-08T14:00:00.000Z'
+  ]);
+});
+
+test('generateTimeSlots keeps local hours on the fall-back day', () => {
+  const slots = generateTimeSlots(newYorkDoctor, { year: 2026, month: 10, day: 1 });
+  assert.equal(slots[0].toISOString(), '2026-11-01T14:00:00.000Z');
+  assert.equal(slots.length, 3);
+});
+
+test('generateTimeSlots only offers slots that finish inside the window', () => {
+  const slots = generateTimeSlots({ ...newYorkDoctor, slotDuration: 60 }, { year: 2026, month: 2, day: 8 });
+  assert.equal(slots.length, 1);
+});
+
+test('isSlotInAvailability matches generated slots only', () => {
+  assert.equal(isSlotInAvailability(newYorkDoctor, new Date('2026-03-08T13:30:00.000Z')), true);
+  // 09:30 EST would have been 14:30Z, but on this date New York is already on EDT
+  assert.equal(isSlotInAvailability(newYorkDoctor, new Date('2026-03-08T14:30:00.000Z')), false);
+});
+
+test('generateTimeSlotsInRange covers local days that straddle UTC midnight', () => {
+  const doctor = {
+    timeZone: 'Pacific/Auckland',
+    slotDuration: 60,
+    availability: [{ day: 'monday', startTime: '08:00', endTime: '09:00' }]
+  };
+  // Monday 2 March 2026, 08:00 in Auckland (UTC+13) is Sunday 19:00 UTC
+  const slots = generateTimeSlotsInRange(doctor, new Date('2026-03-01T00:00:00.000Z'), new Date('2026-03-02T00:00:00.000Z'));
+  assert.deepEqual(slots.map(slot => slot.toISOString()), ['2026-03-01T19:00:00.000Z']);
+});
+
+test('rangesOverlap treats ranges as half-open', () => {
+  const start = new Date('2026-03-08T13:00:00.000Z');
+  assert.equal(rangesOverlap(start, 30, new Date('2026-03-08T13:30:00.000Z'), 30), false);
+  assert.equal(rangesOverlap(start, 31, new Date('2026-03-08T13:30:00.000Z'), 30), true);
+});
+
+test('generateSeriesDates keeps the local time of day across a DST change', () => {
+  // 09:00 in New York, weekly, from before to after the spring-forward date
+  const dates = generateSeriesDates(new Date('2026-03-01T14:00:00.000Z'), 'America/New_York', 1, 'week', 3);
+  assert.deepEqual(dates.map(date => date.toISOString()), [
+    '2026-03-01T14:00:00.000Z',
+    '2026-03-08T13:00:00.000Z',
+    '2026-03-15T13:00:00.000Z'
+  ]);
+});
+
+test('generateSeriesDates steps months and clamps the day', () => {
+  const dates = generateSeriesDates(new Date('2026-01-31T09:00:00.000Z'), 'UTC', 1, 'month', 3);
+  assert.deepEqual(dates.map(date => date.toISOString().slice(0, 10)), ['2026-01-31', '2026-02-28', '2026-03-31']);
+});
@@ -0,0 +1,160 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { refreshSession } from '../services/sessionService.js';
+
+const req = { get: () => 'test-agent', ip: '127.0.0.1' };
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const tokenFor = (session) => `${session._id}.${crypto.randomBytes(40).toString('hex')}`;
+
+const newUser = () => new User({
+  firstName: 'Ada',
+  lastName: 'Patient',
+  email: 'ada@example.com',
+  password: 'Secret123',
+  role: 'patient'
+});
+
+// A session whose current token is `current`, rotated from `previous` the given number of seconds ago
+const newSession = (user, { current, previous, rotatedSecondsAgo } = {}) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'placeholder',
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  });
+  session.refreshTokenHash = hashToken(current ? current(session) : tokenFor(session));
+  if (previous) {
+    session.previousRefreshTokenHash = hashToken(previous(session));
+    session.rotatedAt = new Date(Date.now() - rotatedSecondsAgo * 1000);
+  }
+  return session;
+};
+
+// Stub the model calls refreshSession makes; returns the mocks to inspect
+const stubModels = (session, user) => ({
+  findSession: mock.method(Session, 'findById', async () => session),
+  revoke: mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 })),
+  rotate: mock.method(Session, 'findOneAndUpdate', async () => session),
+  findUser: mock.method(User, 'findById', async () => user)
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('refreshSession rotates a current refresh token', async () => {
+  const user = newUser();
+  let token;
+  const session = newSession(user, { current: (s) => (token = tokenFor(s)) });
+  const { rotate, revoke } = stubModels(session, user);
+
+  const result = await refreshSession(token, req);
+
+  assert.ok(result.token);
+  assert.ok(result.refreshToken.startsWith(`${session._id}.`));
+  assert.notEqual(result.refreshToken, token);
+  assert.equal(jwt.decode(result.token).sid, session._id.toString());
+
+  // Rotation only succeeds if the presented token is still the current one
+  const [filter, update] = rotate.mock.calls[0].arguments;
+  assert.equal(filter.refreshTokenHash, hashToken(token));
+  assert.equal(update.previousRefreshTokenHash, hashToken(token));
+  assert.equal(update.refreshTokenHash, hashToken(result.refreshToken));
+  assert.equal(revoke.mock.callCount(), 0);
+});
+
+test('refreshSession answers 409 when another request rotated the token at the same moment', async () => {
+  const user = newUser();
+  let token;
+  const session = newSession(user, { current: (s) => (token = tokenFor(s)) });
+  stubModels(session, user);
+  mock.method(Session, 'findOneAndUpdate', async () => null);
+
+  const result = await refreshSession(token, req);
+
+  assert.equal(result.status, 409);
+});
+
+test('refreshSession answers 409 for the previous token within the grace window', async () => {
+  const user = newUser();
+  let previousToken;
+  const session = newSession(user, { previous: (s) => (previousToken = tokenFor(s)), rotatedSecondsAgo: 5 });
+  const { rotate, revoke } = stubModels(session, user);
+
+  const result = await refreshSession(previousToken, req);
+
+  assert.equal(result.status, 409);
+  assert.equal(rotate.mock.callCount(), 0);
+  assert.equal(revoke.mock.callCount(), 0);
+});
+
+test('refreshSession revokes the session when the previous token comes back after the grace window', async () => {
+  const user = newUser();
+  let previousToken;
+  const session = newSession(user, { previous: (s) => (previousToken = tokenFor(s)), rotatedSecondsAgo: 60 });
+  const { rotate, revoke } = stubModels(session, user);
+
+  const result = await refreshSession(previousToken, req);
+
+  assert.equal(result.status, 401);
+  assert.equal(rotate.mock.callCount(), 0);
+  const [filter, update] = revoke.mock.calls[0].arguments;
+  assert.equal(filter._id, session._id);
+  assert.equal(update.revokedReason, 'reuse_detected');
+});
+
+test('refreshSession revokes the session for a token it never issued', async () => {
+  const user = newUser();
+  const session = newSession(user);
+  const { revoke } = stubModels(session, user);
+
+  const result = await refreshSession(tokenFor(session), req);
+
+  assert.equal(result.status, 401);
+  assert.equal(revoke.mock.calls[0].arguments[1].revokedReason, 'reuse_detected');
+});
+
+test('refreshSession refuses revoked and expired sessions', async () => {
+  const user = newUser();
+  let token;
+  const session = newSession(user, { current: (s) => (token = tokenFor(s)) });
+  const { rotate } = stubModels(session, user);
+
+  session.revokedAt = new Date();
+  assert.equal((await refreshSession(token, req)).status, 401);
+
+  session.revokedAt = null;
+  session.expiresAt = new Date(Date.now() - 1000);
+  assert.equal((await refreshSession(token, req)).status, 401);
+
+  assert.equal(rotate.mock.callCount(), 0);
+});
+
+test('refreshSession refuses suspended accounts', async () => {
+  const user = newUser();
+  user.isActive = false;
+  let token;
+  const session = newSession(user, { current: (s) => (token = tokenFor(s)) });
+  const { rotate } = stubModels(session, user);
+
+  const result = await refreshSession(token, req);
+
+  assert.equal(result.status, 401);
+  assert.match(result.message, /suspended/);
+  assert.equal(rotate.mock.callCount(), 0);
+});
+
+test('refreshSession rejects malformed tokens without a lookup', async () => {
+  const { findSession } = stubModels(null, null);
+
+  for (const token of [undefined, ['a', 'b'], 'not-a-token', `${new mongoose.Types.ObjectId()}`.slice(1)]) {
+    assert.equal((await refreshSession(token, req)).status, 401);
+  }
+  assert.equal(findSession.mock.callCount(), 0);
+});
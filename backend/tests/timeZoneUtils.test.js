@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isValidTimeZone,
+  resolveTimeZone,
+  zonedTimeToUtc,
+  getZonedCalendarDate,
+  getZonedDayBounds
+} from '../utils/timeZoneUtils.js';
+
+const HOUR = 60 * 60 * 1000;
+
+test('isValidTimeZone accepts IANA names and rejects anything else', () => {
+  assert.equal(isValidTimeZone('Asia/Kolkata'), true);
+  assert.equal(isValidTimeZone('Not/AZone'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(undefined), false);
+});
+
+test('resolveTimeZone falls back for invalid zones', () => {
+  assert.equal(resolveTimeZone('Europe/Berlin', 'UTC'), 'Europe/Berlin');
+  assert.equal(resolveTimeZone('nope', 'UTC'), 'UTC');
+});
+
+test('zonedTimeToUtc uses the offset in force on that date', () => {
+  // New York is on EST (UTC-5) in January and EDT (UTC-4) in July
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 0, day: 15 }, 9 * 60, 'America/New_York').toISOString(), '2026-01-15T14:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 6, day: 15 }, 9 * 60, 'America/New_York').toISOString(), '2026-07-15T13:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 0, day: 15 }, 9 * 60 + 30, 'Asia/Kolkata').toISOString(), '2026-01-15T04:00:00.000Z');
+});
+
+test('zonedTimeToUtc is correct either side of the spring-forward transition', () => {
+  // Clocks jump from 02:00 to 03:00 on 8 March 2026 in New York
+  const spring = { year: 2026, month: 2, day: 8 };
+  assert.equal(zonedTimeToUtc(spring, 1 * 60 + 30, 'America/New_York').toISOString(), '2026-03-08T06:30:00.000Z');
+  assert.equal(zonedTimeToUtc(spring, 3 * 60, 'America/New_York').toISOString(), '2026-03-08T07:00:00.000Z');
+  assert.equal(zonedTimeToUtc(spring, 9 * 60, 'America/New_York').toISOString(), '2026-03-08T13:00:00.000Z');
+});
+
+test('zonedTimeToUtc is correct either side of the fall-back transition', () => {
+  // Clocks go back from 02:00 to 01:00 on 1 November 2026 in New York
+  const fall = { year: 2026, month: 10, day: 1 };
+  assert.equal(zonedTimeToUtc(fall, 0, 'America/New_York').toISOString(), '2026-11-01T04:00:00.000Z');
+  assert.equal(zonedTimeToUtc(fall, 9 * 60, 'America/New_York').toISOString(), '2026-11-01T14:00:00.000Z');
+});
+
+test('getZonedDayBounds gives 23 and 25 hour days on transition dates', () => {
+  const spring = getZonedDayBounds({ year: 2026, month: 2, day: 8 }, 'America/New_York');
+  assert.equal(spring.end - spring.start, 23 * HOUR);
+
+  const fall = getZonedDayBounds({ year: 2026, month: 10, day: 1 }, 'America/New_York');
+  assert.equal(fall.end - fall.start, 25 * HOUR);
+
+  const ordinary = getZonedDayBounds({ year: 2026, month: 5, day: 1 }, 'America/New_York');
+  assert.equal(ordinary.end - ordinary.start, 24 * HOUR);
+});
+
+test('getZonedCalendarDate reads the local date, not the UTC one', () => {
+  const instant = new Date('2026-01-15T20:00:00.000Z');
+  assert.deepEqual(getZonedCalendarDate(instant, 'Asia/Tokyo'), { year: 2026, month: 0, day: 16 });
+  assert.deepEqual(getZonedCalendarDate(instant, 'America/Los_Angeles'), { year: 2026, month: 0, day: 15 });
+});
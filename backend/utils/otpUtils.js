@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 
 // In-memory store for OTPs (in production, use Redis or database)
 const otpStore = new Map();
@@ -88,7 +89,7 @@ export const validateOTP = (email, inputOTP) => {
   otpData.attempts++;
   
   // Validate OTP
-  if (otpData.otp === inputOTP) {
+  if (codesMatch(otpData.otp, inputOTP)) {
     console.log(`OTP validated successfully for ${email}`);
     otpStore.delete(email); // Remove OTP after successful validation
     return {
@@ -191,6 +192,168 @@ export const getOTPStats = () => {
   };
 };
 
+const getTokenSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+/**
+ * Sign a short-lived token that only proves one thing, named by its purpose
+ * @param {Object} payload - Claims to carry, e.g. { email }
+ * @param {string} purpose - What the token is for; checked on verification
+ * @param {string} expiresIn - Lifetime, e.g. '5m'
+ * @returns {string} Signed token
+ */
+export const signPurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, getTokenSecret(), { expiresIn });
+};
+
+/**
+ * Read a token from signPurposeToken, refusing tokens signed for anything else
+ * @param {string} token - Token to check
+ * @param {string} purpose - Purpose it must have been signed for
+ * @returns {Object|null} The token's claims, or null if invalid or expired
+ */
+export const verifyPurposeToken = (token, purpose) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  try {
+    const decoded = jwt.verify(token, getTokenSecret());
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Sign a short-lived token proving the email passed OTP verification
+ * @param {string} email - Verified email
+ * @returns {string} Signed verification token
+ */
+export const signEmailVerificationToken = (email) => {
+  return signPurposeToken({ email }, 'email_verification', '30m');
+};
+
+/**
+ * Check that a verification token is valid and was issued for the given email
+ * @param {string} token - Token from signEmailVerificationToken
+ * @param {string} email - Email it must be bound to
+ * @returns {boolean} True if the email was verified recently
+ */
+export const isEmailVerificationTokenValid = (token, email) => {
+  return verifyPurposeToken(token, 'email_verification')?.email === email;
+};
+
+/**
+ * Compare two codes without leaking through timing how much of them matched
+ * @param {string} expected - Code that was issued
+ * @param {string} actual - Code the user typed
+ * @returns {boolean} True if they are equal
+ */
+export const codesMatch = (expected, actual) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// RFC 4648 alphabet used by authenticator apps for secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Authenticator apps show a new 6-digit code every 30 seconds
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a secret for an authenticator app
+ * @returns {string} Base32 secret (160 bits)
+ */
+export const generateTOTPSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Code an authenticator app shows for a secret at a given time step (RFC 6238)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Number of 30-second steps since the Unix epoch
+ * @returns {string} 6-digit code
+ */
+export const generateTOTP = (secret, step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS)) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (value % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a code from an authenticator app, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user typed
+ * @param {number} lastUsedStep - Step of the last accepted code, so a code cannot be used twice
+ * @returns {number|null} The matching time step, or null if the code is not valid
+ */
+export const verifyTOTP = (secret, code, lastUsedStep = -1) => {
+  if (!secret || !/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (step > lastUsedStep && codesMatch(generateTOTP(secret, step), code)) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Link authenticator apps read from a QR code to add the account
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app, usually the email
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string} otpauth:// URL
+ */
+export const buildOTPAuthUrl = (secret, accountName, issuer = 'TeleMed') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
 /**
  * Generate secure random string for additional security
  * @param {number} length - Length of the random string
@@ -257,9 +420,9 @@ class RateLimiter {
 // Export rate limiter instance
 export const otpRateLimiter = new RateLimiter();
 
-// Cleanup expired OTPs every 15 minutes
+// Cleanup expired OTPs every 15 minutes, without keeping the process alive on its own
 setInterval(() => {
   cleanupExpiredOTPs();
-}, 15 * 60 * 1000);
+}, 15 * 60 * 1000).unref();
 
 console.log('OTP utilities initialized successfully');
\ No newline at end of file
@@ -0,0 +1,30 @@
+// Shortest password accepted at registration and when a password is changed or reset
+export const PASSWORD_MIN_LENGTH = 8;
+
+// Human-readable summary of the rules, for hints and error messages
+export const PASSWORD_POLICY_DESCRIPTION =
+  `at least ${PASSWORD_MIN_LENGTH} characters, with an uppercase letter, a lowercase letter and a number`;
+
+/**
+ * Check a new password against the strength policy
+ * @param {string} password - Proposed password
+ * @param {Object} user - Account it is for, so it cannot simply repeat the email or name
+ * @returns {string|null} Why the password is not accepted, or null if it is
+ */
+export const getPasswordPolicyError = (password, user = {}) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH ||
+    !/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/\d/.test(password)) {
+    return `Password must be ${PASSWORD_POLICY_DESCRIPTION}`;
+  }
+
+  const lowered = password.toLowerCase();
+  const personal = [user.email?.split('@')[0], user.firstName, user.lastName]
+    .filter(value => value && value.length >= 3)
+    .map(value => value.toLowerCase());
+
+  if (personal.some(value => lowered.includes(value))) {
+    return 'Password must not contain your name or email address';
+  }
+
+  return null;
+};
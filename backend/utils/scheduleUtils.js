@@ -0,0 +1,333 @@
+import { resolveTimeZone, zonedTimeToUtc, getZonedCalendarDate, getZonedParts, getZonedDayBounds } from './timeZoneUtils.js';
+
+// Day names indexed the same way as Date.prototype.getDay()
+export const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export const DEFAULT_SLOT_DURATION = 30; // minutes
+export const MAX_SLOT_DURATION = 240; // minutes
+
+// Used for doctors who have not configured a weekly template yet (matches the old fixed 9 AM - 5 PM grid)
+export const DEFAULT_AVAILABILITY = DAYS_OF_WEEK.map(day => ({
+  day,
+  startTime: '09:00',
+  endTime: '17:00'
+}));
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Convert an HH:MM string to minutes since midnight
+ * @param {string} time - Time in 24-hour HH:MM format
+ * @returns {number|null} Minutes since midnight, or null if the string is invalid
+ */
+export const parseTime = (time) => {
+  const match = TIME_PATTERN.exec(time || '');
+  if (!match) {
+    return null;
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+/**
+ * Parse a YYYY-MM-DD date parameter into a calendar date
+ * @param {string} date - Date string from the request
+ * @returns {Object|null} { year, month (0-11), day }, or null if invalid
+ */
+export const parseDateParam = (date) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+  if (!match) {
+    return null;
+  }
+
+  const parsed = new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)));
+  if (isNaN(parsed.getTime()) || parsed.getUTCDate() !== parseInt(match[3], 10)) {
+    return null;
+  }
+
+  return {
+    year: parsed.getUTCFullYear(),
+    month: parsed.getUTCMonth(),
+    day: parsed.getUTCDate()
+  };
+};
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @param {Object} calendarDate - { year, month (0-11), day }
+ * @returns {string} Date key
+ */
+export const getDateKey = (calendarDate) => {
+  return new Date(Date.UTC(calendarDate.year, calendarDate.month, calendarDate.day)).toISOString().slice(0, 10);
+};
+
+/**
+ * Move a calendar date by a number of days
+ * @param {Object} calendarDate - { year, month (0-11), day }
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Object} New calendar date
+ */
+export const addDays = (calendarDate, days) => {
+  const date = new Date(Date.UTC(calendarDate.year, calendarDate.month, calendarDate.day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth(),
+    day: date.getUTCDate()
+  };
+};
+
+/**
+ * Move a calendar date by a number of months, keeping the day where the month allows
+ * @param {Object} calendarDate - { year, month (0-11), day }
+ * @param {number} months - Months to add
+ * @returns {Object} New calendar date (the 31st becomes the last day of shorter months)
+ */
+export const addMonths = (calendarDate, months) => {
+  const target = new Date(Date.UTC(calendarDate.year, calendarDate.month + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  return {
+    year: target.getUTCFullYear(),
+    month: target.getUTCMonth(),
+    day: Math.min(calendarDate.day, lastDay)
+  };
+};
+
+/**
+ * Get the instants covered by a run of whole days stored at UTC midnight (leave, waitlist ranges)
+ * @param {Date} startDay - First day, at UTC midnight
+ * @param {Date} endDay - Last day, at UTC midnight
+ * @param {string} timeZone - Zone the days belong to (the doctor's)
+ * @returns {Object} { start, end } from the start of the first day to the end of the last
+ */
+export const getStoredDayRange = (startDay, endDay, timeZone) => {
+  return {
+    start: getZonedDayBounds(getStoredCalendarDate(startDay), timeZone).start,
+    end: getZonedDayBounds(getStoredCalendarDate(endDay), timeZone).end
+  };
+};
+
+// Read a day stored at UTC midnight back as a calendar date
+const getStoredCalendarDate = (date) => ({
+  year: date.getUTCFullYear(),
+  month: date.getUTCMonth(),
+  day: date.getUTCDate()
+});
+
+/**
+ * Get the instants a leave blocks: its whole days, or the same hours on each of its days
+ * @param {Object} leave - { startDate, endDate, startTime, endTime }, days at UTC midnight, times HH:MM
+ * @param {string} timeZone - The doctor's zone
+ * @returns {Array} [{ start, end }] in chronological order
+ */
+export const getLeaveIntervals = (leave, timeZone) => {
+  const startMinutes = parseTime(leave.startTime);
+  const endMinutes = parseTime(leave.endTime);
+
+  if (startMinutes === null || endMinutes === null) {
+    return [getStoredDayRange(leave.startDate, leave.endDate, timeZone)];
+  }
+
+  const lastKey = leave.endDate.toISOString().slice(0, 10);
+  const intervals = [];
+
+  for (let day = getStoredCalendarDate(leave.startDate); getDateKey(day) <= lastKey; day = addDays(day, 1)) {
+    intervals.push({
+      start: zonedTimeToUtc(day, startMinutes, timeZone),
+      end: zonedTimeToUtc(day, endMinutes, timeZone)
+    });
+  }
+
+  return intervals;
+};
+
+/**
+ * Find the leave, if any, that blocks part of [start, start + duration)
+ * @param {Array} leaves - Leave documents of one doctor
+ * @param {Date} start - Range start
+ * @param {number} duration - Range length in minutes
+ * @param {string} timeZone - The doctor's zone
+ * @returns {Object|undefined} The first overlapping leave
+ */
+export const findLeaveAt = (leaves, start, duration, timeZone) => {
+  const end = new Date(start.getTime() + duration * 60 * 1000);
+
+  return leaves.find(leave =>
+    getLeaveIntervals(leave, timeZone).some(interval => start < interval.end && interval.start < end)
+  );
+};
+
+/**
+ * Validate a weekly availability template
+ * @param {Array} availability - Array of { day, startTime, endTime } windows
+ * @returns {string|null} Error message, or null if the template is valid
+ */
+export const validateAvailability = (availability) => {
+  if (!Array.isArray(availability)) {
+    return 'Availability must be a list of time windows';
+  }
+
+  for (const window of availability) {
+    if (!window || !DAYS_OF_WEEK.includes(window.day)) {
+      return 'Each availability window needs a valid day of the week';
+    }
+
+    const start = parseTime(window.startTime);
+    const end = parseTime(window.endTime);
+    if (start === null || end === null) {
+      return 'Availability times must use the HH:MM format';
+    }
+    if (end <= start) {
+      return `End time must be after start time on ${window.day}`;
+    }
+  }
+
+  // Windows on the same day must not overlap
+  for (const day of DAYS_OF_WEEK) {
+    const windows = availability
+      .filter(window => window.day === day)
+      .map(window => [parseTime(window.startTime), parseTime(window.endTime)])
+      .sort((a, b) => a[0] - b[0]);
+
+    for (let i = 1; i < windows.length; i++) {
+      if (windows[i][0] < windows[i - 1][1]) {
+        return `Availability windows overlap on ${day}`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get the zone a doctor's weekly availability is written in
+ * @param {Object} doctor - Doctor user document
+ * @returns {string} IANA zone name
+ */
+export const getDoctorTimeZone = (doctor) => {
+  return resolveTimeZone(doctor.timeZone);
+};
+
+/**
+ * Get the slot length a doctor uses for appointments
+ * @param {Object} doctor - Doctor user document
+ * @returns {number} Slot length in minutes
+ */
+export const getSlotDuration = (doctor) => {
+  return doctor.slotDuration || DEFAULT_SLOT_DURATION;
+};
+
+/**
+ * Get the availability windows a doctor works on a given date
+ * @param {Object} doctor - Doctor user document
+ * @param {Object} calendarDate - { year, month (0-11), day } in the doctor's zone
+ * @returns {Array} Windows for that weekday, sorted by start time
+ */
+export const getAvailabilityWindows = (doctor, calendarDate) => {
+  const template = doctor.availability && doctor.availability.length > 0
+    ? doctor.availability
+    : DEFAULT_AVAILABILITY;
+  const day = DAYS_OF_WEEK[new Date(Date.UTC(calendarDate.year, calendarDate.month, calendarDate.day)).getUTCDay()];
+
+  return template
+    .filter(window => window.day === day)
+    .sort((a, b) => parseTime(a.startTime) - parseTime(b.startTime));
+};
+
+/**
+ * Generate every slot start time a doctor offers on a given date
+ * @param {Object} doctor - Doctor user document
+ * @param {Object} calendarDate - { year, month (0-11), day } in the doctor's zone
+ * @returns {Date[]} Slot start times in chronological order
+ */
+export const generateTimeSlots = (doctor, calendarDate) => {
+  const duration = getSlotDuration(doctor);
+  const timeZone = getDoctorTimeZone(doctor);
+  const slots = [];
+
+  for (const window of getAvailabilityWindows(doctor, calendarDate)) {
+    const start = parseTime(window.startTime);
+    const end = parseTime(window.endTime);
+    if (start === null || end === null) {
+      continue;
+    }
+
+    // Only offer slots that finish inside the window
+    for (let minutes = start; minutes + duration <= end; minutes += duration) {
+      slots.push(zonedTimeToUtc(calendarDate, minutes, timeZone));
+    }
+  }
+
+  return slots;
+};
+
+/**
+ * Check whether a start time is one of the doctor's generated slots
+ * @param {Object} doctor - Doctor user document
+ * @param {Date} dateTime - Requested appointment start
+ * @returns {boolean} True if the time matches a slot
+ */
+export const isSlotInAvailability = (doctor, dateTime) => {
+  const calendarDate = getZonedCalendarDate(dateTime, getDoctorTimeZone(doctor));
+
+  return generateTimeSlots(doctor, calendarDate).some(slot => slot.getTime() === dateTime.getTime());
+};
+
+/**
+ * Generate the doctor's slots that start inside [start, end), whatever their local dates are
+ * @param {Object} doctor - Doctor user document
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end (exclusive)
+ * @returns {Date[]} Slot start times in chronological order
+ */
+export const generateTimeSlotsInRange = (doctor, start, end) => {
+  const timeZone = getDoctorTimeZone(doctor);
+  const lastKey = getDateKey(getZonedCalendarDate(new Date(end.getTime() - 1), timeZone));
+  const slots = [];
+
+  for (let calendarDate = getZonedCalendarDate(start, timeZone); getDateKey(calendarDate) <= lastKey; calendarDate = addDays(calendarDate, 1)) {
+    for (const slot of generateTimeSlots(doctor, calendarDate)) {
+      if (slot >= start && slot < end) {
+        slots.push(slot);
+      }
+    }
+  }
+
+  return slots;
+};
+
+/**
+ * Check whether two half-open time ranges [start, start + duration) overlap
+ * @param {Date} startA - Start of the first range
+ * @param {number} durationA - Length of the first range in minutes
+ * @param {Date} startB - Start of the second range
+ * @param {number} durationB - Length of the second range in minutes
+ * @returns {boolean} True if the ranges share any time
+ */
+export const rangesOverlap = (startA, durationA, startB, durationB) => {
+  const endA = startA.getTime() + durationA * 60 * 1000;
+  const endB = startB.getTime() + durationB * 60 * 1000;
+  return startA.getTime() < endB && startB.getTime() < endA;
+};
+
+/**
+ * Generate the start times of a repeating series, keeping the local time of day of the first one
+ * @param {Date} firstStart - First occurrence
+ * @param {string} timeZone - Zone the series repeats in (the doctor's)
+ * @param {number} interval - Weeks or months between occurrences
+ * @param {string} unit - 'week' or 'month'
+ * @param {number} count - Number of occurrences
+ * @returns {Date[]} Occurrence start times, the first one included
+ */
+export const generateSeriesDates = (firstStart, timeZone, interval, unit, count) => {
+  const { year, month, day, hour, minute } = getZonedParts(firstStart, timeZone);
+  const firstDate = { year, month, day };
+  const dates = [];
+
+  for (let i = 0; i < count; i++) {
+    const calendarDate = unit === 'month'
+      ? addMonths(firstDate, i * interval)
+      : addDays(firstDate, i * interval * 7);
+    dates.push(zonedTimeToUtc(calendarDate, hour * 60 + minute, timeZone));
+  }
+
+  return dates;
+};
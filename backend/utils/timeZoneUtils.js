@@ -0,0 +1,153 @@
+// Zone used for users who have not chosen one yet
+export const getDefaultTimeZone = () => process.env.DEFAULT_TIME_ZONE || 'UTC';
+
+/**
+ * Check whether a string is an IANA time zone name known to the runtime
+ * @param {string} timeZone - Zone name, e.g. "Asia/Kolkata"
+ * @returns {boolean} True if the zone can be used for formatting
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Return the zone if it is valid, otherwise the fallback
+ * @param {string} timeZone - Requested zone
+ * @param {string} fallback - Zone to use instead (default: server default)
+ * @returns {string} A usable IANA zone name
+ */
+export const resolveTimeZone = (timeZone, fallback = getDefaultTimeZone()) => {
+  return isValidTimeZone(timeZone) ? timeZone : fallback;
+};
+
+/**
+ * Get the wall-clock calendar fields of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {Object} { year, month (0-11), day, hour, minute, second }
+ */
+export const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  for (const part of parts) {
+    values[part.type] = parseInt(part.value, 10);
+  }
+
+  return {
+    year: values.year,
+    month: values.month - 1,
+    day: values.day,
+    hour: values.hour,
+    minute: values.minute,
+    second: values.second
+  };
+};
+
+// Offset of the zone from UTC at the given instant, in minutes
+const getZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+  return (asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000;
+};
+
+/**
+ * Convert a wall-clock time in a zone to the matching instant
+ * @param {Object} calendarDate - { year, month (0-11), day }
+ * @param {number} minutes - Minutes since midnight on that date
+ * @param {string} timeZone - IANA zone name
+ * @returns {Date} Instant of that wall-clock time
+ */
+export const zonedTimeToUtc = (calendarDate, minutes, timeZone) => {
+  const guess = Date.UTC(calendarDate.year, calendarDate.month, calendarDate.day, 0, minutes);
+  const offset = getZoneOffset(new Date(guess), timeZone);
+  let result = guess - offset * 60000;
+
+  // Re-check once in case the guess crossed a daylight saving transition
+  const correctedOffset = getZoneOffset(new Date(result), timeZone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset * 60000;
+  }
+
+  return new Date(result);
+};
+
+/**
+ * Get the calendar date of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {Object} { year, month (0-11), day }
+ */
+export const getZonedCalendarDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return { year, month, day };
+};
+
+/**
+ * Get the [start, end) instants of a calendar date in a zone
+ * @param {Object} calendarDate - { year, month (0-11), day }
+ * @param {string} timeZone - IANA zone name
+ * @returns {Object} { start, end }
+ */
+export const getZonedDayBounds = (calendarDate, timeZone) => {
+  const next = new Date(Date.UTC(calendarDate.year, calendarDate.month, calendarDate.day + 1));
+  return {
+    start: zonedTimeToUtc(calendarDate, 0, timeZone),
+    end: zonedTimeToUtc({
+      year: next.getUTCFullYear(),
+      month: next.getUTCMonth(),
+      day: next.getUTCDate()
+    }, 0, timeZone)
+  };
+};
+
+/**
+ * Format an appointment date and time for a recipient
+ * @param {Date} date - Appointment start
+ * @param {string} timeZone - Recipient's IANA zone
+ * @returns {string} e.g. "Monday, January 5, 2026 at 09:30 AM IST"
+ */
+export const formatDateTimeInZone = (date, timeZone) => {
+  return new Date(date).toLocaleString('en-US', {
+    timeZone: resolveTimeZone(timeZone),
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+};
+
+/**
+ * Format a time of day for a recipient
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Recipient's IANA zone
+ * @returns {string} e.g. "09:30 AM"
+ */
+export const formatTimeInZone = (date, timeZone) => {
+  return new Date(date).toLocaleTimeString('en-US', {
+    timeZone: resolveTimeZone(timeZone),
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true
+  });
+};
@@ -2,6 +2,7 @@ import { Routes, Route, Navigate } from 'react-router-dom'
 import { AuthProvider } from './contexts/AuthContext'
 import { SocketProvider } from './contexts/SocketContext'
 import ProtectedRoute from './components/ProtectedRoute'
+import RoleRoute from './components/RoleRoute'
 import Layout from './components/Layout'
 import CallNotification from './components/CallNotification'
 import Login from './pages/Login'
@@ -11,6 +12,7 @@ import DoctorsList from './pages/DoctorsList'
 import DoctorProfile from './pages/DoctorProfile'
 import BookAppointment from './pages/BookAppointment'
 import Appointments from './pages/Appointments'
+import AppointmentDetail from './pages/AppointmentDetail'
 import Chat from './pages/Chat'
 import Conversations from './pages/Conversations'
 import VideoCall from './pages/VideoCall'
@@ -19,6 +21,11 @@ import Notifications from './pages/Notifications'
 import MedVault from './pages/MedVault'
 import Schedule from './pages/Schedule'
 import PatientRecords from './pages/PatientRecords'
+import LeaveRequests from './pages/LeaveRequests'
+import DoctorVerifications from './pages/DoctorVerifications'
+import AdminUsers from './pages/AdminUsers'
+import AdminAnalytics from './pages/AdminAnalytics'
+import AdminUserDetail from './pages/AdminUserDetail'
 
 function App() {
   return (
@@ -29,19 +36,25 @@ function App() {
           <Route path="/register" element={<Register />} />
           <Route path="/" element={<ProtectedRoute><Layout /></ProtectedRoute>}>
             <Route index element={<Navigate to="/dashboard" replace />} />
-            <Route path="dashboard" element={<Dashboard />} />
+            <Route path="dashboard" element={<RoleRoute roles={['patient', 'doctor']}><Dashboard /></RoleRoute>} />
             <Route path="doctors" element={<DoctorsList />} />
             <Route path="doctors/:doctorId" element={<DoctorProfile />} />
             <Route path="book-appointment/:doctorId" element={<BookAppointment />} />
             <Route path="appointments" element={<Appointments />} />
+            <Route path="appointments/:appointmentId" element={<AppointmentDetail />} />
             <Route path="messages" element={<Conversations />} />
             <Route path="chat/:userId" element={<Chat />} />
             <Route path="video-call/:appointmentId" element={<VideoCall />} />
             <Route path="med-vault" element={<MedVault />} />
-            <Route path="schedule" element={<Schedule />} />
+            <Route path="schedule" element={<RoleRoute roles={['doctor']}><Schedule /></RoleRoute>} />
             <Route path="patient-records" element={<PatientRecords />} />
             <Route path="notifications" element={<Notifications />} />
             <Route path="profile" element={<Profile />} />
+            <Route path="admin/analytics" element={<RoleRoute roles={['admin']}><AdminAnalytics /></RoleRoute>} />
+            <Route path="admin/leave-requests" element={<RoleRoute roles={['admin']}><LeaveRequests /></RoleRoute>} />
+            <Route path="admin/doctor-verifications" element={<RoleRoute roles={['admin']}><DoctorVerifications /></RoleRoute>} />
+            <Route path="admin/users" element={<RoleRoute roles={['admin']}><AdminUsers /></RoleRoute>} />
+            <Route path="admin/users/:userId" element={<RoleRoute roles={['admin']}><AdminUserDetail /></RoleRoute>} />
           </Route>
         </Routes>
         <CallNotification />
@@ -0,0 +1,223 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { Lock, Mail, Eye, EyeOff, ShieldCheck, X } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import PasswordPolicyHint from './PasswordPolicyHint'
+
+const emptyPasswordForm = { currentPassword: '', newPassword: '', confirmPassword: '' }
+
+// Password and sign-in email changes, both confirmed with the current password
+const AccountSecurityPanel = () => {
+  const { user, confirmEmailChange } = useAuth()
+  const [passwordForm, setPasswordForm] = useState(emptyPasswordForm)
+  const [showPasswords, setShowPasswords] = useState(false)
+  const [savingPassword, setSavingPassword] = useState(false)
+  const [emailForm, setEmailForm] = useState({ newEmail: '', currentPassword: '' })
+  const [pendingEmail, setPendingEmail] = useState(null)
+  const [otp, setOtp] = useState('')
+  const [emailLoading, setEmailLoading] = useState(false)
+
+  const handlePasswordChange = (e) => {
+    setPasswordForm({ ...passwordForm, [e.target.name]: e.target.value })
+  }
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault()
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      toast.error('New passwords do not match')
+      return
+    }
+
+    setSavingPassword(true)
+    try {
+      const { currentPassword, newPassword } = passwordForm
+      const response = await axios.put('/api/users/password', { currentPassword, newPassword })
+      toast.success(response.data.signedOutSessions > 0
+        ? `Password changed. ${response.data.signedOutSessions} other device(s) were signed out.`
+        : 'Password changed')
+      setPasswordForm(emptyPasswordForm)
+    } catch (error) {
+      console.error('Failed to change password:', error)
+      toast.error(error.response?.data?.message || 'Failed to change password')
+    } finally {
+      setSavingPassword(false)
+    }
+  }
+
+  const handleEmailRequest = async (e) => {
+    e.preventDefault()
+    setEmailLoading(true)
+    try {
+      const response = await axios.post('/api/users/email', emailForm)
+      toast.success(response.data.message)
+      setPendingEmail(response.data.newEmail)
+      setOtp('')
+    } catch (error) {
+      console.error('Failed to request email change:', error)
+      toast.error(error.response?.data?.message || 'Failed to start email change')
+    } finally {
+      setEmailLoading(false)
+    }
+  }
+
+  const handleEmailVerify = async (e) => {
+    e.preventDefault()
+    setEmailLoading(true)
+    const result = await confirmEmailChange(otp)
+    setEmailLoading(false)
+
+    if (result.success) {
+      setPendingEmail(null)
+      setEmailForm({ newEmail: '', currentPassword: '' })
+    } else if (['OTP_EXPIRED', 'MAX_ATTEMPTS_EXCEEDED', 'OTP_NOT_FOUND'].includes(result.type)) {
+      // The code can no longer be used; start over
+      setPendingEmail(null)
+    }
+    setOtp('')
+  }
+
+  const handleEmailCancel = async () => {
+    try {
+      await axios.delete('/api/users/email')
+    } catch (error) {
+      console.error('Failed to cancel email change:', error)
+    }
+    setPendingEmail(null)
+    setOtp('')
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="card"
+    >
+      <h2 className="text-lg font-semibold text-gray-800 mb-4">Sign-in & Security</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <form onSubmit={handlePasswordSubmit} className="space-y-3">
+          <h3 className="flex items-center text-sm font-semibold text-gray-800">
+            <Lock className="mr-2 text-primary-600" size={16} />
+            Change Password
+          </h3>
+          {[
+            { name: 'currentPassword', label: 'Current password', autoComplete: 'current-password' },
+            { name: 'newPassword', label: 'New password', autoComplete: 'new-password' },
+            { name: 'confirmPassword', label: 'Confirm new password', autoComplete: 'new-password' }
+          ].map(field => (
+            <input
+              key={field.name}
+              type={showPasswords ? 'text' : 'password'}
+              name={field.name}
+              value={passwordForm[field.name]}
+              onChange={handlePasswordChange}
+              className="input-field"
+              placeholder={field.label}
+              aria-label={field.label}
+              autoComplete={field.autoComplete}
+              required
+            />
+          ))}
+          <PasswordPolicyHint password={passwordForm.newPassword} />
+          <p className="text-xs text-gray-500">Other devices will be signed out.</p>
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={() => setShowPasswords(!showPasswords)}
+              className="flex items-center text-sm text-gray-600 hover:text-gray-800"
+            >
+              {showPasswords ? <EyeOff className="mr-1" size={14} /> : <Eye className="mr-1" size={14} />}
+              {showPasswords ? 'Hide' : 'Show'}
+            </button>
+            <button
+              type="submit"
+              disabled={savingPassword}
+              className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {savingPassword ? 'Saving...' : 'Change Password'}
+            </button>
+          </div>
+        </form>
+
+        {pendingEmail ? (
+          <form onSubmit={handleEmailVerify} className="space-y-3">
+            <h3 className="flex items-center text-sm font-semibold text-gray-800">
+              <ShieldCheck className="mr-2 text-primary-600" size={16} />
+              Confirm New Email
+            </h3>
+            <p className="text-sm text-gray-600">
+              Enter the 6-digit code sent to <span className="font-semibold text-primary-600">{pendingEmail}</span>.
+              Your current address has been told about this change.
+            </p>
+            <input
+              type="text"
+              inputMode="numeric"
+              maxLength={6}
+              value={otp}
+              onChange={(e) => setOtp(e.target.value.replace(/\D/g, ''))}
+              className="input-field text-center tracking-widest font-semibold"
+              placeholder="000000"
+              aria-label="Verification code"
+              autoComplete="one-time-code"
+              required
+            />
+            <div className="flex justify-end space-x-2">
+              <button type="button" onClick={handleEmailCancel} className="btn-secondary flex items-center text-sm">
+                <X className="mr-1" size={14} />
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={emailLoading || otp.length !== 6}
+                className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {emailLoading ? 'Verifying...' : 'Confirm Email'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form onSubmit={handleEmailRequest} className="space-y-3">
+            <h3 className="flex items-center text-sm font-semibold text-gray-800">
+              <Mail className="mr-2 text-primary-600" size={16} />
+              Change Email
+            </h3>
+            <p className="text-sm text-gray-600">Currently {user?.email}</p>
+            <input
+              type="email"
+              value={emailForm.newEmail}
+              onChange={(e) => setEmailForm({ ...emailForm, newEmail: e.target.value })}
+              className="input-field"
+              placeholder="New email address"
+              aria-label="New email address"
+              autoComplete="email"
+              required
+            />
+            <input
+              type="password"
+              value={emailForm.currentPassword}
+              onChange={(e) => setEmailForm({ ...emailForm, currentPassword: e.target.value })}
+              className="input-field"
+              placeholder="Current password"
+              aria-label="Current password"
+              autoComplete="current-password"
+              required
+            />
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={emailLoading}
+                className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {emailLoading ? 'Sending...' : 'Send Verification Code'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </motion.div>
+  )
+}
+
+export default AccountSecurityPanel
@@ -0,0 +1,18 @@
+const STATUS_COLORS = {
+  active: 'bg-green-100 text-green-700',
+  suspended: 'bg-orange-100 text-orange-700',
+  deleted: 'bg-gray-200 text-gray-700'
+}
+
+// Whether an account is active, suspended by an admin or soft-deleted
+const AccountStatusBadge = ({ user }) => {
+  const status = user.deletedAt ? 'deleted' : user.isActive ? 'active' : 'suspended'
+
+  return (
+    <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_COLORS[status]}`}>
+      {status}
+    </span>
+  )
+}
+
+export default AccountStatusBadge
@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { Monitor, Smartphone, LogOut } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+// Short device description from a user agent, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([token]) => userAgent.includes(token))?.[1]
+  const os = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+    .find(([token]) => userAgent.includes(token))?.[1]
+
+  if (!browser && !os) return 'Unknown device'
+  return [browser || 'Browser', os].filter(Boolean).join(' on ')
+}
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad|Mobile/.test(userAgent)
+
+// The devices the user is signed in on, with sign-out for each and for all of them
+const ActiveSessionsPanel = () => {
+  const { logoutEverywhere } = useAuth()
+  const [sessions, setSessions] = useState([])
+  const [revokingId, setRevokingId] = useState(null)
+  const [loggingOut, setLoggingOut] = useState(false)
+
+  useEffect(() => {
+    fetchSessions()
+  }, [])
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get('/api/sessions')
+      setSessions(response.data)
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error)
+      toast.error('Failed to load active sessions')
+    }
+  }
+
+  const handleRevoke = async (sessionId) => {
+    setRevokingId(sessionId)
+    try {
+      await axios.delete(`/api/sessions/${sessionId}`)
+      setSessions(prev => prev.filter(session => session._id !== sessionId))
+      toast.success('Device signed out')
+    } catch (error) {
+      console.error('Failed to revoke session:', error)
+      toast.error(error.response?.data?.message || 'Failed to sign out device')
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return
+
+    setLoggingOut(true)
+    const result = await logoutEverywhere()
+    if (!result.success) {
+      setLoggingOut(false)
+    }
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="card"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-800">Active Sessions</h2>
+        <button
+          onClick={handleLogoutEverywhere}
+          disabled={loggingOut}
+          className="btn-secondary flex items-center text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <LogOut className="mr-2" size={16} />
+          {loggingOut ? 'Signing out...' : 'Log Out Everywhere'}
+        </button>
+      </div>
+
+      {sessions.length === 0 ? (
+        <p className="text-sm text-gray-600">No active sessions</p>
+      ) : (
+        <div className="space-y-3">
+          {sessions.map(session => {
+            const DeviceIcon = isMobile(session.userAgent) ? Smartphone : Monitor
+            return (
+              <div key={session._id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                <div className="flex items-center">
+                  <DeviceIcon className="text-gray-500 mr-3" size={20} />
+                  <div>
+                    <p className="text-sm font-medium text-gray-800">
+                      {describeDevice(session.userAgent)}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-0.5 bg-green-100 text-green-700 text-xs rounded-full">This device</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {session.ipAddress && `${session.ipAddress} · `}
+                      Signed in {new Date(session.createdAt).toLocaleDateString()} · last active {new Date(session.lastUsedAt).toLocaleString()}
+                    </p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => handleRevoke(session._id)}
+                    disabled={revokingId === session._id}
+                    className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                  >
+                    {revokingId === session._id ? 'Signing out...' : 'Sign out'}
+                  </button>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </motion.div>
+  )
+}
+
+export default ActiveSessionsPanel
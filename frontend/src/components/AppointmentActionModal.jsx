@@ -0,0 +1,216 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { CalendarClock, XCircle, X, AlertCircle } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+// Lets a patient cancel an appointment or move it to another free slot,
+// or either side cancel the rest of a follow-up series
+const AppointmentActionModal = ({ appointment, action, timeZone, onClose, onDone }) => {
+  const isReschedule = action === 'reschedule'
+  const isSeries = action === 'cancel-series'
+  const { user } = useAuth()
+  const [reason, setReason] = useState('')
+  const [date, setDate] = useState('')
+  const [slots, setSlots] = useState([])
+  const [selectedSlot, setSelectedSlot] = useState('')
+  const [loadingSlots, setLoadingSlots] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (!isReschedule || !date) {
+      setSlots([])
+      return
+    }
+
+    const fetchSlots = async () => {
+      setLoadingSlots(true)
+      setSelectedSlot('')
+      try {
+        const response = await axios.get(`/api/availability/doctor/${appointment.doctor._id}/date/${date}`, {
+          params: { timeZone }
+        })
+        setSlots(response.data.available ? response.data.timeSlots : [])
+      } catch (error) {
+        console.error('Failed to fetch available slots:', error)
+        toast.error('Failed to check availability')
+        setSlots([])
+      } finally {
+        setLoadingSlots(false)
+      }
+    }
+
+    fetchSlots()
+  }, [isReschedule, date, appointment.doctor._id, timeZone])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (isReschedule && !selectedSlot) {
+      toast.error('Please select a new time slot')
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      if (isReschedule) {
+        await axios.put(`/api/appointments/${appointment._id}/reschedule`, {
+          appointmentDate: selectedSlot,
+          reason
+        })
+        toast.success('Appointment rescheduled. The doctor will confirm the new time.')
+      } else if (isSeries) {
+        const response = await axios.put(`/api/appointments/series/${appointment.series}/cancel`, { reason })
+        toast.success(response.data.message)
+      } else {
+        await axios.put(`/api/appointments/${appointment._id}/cancel`, { reason })
+        toast.success('Appointment cancelled')
+      }
+      onDone()
+    } catch (error) {
+      const message = error.response?.data?.message || (isSeries ? 'Failed to cancel follow-up series' : `Failed to ${action} appointment`)
+      toast.error(message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const getMinDate = () => new Date().toISOString().split('T')[0]
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        className="bg-white rounded-xl shadow-2xl max-w-md w-full"
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className={`p-2 rounded-lg ${isReschedule ? 'bg-primary-100' : 'bg-red-100'}`}>
+              {isReschedule
+                ? <CalendarClock className="text-primary-600" size={20} />
+                : <XCircle className="text-red-600" size={20} />
+              }
+            </div>
+            <h2 className="text-xl font-semibold text-gray-800">
+              {isReschedule ? 'Reschedule Appointment' : isSeries ? 'Cancel Follow-up Series' : 'Cancel Appointment'}
+            </h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          {isReschedule && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  New Date
+                </label>
+                <input
+                  type="date"
+                  value={date}
+                  onChange={(e) => setDate(e.target.value)}
+                  min={getMinDate()}
+                  className="input-field"
+                  required
+                />
+              </div>
+
+              {date && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    New Time
+                  </label>
+                  {loadingSlots ? (
+                    <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+                  ) : slots.length === 0 ? (
+                    <p className="text-sm text-red-600">No available slots on this date</p>
+                  ) : (
+                    <div className="grid grid-cols-3 gap-2 max-h-40 overflow-y-auto">
+                      {slots.map(slot => (
+                        <button
+                          key={slot.datetime}
+                          type="button"
+                          onClick={() => setSelectedSlot(slot.datetime)}
+                          className={`p-2 border rounded-lg text-sm transition-colors ${
+                            selectedSlot === slot.datetime
+                              ? 'border-primary-500 bg-primary-50 text-primary-700'
+                              : 'border-gray-300 hover:border-primary-300'
+                          }`}
+                        >
+                          {slot.display}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Reason
+            </label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={3}
+              className="input-field"
+              placeholder={isReschedule
+                ? 'Why do you need to move this appointment?'
+                : `Why are you cancelling ${isSeries ? 'these follow-ups' : 'this appointment'}?`
+              }
+              required
+            />
+          </div>
+
+          {isSeries && (
+            <p className="text-sm text-gray-600">
+              All upcoming follow-ups in this series will be cancelled.
+            </p>
+          )}
+
+          {appointment.status === 'confirmed' && user?.role === 'patient' && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+              <div className="flex items-start">
+                <AlertCircle className="text-yellow-600 mr-2 mt-0.5" size={16} />
+                <p className="text-sm text-yellow-800">
+                  Dr. {appointment.doctor.lastName} accepts changes up to {appointment.doctor.cancellationCutoffHours ?? 24} hours before a confirmed appointment.
+                </p>
+              </div>
+            </div>
+          )}
+
+          <div className="flex items-center justify-end space-x-3 pt-2">
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Back
+            </button>
+            <button
+              type="submit"
+              disabled={submitting}
+              className={isReschedule
+                ? 'btn-primary'
+                : 'bg-red-600 hover:bg-red-700 text-white font-medium py-2.5 px-4 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+              }
+            >
+              {submitting ? 'Saving...' : isReschedule ? 'Reschedule' : isSeries ? 'Cancel Series' : 'Cancel Appointment'}
+            </button>
+          </div>
+        </form>
+      </motion.div>
+    </motion.div>
+  )
+}
+
+export default AppointmentActionModal
@@ -0,0 +1,216 @@
+import { useState, useEffect, useRef } from 'react'
+import { motion } from 'framer-motion'
+import { ShieldCheck, ShieldAlert, Clock, Upload, FileText, Trash2, Send } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+const MAX_DOCUMENTS = 5
+
+// A doctor's license verification: status, and the upload form until an admin approves it
+const DoctorVerificationPanel = () => {
+  const { user } = useAuth()
+  const [status, setStatus] = useState(null)
+  const [licenseNumber, setLicenseNumber] = useState(user?.licenseNumber || '')
+  const [documents, setDocuments] = useState([])
+  const [uploading, setUploading] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+  const fileInputRef = useRef(null)
+
+  useEffect(() => {
+    fetchStatus()
+  }, [])
+
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get('/api/doctor/verification/me')
+      setStatus(response.data)
+    } catch (error) {
+      console.error('Failed to fetch verification status:', error)
+      toast.error('Failed to load verification status')
+    }
+  }
+
+  const handleFileUpload = async (event) => {
+    const file = event.target.files[0]
+    if (!file) return
+
+    if (file.size > 10 * 1024 * 1024) {
+      toast.error('File size must be less than 10MB')
+      return
+    }
+
+    setUploading(true)
+    try {
+      const formData = new FormData()
+      formData.append('file', file)
+
+      const response = await axios.post('/api/upload/license-document', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      })
+      setDocuments(prev => [...prev, response.data])
+    } catch (error) {
+      console.error('Failed to upload document:', error)
+      toast.error(error.response?.data?.message || 'Failed to upload document')
+    } finally {
+      setUploading(false)
+      if (fileInputRef.current) {
+        fileInputRef.current.value = ''
+      }
+    }
+  }
+
+  const handleSubmit = async () => {
+    if (!licenseNumber.trim()) {
+      toast.error('Please enter your license number')
+      return
+    }
+
+    if (documents.length === 0) {
+      toast.error('Please upload at least one license document')
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      await axios.post('/api/doctor/verification', { licenseNumber, documents })
+      toast.success('Credentials submitted for review!')
+      setDocuments([])
+      fetchStatus()
+    } catch (error) {
+      console.error('Failed to submit verification:', error)
+      toast.error(error.response?.data?.message || 'Failed to submit credentials')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (!status) {
+    return null
+  }
+
+  const { isVerified, verification } = status
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="card"
+    >
+      <h2 className="text-lg font-semibold text-gray-800 mb-4">Credential Verification</h2>
+
+      {isVerified ? (
+        <div className="flex items-start bg-green-50 border border-green-200 rounded-lg p-4">
+          <ShieldCheck className="text-green-600 mr-3 mt-0.5" size={20} />
+          <div>
+            <p className="font-medium text-green-800">Your credentials are verified</p>
+            <p className="text-sm text-green-700">
+              License {user?.licenseNumber}. Patients can find you and book appointments with you.
+            </p>
+          </div>
+        </div>
+      ) : verification?.status === 'pending' ? (
+        <div className="flex items-start bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <Clock className="text-yellow-600 mr-3 mt-0.5" size={20} />
+          <div>
+            <p className="font-medium text-yellow-800">Waiting for review</p>
+            <p className="text-sm text-yellow-700">
+              License {verification.licenseNumber} with {verification.documents.length} document{verification.documents.length === 1 ? '' : 's'},
+              submitted {new Date(verification.createdAt).toLocaleDateString()}. You are hidden from patients until an admin approves it.
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex items-start bg-red-50 border border-red-200 rounded-lg p-4">
+            <ShieldAlert className="text-red-600 mr-3 mt-0.5" size={20} />
+            <div>
+              <p className="font-medium text-red-800">
+                {verification?.status === 'rejected' ? 'Your last submission was rejected' : 'Your credentials are not verified yet'}
+              </p>
+              <p className="text-sm text-red-700">
+                {verification?.status === 'rejected'
+                  ? `Reason: ${verification.rejectionReason}`
+                  : 'Patients cannot find or book you, and you cannot accept appointments, until an admin verifies your license.'}
+              </p>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">License Number</label>
+            <input
+              type="text"
+              value={licenseNumber}
+              onChange={(e) => setLicenseNumber(e.target.value)}
+              className="input-field"
+              placeholder="Your medical license number"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">License Documents</label>
+            {documents.length > 0 && (
+              <div className="space-y-2 mb-3">
+                {documents.map((document, index) => (
+                  <div key={document.fileUrl} className="flex items-center justify-between p-2 border border-gray-200 rounded-lg">
+                    <a
+                      href={document.fileUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="flex items-center text-sm text-primary-600 hover:underline"
+                    >
+                      <FileText className="mr-2" size={16} />
+                      {document.fileName}
+                    </a>
+                    <button
+                      type="button"
+                      onClick={() => setDocuments(prev => prev.filter((_, i) => i !== index))}
+                      className="text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <input
+              ref={fileInputRef}
+              type="file"
+              onChange={handleFileUpload}
+              className="hidden"
+              accept="image/*,.pdf,.doc,.docx"
+            />
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={uploading || documents.length >= MAX_DOCUMENTS}
+              className="btn-secondary flex items-center text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Upload className="mr-2" size={16} />
+              {uploading ? 'Uploading...' : 'Upload Document'}
+            </button>
+            <p className="text-xs text-gray-500 mt-1">
+              A scan of your license or registration certificate, up to {MAX_DOCUMENTS} files of 10MB each
+            </p>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={handleSubmit}
+              disabled={submitting || uploading}
+              className="btn-primary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Send className="mr-2" size={16} />
+              {submitting ? 'Submitting...' : 'Submit for Review'}
+            </button>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  )
+}
+
+export default DoctorVerificationPanel
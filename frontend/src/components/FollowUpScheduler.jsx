@@ -0,0 +1,281 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { Repeat, X, CheckCircle, AlertCircle } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+// Lets a doctor book a repeating series of follow-ups from a completed appointment
+const FollowUpScheduler = ({ appointmentId, onClose, onDone }) => {
+  const { user } = useAuth()
+  const timeZone = user?.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
+  const [date, setDate] = useState('')
+  const [slots, setSlots] = useState([])
+  const [selectedSlot, setSelectedSlot] = useState('')
+  const [loadingSlots, setLoadingSlots] = useState(false)
+  const [every, setEvery] = useState(2)
+  const [unit, setUnit] = useState('week')
+  const [occurrences, setOccurrences] = useState(6)
+  const [reason, setReason] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (!date) {
+      setSlots([])
+      return
+    }
+
+    const fetchSlots = async () => {
+      setLoadingSlots(true)
+      setSelectedSlot('')
+      try {
+        const response = await axios.get(`/api/availability/doctor/${user._id}/date/${date}`, {
+          params: { timeZone }
+        })
+        setSlots(response.data.available ? response.data.timeSlots : [])
+      } catch (error) {
+        console.error('Failed to fetch available slots:', error)
+        toast.error('Failed to check availability')
+        setSlots([])
+      } finally {
+        setLoadingSlots(false)
+      }
+    }
+
+    fetchSlots()
+  }, [date, user._id, timeZone])
+
+  // Any change to the pattern makes the previewed dates stale
+  useEffect(() => {
+    setPreview(null)
+  }, [selectedSlot, every, unit, occurrences])
+
+  const getSeriesRequest = () => ({
+    appointmentId,
+    firstDate: selectedSlot,
+    interval: every,
+    unit,
+    occurrences,
+    reason
+  })
+
+  const handlePreview = async () => {
+    if (!selectedSlot) {
+      toast.error('Please select the first follow-up time')
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      const response = await axios.post('/api/appointments/series/preview', getSeriesRequest())
+      setPreview(response.data)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to preview follow-ups')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleCreate = async () => {
+    setSubmitting(true)
+    try {
+      const response = await axios.post('/api/appointments/series', getSeriesRequest())
+      toast.success(`${response.data.appointments.length} follow-up appointments scheduled`)
+      onDone()
+    } catch (error) {
+      // Show which dates stopped being free since the preview
+      if (error.response?.data?.occurrences) {
+        setPreview({ occurrences: error.response.data.occurrences, allAvailable: false })
+      }
+      toast.error(error.response?.data?.message || 'Failed to schedule follow-ups')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const getMinDate = () => new Date().toISOString().split('T')[0]
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        className="bg-white rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto"
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="p-2 bg-primary-100 rounded-lg">
+              <Repeat className="text-primary-600" size={20} />
+            </div>
+            <h2 className="text-xl font-semibold text-gray-800">Schedule Follow-up</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              First Follow-up Date
+            </label>
+            <input
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              min={getMinDate()}
+              className="input-field"
+            />
+          </div>
+
+          {date && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Time
+              </label>
+              {loadingSlots ? (
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+              ) : slots.length === 0 ? (
+                <p className="text-sm text-red-600">No available slots on this date</p>
+              ) : (
+                <div className="grid grid-cols-3 gap-2 max-h-40 overflow-y-auto">
+                  {slots.map(slot => (
+                    <button
+                      key={slot.datetime}
+                      type="button"
+                      onClick={() => setSelectedSlot(slot.datetime)}
+                      className={`p-2 border rounded-lg text-sm transition-colors ${
+                        selectedSlot === slot.datetime
+                          ? 'border-primary-500 bg-primary-50 text-primary-700'
+                          : 'border-gray-300 hover:border-primary-300'
+                      }`}
+                    >
+                      {slot.display}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Every
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="12"
+                value={every}
+                onChange={(e) => setEvery(parseInt(e.target.value) || 1)}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Unit
+              </label>
+              <select
+                value={unit}
+                onChange={(e) => setUnit(e.target.value)}
+                className="input-field"
+              >
+                <option value="week">{every === 1 ? 'Week' : 'Weeks'}</option>
+                <option value="month">{every === 1 ? 'Month' : 'Months'}</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Times
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="26"
+                value={occurrences}
+                onChange={(e) => setOccurrences(parseInt(e.target.value) || 1)}
+                className="input-field"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Reason
+            </label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={2}
+              className="input-field"
+              placeholder="e.g., Blood pressure review"
+            />
+          </div>
+
+          {preview && (
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-56 overflow-y-auto">
+              {preview.occurrences.map((occurrence, idx) => (
+                <div key={occurrence.start} className="flex items-start p-3 text-sm">
+                  {occurrence.available
+                    ? <CheckCircle className="text-green-600 mr-2 mt-0.5 flex-shrink-0" size={16} />
+                    : <AlertCircle className="text-red-600 mr-2 mt-0.5 flex-shrink-0" size={16} />
+                  }
+                  <div>
+                    <p className="text-gray-800">
+                      <span className="font-medium">{idx + 1}.</span> {occurrence.display}
+                    </p>
+                    {occurrence.issue && (
+                      <p className="text-xs text-red-600">{occurrence.issue}</p>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {preview && !preview.allAvailable && (
+            <p className="text-sm text-red-600">
+              Pick another start time or pattern so that every follow-up is free.
+            </p>
+          )}
+
+          <div className="flex items-center justify-end space-x-3 pt-2">
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Back
+            </button>
+            {preview?.allAvailable ? (
+              <button
+                type="button"
+                onClick={handleCreate}
+                disabled={submitting}
+                className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Scheduling...' : `Schedule ${preview.occurrences.length} Follow-ups`}
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={handlePreview}
+                disabled={submitting}
+                className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Checking...' : 'Check Dates'}
+              </button>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </motion.div>
+  )
+}
+
+export default FollowUpScheduler
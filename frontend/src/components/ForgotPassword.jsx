@@ -0,0 +1,227 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { Mail, ShieldCheck, Lock, Eye, EyeOff, ArrowLeft, RefreshCw } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import PasswordPolicyHint from './PasswordPolicyHint'
+
+const STEP_TITLES = {
+  email: 'Forgot Password',
+  code: 'Enter Reset Code',
+  password: 'Choose a New Password'
+}
+
+// Forgot-password flow on the sign-in screen: email → emailed code → new password
+const ForgotPassword = ({ initialEmail = '', onBack, onComplete }) => {
+  const [step, setStep] = useState('email')
+  const [email, setEmail] = useState(initialEmail)
+  const [otp, setOtp] = useState('')
+  const [resetToken, setResetToken] = useState('')
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [showPassword, setShowPassword] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const requestCode = async (e) => {
+    e?.preventDefault()
+    setLoading(true)
+    setError('')
+
+    try {
+      const response = await axios.post('/api/auth/password-reset/request', { email })
+      toast.success(response.data.message)
+      setOtp('')
+      setStep('code')
+    } catch (error) {
+      console.error('Failed to request password reset:', error)
+      setError(error.response?.data?.message || 'Failed to send reset code. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const verifyCode = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setError('')
+
+    try {
+      const response = await axios.post('/api/auth/password-reset/verify', { email, otp })
+      setResetToken(response.data.resetToken)
+      setStep('password')
+    } catch (error) {
+      console.error('Failed to verify reset code:', error)
+      setError(error.response?.data?.message || 'Invalid reset code')
+      setOtp('')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const resetPassword = async (e) => {
+    e.preventDefault()
+    if (password !== confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setLoading(true)
+    setError('')
+
+    try {
+      const response = await axios.post('/api/auth/password-reset/complete', { email, resetToken, password })
+      toast.success(response.data.message)
+      onComplete(email)
+    } catch (error) {
+      console.error('Failed to reset password:', error)
+      setError(error.response?.data?.message || 'Failed to reset password')
+      setLoading(false)
+    }
+  }
+
+  return (
+    <motion.div
+      key={step}
+      initial={{ opacity: 0, x: 20 }}
+      animate={{ opacity: 1, x: 0 }}
+    >
+      <div className="text-center mb-6">
+        <h1 className="text-responsive-xl font-bold text-gray-800">{STEP_TITLES[step]}</h1>
+        <p className="text-gray-600 mt-2 text-responsive-sm">
+          {step === 'email' && "Enter your account's email and we'll send you a reset code"}
+          {step === 'code' && <>We sent a 6-digit code to <span className="font-semibold text-primary-600">{email}</span></>}
+          {step === 'password' && 'Every device signed in to your account will be signed out'}
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {step === 'email' && (
+        <form onSubmit={requestCode} className="mobile-form">
+          <div className="form-group">
+            <label htmlFor="reset-email">Email Address</label>
+            <input
+              id="reset-email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Enter your email"
+              required
+              autoComplete="email"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full btn-primary py-3 sm:py-4 text-responsive-base font-semibold flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Mail className="mr-2" size={16} />
+            {loading ? 'Sending...' : 'Send Reset Code'}
+          </button>
+        </form>
+      )}
+
+      {step === 'code' && (
+        <form onSubmit={verifyCode} className="mobile-form">
+          <div className="form-group">
+            <label htmlFor="reset-code">Reset Code</label>
+            <input
+              id="reset-code"
+              type="text"
+              inputMode="numeric"
+              maxLength={6}
+              value={otp}
+              onChange={(e) => setOtp(e.target.value.replace(/\D/g, ''))}
+              className="text-center text-lg tracking-widest font-semibold"
+              placeholder="000000"
+              required
+              autoComplete="one-time-code"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading || otp.length !== 6}
+            className="w-full btn-primary py-3 sm:py-4 text-responsive-base font-semibold flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <ShieldCheck className="mr-2" size={16} />
+            {loading ? 'Verifying...' : 'Verify Code'}
+          </button>
+          <button
+            type="button"
+            onClick={requestCode}
+            disabled={loading}
+            className="text-primary-600 hover:text-primary-700 text-sm font-medium flex items-center justify-center mx-auto disabled:opacity-50"
+          >
+            <RefreshCw className="mr-1" size={14} />
+            Send a new code
+          </button>
+        </form>
+      )}
+
+      {step === 'password' && (
+        <form onSubmit={resetPassword} className="mobile-form">
+          <div className="form-group">
+            <label htmlFor="new-password">New Password</label>
+            <div className="relative">
+              <input
+                id="new-password"
+                type={showPassword ? 'text' : 'password'}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Enter a new password"
+                required
+                autoComplete="new-password"
+              />
+              <button
+                type="button"
+                onClick={() => setShowPassword(!showPassword)}
+                className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 touch-target"
+              >
+                {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+              </button>
+            </div>
+            <div className="mt-2">
+              <PasswordPolicyHint password={password} />
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="confirm-password">Confirm New Password</label>
+            <input
+              id="confirm-password"
+              type={showPassword ? 'text' : 'password'}
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              placeholder="Repeat the new password"
+              required
+              autoComplete="new-password"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full btn-primary py-3 sm:py-4 text-responsive-base font-semibold flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Lock className="mr-2" size={16} />
+            {loading ? 'Saving...' : 'Reset Password'}
+          </button>
+        </form>
+      )}
+
+      <button
+        type="button"
+        onClick={onBack}
+        className="mt-6 w-full text-sm text-gray-600 hover:text-gray-800 flex items-center justify-center"
+      >
+        <ArrowLeft className="mr-1" size={14} />
+        Back to sign in
+      </button>
+    </motion.div>
+  )
+}
+
+export default ForgotPassword
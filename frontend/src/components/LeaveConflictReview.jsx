@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react'
+import { XCircle, CalendarClock, UserPlus, AlertCircle } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+const ACTIONS = [
+  { value: 'cancel', label: 'Cancel', icon: XCircle },
+  { value: 'reschedule', label: 'Reschedule', icon: CalendarClock },
+  { value: 'handoff', label: 'Hand off', icon: UserPlus }
+]
+
+// One appointment inside the leave and the doctor's choice for it
+const ConflictRow = ({ conflict, resolution = {}, error, timeZone, onChange }) => {
+  const { user } = useAuth()
+  const [date, setDate] = useState('')
+  const [slots, setSlots] = useState([])
+  const [loadingSlots, setLoadingSlots] = useState(false)
+  const [colleagues, setColleagues] = useState(null)
+
+  useEffect(() => {
+    if (resolution.action !== 'reschedule' || !date) {
+      setSlots([])
+      return
+    }
+
+    const fetchSlots = async () => {
+      setLoadingSlots(true)
+      try {
+        const response = await axios.get(`/api/availability/doctor/${user._id}/date/${date}`, {
+          params: { timeZone }
+        })
+        setSlots(response.data.available ? response.data.timeSlots : [])
+      } catch (error) {
+        console.error('Failed to fetch available slots:', error)
+        toast.error('Failed to check availability')
+        setSlots([])
+      } finally {
+        setLoadingSlots(false)
+      }
+    }
+
+    fetchSlots()
+  }, [resolution.action, date, user._id, timeZone])
+
+  useEffect(() => {
+    if (resolution.action !== 'handoff' || colleagues) {
+      return
+    }
+
+    const fetchColleagues = async () => {
+      try {
+        const response = await axios.get(`/api/doctor/leave/handoff-options/${conflict._id}`)
+        setColleagues(response.data.colleagues)
+      } catch (error) {
+        console.error('Failed to fetch colleagues:', error)
+        toast.error('Failed to load colleagues')
+        setColleagues([])
+      }
+    }
+
+    fetchColleagues()
+  }, [resolution.action, colleagues, conflict._id])
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      timeZone,
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+  }
+
+  return (
+    <div className={`border rounded-lg p-4 space-y-3 ${error ? 'border-red-300 bg-red-50' : 'border-gray-200'}`}>
+      <div className="flex items-start justify-between">
+        <div>
+          <p className="font-medium text-gray-800">
+            {conflict.patient.firstName} {conflict.patient.lastName}
+          </p>
+          <p className="text-sm text-gray-600">{formatDateTime(conflict.appointmentDate)}</p>
+        </div>
+        <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+          conflict.status === 'confirmed' ? 'text-green-600 bg-green-100' : 'text-yellow-600 bg-yellow-100'
+        }`}>
+          {conflict.status.charAt(0).toUpperCase() + conflict.status.slice(1)}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        {ACTIONS.map(item => (
+          <button
+            key={item.value}
+            type="button"
+            onClick={() => onChange({ action: item.value })}
+            className={`flex items-center justify-center p-2 border rounded-lg text-sm transition-colors ${
+              resolution.action === item.value
+                ? 'border-primary-500 bg-primary-50 text-primary-700'
+                : 'border-gray-300 hover:border-primary-300'
+            }`}
+          >
+            <item.icon className="mr-1" size={14} />
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      {resolution.action === 'reschedule' && (
+        <div className="space-y-2">
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => {
+              setDate(e.target.value)
+              onChange({ newDate: '' })
+            }}
+            min={new Date().toISOString().split('T')[0]}
+            className="input-field"
+          />
+          {date && (
+            loadingSlots ? (
+              <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-primary-600 mx-auto"></div>
+            ) : slots.length === 0 ? (
+              <p className="text-sm text-red-600">No available slots on this date</p>
+            ) : (
+              <div className="grid grid-cols-4 gap-2 max-h-32 overflow-y-auto">
+                {slots.map(slot => (
+                  <button
+                    key={slot.datetime}
+                    type="button"
+                    onClick={() => onChange({ newDate: slot.datetime })}
+                    className={`p-2 border rounded-lg text-xs transition-colors ${
+                      resolution.newDate === slot.datetime
+                        ? 'border-primary-500 bg-primary-50 text-primary-700'
+                        : 'border-gray-300 hover:border-primary-300'
+                    }`}
+                  >
+                    {slot.display}
+                  </button>
+                ))}
+              </div>
+            )
+          )}
+        </div>
+      )}
+
+      {resolution.action === 'handoff' && (
+        colleagues === null ? (
+          <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-primary-600 mx-auto"></div>
+        ) : colleagues.length === 0 ? (
+          <p className="text-sm text-red-600">No colleague is free at this time</p>
+        ) : (
+          <select
+            value={resolution.colleagueId || ''}
+            onChange={(e) => onChange({ colleagueId: e.target.value })}
+            className="input-field"
+          >
+            <option value="">Select a colleague</option>
+            {colleagues.map(colleague => (
+              <option key={colleague._id} value={colleague._id}>
+                Dr. {colleague.firstName} {colleague.lastName} ({colleague.specialization})
+              </option>
+            ))}
+          </select>
+        )
+      )}
+
+      {resolution.action && (
+        <input
+          type="text"
+          value={resolution.note || ''}
+          onChange={(e) => onChange({ note: e.target.value })}
+          className="input-field"
+          placeholder="Message to the patient (optional)"
+        />
+      )}
+
+      {error && (
+        <div className="flex items-start text-sm text-red-700">
+          <AlertCircle className="mr-1 mt-0.5 flex-shrink-0" size={14} />
+          <span>{error}</span>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Review step before a leave is saved: every appointment inside it needs a decision
+const LeaveConflictReview = ({ conflicts, resolutions, errors, timeZone, onChange }) => {
+  return (
+    <div className="space-y-3">
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+        <div className="flex items-start">
+          <AlertCircle className="text-yellow-600 mr-2 mt-0.5" size={16} />
+          <p className="text-sm text-yellow-800">
+            {conflicts.length} appointment{conflicts.length === 1 ? ' falls' : 's fall'} inside this leave.
+            Choose what to do with each one; it is carried out, and patients are notified, when the leave is approved.
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-3 max-h-96 overflow-y-auto">
+        {conflicts.map(conflict => (
+          <ConflictRow
+            key={conflict._id}
+            conflict={conflict}
+            resolution={resolutions[conflict._id]}
+            error={errors[conflict._id]}
+            timeZone={timeZone}
+            onChange={(patch) => onChange(conflict._id, patch)}
+          />
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default LeaveConflictReview
@@ -0,0 +1,362 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { AlertTriangle, HeartPulse, Pill, Scissors, Users, History, Pencil, Plus, Trash2, Save, ChevronDown } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+// Sections of the history, with the fields each entry has; the first field is the entry's title
+const SECTIONS = [
+  {
+    key: 'allergies',
+    title: 'Allergies',
+    icon: AlertTriangle,
+    fields: [
+      { name: 'substance', label: 'Substance', required: true },
+      { name: 'reaction', label: 'Reaction' },
+      { name: 'severity', label: 'Severity', options: ['mild', 'moderate', 'severe'] }
+    ]
+  },
+  {
+    key: 'conditions',
+    title: 'Chronic Conditions',
+    icon: HeartPulse,
+    fields: [
+      { name: 'name', label: 'Condition', required: true },
+      { name: 'diagnosedDate', label: 'Diagnosed', type: 'date' },
+      { name: 'status', label: 'Status', options: ['active', 'resolved'] },
+      { name: 'notes', label: 'Notes' }
+    ]
+  },
+  {
+    key: 'medications',
+    title: 'Current Medications',
+    icon: Pill,
+    fields: [
+      { name: 'name', label: 'Medication', required: true },
+      { name: 'dosage', label: 'Dosage' },
+      { name: 'frequency', label: 'Frequency' },
+      { name: 'startedDate', label: 'Started', type: 'date' },
+      { name: 'notes', label: 'Notes' }
+    ]
+  },
+  {
+    key: 'surgeries',
+    title: 'Surgeries',
+    icon: Scissors,
+    fields: [
+      { name: 'procedure', label: 'Procedure', required: true },
+      { name: 'date', label: 'Date', type: 'date' },
+      { name: 'notes', label: 'Notes' }
+    ]
+  },
+  {
+    key: 'familyHistory',
+    title: 'Family History',
+    icon: Users,
+    fields: [
+      { name: 'relation', label: 'Relation', required: true },
+      { name: 'condition', label: 'Condition', required: true },
+      { name: 'notes', label: 'Notes' }
+    ]
+  }
+]
+
+const SECTION_TITLES = Object.fromEntries(SECTIONS.map(section => [section.key, section.title]))
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+})
+
+// Entries as form values, with dates in the YYYY-MM-DD form date inputs use
+const toDraft = (history) => Object.fromEntries(SECTIONS.map(section => [
+  section.key,
+  (history?.[section.key] || []).map(entry => Object.fromEntries(section.fields.map(field => [
+    field.name,
+    field.type === 'date' && entry[field.name] ? entry[field.name].slice(0, 10) : entry[field.name] || ''
+  ])))
+]))
+
+// Read-only list of every section
+const HistorySections = ({ history }) => (
+  <div className="space-y-4">
+    {SECTIONS.map(section => {
+      const entries = history?.[section.key] || []
+      const [titleField, ...detailFields] = section.fields
+
+      return (
+        <div key={section.key}>
+          <h3 className="flex items-center text-sm font-semibold text-gray-800 mb-2">
+            <section.icon className="mr-2 text-primary-600" size={16} />
+            {section.title}
+          </h3>
+          {entries.length === 0 ? (
+            <p className="text-sm text-gray-500 ml-6">None recorded</p>
+          ) : (
+            <ul className="ml-6 space-y-1">
+              {entries.map((entry, index) => (
+                <li key={entry._id || index} className="text-sm text-gray-700">
+                  <strong>{entry[titleField.name]}</strong>
+                  {detailFields
+                    .filter(field => entry[field.name])
+                    .map(field => (
+                      <span key={field.name} className="text-gray-600">
+                        {' · '}
+                        {field.type === 'date' ? `${field.label.toLowerCase()} ${formatDate(entry[field.name])}` : entry[field.name]}
+                      </span>
+                    ))}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )
+    })}
+  </div>
+)
+
+// A patient's structured medical history; editable by the patient, read-only for their doctors when patientId is given
+const MedicalHistoryPanel = ({ patientId }) => {
+  const readOnly = Boolean(patientId)
+  const baseUrl = readOnly ? `/api/medical-history/patients/${patientId}` : '/api/medical-history/me'
+  const [history, setHistory] = useState(null)
+  const [draft, setDraft] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [versions, setVersions] = useState(null)
+  const [showVersions, setShowVersions] = useState(false)
+  const [openVersion, setOpenVersion] = useState(null)
+
+  useEffect(() => {
+    setHistory(null)
+    setVersions(null)
+    setShowVersions(false)
+    fetchHistory()
+  }, [patientId])
+
+  const fetchHistory = async () => {
+    try {
+      const response = await axios.get(baseUrl)
+      setHistory(response.data)
+    } catch (error) {
+      console.error('Failed to fetch medical history:', error)
+      toast.error(error.response?.data?.message || 'Failed to load medical history')
+    }
+  }
+
+  const fetchVersions = async () => {
+    try {
+      const response = await axios.get(`${baseUrl}/versions`)
+      setVersions(response.data)
+    } catch (error) {
+      console.error('Failed to fetch medical history versions:', error)
+      toast.error('Failed to load version history')
+    }
+  }
+
+  const toggleVersions = () => {
+    if (!showVersions) {
+      fetchVersions()
+    }
+    setShowVersions(!showVersions)
+  }
+
+  const updateEntry = (sectionKey, index, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      [sectionKey]: prev[sectionKey].map((entry, i) => (i === index ? { ...entry, [field]: value } : entry))
+    }))
+  }
+
+  const addEntry = (section) => {
+    const entry = Object.fromEntries(section.fields.map(field => [field.name, field.options ? field.options[0] : '']))
+    setDraft(prev => ({ ...prev, [section.key]: [...prev[section.key], entry] }))
+  }
+
+  const removeEntry = (sectionKey, index) => {
+    setDraft(prev => ({ ...prev, [sectionKey]: prev[sectionKey].filter((_, i) => i !== index) }))
+  }
+
+  const handleSave = async () => {
+    for (const section of SECTIONS) {
+      const missing = section.fields.find(field => field.required && draft[section.key].some(entry => !entry[field.name].trim()))
+      if (missing) {
+        toast.error(`Please fill in the ${missing.label.toLowerCase()} for every entry in ${section.title.toLowerCase()}`)
+        return
+      }
+    }
+
+    setSaving(true)
+    try {
+      const response = await axios.put('/api/medical-history/me', { ...draft, version: history.version })
+      setHistory(response.data)
+      setDraft(null)
+      setVersions(null)
+      setShowVersions(false)
+      toast.success('Medical history saved')
+    } catch (error) {
+      console.error('Failed to save medical history:', error)
+      toast.error(error.response?.data?.message || 'Failed to save medical history')
+      if (error.response?.status === 409) {
+        fetchHistory()
+      }
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!history) {
+    return null
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={readOnly ? '' : 'card'}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">Medical History</h2>
+          {history.version > 0 && (
+            <p className="text-xs text-gray-500">
+              Version {history.version}, updated {formatDate(history.updatedAt)}
+            </p>
+          )}
+        </div>
+        {!readOnly && !draft && (
+          <button onClick={() => setDraft(toDraft(history))} className="btn-secondary flex items-center text-sm">
+            <Pencil className="mr-2" size={16} />
+            Edit
+          </button>
+        )}
+      </div>
+
+      {draft ? (
+        <div className="space-y-6">
+          {SECTIONS.map(section => (
+            <div key={section.key}>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="flex items-center text-sm font-semibold text-gray-800">
+                  <section.icon className="mr-2 text-primary-600" size={16} />
+                  {section.title}
+                </h3>
+                <button
+                  type="button"
+                  onClick={() => addEntry(section)}
+                  className="flex items-center text-sm text-primary-600 hover:text-primary-700"
+                >
+                  <Plus className="mr-1" size={14} />
+                  Add
+                </button>
+              </div>
+              {draft[section.key].length === 0 ? (
+                <p className="text-sm text-gray-500">None recorded</p>
+              ) : (
+                <div className="space-y-2">
+                  {draft[section.key].map((entry, index) => (
+                    <div key={index} className="flex items-start gap-2">
+                      <div className="grid grid-cols-1 md:grid-cols-4 gap-2 flex-1">
+                        {section.fields.map(field => (
+                          field.options ? (
+                            <select
+                              key={field.name}
+                              value={entry[field.name]}
+                              onChange={(e) => updateEntry(section.key, index, field.name, e.target.value)}
+                              className="input-field text-sm"
+                              aria-label={field.label}
+                            >
+                              {field.options.map(option => (
+                                <option key={option} value={option}>
+                                  {option.charAt(0).toUpperCase() + option.slice(1)}
+                                </option>
+                              ))}
+                            </select>
+                          ) : (
+                            <input
+                              key={field.name}
+                              type={field.type || 'text'}
+                              value={entry[field.name]}
+                              onChange={(e) => updateEntry(section.key, index, field.name, e.target.value)}
+                              className="input-field text-sm"
+                              placeholder={field.label}
+                              aria-label={field.label}
+                            />
+                          )
+                        ))}
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => removeEntry(section.key, index)}
+                        className="p-2 text-gray-400 hover:text-red-600"
+                        title="Remove"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+
+          <div className="flex justify-end space-x-2">
+            <button onClick={() => setDraft(null)} className="btn-secondary text-sm">
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="btn-primary flex items-center text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Save className="mr-2" size={16} />
+              {saving ? 'Saving...' : 'Save History'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <HistorySections history={history} />
+      )}
+
+      {history.version > 0 && !draft && (
+        <div className="mt-6 pt-4 border-t border-gray-200">
+          <button
+            onClick={toggleVersions}
+            className="flex items-center text-sm font-medium text-gray-600 hover:text-gray-800"
+          >
+            <History className="mr-2" size={16} />
+            Version history
+            <ChevronDown className={`ml-1 transition-transform ${showVersions ? 'rotate-180' : ''}`} size={14} />
+          </button>
+          {showVersions && versions && (
+            <div className="mt-3 space-y-3">
+              {versions.map(version => (
+                <div key={version._id} className="border-l-2 border-gray-200 pl-3">
+                  <button
+                    onClick={() => setOpenVersion(openVersion === version._id ? null : version._id)}
+                    className="text-left"
+                  >
+                    <p className="text-sm font-medium text-gray-800">
+                      Version {version.version}: {version.changedSections.map(key => SECTION_TITLES[key] || key).join(', ')}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(version.createdAt).toLocaleString()}
+                      {version.changedBy && ` by ${version.changedBy.firstName} ${version.changedBy.lastName}`}
+                    </p>
+                  </button>
+                  {openVersion === version._id && (
+                    <div className="mt-2 bg-gray-50 rounded-lg p-3">
+                      <HistorySections history={version} />
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </motion.div>
+  )
+}
+
+export default MedicalHistoryPanel
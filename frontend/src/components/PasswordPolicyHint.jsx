@@ -0,0 +1,25 @@
+import { Check, Circle } from 'lucide-react'
+
+// The server's password policy, ticked off as the user types
+const RULES = [
+  { label: 'At least 8 characters', test: (password) => password.length >= 8 },
+  { label: 'An uppercase letter', test: (password) => /[A-Z]/.test(password) },
+  { label: 'A lowercase letter', test: (password) => /[a-z]/.test(password) },
+  { label: 'A number', test: (password) => /\d/.test(password) }
+]
+
+const PasswordPolicyHint = ({ password }) => (
+  <ul className="grid grid-cols-2 gap-1 text-xs">
+    {RULES.map(rule => {
+      const met = rule.test(password)
+      return (
+        <li key={rule.label} className={`flex items-center ${met ? 'text-green-600' : 'text-gray-500'}`}>
+          {met ? <Check className="mr-1" size={12} /> : <Circle className="mr-1" size={12} />}
+          {rule.label}
+        </li>
+      )
+    })}
+  </ul>
+)
+
+export default PasswordPolicyHint
@@ -1,8 +1,9 @@
 import { useState } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
-import { FileText, Plus, Trash2, Save, X } from 'lucide-react'
+import { FileText, Plus, Trash2, Save, X, Repeat } from 'lucide-react'
 import axios from 'axios'
 import toast from 'react-hot-toast'
+import FollowUpScheduler from './FollowUpScheduler'
 
 const PrescriptionNotes = ({ appointmentId, onClose, existingPrescription = null }) => {
   const [prescription, setPrescription] = useState({
@@ -12,6 +13,9 @@ const PrescriptionNotes = ({ appointmentId, onClose, existingPrescription = null
     notes: existingPrescription?.notes || ''
   })
   const [loading, setLoading] = useState(false)
+  // Follow-ups can only be booked once the prescription has completed the appointment
+  const [saved, setSaved] = useState(Boolean(existingPrescription))
+  const [showFollowUp, setShowFollowUp] = useState(false)
 
   const addMedication = () => {
     setPrescription(prev => ({
@@ -59,7 +63,7 @@ const PrescriptionNotes = ({ appointmentId, onClose, existingPrescription = null
       })
 
       toast.success('Prescription saved successfully!')
-      onClose()
+      setSaved(true)
     } catch (error) {
       console.error('Failed to save prescription:', error)
       toast.error('Failed to save prescription')
@@ -251,8 +255,17 @@ const PrescriptionNotes = ({ appointmentId, onClose, existingPrescription = null
             onClick={onClose}
             className="btn-secondary"
           >
-            Cancel
+            {saved ? 'Close' : 'Cancel'}
           </button>
+          {saved && (
+            <button
+              onClick={() => setShowFollowUp(true)}
+              className="btn-secondary flex items-center"
+            >
+              <Repeat className="mr-2" size={16} />
+              Schedule Follow-up
+            </button>
+          )}
           <button
             onClick={handleSave}
             disabled={loading}
@@ -263,6 +276,14 @@ const PrescriptionNotes = ({ appointmentId, onClose, existingPrescription = null
           </button>
         </div>
       </motion.div>
+
+      {showFollowUp && (
+        <FollowUpScheduler
+          appointmentId={appointmentId}
+          onClose={() => setShowFollowUp(false)}
+          onDone={onClose}
+        />
+      )}
     </motion.div>
   )
 }
@@ -0,0 +1,53 @@
+import { Copy, Download } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+// Recovery codes, shown once right after they are generated
+const RecoveryCodes = ({ codes, onDone }) => {
+  const text = codes.join('\n')
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text)
+      toast.success('Recovery codes copied')
+    } catch (error) {
+      console.error('Failed to copy recovery codes:', error)
+      toast.error('Failed to copy recovery codes')
+    }
+  }
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`TeleMed recovery codes\n\n${text}\n`], { type: 'text/plain' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'telemed-recovery-codes.txt'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator app.
+        They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 bg-gray-50 rounded-lg p-4 font-mono text-sm text-gray-800">
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button type="button" onClick={handleCopy} className="btn-secondary flex items-center text-sm">
+          <Copy className="mr-2" size={16} />
+          Copy
+        </button>
+        <button type="button" onClick={handleDownload} className="btn-secondary flex items-center text-sm">
+          <Download className="mr-2" size={16} />
+          Download
+        </button>
+        <button type="button" onClick={onDone} className="btn-primary text-sm ml-auto">
+          I've saved these codes
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default RecoveryCodes
@@ -0,0 +1,15 @@
+import { Navigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+
+// Renders a page only for the given roles, sending everyone else to their own home page
+const RoleRoute = ({ roles, children }) => {
+  const { user } = useAuth()
+
+  if (roles.includes(user?.role)) {
+    return children
+  }
+
+  return <Navigate to={user?.role === 'admin' ? '/admin/analytics' : '/dashboard'} replace />
+}
+
+export default RoleRoute
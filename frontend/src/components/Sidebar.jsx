@@ -8,7 +8,10 @@ import {
   User,
   Bell,
   Heart,
-  FileText
+  FileText,
+  CalendarDays,
+  ShieldCheck,
+  BarChart3
 } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
 
@@ -34,7 +37,18 @@ const Sidebar = ({ isOpen, onClose }) => {
     { to: '/profile', icon: User, label: 'Profile' },
   ]
 
-  const navItems = user?.role === 'doctor' ? doctorNavItems : patientNavItems
+  const adminNavItems = [
+    { to: '/admin/analytics', icon: BarChart3, label: 'Analytics' },
+    { to: '/admin/leave-requests', icon: CalendarDays, label: 'Leave Requests' },
+    { to: '/admin/doctor-verifications', icon: ShieldCheck, label: 'Verifications' },
+    { to: '/admin/users', icon: Users, label: 'Users' },
+    { to: '/notifications', icon: Bell, label: 'Notifications' },
+    { to: '/profile', icon: User, label: 'Profile' },
+  ]
+
+  const navItems = user?.role === 'admin'
+    ? adminNavItems
+    : user?.role === 'doctor' ? doctorNavItems : patientNavItems
 
   return (
     <>
@@ -0,0 +1,72 @@
+import { ArrowRight } from 'lucide-react'
+
+// Vertical timeline of an appointment's status changes, oldest first
+const StatusTimeline = ({ history = [], timeZone }) => {
+  const formatStatus = (status) => {
+    if (status === 'no_show') return 'No-show'
+    return status.charAt(0).toUpperCase() + status.slice(1)
+  }
+
+  const getDotColor = (status) => {
+    switch (status) {
+      case 'confirmed': return 'bg-green-500'
+      case 'pending': return 'bg-yellow-500'
+      case 'completed': return 'bg-blue-500'
+      case 'cancelled': return 'bg-red-500'
+      case 'no_show': return 'bg-gray-500'
+      case 'missed': return 'bg-orange-500'
+      case 'expired': return 'bg-gray-400'
+      default: return 'bg-gray-400'
+    }
+  }
+
+  const formatChangedAt = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      timeZone,
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+  }
+
+  const formatActor = (changedBy) => {
+    if (!changedBy) return 'System'
+    const name = `${changedBy.firstName} ${changedBy.lastName}`
+    return changedBy.role === 'doctor' ? `Dr. ${name}` : name
+  }
+
+  if (history.length === 0) {
+    return <p className="text-sm text-gray-500">No status changes recorded</p>
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+      {history.map((entry, idx) => (
+        <li key={entry._id || idx} className="ml-4">
+          <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border-2 border-white ${getDotColor(entry.to)}`}></span>
+          <div className="flex items-center text-sm font-medium text-gray-800">
+            {entry.from ? (
+              <>
+                <span>{formatStatus(entry.from)}</span>
+                <ArrowRight className="mx-1 text-gray-400" size={14} />
+                <span>{formatStatus(entry.to)}</span>
+              </>
+            ) : (
+              <span>Booked as {formatStatus(entry.to).toLowerCase()}</span>
+            )}
+          </div>
+          <p className="text-xs text-gray-500">
+            {formatChangedAt(entry.changedAt)} · {formatActor(entry.changedBy)}
+          </p>
+          {entry.reason && (
+            <p className="text-sm text-gray-600 mt-1">{entry.reason}</p>
+          )}
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+export default StatusTimeline
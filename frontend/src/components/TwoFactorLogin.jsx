@@ -0,0 +1,117 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { ShieldCheck, ArrowLeft } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import axios from 'axios'
+import TwoFactorSetup from './TwoFactorSetup'
+
+// Second sign-in step after the password: the authenticator code, or enrolling an app when the account must have one
+const TwoFactorLogin = ({ twoFactorToken, setupRequired, onBack }) => {
+  const { verifyTwoFactorLogin, completeLogin } = useAuth()
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [code, setCode] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [enrolledLogin, setEnrolledLogin] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+
+    const result = await verifyTwoFactorLogin(twoFactorToken, useRecoveryCode ? { recoveryCode: code } : { code })
+    if (!result.success) {
+      setLoading(false)
+      setCode('')
+      if (result.expired) {
+        onBack()
+      }
+    }
+  }
+
+  const requestSetup = async () => (await axios.post('/api/auth/login/2fa/setup', { twoFactorToken })).data
+
+  // Hold on to the new session until the recovery codes have been saved
+  const confirmSetup = async (setupCode) => {
+    const response = await axios.post('/api/auth/login/2fa/enable', { twoFactorToken, code: setupCode })
+    setEnrolledLogin(response.data)
+    return response.data.recoveryCodes
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: 20 }}
+      animate={{ opacity: 1, x: 0 }}
+    >
+      <div className="text-center mb-6">
+        <div className="inline-flex items-center justify-center w-12 h-12 bg-primary-600 rounded-full mb-4">
+          <ShieldCheck className="text-white" size={24} />
+        </div>
+        <h1 className="text-responsive-xl font-bold text-gray-800">
+          {setupRequired ? 'Set Up Two-Factor Authentication' : 'Two-Factor Authentication'}
+        </h1>
+        <p className="text-gray-600 mt-2 text-responsive-sm">
+          {setupRequired
+            ? 'Your organization requires an authenticator app for your account'
+            : useRecoveryCode
+              ? 'Enter one of your recovery codes'
+              : 'Enter the 6-digit code from your authenticator app'}
+        </p>
+      </div>
+
+      {setupRequired ? (
+        <TwoFactorSetup
+          requestSetup={requestSetup}
+          confirmSetup={confirmSetup}
+          onDone={() => completeLogin(enrolledLogin)}
+          onCancel={onBack}
+        />
+      ) : (
+        <form onSubmit={handleSubmit} className="mobile-form">
+          <div className="form-group">
+            <label htmlFor="two-factor-code">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+            <input
+              id="two-factor-code"
+              type="text"
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              maxLength={useRecoveryCode ? 9 : 6}
+              value={code}
+              onChange={(e) => setCode(useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, ''))}
+              className="text-center text-lg tracking-widest font-semibold"
+              placeholder={useRecoveryCode ? 'xxxx-xxxx' : '000000'}
+              autoComplete="one-time-code"
+              autoFocus
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading || (!useRecoveryCode && code.length !== 6)}
+            className="w-full btn-primary py-3 sm:py-4 text-responsive-base font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode)
+              setCode('')
+            }}
+            className="text-primary-600 hover:text-primary-700 text-sm font-medium mx-auto block"
+          >
+            {useRecoveryCode ? 'Use your authenticator app' : 'Use a recovery code'}
+          </button>
+        </form>
+      )}
+
+      <button
+        type="button"
+        onClick={onBack}
+        className="mt-6 w-full text-sm text-gray-600 hover:text-gray-800 flex items-center justify-center"
+      >
+        <ArrowLeft className="mr-1" size={14} />
+        Back to sign in
+      </button>
+    </motion.div>
+  )
+}
+
+export default TwoFactorLogin
@@ -0,0 +1,168 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { ShieldCheck, ShieldOff, KeyRound } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import TwoFactorSetup from './TwoFactorSetup'
+import RecoveryCodes from './RecoveryCodes'
+
+// Two-factor authentication with an authenticator app: enroll, turn off, and replace recovery codes
+const TwoFactorPanel = () => {
+  const [status, setStatus] = useState(null)
+  // null, 'setup', 'disable' or 'regenerate'
+  const [mode, setMode] = useState(null)
+  const [form, setForm] = useState({ password: '', code: '' })
+  const [submitting, setSubmitting] = useState(false)
+  const [newRecoveryCodes, setNewRecoveryCodes] = useState(null)
+
+  useEffect(() => {
+    fetchStatus()
+  }, [])
+
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get('/api/two-factor/status')
+      setStatus(response.data)
+    } catch (error) {
+      console.error('Failed to fetch two-factor status:', error)
+    }
+  }
+
+  const closeForm = () => {
+    setMode(null)
+    setForm({ password: '', code: '' })
+  }
+
+  const requestSetup = async () => (await axios.post('/api/two-factor/setup')).data
+
+  const confirmSetup = async (code) => (await axios.post('/api/two-factor/enable', { code })).data.recoveryCodes
+
+  const handleSetupDone = () => {
+    toast.success('Two-factor authentication is on')
+    closeForm()
+    fetchStatus()
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    try {
+      if (mode === 'disable') {
+        await axios.post('/api/two-factor/disable', form)
+        toast.success('Two-factor authentication is off')
+      } else {
+        const response = await axios.post('/api/two-factor/recovery-codes', { code: form.code })
+        setNewRecoveryCodes(response.data.recoveryCodes)
+      }
+      closeForm()
+      fetchStatus()
+    } catch (error) {
+      console.error('Two-factor update failed:', error)
+      toast.error(error.response?.data?.message || 'Failed to update two-factor authentication')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (!status) {
+    return null
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="card"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">Two-Factor Authentication</h2>
+          <p className="text-sm text-gray-600">
+            {status.enabled
+              ? `On since ${new Date(status.enabledAt).toLocaleDateString()} · ${status.recoveryCodesLeft} recovery codes left`
+              : 'Ask for a code from your authenticator app when signing in'}
+          </p>
+        </div>
+        <span className={`px-3 py-1 text-xs font-medium rounded-full ${status.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+          {status.enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+
+      {status.required && !status.enabled && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          Two-factor authentication is required for your account. You will be asked to set it up the next time you sign in.
+        </div>
+      )}
+
+      {newRecoveryCodes ? (
+        <RecoveryCodes codes={newRecoveryCodes} onDone={() => setNewRecoveryCodes(null)} />
+      ) : mode === 'setup' ? (
+        <TwoFactorSetup
+          requestSetup={requestSetup}
+          confirmSetup={confirmSetup}
+          onDone={handleSetupDone}
+          onCancel={closeForm}
+        />
+      ) : mode ? (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          {mode === 'disable' && (
+            <input
+              type="password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              className="input-field"
+              placeholder="Password"
+              aria-label="Password"
+              autoComplete="current-password"
+              required
+            />
+          )}
+          <input
+            type="text"
+            inputMode="numeric"
+            maxLength={6}
+            value={form.code}
+            onChange={(e) => setForm({ ...form, code: e.target.value.replace(/\D/g, '') })}
+            className="input-field"
+            placeholder="Code from your authenticator app"
+            aria-label="Code from your authenticator app"
+            autoComplete="one-time-code"
+            required
+          />
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={closeForm} className="btn-secondary text-sm">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting || form.code.length !== 6}
+              className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {submitting ? 'Saving...' : mode === 'disable' ? 'Turn Off' : 'Get New Codes'}
+            </button>
+          </div>
+        </form>
+      ) : status.enabled ? (
+        <div className="flex flex-wrap gap-2">
+          <button onClick={() => setMode('regenerate')} className="btn-secondary flex items-center text-sm">
+            <KeyRound className="mr-2" size={16} />
+            New Recovery Codes
+          </button>
+          {!status.required && (
+            <button onClick={() => setMode('disable')} className="btn-secondary flex items-center text-sm text-red-600">
+              <ShieldOff className="mr-2" size={16} />
+              Turn Off
+            </button>
+          )}
+        </div>
+      ) : (
+        <button onClick={() => setMode('setup')} className="btn-primary flex items-center text-sm">
+          <ShieldCheck className="mr-2" size={16} />
+          Set Up Authenticator App
+        </button>
+      )}
+    </motion.div>
+  )
+}
+
+export default TwoFactorPanel
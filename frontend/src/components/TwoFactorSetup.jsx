@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react'
+import { ShieldCheck } from 'lucide-react'
+import toast from 'react-hot-toast'
+import RecoveryCodes from './RecoveryCodes'
+
+// Authenticator app enrollment: scan the QR code, confirm with the first code, save the recovery codes.
+// requestSetup resolves to { qrCode, secret }; confirmSetup(code) resolves to the recovery codes.
+const TwoFactorSetup = ({ requestSetup, confirmSetup, onDone, onCancel }) => {
+  const [setup, setSetup] = useState(null)
+  const [code, setCode] = useState('')
+  const [verifying, setVerifying] = useState(false)
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+
+  useEffect(() => {
+    startSetup()
+  }, [])
+
+  const startSetup = async () => {
+    try {
+      setSetup(await requestSetup())
+    } catch (error) {
+      console.error('Failed to start two-factor setup:', error)
+      toast.error(error.response?.data?.message || 'Failed to start two-factor setup')
+      onCancel()
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setVerifying(true)
+    try {
+      setRecoveryCodes(await confirmSetup(code))
+    } catch (error) {
+      console.error('Failed to enable two-factor authentication:', error)
+      toast.error(error.response?.data?.message || 'Invalid authentication code')
+      setCode('')
+    } finally {
+      setVerifying(false)
+    }
+  }
+
+  if (recoveryCodes) {
+    return <RecoveryCodes codes={recoveryCodes} onDone={onDone} />
+  }
+
+  if (!setup) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="spinner h-6 w-6"></div>
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Scan this QR code with an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password.
+      </p>
+      <div className="flex justify-center">
+        <img src={setup.qrCode} alt="QR code for your authenticator app" className="w-48 h-48 border border-gray-200 rounded-lg" />
+      </div>
+      <p className="text-xs text-gray-500 text-center">
+        Can't scan it? Enter this key instead:
+        <span className="block font-mono text-sm text-gray-800 break-all mt-1">{setup.secret}</span>
+      </p>
+      <input
+        type="text"
+        inputMode="numeric"
+        maxLength={6}
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        className="input-field text-center text-lg tracking-widest font-semibold"
+        placeholder="000000"
+        aria-label="Code from your authenticator app"
+        autoComplete="one-time-code"
+        required
+      />
+      <div className="flex justify-end space-x-2">
+        <button type="button" onClick={onCancel} className="btn-secondary text-sm">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={verifying || code.length !== 6}
+          className="btn-primary flex items-center text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <ShieldCheck className="mr-2" size={16} />
+          {verifying ? 'Verifying...' : 'Turn On'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default TwoFactorSetup
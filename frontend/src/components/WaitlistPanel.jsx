@@ -0,0 +1,153 @@
+import { useState, useEffect } from 'react'
+import { ListOrdered, Clock, CheckCircle, XCircle, LogOut } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+// Active waitlist entries: a patient's own, with any held slot to accept, or a doctor's queue
+const WaitlistPanel = ({ timeZone, onBooked }) => {
+  const { user } = useAuth()
+  const [entries, setEntries] = useState([])
+  const [busyId, setBusyId] = useState(null)
+
+  useEffect(() => {
+    fetchEntries()
+  }, [])
+
+  const fetchEntries = async () => {
+    try {
+      const response = await axios.get('/api/waitlist')
+      setEntries(response.data.entries)
+    } catch (error) {
+      console.error('Failed to fetch waitlist:', error)
+    }
+  }
+
+  const handleAction = async (entry, action) => {
+    setBusyId(entry._id)
+    try {
+      if (action === 'accept') {
+        await axios.post(`/api/waitlist/${entry._id}/accept`)
+        toast.success('Slot booked! The doctor will confirm your appointment.')
+        onBooked()
+      } else if (action === 'decline') {
+        await axios.post(`/api/waitlist/${entry._id}/decline`)
+        toast.success('Offer declined. You are still on the waitlist.')
+      } else {
+        await axios.delete(`/api/waitlist/${entry._id}`)
+        toast.success('You have left the waitlist')
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update waitlist')
+    } finally {
+      setBusyId(null)
+      fetchEntries()
+    }
+  }
+
+  // Range days are stored at UTC midnight, so read them back in UTC
+  const formatDay = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      timeZone: 'UTC',
+      month: 'short',
+      day: 'numeric'
+    })
+  }
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      timeZone,
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+  }
+
+  const getMinutesLeft = (dateString) => {
+    return Math.max(Math.ceil((new Date(dateString).getTime() - Date.now()) / 60000), 0)
+  }
+
+  if (entries.length === 0) {
+    return null
+  }
+
+  const isDoctor = user?.role === 'doctor'
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-4">
+        <ListOrdered className="text-primary-600 mr-2" size={20} />
+        <h2 className="text-lg font-semibold text-gray-800">
+          {isDoctor ? `Waitlist (${entries.length})` : 'Your Waitlist'}
+        </h2>
+      </div>
+
+      <div className="space-y-3">
+        {entries.map(entry => (
+          <div
+            key={entry._id}
+            className={`flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 p-3 rounded-lg border ${
+              entry.status === 'offered' ? 'border-green-200 bg-green-50' : 'border-gray-200'
+            }`}
+          >
+            <div className="text-sm">
+              <p className="font-medium text-gray-800">
+                {isDoctor
+                  ? `${entry.patient.firstName} ${entry.patient.lastName}`
+                  : `Dr. ${entry.doctor.firstName} ${entry.doctor.lastName}`
+                }
+              </p>
+              <p className="text-gray-600">
+                Any slot from {formatDay(entry.startDate)} to {formatDay(entry.endDate)}
+              </p>
+              {entry.status === 'offered' && (
+                <p className="flex items-center text-green-700 mt-1">
+                  <Clock className="mr-1" size={14} />
+                  {isDoctor ? 'Offered' : 'Held for you'}: {formatDateTime(entry.hold.start)}
+                  {' '}({getMinutesLeft(entry.hold.expiresAt)} min left)
+                </p>
+              )}
+            </div>
+
+            {!isDoctor && (
+              <div className="flex items-center space-x-2">
+                {entry.status === 'offered' && (
+                  <>
+                    <button
+                      onClick={() => handleAction(entry, 'accept')}
+                      disabled={busyId === entry._id}
+                      className="btn-primary flex items-center text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <CheckCircle className="mr-1" size={16} />
+                      Accept
+                    </button>
+                    <button
+                      onClick={() => handleAction(entry, 'decline')}
+                      disabled={busyId === entry._id}
+                      className="btn-secondary flex items-center text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <XCircle className="mr-1" size={16} />
+                      Decline
+                    </button>
+                  </>
+                )}
+                <button
+                  onClick={() => handleAction(entry, 'leave')}
+                  disabled={busyId === entry._id}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                  title="Leave waitlist"
+                >
+                  <LogOut size={18} />
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default WaitlistPanel
@@ -33,6 +33,51 @@ if (import.meta.env.DEV) {
   )
 }
 
+// Keep both tokens for the next page load
+const storeTokens = (token, refreshToken) => {
+  localStorage.setItem('token', token)
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken)
+  }
+  axios.defaults.headers.common['Authorization'] = `Bearer ${token}`
+}
+
+const clearTokens = () => {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refreshToken')
+  delete axios.defaults.headers.common['Authorization']
+}
+
+// One refresh at a time; requests that fail meanwhile wait for it
+let refreshPromise = null
+
+// Swap the refresh token for new tokens; resolves to the new access token, or null if the session has ended
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken')
+    refreshPromise = (refreshToken
+      ? axios.post('/api/auth/refresh', { refreshToken }, { skipAuthRefresh: true })
+          .then(response => {
+            storeTokens(response.data.token, response.data.refreshToken)
+            return response.data.token
+          })
+          .catch(error => {
+            // Another tab refreshed first and has already stored the new tokens
+            if (error.response?.status === 409 && localStorage.getItem('refreshToken') !== refreshToken) {
+              const token = localStorage.getItem('token')
+              axios.defaults.headers.common['Authorization'] = `Bearer ${token}`
+              return token
+            }
+            return null
+          })
+      : Promise.resolve(null)
+    ).finally(() => {
+      refreshPromise = null
+    })
+  }
+  return refreshPromise
+}
+
 // Add response interceptor for better error handling
 axios.interceptors.response.use(
   (response) => {
@@ -52,13 +97,20 @@ axios.interceptors.response.use(
       return Promise.reject(new Error('Network error: Server not reachable'))
     }
     
-    // Handle authentication errors
-    if (error.response.status === 401) {
-      // Clear invalid token
-      localStorage.removeItem('token')
-      delete axios.defaults.headers.common['Authorization']
-      window.location.href = '/login'
-      return Promise.reject(error)
+    // Handle authentication errors: the access token is short-lived, so try a refresh once
+    if (error.response.status === 401 && !error.config?.skipAuthRefresh && !error.config?._retried) {
+      return refreshAccessToken().then(token => {
+        if (!token) {
+          clearTokens()
+          window.location.href = '/login'
+          return Promise.reject(error)
+        }
+        return axios({
+          ...error.config,
+          _retried: true,
+          headers: { ...error.config.headers, Authorization: `Bearer ${token}` }
+        })
+      })
     }
     
     return Promise.reject(error)
@@ -87,13 +139,24 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Failed to fetch user profile:', error)
       // Don't logout on profile fetch failure during initial load
-      localStorage.removeItem('token')
-      delete axios.defaults.headers.common['Authorization']
+      clearTokens()
     } finally {
       setLoading(false)
     }
   }
 
+  // Sign in with the tokens from a successful login response
+  const completeLogin = ({ token, refreshToken, user }) => {
+    if (!token || !user) {
+      throw new Error('Invalid response from server')
+    }
+
+    storeTokens(token, refreshToken)
+    setUser(user)
+
+    toast.success('Login successful!')
+  }
+
   const login = async (email, password) => {
     try {
       if (import.meta.env.DEV) {
@@ -108,18 +171,14 @@ export const AuthProvider = ({ children }) => {
       if (import.meta.env.DEV) {
         console.log('Login response:', response.data)
       }
-      
-      const { token, user } = response.data
-      
-      if (!token || !user) {
-        throw new Error('Invalid response from server')
+
+      // The password was right, but the account needs its authenticator code (or to enroll one) first
+      if (response.data.twoFactorRequired) {
+        const { twoFactorToken, setupRequired } = response.data
+        return { success: false, twoFactor: { twoFactorToken, setupRequired } }
       }
       
-      localStorage.setItem('token', token)
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`
-      setUser(user)
-      
-      toast.success('Login successful!')
+      completeLogin(response.data)
       return { success: true }
     } catch (error) {
       console.error('Login error:', error)
@@ -137,6 +196,20 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
+  // Second login step: a code from the authenticator app or a recovery code
+  const verifyTwoFactorLogin = async (twoFactorToken, { code, recoveryCode }) => {
+    try {
+      const response = await axios.post('/api/auth/login/2fa', { twoFactorToken, code, recoveryCode })
+      completeLogin(response.data)
+      return { success: true }
+    } catch (error) {
+      console.error('Two-factor login error:', error)
+      const message = error.response?.data?.message || 'Invalid authentication code'
+      toast.error(message)
+      return { success: false, error: message, expired: error.response?.status === 401 }
+    }
+  }
+
   const register = async (userData) => {
     try {
       if (import.meta.env.DEV) {
@@ -168,20 +241,22 @@ export const AuthProvider = ({ children }) => {
         }
       }
       
-      const response = await axios.post('/api/auth/register', userData)
+      const response = await axios.post('/api/auth/register', {
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        ...userData
+      })
       
       if (import.meta.env.DEV) {
         console.log('Registration response:', response.data)
       }
       
-      const { token, user } = response.data
+      const { token, refreshToken, user } = response.data
       
       if (!token || !user) {
         throw new Error('Invalid response from server')
       }
       
-      localStorage.setItem('token', token)
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`
+      storeTokens(token, refreshToken)
       setUser(user)
       
       toast.success('Registration successful!')
@@ -209,13 +284,38 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
-  const logout = () => {
-    localStorage.removeItem('token')
-    delete axios.defaults.headers.common['Authorization']
+  const logout = async () => {
+    // Clear first so the socket's session-revoked event for this device is not treated as a remote sign-out
+    const refreshToken = localStorage.getItem('refreshToken')
+    clearTokens()
     setUser(null)
+
+    // End the session on the server too, so the refresh token cannot be used again
+    if (refreshToken) {
+      try {
+        await axios.post('/api/auth/logout', { refreshToken }, { skipAuthRefresh: true })
+      } catch (error) {
+        console.error('Failed to end session on the server:', error)
+      }
+    }
+
     toast.success('Logged out successfully')
   }
 
+  const logoutEverywhere = async () => {
+    try {
+      await axios.delete('/api/sessions')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to log out of all sessions')
+      return { success: false }
+    }
+
+    clearTokens()
+    setUser(null)
+    toast.success('Logged out of all sessions')
+    return { success: true }
+  }
+
   const updateProfile = async (updates) => {
     try {
       const response = await axios.put('/api/users/profile', updates)
@@ -229,12 +329,31 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
+  // Finish an email change with the code sent to the new address
+  const confirmEmailChange = async (otp) => {
+    try {
+      const response = await axios.post('/api/users/email/verify', { otp })
+      setUser(response.data)
+      toast.success('Email address updated')
+      return { success: true }
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to verify code'
+      toast.error(message)
+      return { success: false, error: message, type: error.response?.data?.type }
+    }
+  }
+
   const value = {
     user,
     login,
     register,
     logout,
+    completeLogin,
+    verifyTwoFactorLogin,
+    logoutEverywhere,
+    refreshAccessToken,
     updateProfile,
+    confirmEmailChange,
     loading
   }
 
@@ -16,7 +16,7 @@ export const useSocket = () => {
 export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null)
   const [connected, setConnected] = useState(false)
-  const { user } = useAuth()
+  const { user, refreshAccessToken } = useAuth()
 
   useEffect(() => {
     if (user) {
@@ -28,7 +28,8 @@ export const SocketProvider = ({ children }) => {
         )
         
         const newSocket = io(socketUrl, {
-          auth: { token },
+          // Read on every (re)connect, so a refreshed access token is picked up
+          auth: (cb) => cb({ token: localStorage.getItem('token') }),
           transports: ['websocket', 'polling'],
           timeout: 20000,
           forceNew: true
@@ -47,6 +48,15 @@ export const SocketProvider = ({ children }) => {
         newSocket.on('connect_error', (error) => {
           console.error('Connection error:', error)
           setConnected(false)
+
+          // The access token expired; the server does not retry refused handshakes, so reconnect after refreshing
+          if (error.message === 'Authentication error') {
+            refreshAccessToken().then(newToken => {
+              if (newToken) {
+                newSocket.connect()
+              }
+            })
+          }
         })
 
         newSocket.on('reconnect', (attemptNumber) => {
@@ -58,6 +68,24 @@ export const SocketProvider = ({ children }) => {
           console.error('Reconnection error:', error)
         })
 
+        // The account was suspended or deleted while signed in
+        newSocket.on('account-blocked', ({ message }) => {
+          toast.error(message)
+          localStorage.removeItem('token')
+          localStorage.removeItem('refreshToken')
+          window.location.href = '/login'
+        })
+
+        // This device was signed out from another one, or its session was ended
+        newSocket.on('session-revoked', ({ message }) => {
+          // Signing out on this device clears the tokens before the server confirms
+          if (!localStorage.getItem('refreshToken')) return
+          toast.error(message)
+          localStorage.removeItem('token')
+          localStorage.removeItem('refreshToken')
+          window.location.href = '/login'
+        })
+
         // Listen for real-time notifications
         newSocket.on('new-notification', (notification) => {
           console.log('Received notification:', notification)
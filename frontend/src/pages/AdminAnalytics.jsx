@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { BarChart3, Calendar, CheckCircle, XCircle, UserX, Clock, MessageCircle, Download } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+const CSV_REPORTS = [
+  { value: 'summary', label: 'Summary' },
+  { value: 'daily', label: 'Daily Activity' },
+  { value: 'specializations', label: 'Utilisation' }
+]
+
+// YYYY-MM-DD of a date in the browser's zone
+const toDateInput = (date) => {
+  const offset = date.getTimezoneOffset() * 60 * 1000
+  return new Date(date.getTime() - offset).toISOString().split('T')[0]
+}
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${Math.round(rate * 1000) / 10}%`)
+
+const formatMinutes = (minutes) => {
+  if (minutes === null || minutes === undefined) return '—'
+  if (minutes < 60) return `${minutes} min`
+  if (minutes < 24 * 60) return `${Math.round(minutes / 6) / 10} h`
+  return `${Math.round(minutes / 144) / 10} days`
+}
+
+// Platform-wide activity for admins, with CSV downloads
+const AdminAnalytics = () => {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone
+  const [from, setFrom] = useState(toDateInput(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000)))
+  const [to, setTo] = useState(toDateInput(new Date()))
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [exporting, setExporting] = useState(null)
+
+  useEffect(() => {
+    fetchReport()
+  }, [])
+
+  const fetchReport = async () => {
+    setLoading(true)
+    try {
+      const response = await axios.get('/api/admin/analytics', {
+        params: { from, to, timeZone }
+      })
+      setReport(response.data)
+    } catch (error) {
+      console.error('Failed to fetch analytics:', error)
+      toast.error(error.response?.data?.message || 'Failed to load analytics')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleExport = async (reportName) => {
+    setExporting(reportName)
+    try {
+      const response = await axios.get('/api/admin/analytics/export', {
+        params: { report: reportName, from, to, timeZone },
+        responseType: 'blob'
+      })
+
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${reportName}-${from}-to-${to}.csv`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Failed to export analytics:', error)
+      toast.error('Failed to export report')
+    } finally {
+      setExporting(null)
+    }
+  }
+
+  const outcomes = report?.outcomes
+  const statCards = report ? [
+    { title: 'Bookings', value: outcomes.booked, icon: Calendar, color: 'bg-blue-500' },
+    { title: 'Confirmation Rate', value: formatRate(outcomes.confirmationRate), icon: CheckCircle, color: 'bg-green-500' },
+    { title: 'Cancellation Rate', value: formatRate(outcomes.cancellationRate), icon: XCircle, color: 'bg-red-500' },
+    { title: 'No-Shows', value: `${outcomes.noShows} (${formatRate(outcomes.noShowRate)})`, icon: UserX, color: 'bg-orange-500' },
+    { title: 'Median Time to Confirm', value: formatMinutes(report.timeToConfirm.medianMinutes), icon: Clock, color: 'bg-purple-500' },
+    { title: 'Messages', value: report.engagement.messages, icon: MessageCircle, color: 'bg-yellow-500' }
+  ] : []
+  const maxBookings = Math.max(1, ...(report?.daily || []).map(day => day.bookings))
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Analytics</h1>
+          <p className="text-gray-600 mt-1">Bookings, outcomes and doctor utilisation across the platform</p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">From</label>
+            <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} className="input-field" />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">To</label>
+            <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} className="input-field" />
+          </div>
+          <button onClick={fetchReport} disabled={loading} className="btn-primary disabled:opacity-50">
+            Apply
+          </button>
+        </div>
+      </div>
+
+      {loading && !report ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : report && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {statCards.map((card, index) => (
+              <motion.div
+                key={card.title}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: index * 0.05 }}
+                className="card"
+              >
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-600">{card.title}</p>
+                    <p className="text-2xl font-bold text-gray-800 mt-1">{card.value}</p>
+                  </div>
+                  <div className={`p-3 rounded-full ${card.color}`}>
+                    <card.icon className="text-white" size={20} />
+                  </div>
+                </div>
+              </motion.div>
+            ))}
+          </div>
+
+          <div className="card">
+            <h2 className="flex items-center text-lg font-semibold text-gray-800 mb-4">
+              <BarChart3 className="mr-2" size={18} />
+              Bookings per Day
+            </h2>
+            <div className="flex items-end h-40 gap-px">
+              {report.daily.map(day => (
+                <div
+                  key={day.date}
+                  title={`${day.date}: ${day.bookings} booking${day.bookings === 1 ? '' : 's'}`}
+                  className="flex-1 bg-primary-500 hover:bg-primary-600 rounded-t"
+                  style={{ height: `${(day.bookings / maxBookings) * 100}%`, minHeight: day.bookings ? '2px' : 0 }}
+                />
+              ))}
+            </div>
+            <div className="flex justify-between text-xs text-gray-500 mt-2">
+              <span>{report.range.from}</span>
+              <span>{report.range.to}</span>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="card lg:col-span-2">
+              <h2 className="text-lg font-semibold text-gray-800 mb-4">Utilisation by Specialization</h2>
+              {report.specializations.length === 0 ? (
+                <p className="text-sm text-gray-600">No verified doctors yet</p>
+              ) : (
+                <div className="space-y-3">
+                  {report.specializations.map(entry => (
+                    <div key={entry.specialization}>
+                      <div className="flex justify-between text-sm mb-1">
+                        <span className="font-medium text-gray-800">
+                          {entry.specialization}
+                          <span className="text-gray-500 font-normal"> · {entry.doctors} doctor{entry.doctors === 1 ? '' : 's'}</span>
+                        </span>
+                        <span className="text-gray-600">{formatRate(entry.utilisation)}</span>
+                      </div>
+                      <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-primary-500 rounded-full"
+                          style={{ width: `${Math.min(100, (entry.utilisation || 0) * 100)}%` }}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="card space-y-3">
+              <h2 className="text-lg font-semibold text-gray-800">Outcomes &amp; Engagement</h2>
+              {[
+                ['Completed', outcomes.completed],
+                ['Cancelled', outcomes.cancelled],
+                ['Expired without a reply', outcomes.expired],
+                ['Missed', outcomes.missed],
+                ['New patients', report.engagement.signups.patient],
+                ['New doctors', report.engagement.signups.doctor],
+                ['Notifications sent', report.engagement.notifications],
+                ['Notifications read', formatRate(report.engagement.notificationReadRate)]
+              ].map(([label, value]) => (
+                <div key={label} className="flex justify-between text-sm">
+                  <span className="text-gray-600">{label}</span>
+                  <span className="font-medium text-gray-800">{value}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="card">
+            <h2 className="text-lg font-semibold text-gray-800 mb-4">Export</h2>
+            <div className="flex flex-wrap gap-2">
+              {CSV_REPORTS.map(item => (
+                <button
+                  key={item.value}
+                  onClick={() => handleExport(item.value)}
+                  disabled={exporting !== null}
+                  className="btn-secondary flex items-center text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Download className="mr-2" size={16} />
+                  {exporting === item.value ? 'Exporting...' : `${item.label} CSV`}
+                </button>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default AdminAnalytics
@@ -0,0 +1,228 @@
+import { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { ArrowLeft, Mail, Phone, Calendar, Ban, RotateCcw, Trash2, History } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import AccountStatusBadge from '../components/AccountStatusBadge'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+// What each account action is called in the form and the history
+const ACTIONS = {
+  suspend: { label: 'Suspend', past: 'suspended', icon: Ban },
+  reactivate: { label: 'Reactivate', past: 'reactivated', icon: RotateCcw },
+  delete: { label: 'Delete', past: 'deleted', icon: Trash2 }
+}
+
+// Admin view of one account, with suspend, reactivate and delete
+const AdminUserDetail = () => {
+  const { userId } = useParams()
+  const { user: currentUser } = useAuth()
+  const [account, setAccount] = useState(null)
+  const [actions, setActions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [pendingAction, setPendingAction] = useState(null)
+  const [reason, setReason] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    fetchAccount()
+  }, [userId])
+
+  const fetchAccount = async () => {
+    try {
+      const response = await axios.get(`/api/admin/users/${userId}`)
+      setAccount(response.data.user)
+      setActions(response.data.actions || [])
+    } catch (error) {
+      console.error('Failed to fetch user:', error)
+      toast.error(error.response?.data?.message || 'Failed to load user')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleAction = async () => {
+    if (!reason.trim()) {
+      toast.error('Please give a reason for this action')
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      if (pendingAction === 'delete') {
+        await axios.delete(`/api/admin/users/${userId}`, { data: { reason } })
+      } else {
+        await axios.put(`/api/admin/users/${userId}/${pendingAction}`, { reason })
+      }
+
+      toast.success(`Account ${ACTIONS[pendingAction].past}`)
+      setPendingAction(null)
+      setReason('')
+      fetchAccount()
+    } catch (error) {
+      console.error('Failed to update account:', error)
+      toast.error(error.response?.data?.message || 'Failed to update account')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  if (!account) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-lg font-medium text-gray-800 mb-2">User not found</h3>
+        <Link to="/admin/users" className="text-primary-600 hover:underline">Back to users</Link>
+      </div>
+    )
+  }
+
+  const isSelf = account._id === currentUser?._id
+  const availableActions = account.deletedAt || isSelf
+    ? []
+    : account.isActive ? ['suspend', 'delete'] : ['reactivate', 'delete']
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <Link to="/admin/users" className="flex items-center text-sm text-gray-600 hover:text-gray-800">
+        <ArrowLeft className="mr-1" size={16} />
+        Back to users
+      </Link>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="card"
+      >
+        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+          <div className="space-y-1">
+            <div className="flex items-center space-x-2">
+              <h1 className="text-xl font-bold text-gray-800">
+                {account.role === 'doctor' ? 'Dr. ' : ''}{account.firstName} {account.lastName}
+              </h1>
+              <AccountStatusBadge user={account} />
+            </div>
+            <p className="text-primary-600 font-medium capitalize">
+              {account.role}{account.specialization && ` · ${account.specialization}`}
+            </p>
+            <p className="flex items-center text-sm text-gray-600">
+              <Mail className="mr-2" size={14} />
+              {account.email}
+            </p>
+            {account.phone && (
+              <p className="flex items-center text-sm text-gray-600">
+                <Phone className="mr-2" size={14} />
+                {account.phone}
+              </p>
+            )}
+            <p className="flex items-center text-sm text-gray-600">
+              <Calendar className="mr-2" size={14} />
+              Joined {new Date(account.createdAt).toLocaleDateString()}
+            </p>
+            {account.suspension?.reason && (
+              <p className="text-sm text-orange-700">
+                Suspended {new Date(account.suspension.suspendedAt).toLocaleDateString()}
+                {account.suspension.suspendedBy && ` by ${account.suspension.suspendedBy.firstName} ${account.suspension.suspendedBy.lastName}`}: {account.suspension.reason}
+              </p>
+            )}
+            {account.deletedAt && (
+              <p className="text-sm text-gray-700">
+                Deleted {new Date(account.deletedAt).toLocaleDateString()}
+              </p>
+            )}
+          </div>
+
+          {availableActions.length > 0 && !pendingAction && (
+            <div className="flex items-center space-x-2">
+              {availableActions.map(action => {
+                const config = ACTIONS[action]
+                return (
+                  <button
+                    key={action}
+                    onClick={() => {
+                      setPendingAction(action)
+                      setReason('')
+                    }}
+                    className={`${action === 'delete'
+                      ? 'bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded-lg transition-colors'
+                      : 'btn-secondary'} flex items-center text-sm`}
+                  >
+                    <config.icon className="mr-1" size={16} />
+                    {config.label}
+                  </button>
+                )
+              })}
+            </div>
+          )}
+        </div>
+
+        {pendingAction && (
+          <div className="mt-4 space-y-3">
+            <p className="text-sm text-gray-700">
+              {pendingAction === 'reactivate'
+                ? 'The user will be able to sign in again.'
+                : pendingAction === 'suspend'
+                  ? 'The user is signed out everywhere at once and cannot sign in until reactivated.'
+                  : 'The account is closed for good. Its appointments and records are kept.'}
+            </p>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={2}
+              className="input-field"
+              placeholder="Reason, kept in the account history"
+            />
+            <div className="flex items-center justify-end space-x-2">
+              <button
+                onClick={() => setPendingAction(null)}
+                className="btn-secondary text-sm"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleAction}
+                disabled={submitting}
+                className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Saving...' : `${ACTIONS[pendingAction].label} Account`}
+              </button>
+            </div>
+          </div>
+        )}
+      </motion.div>
+
+      <div className="card">
+        <h2 className="flex items-center text-lg font-semibold text-gray-800 mb-4">
+          <History className="mr-2" size={18} />
+          Account History
+        </h2>
+        {actions.length === 0 ? (
+          <p className="text-sm text-gray-600">No admin actions on this account</p>
+        ) : (
+          <div className="space-y-3">
+            {actions.map(action => (
+              <div key={action._id} className="border-l-2 border-gray-200 pl-3">
+                <p className="text-sm font-medium text-gray-800 capitalize">{action.action}</p>
+                <p className="text-sm text-gray-600">{action.reason}</p>
+                <p className="text-xs text-gray-500">
+                  {new Date(action.createdAt).toLocaleString()}
+                  {action.admin && ` by ${action.admin.firstName} ${action.admin.lastName}`}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AdminUserDetail
@@ -0,0 +1,172 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { Search, Users, ChevronRight } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import AccountStatusBadge from '../components/AccountStatusBadge'
+
+const ROLES = ['', 'patient', 'doctor', 'admin']
+const STATUSES = ['', 'active', 'suspended', 'deleted']
+
+// Admin search over every account
+const AdminUsers = () => {
+  const [users, setUsers] = useState([])
+  const [search, setSearch] = useState('')
+  const [role, setRole] = useState('')
+  const [status, setStatus] = useState('')
+  const [page, setPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchUsers()
+  }, [role, status, page])
+
+  const fetchUsers = async () => {
+    setLoading(true)
+    try {
+      const response = await axios.get('/api/admin/users', {
+        params: {
+          page,
+          ...(search.trim() && { search: search.trim() }),
+          ...(role && { role }),
+          ...(status && { status })
+        }
+      })
+      setUsers(response.data.users || [])
+      setTotalPages(response.data.totalPages || 1)
+    } catch (error) {
+      console.error('Failed to fetch users:', error)
+      toast.error('Failed to load users')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    if (page === 1) {
+      fetchUsers()
+    } else {
+      setPage(1)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-800">Users</h1>
+        <p className="text-gray-600 mt-1">Find accounts and suspend, reactivate or delete them</p>
+      </div>
+
+      <div className="card">
+        <form onSubmit={handleSearch} className="flex flex-col md:flex-row gap-3">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="input-field pl-10"
+              placeholder="Search by name or email"
+            />
+          </div>
+          <select
+            value={role}
+            onChange={(e) => {
+              setRole(e.target.value)
+              setPage(1)
+            }}
+            className="input-field md:w-40"
+          >
+            {ROLES.map(value => (
+              <option key={value} value={value}>
+                {value ? value.charAt(0).toUpperCase() + value.slice(1) : 'All roles'}
+              </option>
+            ))}
+          </select>
+          <select
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value)
+              setPage(1)
+            }}
+            className="input-field md:w-40"
+          >
+            {STATUSES.map(value => (
+              <option key={value} value={value}>
+                {value ? value.charAt(0).toUpperCase() + value.slice(1) : 'All statuses'}
+              </option>
+            ))}
+          </select>
+          <button type="submit" className="btn-primary">Search</button>
+        </form>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : users.length === 0 ? (
+        <div className="text-center py-12">
+          <Users className="mx-auto text-gray-400 mb-4" size={40} />
+          <h3 className="text-lg font-medium text-gray-800 mb-2">No users found</h3>
+          <p className="text-gray-600">Try a different search or filter</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {users.map((user, index) => (
+            <motion.div
+              key={user._id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: index * 0.03 }}
+            >
+              <Link
+                to={`/admin/users/${user._id}`}
+                className="card flex items-center justify-between hover:shadow-md transition-shadow"
+              >
+                <div>
+                  <div className="flex items-center space-x-2">
+                    <h3 className="font-semibold text-gray-800">
+                      {user.role === 'doctor' ? 'Dr. ' : ''}{user.firstName} {user.lastName}
+                    </h3>
+                    <AccountStatusBadge user={user} />
+                  </div>
+                  <p className="text-sm text-gray-600">{user.email}</p>
+                  <p className="text-xs text-gray-500 capitalize">
+                    {user.role}{user.specialization && ` · ${user.specialization}`}
+                  </p>
+                </div>
+                <ChevronRight className="text-gray-400" size={20} />
+              </Link>
+            </motion.div>
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center space-x-2">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AdminUsers
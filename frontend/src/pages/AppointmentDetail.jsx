@@ -0,0 +1,242 @@
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { ArrowLeft, Calendar, Clock, User, Stethoscope, FileText, Pill, Paperclip, History, MessageCircle, Video } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import StatusTimeline from '../components/StatusTimeline'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case 'confirmed': return 'text-green-600 bg-green-100'
+    case 'pending': return 'text-yellow-600 bg-yellow-100'
+    case 'completed': return 'text-blue-600 bg-blue-100'
+    case 'cancelled': return 'text-red-600 bg-red-100'
+    case 'no_show': return 'text-gray-700 bg-gray-200'
+    case 'missed': return 'text-orange-600 bg-orange-100'
+    case 'expired': return 'text-gray-600 bg-gray-100'
+    default: return 'text-gray-600 bg-gray-100'
+  }
+}
+
+const formatStatus = (status) => {
+  if (status === 'no_show') return 'No-show'
+  return status.charAt(0).toUpperCase() + status.slice(1)
+}
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return ''
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${Math.round(bytes / (1024 * 102.4)) / 10} MB`
+}
+
+// One appointment with both parties, the prescription, shared files and the status history
+const AppointmentDetail = () => {
+  const { appointmentId } = useParams()
+  const navigate = useNavigate()
+  const { user } = useAuth()
+  const [appointment, setAppointment] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchAppointment()
+  }, [appointmentId])
+
+  const fetchAppointment = async () => {
+    setLoading(true)
+    try {
+      const response = await axios.get(`/api/appointments/${appointmentId}`)
+      setAppointment(response.data)
+    } catch (error) {
+      console.error('Failed to fetch appointment:', error)
+      toast.error(error.response?.data?.message || 'Failed to load appointment')
+      setAppointment(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      timeZone: user?.timeZone,
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    })
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  if (!appointment) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-lg font-medium text-gray-800 mb-2">Appointment not available</h3>
+        <Link to="/appointments" className="text-primary-600 hover:underline">Back to appointments</Link>
+      </div>
+    )
+  }
+
+  const { patient, doctor, prescription, attachments = [] } = appointment
+  const otherParty = user?.role === 'doctor' ? patient : doctor
+  const isParticipant = [patient?._id, doctor?._id].includes(user?._id)
+  const canJoin = isParticipant && appointment.status === 'confirmed' && new Date(appointment.appointmentDate) > new Date()
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <button onClick={() => navigate(-1)} className="flex items-center text-sm text-gray-600 hover:text-gray-800">
+        <ArrowLeft className="mr-1" size={16} />
+        Back
+      </button>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="card"
+      >
+        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+          <div className="space-y-2">
+            <div className="flex items-center space-x-3">
+              <h1 className="text-xl font-bold text-gray-800">Consultation</h1>
+              <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.status)}`}>
+                {formatStatus(appointment.status)}
+              </span>
+            </div>
+            <p className="flex items-center text-sm text-gray-600">
+              <Calendar className="mr-2" size={16} />
+              {formatDateTime(appointment.appointmentDate)}
+            </p>
+            <p className="flex items-center text-sm text-gray-600">
+              <Clock className="mr-2" size={16} />
+              {appointment.duration} minutes
+            </p>
+          </div>
+
+          {canJoin && (
+            <div className="flex items-center space-x-2">
+              <Link to={`/chat/${otherParty._id}`} className="btn-secondary flex items-center text-sm">
+                <MessageCircle className="mr-2" size={16} />
+                Chat
+              </Link>
+              <Link to={`/video-call/${appointment._id}`} className="btn-primary flex items-center text-sm">
+                <Video className="mr-2" size={16} />
+                Video Call
+              </Link>
+            </div>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-6">
+          {patient && (
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="flex items-center text-sm font-medium text-gray-600 mb-1">
+                <User className="mr-2" size={16} />
+                Patient
+              </p>
+              <p className="font-semibold text-gray-800">{patient.firstName} {patient.lastName}</p>
+              <p className="text-sm text-gray-600">{patient.email}</p>
+              {patient.phone && <p className="text-sm text-gray-600">{patient.phone}</p>}
+            </div>
+          )}
+          {doctor && (
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="flex items-center text-sm font-medium text-gray-600 mb-1">
+                <Stethoscope className="mr-2" size={16} />
+                Doctor
+              </p>
+              <p className="font-semibold text-gray-800">Dr. {doctor.firstName} {doctor.lastName}</p>
+              <p className="text-sm text-gray-600">{doctor.specialization || 'Not specified'}</p>
+            </div>
+          )}
+        </div>
+
+        <div className="mt-4 text-sm text-gray-700">
+          <strong>Symptoms:</strong> {appointment.symptoms}
+        </div>
+        {appointment.cancellation?.reason && (
+          <div className="mt-2 text-sm text-red-700">
+            <strong>Cancellation reason:</strong> {appointment.cancellation.reason}
+          </div>
+        )}
+      </motion.div>
+
+      <div className="card">
+        <h2 className="flex items-center text-lg font-semibold text-gray-800 mb-4">
+          <Pill className="mr-2" size={18} />
+          Prescription
+        </h2>
+        {prescription?.medications?.length > 0 ? (
+          <div className="space-y-2">
+            {prescription.medications.map((med, idx) => (
+              <div key={med._id || idx} className="text-sm text-gray-700">
+                <strong>{med.name}</strong>
+                {med.dosage && ` - ${med.dosage}`}
+                {med.frequency && `, ${med.frequency}`}
+                {med.duration && ` for ${med.duration}`}
+                {med.instructions && <p className="text-gray-500">{med.instructions}</p>}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-600">No medications prescribed</p>
+        )}
+        {prescription?.notes && (
+          <div className="mt-4 bg-blue-50 border-l-4 border-blue-500 rounded p-3 text-sm text-gray-700">
+            <FileText className="inline mr-2" size={14} />
+            {prescription.notes}
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <h2 className="flex items-center text-lg font-semibold text-gray-800 mb-4">
+          <Paperclip className="mr-2" size={18} />
+          Attachments
+        </h2>
+        {attachments.length === 0 ? (
+          <p className="text-sm text-gray-600">No files shared for this consultation</p>
+        ) : (
+          <div className="space-y-2">
+            {attachments.map((file, idx) => (
+              <a
+                key={`${file.fileUrl}-${idx}`}
+                href={file.fileUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center justify-between p-3 border border-gray-200 rounded-lg hover:bg-gray-50"
+              >
+                <span className="text-sm font-medium text-gray-800 truncate">{file.fileName || 'File'}</span>
+                <span className="text-xs text-gray-500 ml-4 whitespace-nowrap">
+                  {file.source === 'prescription'
+                    ? 'Prescription'
+                    : `Chat${file.sender ? ` · ${file.sender.firstName}` : ''} · ${new Date(file.sharedAt).toLocaleDateString()}`}
+                  {file.fileSize ? ` · ${formatFileSize(file.fileSize)}` : ''}
+                </span>
+              </a>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <h2 className="flex items-center text-lg font-semibold text-gray-800 mb-4">
+          <History className="mr-2" size={18} />
+          Status History
+        </h2>
+        <StatusTimeline history={appointment.statusHistory} timeZone={user?.timeZone} />
+      </div>
+    </div>
+  )
+}
+
+export default AppointmentDetail
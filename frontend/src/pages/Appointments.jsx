@@ -1,10 +1,13 @@
 import { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import { motion } from 'framer-motion'
-import { Calendar, Clock, User, MessageCircle, Video, FileText, CheckCircle, XCircle, ChevronDown } from 'lucide-react'
+import { Calendar, Clock, User, MessageCircle, Video, FileText, CheckCircle, XCircle, ChevronDown, CalendarClock, History, UserX, Repeat } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
 import axios from 'axios'
 import toast from 'react-hot-toast'
+import AppointmentActionModal from '../components/AppointmentActionModal'
+import StatusTimeline from '../components/StatusTimeline'
+import WaitlistPanel from '../components/WaitlistPanel'
 
 const Appointments = () => {
   const { user } = useAuth()
@@ -12,6 +15,8 @@ const Appointments = () => {
   const [loading, setLoading] = useState(true)
   const [filter, setFilter] = useState('all')
   const [dropdownOpen, setDropdownOpen] = useState(false)
+  const [pendingAction, setPendingAction] = useState(null)
+  const [historyOpenId, setHistoryOpenId] = useState(null)
 
   useEffect(() => {
     fetchAppointments()
@@ -49,15 +54,16 @@ const Appointments = () => {
   const updateAppointmentStatus = async (appointmentId, status) => {
     try {
       await axios.put(`/api/appointments/${appointmentId}/status`, { status })
-      toast.success(`Appointment ${status}`)
+      toast.success(status === 'no_show' ? 'Appointment marked as no-show' : `Appointment ${status}`)
       fetchAppointments()
     } catch (error) {
-      toast.error('Failed to update appointment')
+      toast.error(error.response?.data?.message || 'Failed to update appointment')
     }
   }
 
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
+      timeZone: user?.timeZone,
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -67,8 +73,10 @@ const Appointments = () => {
 
   const formatTime = (dateString) => {
     return new Date(dateString).toLocaleTimeString('en-US', {
+      timeZone: user?.timeZone,
       hour: '2-digit',
-      minute: '2-digit'
+      minute: '2-digit',
+      timeZoneName: 'short'
     })
   }
 
@@ -78,14 +86,38 @@ const Appointments = () => {
       case 'pending': return 'text-yellow-600 bg-yellow-100'
       case 'completed': return 'text-blue-600 bg-blue-100'
       case 'cancelled': return 'text-red-600 bg-red-100'
+      case 'no_show': return 'text-gray-700 bg-gray-200'
+      case 'missed': return 'text-orange-600 bg-orange-100'
+      case 'expired': return 'text-gray-600 bg-gray-100'
       default: return 'text-gray-600 bg-gray-100'
     }
   }
 
+  const formatStatus = (status) => {
+    if (status === 'no_show') return 'No-show'
+    return status.charAt(0).toUpperCase() + status.slice(1)
+  }
+
   const isUpcoming = (dateString) => {
     return new Date(dateString) > new Date()
   }
 
+  // Patients may change pending appointments freely, confirmed ones only before the doctor's cutoff
+  const canPatientChange = (appointment) => {
+    if (!['pending', 'confirmed'].includes(appointment.status) || !isUpcoming(appointment.appointmentDate)) {
+      return false
+    }
+    if (appointment.status === 'pending') {
+      return true
+    }
+    const cutoffHours = appointment.doctor.cancellationCutoffHours ?? 24
+    return new Date(appointment.appointmentDate).getTime() - Date.now() > cutoffHours * 60 * 60 * 1000
+  }
+
+  const isActiveSeriesAppointment = (appointment) => {
+    return appointment.series && ['pending', 'confirmed'].includes(appointment.status) && isUpcoming(appointment.appointmentDate)
+  }
+
   const filteredAppointments = appointments.filter(appointment => {
     if (filter === 'all') return true
     return appointment.status === filter
@@ -121,6 +153,11 @@ const Appointments = () => {
         )}
       </div>
 
+      <WaitlistPanel
+        timeZone={user?.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone}
+        onBooked={fetchAppointments}
+      />
+
       {/* Filter Tabs */}
       <div className="card">
         {/* Mobile Dropdown */}
@@ -130,13 +167,13 @@ const Appointments = () => {
               onClick={() => setDropdownOpen(!dropdownOpen)}
               className="w-full bg-gray-100 p-3 rounded-lg flex items-center justify-between text-sm font-medium text-gray-700 touch-target"
             >
-              <span>Filter: {filter.charAt(0).toUpperCase() + filter.slice(1)}</span>
+              <span>Filter: {formatStatus(filter)}</span>
               <ChevronDown className={`transition-transform ${dropdownOpen ? 'rotate-180' : ''}`} size={16} />
             </button>
 
             {dropdownOpen && (
               <div className="absolute top-full left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg z-10">
-                {['all', 'pending', 'confirmed', 'completed', 'cancelled'].map((status) => (
+                {['all', 'pending', 'confirmed', 'completed', 'cancelled', 'no_show', 'missed', 'expired'].map((status) => (
                   <button
                     key={status}
                     onClick={() => {
@@ -147,9 +184,9 @@ const Appointments = () => {
                       filter === status
                         ? 'bg-primary-50 text-primary-600'
                         : 'text-gray-600 hover:bg-gray-50 hover:text-gray-800'
-                    } ${status === 'cancelled' ? 'rounded-b-lg' : ''} ${status === 'all' ? 'rounded-t-lg' : ''}`}
+                    } ${status === 'expired' ? 'rounded-b-lg' : ''} ${status === 'all' ? 'rounded-t-lg' : ''}`}
                   >
-                    {status.charAt(0).toUpperCase() + status.slice(1)}
+                    {formatStatus(status)}
                   </button>
                 ))}
               </div>
@@ -160,7 +197,7 @@ const Appointments = () => {
         {/* Desktop Tabs */}
         <div className="hidden md:block">
           <div className="flex space-x-1 bg-gray-100 p-1 rounded-lg">
-            {['all', 'pending', 'confirmed', 'completed', 'cancelled'].map((status) => (
+            {['all', 'pending', 'confirmed', 'completed', 'cancelled', 'no_show', 'missed', 'expired'].map((status) => (
               <button
                 key={status}
                 onClick={() => setFilter(status)}
@@ -170,7 +207,7 @@ const Appointments = () => {
                     : 'text-gray-600 hover:text-gray-800'
                 }`}
               >
-                {status.charAt(0).toUpperCase() + status.slice(1)}
+                {formatStatus(status)}
               </button>
             ))}
           </div>
@@ -212,14 +249,23 @@ const Appointments = () => {
                   <div className="flex-1 min-w-0">
                     <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
                       <h3 className="text-base font-semibold text-gray-800 truncate">
-                        {user?.role === 'doctor'
-                          ? `${appointment.patient.firstName} ${appointment.patient.lastName}`
-                          : `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`
-                        }
+                        <Link to={`/appointments/${appointment._id}`} className="hover:text-primary-600">
+                          {user?.role === 'doctor'
+                            ? `${appointment.patient.firstName} ${appointment.patient.lastName}`
+                            : `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`
+                          }
+                        </Link>
                       </h3>
-                      <span className={`px-2 py-1 rounded-full text-xs font-medium self-start sm:self-center ${getStatusColor(appointment.status)}`}>
-                        {appointment.status.charAt(0).toUpperCase() + appointment.status.slice(1)}
-                      </span>
+                      <div className="flex items-center gap-2 self-start sm:self-center">
+                        {appointment.series && (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium text-primary-700 bg-primary-50">
+                            Follow-up {appointment.seriesIndex}
+                          </span>
+                        )}
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.status)}`}>
+                          {formatStatus(appointment.status)}
+                        </span>
+                      </div>
                     </div>
                   </div>
                 </div>
@@ -289,6 +335,56 @@ const Appointments = () => {
                         </button>
                       </div>
                     )}
+
+                    {user?.role === 'doctor' && appointment.status === 'confirmed' && (
+                      isUpcoming(appointment.appointmentDate) ? (
+                        <button
+                          onClick={() => updateAppointmentStatus(appointment._id, 'cancelled')}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors touch-target"
+                          title="Cancel"
+                        >
+                          <XCircle size={18} />
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => updateAppointmentStatus(appointment._id, 'no_show')}
+                          className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors touch-target"
+                          title="Mark as no-show"
+                        >
+                          <UserX size={18} />
+                        </button>
+                      )
+                    )}
+
+                    {isActiveSeriesAppointment(appointment) && (
+                      <button
+                        onClick={() => setPendingAction({ appointment, action: 'cancel-series' })}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors touch-target"
+                        title="Cancel follow-up series"
+                      >
+                        <Repeat size={18} />
+                      </button>
+                    )}
+
+                    {/* Patient Actions */}
+                    {user?.role === 'patient' && canPatientChange(appointment) && (
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => setPendingAction({ appointment, action: 'reschedule' })}
+                          className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors touch-target"
+                          title="Reschedule"
+                        >
+                          <CalendarClock size={18} />
+                        </button>
+                        <button
+                          onClick={() => setPendingAction({ appointment, action: 'cancel' })}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors touch-target"
+                          title="Cancel"
+                        >
+                          <XCircle size={18} />
+                        </button>
+                      </div>
+                    )}
                   </div>
 
                   <div className="text-center sm:text-right">
@@ -313,14 +409,21 @@ const Appointments = () => {
                     <div className="flex-1">
                       <div className="flex items-center space-x-3 mb-2">
                         <h3 className="text-lg font-semibold text-gray-800">
-                          {user?.role === 'doctor'
-                            ? `${appointment.patient.firstName} ${appointment.patient.lastName}`
-                            : `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`
-                          }
+                          <Link to={`/appointments/${appointment._id}`} className="hover:text-primary-600">
+                            {user?.role === 'doctor'
+                              ? `${appointment.patient.firstName} ${appointment.patient.lastName}`
+                              : `Dr. ${appointment.doctor.firstName} ${appointment.doctor.lastName}`
+                            }
+                          </Link>
                         </h3>
                         <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.status)}`}>
-                          {appointment.status.charAt(0).toUpperCase() + appointment.status.slice(1)}
+                          {formatStatus(appointment.status)}
                         </span>
+                        {appointment.series && (
+                          <span className="px-3 py-1 rounded-full text-xs font-medium text-primary-700 bg-primary-50">
+                            Follow-up {appointment.seriesIndex}
+                          </span>
+                        )}
                       </div>
 
                       <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm text-gray-600">
@@ -383,6 +486,56 @@ const Appointments = () => {
                       </div>
                     )}
 
+                    {user?.role === 'doctor' && appointment.status === 'confirmed' && (
+                      isUpcoming(appointment.appointmentDate) ? (
+                        <button
+                          onClick={() => updateAppointmentStatus(appointment._id, 'cancelled')}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          title="Cancel"
+                        >
+                          <XCircle size={20} />
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => updateAppointmentStatus(appointment._id, 'no_show')}
+                          className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                          title="Mark as no-show"
+                        >
+                          <UserX size={20} />
+                        </button>
+                      )
+                    )}
+
+                    {isActiveSeriesAppointment(appointment) && (
+                      <button
+                        onClick={() => setPendingAction({ appointment, action: 'cancel-series' })}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                        title="Cancel follow-up series"
+                      >
+                        <Repeat size={20} />
+                      </button>
+                    )}
+
+                    {/* Patient Actions */}
+                    {user?.role === 'patient' && canPatientChange(appointment) && (
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => setPendingAction({ appointment, action: 'reschedule' })}
+                          className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                          title="Reschedule"
+                        >
+                          <CalendarClock size={20} />
+                        </button>
+                        <button
+                          onClick={() => setPendingAction({ appointment, action: 'cancel' })}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          title="Cancel"
+                        >
+                          <XCircle size={20} />
+                        </button>
+                      </div>
+                    )}
+
                     <div className="text-right">
                       <p className="text-sm font-medium text-gray-800">
                         ${appointment.consultationFee}
@@ -395,6 +548,32 @@ const Appointments = () => {
                 </div>
               </div>
 
+              {/* Status History */}
+              <div className="mt-4 pt-4 border-t border-gray-200">
+                <button
+                  onClick={() => setHistoryOpenId(historyOpenId === appointment._id ? null : appointment._id)}
+                  className="flex items-center text-sm font-medium text-gray-600 hover:text-gray-800"
+                >
+                  <History className="mr-2" size={16} />
+                  Status history
+                  <ChevronDown className={`ml-1 transition-transform ${historyOpenId === appointment._id ? 'rotate-180' : ''}`} size={14} />
+                </button>
+                {historyOpenId === appointment._id && (
+                  <div className="mt-3">
+                    <StatusTimeline history={appointment.statusHistory} timeZone={user?.timeZone} />
+                  </div>
+                )}
+              </div>
+
+              {/* Cancellation Reason */}
+              {appointment.status === 'cancelled' && appointment.cancellation?.reason && (
+                <div className="mt-4 pt-4 border-t border-gray-200">
+                  <p className="text-sm text-gray-600">
+                    <span className="font-medium">Cancellation reason:</span> {appointment.cancellation.reason}
+                  </p>
+                </div>
+              )}
+
               {/* Prescription Section */}
               {appointment.prescription && appointment.prescription.medications && appointment.prescription.medications.length > 0 && (
                 <>
@@ -447,6 +626,19 @@ const Appointments = () => {
           ))}
         </div>
       )}
+
+      {pendingAction && (
+        <AppointmentActionModal
+          appointment={pendingAction.appointment}
+          action={pendingAction.action}
+          timeZone={user?.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone}
+          onClose={() => setPendingAction(null)}
+          onDone={() => {
+            setPendingAction(null)
+            fetchAppointments()
+          }}
+        />
+      )}
     </div>
   )
 }
@@ -1,18 +1,24 @@
 import { useState, useEffect } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
-import { Calendar, Clock, DollarSign, User, FileText, AlertCircle } from 'lucide-react'
+import { Calendar, Clock, DollarSign, User, FileText, AlertCircle, ListPlus } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
 import axios from 'axios'
 import toast from 'react-hot-toast'
 
 const BookAppointment = () => {
   const { doctorId } = useParams()
   const navigate = useNavigate()
+  const { user } = useAuth()
+  const timeZone = user?.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
   const [doctor, setDoctor] = useState(null)
   const [loading, setLoading] = useState(true)
   const [submitting, setSubmitting] = useState(false)
   const [availableSlots, setAvailableSlots] = useState([])
+  const [slotDuration, setSlotDuration] = useState(30)
   const [loadingSlots, setLoadingSlots] = useState(false)
+  const [waitlistEndDate, setWaitlistEndDate] = useState('')
+  const [joiningWaitlist, setJoiningWaitlist] = useState(false)
   const [formData, setFormData] = useState({
     appointmentDate: '',
     appointmentTime: '',
@@ -26,6 +32,7 @@ const BookAppointment = () => {
   useEffect(() => {
     if (formData.appointmentDate) {
       fetchAvailableSlots()
+      setWaitlistEndDate(addDaysToDateKey(formData.appointmentDate, 7))
     } else {
       setAvailableSlots([])
     }
@@ -35,6 +42,7 @@ const BookAppointment = () => {
     try {
       const response = await axios.get(`/api/users/doctors/${doctorId}`)
       setDoctor(response.data)
+      setSlotDuration(response.data.slotDuration || 30)
     } catch (error) {
       console.error('Failed to fetch doctor:', error)
       toast.error('Doctor not found')
@@ -47,7 +55,13 @@ const BookAppointment = () => {
   const fetchAvailableSlots = async () => {
     setLoadingSlots(true)
     try {
-      const response = await axios.get(`/api/availability/doctor/${doctorId}/date/${formData.appointmentDate}`)
+      const response = await axios.get(`/api/availability/doctor/${doctorId}/date/${formData.appointmentDate}`, {
+        params: { timeZone }
+      })
+
+      if (response.data.slotDuration) {
+        setSlotDuration(response.data.slotDuration)
+      }
       
       if (!response.data.available) {
         setAvailableSlots([])
@@ -87,11 +101,42 @@ const BookAppointment = () => {
     } catch (error) {
       const message = error.response?.data?.message || 'Failed to book appointment'
       toast.error(message)
+
+      // The slot was taken in the meantime, refresh what is still free
+      if (error.response?.status === 409) {
+        setFormData(prev => ({ ...prev, appointmentTime: '' }))
+        fetchAvailableSlots()
+      }
     } finally {
       setSubmitting(false)
     }
   }
 
+  // Wait for any slot with this doctor between the chosen date and the end date
+  const handleJoinWaitlist = async () => {
+    if (!formData.symptoms.trim()) {
+      toast.error('Please describe your symptoms before joining the waitlist')
+      return
+    }
+
+    setJoiningWaitlist(true)
+    try {
+      await axios.post('/api/waitlist', {
+        doctorId,
+        startDate: formData.appointmentDate,
+        endDate: waitlistEndDate,
+        symptoms: formData.symptoms
+      })
+
+      toast.success('You are on the waitlist. We will hold the next free slot for you.')
+      navigate('/appointments')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to join the waitlist')
+    } finally {
+      setJoiningWaitlist(false)
+    }
+  }
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -105,6 +150,13 @@ const BookAppointment = () => {
     return today.toISOString().split('T')[0]
   }
 
+  // Move a YYYY-MM-DD date by whole days
+  const addDaysToDateKey = (dateKey, days) => {
+    const date = new Date(`${dateKey}T00:00:00Z`)
+    date.setUTCDate(date.getUTCDate() + days)
+    return date.toISOString().split('T')[0]
+  }
+
   // Get maximum date (3 months from now)
   const getMaxDate = () => {
     const maxDate = new Date()
@@ -165,7 +217,7 @@ const BookAppointment = () => {
             </div>
             <div className="flex items-center text-sm text-gray-600">
               <Clock className="mr-3" size={16} />
-              <span>30 minutes duration</span>
+              <span>{slotDuration} minutes duration</span>
             </div>
           </div>
 
@@ -206,7 +258,7 @@ const BookAppointment = () => {
                   required
                 />
                 <p className="text-xs text-gray-500 mt-1">
-                  Select a date to see available time slots
+                  Select a date to see available time slots (times shown in {timeZone})
                 </p>
               </div>
 
@@ -231,7 +283,37 @@ const BookAppointment = () => {
                       <AlertCircle className="text-red-600 mr-2 mt-0.5" size={16} />
                       <div className="text-sm text-red-800">
                         <p className="font-medium">No available slots</p>
-                        <p>The doctor is not available on this date. Please select another date.</p>
+                        <p>There are no free slots on this date. Please select another date.</p>
+                      </div>
+                    </div>
+
+                    <div className="mt-4 pt-4 border-t border-red-200">
+                      <p className="text-sm text-gray-700 mb-3">
+                        Or join the waitlist: when a slot opens up between these dates, it is held for you and you are notified.
+                      </p>
+                      <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+                        <div className="flex-1">
+                          <label className="block text-xs font-medium text-gray-600 mb-1">
+                            Wait until
+                          </label>
+                          <input
+                            type="date"
+                            value={waitlistEndDate}
+                            onChange={(e) => setWaitlistEndDate(e.target.value)}
+                            min={formData.appointmentDate}
+                            max={addDaysToDateKey(formData.appointmentDate, 59)}
+                            className="input-field"
+                          />
+                        </div>
+                        <button
+                          type="button"
+                          onClick={handleJoinWaitlist}
+                          disabled={joiningWaitlist || !waitlistEndDate}
+                          className="btn-secondary flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <ListPlus className="mr-2" size={16} />
+                          {joiningWaitlist ? 'Joining...' : 'Join Waitlist'}
+                        </button>
                       </div>
                     </div>
                   </div>
@@ -301,7 +383,8 @@ const BookAppointment = () => {
                     <span>Date:</span>
                     <span>
                       {formData.appointmentDate 
-                        ? new Date(formData.appointmentDate).toLocaleDateString('en-US', {
+                        ? new Date(`${formData.appointmentDate}T00:00:00Z`).toLocaleDateString('en-US', {
+                            timeZone: 'UTC',
                             weekday: 'long',
                             year: 'numeric',
                             month: 'long',
@@ -322,7 +405,7 @@ const BookAppointment = () => {
                   </div>
                   <div className="flex justify-between">
                     <span>Duration:</span>
-                    <span>30 minutes</span>
+                    <span>{slotDuration} minutes</span>
                   </div>
                   <div className="flex justify-between font-medium text-gray-800">
                     <span>Consultation Fee:</span>
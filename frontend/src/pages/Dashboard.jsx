@@ -9,19 +9,17 @@ import {
   TrendingUp,
   Heart,
   FileText,
-  CalendarDays
+  CalendarDays,
+  ShieldAlert,
+  Pill,
+  Inbox
 } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
 import axios from 'axios'
 
 const Dashboard = () => {
   const { user } = useAuth()
-  const [stats, setStats] = useState({
-    totalAppointments: 0,
-    upcomingAppointments: 0,
-    completedAppointments: 0,
-    pendingAppointments: 0
-  })
+  const [dashboard, setDashboard] = useState(null)
   const [recentAppointments, setRecentAppointments] = useState([])
   const [loading, setLoading] = useState(true)
 
@@ -31,23 +29,14 @@ const Dashboard = () => {
 
   const fetchDashboardData = async () => {
     try {
-      const response = await axios.get('/api/appointments?limit=5')
-      const appointments = response.data.appointments || []
+      // Figures come from the server over every appointment; the list only shows the latest few
+      const [dashboardResponse, appointmentsResponse] = await Promise.all([
+        axios.get('/api/dashboard'),
+        axios.get('/api/appointments?limit=5')
+      ])
 
-      setRecentAppointments(appointments)
-
-      // Calculate stats
-      const now = new Date()
-      const stats = {
-        totalAppointments: appointments.length,
-        upcomingAppointments: appointments.filter(
-          (apt) => new Date(apt.appointmentDate) > now && apt.status !== 'cancelled'
-        ).length,
-        completedAppointments: appointments.filter((apt) => apt.status === 'completed').length,
-        pendingAppointments: appointments.filter((apt) => apt.status === 'pending').length
-      }
-
-      setStats(stats)
+      setDashboard(dashboardResponse.data)
+      setRecentAppointments(appointmentsResponse.data.appointments || [])
     } catch (error) {
       console.error('Failed to fetch dashboard data:', error)
     } finally {
@@ -66,6 +55,15 @@ const Dashboard = () => {
     })
   }
 
+  const formatTime = (dateString) => {
+    return new Date(dateString).toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+  }
+
+  const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${Math.round(rate * 100)}%`)
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'confirmed':
@@ -89,36 +87,68 @@ const Dashboard = () => {
     )
   }
 
-  const dashboardCards = [
-    {
-      title: 'Total Appointments',
-      value: stats.totalAppointments,
-      icon: Calendar,
-      color: 'bg-blue-500',
-      change: '+12%'
-    },
-    {
-      title: 'Upcoming',
-      value: stats.upcomingAppointments,
-      icon: Clock,
-      color: 'bg-green-500',
-      change: '+5%'
-    },
-    {
-      title: 'Completed',
-      value: stats.completedAppointments,
-      icon: TrendingUp,
-      color: 'bg-purple-500',
-      change: '+8%'
-    },
-    {
-      title: 'Pending',
-      value: stats.pendingAppointments,
-      icon: Heart,
-      color: 'bg-orange-500',
-      change: '+3%'
-    }
-  ]
+  const counts = dashboard?.counts || { total: 0, upcoming: 0, completed: 0, pending: 0 }
+  const dashboardCards = user?.role === 'doctor' && dashboard
+    ? [
+      {
+        title: "Today's Queue",
+        value: dashboard.todayQueue.remaining,
+        detail: `${dashboard.todayQueue.total} booked today`,
+        icon: Clock,
+        color: 'bg-blue-500'
+      },
+      {
+        title: 'This Week',
+        value: dashboard.weekLoad.appointments,
+        detail: `${formatRate(dashboard.weekLoad.utilisation)} of open hours booked`,
+        icon: TrendingUp,
+        color: 'bg-green-500'
+      },
+      {
+        title: 'Pending Requests',
+        value: dashboard.pendingRequests.count,
+        detail: 'Waiting for your reply',
+        icon: Inbox,
+        color: 'bg-orange-500'
+      },
+      {
+        title: 'Unread Messages',
+        value: dashboard.unreadMessages,
+        detail: `${counts.completed} consultations completed`,
+        icon: MessageCircle,
+        color: 'bg-purple-500'
+      }
+    ]
+    : [
+      {
+        title: 'Upcoming',
+        value: counts.upcoming,
+        detail: `${counts.total} appointments in total`,
+        icon: Calendar,
+        color: 'bg-blue-500'
+      },
+      {
+        title: 'Completed',
+        value: counts.completed,
+        detail: 'Consultations with a doctor',
+        icon: Heart,
+        color: 'bg-green-500'
+      },
+      {
+        title: 'Active Prescriptions',
+        value: dashboard?.activePrescriptions.count || 0,
+        detail: `${dashboard?.activePrescriptions.medications.length || 0} medications in course`,
+        icon: Pill,
+        color: 'bg-purple-500'
+      },
+      {
+        title: 'Unread Messages',
+        value: dashboard?.unreadMessages || 0,
+        detail: 'From your doctors',
+        icon: MessageCircle,
+        color: 'bg-orange-500'
+      }
+    ]
 
   return (
     <div className="space-mobile">
@@ -134,6 +164,16 @@ const Dashboard = () => {
         </p>
       </div>
 
+      {user?.role === 'doctor' && !user.isVerified && (
+        <div className="flex items-start bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
+          <ShieldAlert className="text-yellow-600 mr-3 mt-0.5 flex-shrink-0" size={20} />
+          <p className="text-sm text-yellow-800">
+            Your credentials have not been verified yet. Patients cannot find or book you until an admin approves your license.{' '}
+            <Link to="/profile" className="font-medium underline">Submit your documents</Link>
+          </p>
+        </div>
+      )}
+
       {/* Stats Cards */}
       <div className="responsive-grid mb-6 sm:mb-8">
         {dashboardCards.map((card, index) => (
@@ -148,8 +188,8 @@ const Dashboard = () => {
               <div className="flex-1">
                 <p className="text-responsive-xs font-medium text-gray-600">{card.title}</p>
                 <p className="text-responsive-xl font-bold text-gray-800 mt-1">{card.value}</p>
-                <p className="text-responsive-xs text-green-600 mt-1 hidden sm:block">
-                  {card.change} from last month
+                <p className="text-responsive-xs text-gray-500 mt-1 hidden sm:block">
+                  {card.detail}
                 </p>
               </div>
               <div className={`p-2 sm:p-3 rounded-full ${card.color} flex-shrink-0`}>
@@ -160,6 +200,112 @@ const Dashboard = () => {
         ))}
       </div>
 
+      {/* Role-specific overview */}
+      {dashboard && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.3 }}
+          className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6 sm:mb-8"
+        >
+          {user?.role === 'doctor' ? (
+            <>
+              <div className="card">
+                <h2 className="text-responsive-lg font-semibold text-gray-800 mb-4">Today&apos;s Queue</h2>
+                {dashboard.todayQueue.appointments.length === 0 ? (
+                  <p className="text-responsive-sm text-gray-500">No appointments today</p>
+                ) : (
+                  <div className="space-y-2">
+                    {dashboard.todayQueue.appointments.map(appointment => (
+                      <div key={appointment._id} className="flex items-center justify-between text-responsive-sm">
+                        <span className="text-gray-800">
+                          <span className="font-medium">{formatTime(appointment.appointmentDate)}</span>
+                          {' '}{appointment.patient?.firstName} {appointment.patient?.lastName}
+                        </span>
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.status)}`}>
+                          {appointment.status}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+              <div className="card">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-responsive-lg font-semibold text-gray-800">Pending Requests</h2>
+                  {dashboard.pendingRequests.count > dashboard.pendingRequests.oldest.length && (
+                    <Link to="/appointments" className="text-primary-600 hover:text-primary-700 font-medium text-responsive-sm">
+                      All {dashboard.pendingRequests.count}
+                    </Link>
+                  )}
+                </div>
+                {dashboard.pendingRequests.oldest.length === 0 ? (
+                  <p className="text-responsive-sm text-gray-500">No requests waiting for a reply</p>
+                ) : (
+                  <div className="space-y-2">
+                    {dashboard.pendingRequests.oldest.map(appointment => (
+                      <Link
+                        key={appointment._id}
+                        to="/appointments"
+                        className="block p-2 rounded-lg hover:bg-gray-50 text-responsive-sm"
+                      >
+                        <span className="font-medium text-gray-800">
+                          {appointment.patient?.firstName} {appointment.patient?.lastName}
+                        </span>
+                        <span className="text-gray-600"> · {formatDate(appointment.appointmentDate)}</span>
+                      </Link>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="card">
+                <h2 className="text-responsive-lg font-semibold text-gray-800 mb-4">Next Appointment</h2>
+                {dashboard.nextAppointment ? (
+                  <div className="space-y-1">
+                    <p className="font-medium text-gray-800">
+                      Dr. {dashboard.nextAppointment.doctor?.firstName} {dashboard.nextAppointment.doctor?.lastName}
+                    </p>
+                    <p className="text-responsive-sm text-primary-600">{dashboard.nextAppointment.doctor?.specialization}</p>
+                    <p className="text-responsive-sm text-gray-600">{formatDate(dashboard.nextAppointment.appointmentDate)}</p>
+                    <span className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(dashboard.nextAppointment.status)}`}>
+                      {dashboard.nextAppointment.status}
+                    </span>
+                  </div>
+                ) : (
+                  <p className="text-responsive-sm text-gray-500">
+                    Nothing booked. <Link to="/doctors" className="text-primary-600 hover:underline">Find a doctor</Link>
+                  </p>
+                )}
+              </div>
+              <div className="card">
+                <h2 className="text-responsive-lg font-semibold text-gray-800 mb-4">Current Medications</h2>
+                {dashboard.activePrescriptions.medications.length === 0 ? (
+                  <p className="text-responsive-sm text-gray-500">No medications in course</p>
+                ) : (
+                  <div className="space-y-2">
+                    {dashboard.activePrescriptions.medications.map((medication, index) => (
+                      <div key={`${medication.appointmentId}-${index}`} className="text-responsive-sm">
+                        <p className="font-medium text-gray-800">
+                          {medication.name}
+                          {medication.dosage && <span className="text-gray-600 font-normal"> · {medication.dosage}</span>}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {medication.frequency}
+                          {medication.endsAt && ` · until ${new Date(medication.endsAt).toLocaleDateString()}`}
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </motion.div>
+      )}
+
       {/* Recent Appointments */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -0,0 +1,228 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { ShieldCheck, CheckCircle, XCircle, FileText, Mail, Award } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+const FILTERS = ['pending', 'approved', 'rejected', 'all']
+
+// Admin review of the license documents doctors have submitted
+const DoctorVerifications = () => {
+  const [verifications, setVerifications] = useState([])
+  const [filter, setFilter] = useState('pending')
+  const [loading, setLoading] = useState(true)
+  const [busyId, setBusyId] = useState(null)
+  const [rejectingId, setRejectingId] = useState(null)
+  const [rejectionReason, setRejectionReason] = useState('')
+
+  useEffect(() => {
+    fetchVerifications()
+  }, [filter])
+
+  const fetchVerifications = async () => {
+    setLoading(true)
+    try {
+      const response = await axios.get('/api/doctor/verification', {
+        params: filter === 'all' ? {} : { status: filter }
+      })
+      setVerifications(response.data || [])
+    } catch (error) {
+      console.error('Failed to fetch verifications:', error)
+      toast.error('Failed to load verification requests')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleDecision = async (verification, status) => {
+    if (status === 'rejected' && !rejectionReason.trim()) {
+      toast.error('Please give a reason for rejecting these credentials')
+      return
+    }
+
+    setBusyId(verification._id)
+    try {
+      await axios.put(`/api/doctor/verification/${verification._id}/status`, {
+        status,
+        ...(status === 'rejected' && { rejectionReason })
+      })
+
+      toast.success(status === 'approved' ? 'Doctor verified' : 'Credentials rejected')
+      setRejectingId(null)
+      setRejectionReason('')
+      fetchVerifications()
+    } catch (error) {
+      console.error('Failed to review verification:', error)
+      toast.error(error.response?.data?.message || 'Failed to review verification')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'approved':
+        return 'bg-green-100 text-green-700'
+      case 'rejected':
+        return 'bg-red-100 text-red-700'
+      default:
+        return 'bg-yellow-100 text-yellow-700'
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-800">Doctor Verifications</h1>
+        <p className="text-gray-600 mt-1">Check license documents before doctors can take appointments</p>
+      </div>
+
+      <div className="card">
+        <div className="flex space-x-1 bg-gray-100 p-1 rounded-lg">
+          {FILTERS.map(status => (
+            <button
+              key={status}
+              onClick={() => setFilter(status)}
+              className={`flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors ${
+                filter === status
+                  ? 'bg-white text-primary-600 shadow-sm'
+                  : 'text-gray-600 hover:text-gray-800'
+              }`}
+            >
+              {status.charAt(0).toUpperCase() + status.slice(1)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : verifications.length === 0 ? (
+        <div className="text-center py-12">
+          <ShieldCheck className="mx-auto text-gray-400 mb-4" size={40} />
+          <h3 className="text-lg font-medium text-gray-800 mb-2">No verification requests</h3>
+          <p className="text-gray-600">
+            {filter === 'all' ? 'No doctor has submitted credentials yet' : `No ${filter} verification requests`}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {verifications.map((verification, index) => (
+            <motion.div
+              key={verification._id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: index * 0.05 }}
+              className="card"
+            >
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                <div className="space-y-1">
+                  <div className="flex items-center space-x-2">
+                    <h3 className="font-semibold text-gray-800">
+                      Dr. {verification.doctor?.firstName} {verification.doctor?.lastName}
+                    </h3>
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(verification.status)}`}>
+                      {verification.status}
+                    </span>
+                  </div>
+                  {verification.doctor?.specialization && (
+                    <p className="text-sm text-primary-600">
+                      {verification.doctor.specialization}
+                      {verification.doctor.experience != null && ` · ${verification.doctor.experience} years experience`}
+                    </p>
+                  )}
+                  <p className="flex items-center text-sm text-gray-600">
+                    <Mail className="mr-1" size={14} />
+                    {verification.doctor?.email}
+                  </p>
+                  <p className="flex items-center text-sm text-gray-800 font-medium">
+                    <Award className="mr-1" size={14} />
+                    License {verification.licenseNumber}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Submitted {new Date(verification.createdAt).toLocaleDateString()}
+                  </p>
+                  <div className="flex flex-wrap gap-2 pt-2">
+                    {verification.documents.map(document => (
+                      <a
+                        key={document._id || document.fileUrl}
+                        href={document.fileUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center px-3 py-1 border border-gray-200 rounded-lg text-sm text-primary-600 hover:bg-primary-50"
+                      >
+                        <FileText className="mr-1" size={14} />
+                        {document.fileName || 'Document'}
+                      </a>
+                    ))}
+                  </div>
+                  {verification.status !== 'pending' && verification.reviewedBy && (
+                    <p className="text-xs text-gray-500">
+                      {verification.status === 'approved' ? 'Approved' : 'Rejected'} by {verification.reviewedBy.firstName} {verification.reviewedBy.lastName}
+                      {verification.status === 'rejected' && `: ${verification.rejectionReason}`}
+                    </p>
+                  )}
+                </div>
+
+                {verification.status === 'pending' && rejectingId !== verification._id && (
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => handleDecision(verification, 'approved')}
+                      disabled={busyId === verification._id}
+                      className="btn-primary flex items-center text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <CheckCircle className="mr-1" size={16} />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => {
+                        setRejectingId(verification._id)
+                        setRejectionReason('')
+                      }}
+                      disabled={busyId === verification._id}
+                      className="btn-secondary flex items-center text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <XCircle className="mr-1" size={16} />
+                      Reject
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {rejectingId === verification._id && (
+                <div className="mt-4 space-y-3">
+                  <textarea
+                    value={rejectionReason}
+                    onChange={(e) => setRejectionReason(e.target.value)}
+                    rows={2}
+                    className="input-field"
+                    placeholder="What is wrong with these documents?"
+                  />
+                  <div className="flex items-center justify-end space-x-2">
+                    <button
+                      onClick={() => setRejectingId(null)}
+                      className="btn-secondary text-sm"
+                    >
+                      Back
+                    </button>
+                    <button
+                      onClick={() => handleDecision(verification, 'rejected')}
+                      disabled={busyId === verification._id}
+                      className="bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded-lg transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Reject Credentials
+                    </button>
+                  </div>
+                </div>
+              )}
+            </motion.div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DoctorVerifications
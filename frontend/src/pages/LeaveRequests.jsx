@@ -0,0 +1,245 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { CalendarDays, CheckCircle, XCircle, Clock, AlertCircle } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+const FILTERS = ['pending', 'approved', 'rejected', 'all']
+
+// Admin review of the leave doctors have asked for
+const LeaveRequests = () => {
+  const [leaveRequests, setLeaveRequests] = useState([])
+  const [filter, setFilter] = useState('pending')
+  const [loading, setLoading] = useState(true)
+  const [busyId, setBusyId] = useState(null)
+  const [rejectingId, setRejectingId] = useState(null)
+  const [rejectionReason, setRejectionReason] = useState('')
+
+  useEffect(() => {
+    fetchLeaveRequests()
+  }, [filter])
+
+  const fetchLeaveRequests = async () => {
+    setLoading(true)
+    try {
+      const response = await axios.get('/api/doctor/leave', {
+        params: filter === 'all' ? {} : { status: filter }
+      })
+      setLeaveRequests(response.data || [])
+    } catch (error) {
+      console.error('Failed to fetch leave requests:', error)
+      toast.error('Failed to load leave requests')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleDecision = async (leave, status) => {
+    if (status === 'rejected' && !rejectionReason.trim()) {
+      toast.error('Please give a reason for rejecting this leave')
+      return
+    }
+
+    setBusyId(leave._id)
+    try {
+      const response = await axios.put(`/api/doctor/leave/${leave._id}/status`, {
+        status,
+        ...(status === 'rejected' && { rejectionReason })
+      })
+
+      const unresolved = (response.data.resolutions || []).filter(result => !result.resolved).length
+      toast.success(status === 'approved' ? 'Leave approved' : 'Leave rejected')
+      if (unresolved > 0) {
+        toast.error(`${unresolved} affected appointment${unresolved === 1 ? '' : 's'} could not be updated. The doctor will need to handle them.`)
+      }
+
+      setRejectingId(null)
+      setRejectionReason('')
+      fetchLeaveRequests()
+    } catch (error) {
+      console.error('Failed to review leave request:', error)
+      toast.error(error.response?.data?.message || 'Failed to review leave request')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  // Leave days are stored at UTC midnight
+  const formatDay = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      timeZone: 'UTC',
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    })
+  }
+
+  const formatType = (type) => {
+    return type === 'busy' ? 'Busy Block' : `${type.charAt(0).toUpperCase() + type.slice(1)} Leave`
+  }
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'approved':
+        return 'bg-green-100 text-green-700'
+      case 'rejected':
+        return 'bg-red-100 text-red-700'
+      default:
+        return 'bg-yellow-100 text-yellow-700'
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-800">Leave Requests</h1>
+        <p className="text-gray-600 mt-1">Approve or reject leave requested by doctors</p>
+      </div>
+
+      <div className="card">
+        <div className="flex space-x-1 bg-gray-100 p-1 rounded-lg">
+          {FILTERS.map(status => (
+            <button
+              key={status}
+              onClick={() => setFilter(status)}
+              className={`flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors ${
+                filter === status
+                  ? 'bg-white text-primary-600 shadow-sm'
+                  : 'text-gray-600 hover:text-gray-800'
+              }`}
+            >
+              {status.charAt(0).toUpperCase() + status.slice(1)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : leaveRequests.length === 0 ? (
+        <div className="text-center py-12">
+          <CalendarDays className="mx-auto text-gray-400 mb-4" size={40} />
+          <h3 className="text-lg font-medium text-gray-800 mb-2">No leave requests</h3>
+          <p className="text-gray-600">
+            {filter === 'all' ? 'Doctors have not requested any leave yet' : `No ${filter} leave requests`}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {leaveRequests.map((leave, index) => (
+            <motion.div
+              key={leave._id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: index * 0.05 }}
+              className="card"
+            >
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                <div className="space-y-1">
+                  <div className="flex items-center space-x-2">
+                    <h3 className="font-semibold text-gray-800">
+                      Dr. {leave.doctor?.firstName} {leave.doctor?.lastName}
+                    </h3>
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(leave.status)}`}>
+                      {leave.status}
+                    </span>
+                  </div>
+                  {leave.doctor?.specialization && (
+                    <p className="text-sm text-primary-600">{leave.doctor.specialization}</p>
+                  )}
+                  <p className="text-sm text-gray-800 font-medium">{formatType(leave.type)}</p>
+                  <p className="flex items-center text-sm text-gray-600">
+                    <CalendarDays className="mr-1" size={14} />
+                    {formatDay(leave.startDate)}
+                    {leave.endDate !== leave.startDate && ` - ${formatDay(leave.endDate)}`}
+                  </p>
+                  {leave.startTime && (
+                    <p className="flex items-center text-sm text-gray-600">
+                      <Clock className="mr-1" size={14} />
+                      {leave.startTime}–{leave.endTime} each day
+                    </p>
+                  )}
+                  {leave.reason && (
+                    <p className="text-sm text-gray-600">Reason: {leave.reason}</p>
+                  )}
+                  {leave.conflictPlan?.length > 0 && (
+                    <p className="flex items-center text-sm text-orange-700">
+                      <AlertCircle className="mr-1" size={14} />
+                      {leave.conflictPlan.length} appointment{leave.conflictPlan.length === 1 ? '' : 's'} will be cancelled, moved or handed off on approval
+                    </p>
+                  )}
+                  {leave.status === 'approved' && leave.approvedBy && (
+                    <p className="text-xs text-gray-500">
+                      Approved by {leave.approvedBy.firstName} {leave.approvedBy.lastName}
+                    </p>
+                  )}
+                  {leave.status === 'rejected' && (
+                    <p className="text-xs text-gray-500">
+                      Rejected{leave.rejectedBy && ` by ${leave.rejectedBy.firstName} ${leave.rejectedBy.lastName}`}: {leave.rejectionReason}
+                    </p>
+                  )}
+                </div>
+
+                {leave.status === 'pending' && rejectingId !== leave._id && (
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => handleDecision(leave, 'approved')}
+                      disabled={busyId === leave._id}
+                      className="btn-primary flex items-center text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <CheckCircle className="mr-1" size={16} />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => {
+                        setRejectingId(leave._id)
+                        setRejectionReason('')
+                      }}
+                      disabled={busyId === leave._id}
+                      className="btn-secondary flex items-center text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <XCircle className="mr-1" size={16} />
+                      Reject
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {rejectingId === leave._id && (
+                <div className="mt-4 space-y-3">
+                  <textarea
+                    value={rejectionReason}
+                    onChange={(e) => setRejectionReason(e.target.value)}
+                    rows={2}
+                    className="input-field"
+                    placeholder="Why is this leave being rejected?"
+                  />
+                  <div className="flex items-center justify-end space-x-2">
+                    <button
+                      onClick={() => setRejectingId(null)}
+                      className="btn-secondary text-sm"
+                    >
+                      Back
+                    </button>
+                    <button
+                      onClick={() => handleDecision(leave, 'rejected')}
+                      disabled={busyId === leave._id}
+                      className="bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded-lg transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Reject Leave
+                    </button>
+                  </div>
+                </div>
+              )}
+            </motion.div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default LeaveRequests
@@ -3,6 +3,8 @@ import { Link, Navigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import { Heart, Mail, Lock, Eye, EyeOff } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
+import ForgotPassword from '../components/ForgotPassword'
+import TwoFactorLogin from '../components/TwoFactorLogin'
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -11,6 +13,8 @@ const Login = () => {
   })
   const [showPassword, setShowPassword] = useState(false)
   const [loading, setLoading] = useState(false)
+  const [forgotPassword, setForgotPassword] = useState(false)
+  const [twoFactor, setTwoFactor] = useState(null)
   
   const { login, user } = useAuth()
 
@@ -26,6 +30,9 @@ const Login = () => {
     
     if (!result.success) {
       setLoading(false)
+      if (result.twoFactor) {
+        setTwoFactor(result.twoFactor)
+      }
     }
   }
 
@@ -36,6 +43,11 @@ const Login = () => {
     })
   }
 
+  const handlePasswordReset = (email) => {
+    setFormData({ email, password: '' })
+    setForgotPassword(false)
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-primary-50 to-blue-100 flex items-center justify-center p-4 safe-area-top safe-area-bottom">
       <motion.div
@@ -45,80 +57,108 @@ const Login = () => {
         className="max-w-md w-full"
       >
         <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8">
-          <div className="text-center mb-6 sm:mb-8">
-            <div className="inline-flex items-center justify-center w-12 h-12 sm:w-16 sm:h-16 bg-primary-600 rounded-full mb-4">
-              <Heart className="text-white" size={24} />
-            </div>
-            <h1 className="text-responsive-xl font-bold text-gray-800">Welcome Back</h1>
-            <p className="text-gray-600 mt-2 text-responsive-sm">Sign in to your TeleMed account</p>
-          </div>
-
-          <form onSubmit={handleSubmit} className="mobile-form">
-            <div className="form-group">
-              <label htmlFor="email">Email Address</label>
-              <div className="relative">
-                <input
-                  id="email"
-                  type="email"
-                  name="email"
-                  value={formData.email}
-                  onChange={handleChange}
-                  className="pl-10"
-                  placeholder="Enter your email"
-                  required
-                  autoComplete="email"
-                />
+          {twoFactor ? (
+            <TwoFactorLogin
+              twoFactorToken={twoFactor.twoFactorToken}
+              setupRequired={twoFactor.setupRequired}
+              onBack={() => {
+                setTwoFactor(null)
+                setFormData({ ...formData, password: '' })
+              }}
+            />
+          ) : forgotPassword ? (
+            <ForgotPassword
+              initialEmail={formData.email}
+              onBack={() => setForgotPassword(false)}
+              onComplete={handlePasswordReset}
+            />
+          ) : (
+            <>
+              <div className="text-center mb-6 sm:mb-8">
+                <div className="inline-flex items-center justify-center w-12 h-12 sm:w-16 sm:h-16 bg-primary-600 rounded-full mb-4">
+                  <Heart className="text-white" size={24} />
+                </div>
+                <h1 className="text-responsive-xl font-bold text-gray-800">Welcome Back</h1>
+                <p className="text-gray-600 mt-2 text-responsive-sm">Sign in to your TeleMed account</p>
               </div>
-            </div>
 
-            <div className="form-group">
-              <label htmlFor="password">Password</label>
-              <div className="relative">
-                <input
-                  id="password"
-                  type={showPassword ? 'text' : 'password'}
-                  name="password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  className="pl-10"
-                  placeholder="Enter your password"
-                  required
-                  autoComplete="current-password"
-                />
+              <form onSubmit={handleSubmit} className="mobile-form">
+                <div className="form-group">
+                  <label htmlFor="email">Email Address</label>
+                  <div className="relative">
+                    <input
+                      id="email"
+                      type="email"
+                      name="email"
+                      value={formData.email}
+                      onChange={handleChange}
+                      className="pl-10"
+                      placeholder="Enter your email"
+                      required
+                      autoComplete="email"
+                    />
+                  </div>
+                </div>
+
+                <div className="form-group">
+                  <div className="flex items-center justify-between">
+                    <label htmlFor="password">Password</label>
+                    <button
+                      type="button"
+                      onClick={() => setForgotPassword(true)}
+                      className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+                    >
+                      Forgot password?
+                    </button>
+                  </div>
+                  <div className="relative">
+                    <input
+                      id="password"
+                      type={showPassword ? 'text' : 'password'}
+                      name="password"
+                      value={formData.password}
+                      onChange={handleChange}
+                      className="pl-10"
+                      placeholder="Enter your password"
+                      required
+                      autoComplete="current-password"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 touch-target"
+                    >
+                      {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+                    </button>
+                  </div>
+                </div>
+
                 <button
-                  type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 touch-target"
+                  type="submit"
+                  disabled={loading}
+                  className="w-full btn-primary py-3 sm:py-4 text-responsive-base font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+                  {loading ? (
+                    <div className="flex items-center justify-center">
+                      <div className="spinner h-5 w-5 mr-2"></div>
+                      Signing In...
+                    </div>
+                  ) : (
+                    'Sign In'
+                  )}
                 </button>
-              </div>
-            </div>
+              </form>
 
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full btn-primary py-3 sm:py-4 text-responsive-base font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {loading ? (
-                <div className="flex items-center justify-center">
-                  <div className="spinner h-5 w-5 mr-2"></div>
-                  Signing In...
-                </div>
-              ) : (
-                'Sign In'
-              )}
-            </button>
-          </form>
-
-          <div className="mt-6 text-center">
-            <p className="text-gray-600 text-responsive-sm">
-              Don't have an account?{' '}
-              <Link to="/register" className="text-primary-600 hover:text-primary-700 font-medium">
-                Sign up here
-              </Link>
-            </p>
-          </div>
+              <div className="mt-6 text-center">
+                <p className="text-gray-600 text-responsive-sm">
+                  Don't have an account?{' '}
+                  <Link to="/register" className="text-primary-600 hover:text-primary-700 font-medium">
+                    Sign up here
+                  </Link>
+                </p>
+              </div>
+            </>
+          )}
         </div>
       </motion.div>
     </div>
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
+import { useSearchParams, Link } from 'react-router-dom'
 import { motion } from 'framer-motion'
-import { FileText, Download, Calendar, User, Stethoscope, Clock, Pill, FileDown, Search, Filter } from 'lucide-react'
+import { FileText, Download, Calendar, User, Stethoscope, Clock, Pill, FileDown, Search, Filter, Paperclip } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
 import axios from 'axios'
 import toast from 'react-hot-toast'
@@ -12,11 +13,22 @@ const MedVault = () => {
   const [searchTerm, setSearchTerm] = useState('')
   const [filterStatus, setFilterStatus] = useState('completed')
   const [downloadingPdf, setDownloadingPdf] = useState(null)
+  const [searchParams] = useSearchParams()
+  const linkedAppointmentId = searchParams.get('appointment')
+  const [linkedAppointment, setLinkedAppointment] = useState(null)
 
   useEffect(() => {
     fetchAppointments()
   }, [filterStatus])
 
+  useEffect(() => {
+    if (linkedAppointmentId) {
+      fetchLinkedAppointment()
+    } else {
+      setLinkedAppointment(null)
+    }
+  }, [linkedAppointmentId])
+
   const fetchAppointments = async () => {
     try {
       const params = { status: filterStatus }
@@ -36,9 +48,23 @@ const MedVault = () => {
     }
   }
 
-  const generatePDF = async (appointment) => {
+  // A record opened from a link may be older than anything in the list, so load it on its own
+  const fetchLinkedAppointment = async () => {
+    try {
+      const response = await axios.get(`/api/appointments/${linkedAppointmentId}`)
+      setLinkedAppointment(response.data)
+    } catch (error) {
+      console.error('Failed to fetch appointment:', error)
+      toast.error(error.response?.data?.message || 'Failed to load this record')
+    }
+  }
+
+  const generatePDF = async (listedAppointment) => {
     try {
-      setDownloadingPdf(appointment._id)
+      setDownloadingPdf(listedAppointment._id)
+
+      // Always print the full record, not the list summary
+      const { data: appointment } = await axios.get(`/api/appointments/${listedAppointment._id}`)
       
       // Create a temporary HTML element for the prescription
       const prescriptionHTML = createPrescriptionHTML(appointment)
@@ -244,7 +270,7 @@ const MedVault = () => {
     })
   }
 
-  const filteredAppointments = appointments.filter(appointment => {
+  const matchingAppointments = appointments.filter(appointment => {
     const searchLower = searchTerm.toLowerCase()
     const doctorName = `${appointment.doctor.firstName} ${appointment.doctor.lastName}`.toLowerCase()
     const patientName = `${appointment.patient.firstName} ${appointment.patient.lastName}`.toLowerCase()
@@ -256,6 +282,11 @@ const MedVault = () => {
            appointment.symptoms.toLowerCase().includes(searchLower)
   })
 
+  // The linked record is pinned to the top whatever the filters
+  const filteredAppointments = linkedAppointment
+    ? [linkedAppointment, ...matchingAppointments.filter(apt => apt._id !== linkedAppointment._id)]
+    : matchingAppointments
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -364,7 +395,9 @@ const MedVault = () => {
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
               transition={{ delay: index * 0.1 }}
-              className="card hover:shadow-lg transition-shadow"
+              className={`card hover:shadow-lg transition-shadow ${
+                appointment._id === linkedAppointment?._id ? 'ring-2 ring-primary-500' : ''
+              }`}
             >
               <div className="flex items-start justify-between">
                 <div className="flex-1">
@@ -376,7 +409,9 @@ const MedVault = () => {
                     <div className="flex-1">
                       <div className="flex items-center space-x-3 mb-2">
                         <h3 className="text-lg font-semibold text-gray-800">
-                          Consultation with Dr. {appointment.doctor.firstName} {appointment.doctor.lastName}
+                          <Link to={`/appointments/${appointment._id}`} className="hover:text-primary-600">
+                            Consultation with Dr. {appointment.doctor.firstName} {appointment.doctor.lastName}
+                          </Link>
                         </h3>
                         <span className="px-2 py-1 bg-green-100 text-green-600 text-xs rounded-full">
                           {appointment.prescription.medications.length} medication{appointment.prescription.medications.length !== 1 ? 's' : ''}
@@ -421,6 +456,15 @@ const MedVault = () => {
                       <div className="text-sm text-gray-600">
                         <strong>Symptoms:</strong> {appointment.symptoms}
                       </div>
+
+                      {appointment.attachments?.length > 0 && (
+                        <div className="flex items-center text-sm text-gray-600 mt-2">
+                          <Paperclip className="mr-2" size={16} />
+                          <Link to={`/appointments/${appointment._id}`} className="text-primary-600 hover:underline">
+                            {appointment.attachments.length} attached file{appointment.attachments.length !== 1 ? 's' : ''}
+                          </Link>
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
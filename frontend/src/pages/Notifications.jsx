@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
-import { Bell, Check, CheckCheck, Trash2, Calendar, MessageCircle, Video, FileText, User } from 'lucide-react'
+import { Bell, Check, CheckCheck, Trash2, Calendar, MessageCircle, Video, FileText, User, Clock, Repeat, ListOrdered, CalendarDays, ShieldCheck } from 'lucide-react'
 import { Link } from 'react-router-dom'
 import axios from 'axios'
 import toast from 'react-hot-toast'
@@ -79,8 +79,34 @@ const Notifications = () => {
       case 'appointment_request':
       case 'appointment_confirmed':
       case 'appointment_cancelled':
+      case 'appointment_cancelled_by_patient':
+      case 'appointment_rescheduled':
+      case 'appointment_moved_by_doctor':
+      case 'appointment_expired':
+      case 'appointment_missed':
+      case 'appointment_no_show':
       case 'appointment_completed':
         return Calendar
+      case 'appointment_reminder':
+        return Clock
+      case 'follow_up_scheduled':
+      case 'follow_up_cancelled':
+      case 'follow_up_rescheduled':
+        return Repeat
+      case 'waitlist_slot_offered':
+      case 'waitlist_offer_expired':
+        return ListOrdered
+      case 'appointment_handed_off':
+      case 'appointment_handoff_received':
+        return User
+      case 'leave_requested':
+      case 'leave_approved':
+      case 'leave_rejected':
+        return CalendarDays
+      case 'verification_requested':
+      case 'verification_approved':
+      case 'verification_rejected':
+        return ShieldCheck
       case 'new_message':
         return MessageCircle
       case 'video_call_request':
@@ -95,13 +121,36 @@ const Notifications = () => {
   const getNotificationColor = (type) => {
     switch (type) {
       case 'appointment_request':
+      case 'leave_requested':
+      case 'verification_requested':
         return 'bg-blue-100 text-blue-600'
       case 'appointment_confirmed':
+      case 'waitlist_slot_offered':
+      case 'leave_approved':
+      case 'verification_approved':
         return 'bg-green-100 text-green-600'
       case 'appointment_cancelled':
+      case 'appointment_cancelled_by_patient':
+      case 'follow_up_cancelled':
+      case 'leave_rejected':
+      case 'verification_rejected':
         return 'bg-red-100 text-red-600'
+      case 'appointment_rescheduled':
+      case 'appointment_moved_by_doctor':
+      case 'appointment_handed_off':
+      case 'appointment_handoff_received':
+      case 'follow_up_scheduled':
+      case 'follow_up_rescheduled':
+        return 'bg-blue-100 text-blue-600'
+      case 'appointment_expired':
+      case 'appointment_missed':
+      case 'appointment_no_show':
+      case 'waitlist_offer_expired':
+        return 'bg-orange-100 text-orange-600'
       case 'appointment_completed':
         return 'bg-purple-100 text-purple-600'
+      case 'appointment_reminder':
+        return 'bg-amber-100 text-amber-600'
       case 'new_message':
         return 'bg-yellow-100 text-yellow-600'
       case 'video_call_request':
@@ -114,14 +163,22 @@ const Notifications = () => {
   }
 
   const getNotificationLink = (notification) => {
+    if (notification.data?.leaveId) {
+      return notification.type === 'leave_requested' ? '/admin/leave-requests' : '/schedule'
+    }
+    if (notification.data?.verificationId) {
+      return notification.type === 'verification_requested' ? '/admin/doctor-verifications' : '/profile'
+    }
     if (notification.data?.appointmentId) {
       switch (notification.type) {
         case 'new_message':
           return `/chat/${notification.data.appointmentId}`
         case 'video_call_request':
           return `/video-call/${notification.data.appointmentId}`
+        case 'prescription_added':
+          return `/med-vault?appointment=${notification.data.appointmentId}`
         default:
-          return '/appointments'
+          return `/appointments/${notification.data.appointmentId}`
       }
     }
     return '/appointments'
@@ -1,64 +1,51 @@
 import { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
-import { Search, Filter, User, Calendar, FileText, Eye, Download, Pill, Clock, Phone, Mail } from 'lucide-react'
+import { Search, Filter, User, Calendar, FileText, Eye, Download, Pill, Clock, Phone, Mail, History, ChevronDown } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
 import axios from 'axios'
 import toast from 'react-hot-toast'
+import StatusTimeline from '../components/StatusTimeline'
+import MedicalHistoryPanel from '../components/MedicalHistoryPanel'
+
+const SORT_OPTIONS = [
+  { value: 'lastVisit', label: 'Last visit' },
+  { value: 'nextVisit', label: 'Next visit' },
+  { value: 'visits', label: 'Most visits' },
+  { value: 'name', label: 'Name' }
+]
 
 const PatientRecords = () => {
   const { user } = useAuth()
   const [patients, setPatients] = useState([])
-  const [filteredPatients, setFilteredPatients] = useState([])
+  const [total, setTotal] = useState(0)
   const [loading, setLoading] = useState(true)
   const [searchTerm, setSearchTerm] = useState('')
+  const [sort, setSort] = useState('lastVisit')
+  const [page, setPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
   const [selectedPatient, setSelectedPatient] = useState(null)
   const [patientAppointments, setPatientAppointments] = useState([])
   const [showPatientDetails, setShowPatientDetails] = useState(false)
+  const [historyOpenId, setHistoryOpenId] = useState(null)
 
   useEffect(() => {
     fetchPatientRecords()
-  }, [])
-
-  useEffect(() => {
-    filterPatients()
-  }, [searchTerm, patients])
+  }, [sort, page])
 
+  // Visit figures are worked out on the server over the doctor's whole history
   const fetchPatientRecords = async () => {
+    setLoading(true)
     try {
-      // Fetch all appointments for this doctor
-      const response = await axios.get('/api/appointments')
-      const appointments = response.data.appointments
-
-      // Extract unique patients from appointments
-      const uniquePatients = []
-      const patientIds = new Set()
-
-      appointments.forEach(appointment => {
-        if (!patientIds.has(appointment.patient._id)) {
-          patientIds.add(appointment.patient._id)
-          
-          // Calculate patient statistics
-          const patientAppointments = appointments.filter(apt => apt.patient._id === appointment.patient._id)
-          const completedAppointments = patientAppointments.filter(apt => apt.status === 'completed')
-          const totalPrescriptions = completedAppointments.reduce((total, apt) => 
-            total + (apt.prescription?.medications?.length || 0), 0
-          )
-
-          uniquePatients.push({
-            ...appointment.patient,
-            totalAppointments: patientAppointments.length,
-            completedAppointments: completedAppointments.length,
-            totalPrescriptions,
-            lastVisit: patientAppointments
-              .sort((a, b) => new Date(b.appointmentDate) - new Date(a.appointmentDate))[0]?.appointmentDate,
-            nextAppointment: patientAppointments
-              .filter(apt => new Date(apt.appointmentDate) > new Date() && apt.status !== 'cancelled')
-              .sort((a, b) => new Date(a.appointmentDate) - new Date(b.appointmentDate))[0]?.appointmentDate
-          })
+      const response = await axios.get('/api/doctor/patients', {
+        params: {
+          sort,
+          page,
+          ...(searchTerm.trim() && { search: searchTerm.trim() })
         }
       })
-
-      setPatients(uniquePatients)
+      setPatients(response.data.patients || [])
+      setTotal(response.data.total || 0)
+      setTotalPages(response.data.totalPages || 1)
     } catch (error) {
       console.error('Failed to fetch patient records:', error)
       toast.error('Failed to load patient records')
@@ -67,28 +54,20 @@ const PatientRecords = () => {
     }
   }
 
-  const filterPatients = () => {
-    if (!searchTerm.trim()) {
-      setFilteredPatients(patients)
-      return
+  const handleSearch = (e) => {
+    e.preventDefault()
+    if (page === 1) {
+      fetchPatientRecords()
+    } else {
+      setPage(1)
     }
-
-    const filtered = patients.filter(patient => {
-      const fullName = `${patient.firstName} ${patient.lastName}`.toLowerCase()
-      const email = patient.email.toLowerCase()
-      const search = searchTerm.toLowerCase()
-      
-      return fullName.includes(search) || email.includes(search)
-    })
-
-    setFilteredPatients(filtered)
   }
 
   const fetchPatientAppointments = async (patientId) => {
+    setPatientAppointments([])
     try {
-      const response = await axios.get('/api/appointments')
-      const appointments = response.data.appointments.filter(apt => apt.patient._id === patientId)
-      setPatientAppointments(appointments.sort((a, b) => new Date(b.appointmentDate) - new Date(a.appointmentDate)))
+      const response = await axios.get(`/api/doctor/patients/${patientId}/history`)
+      setPatientAppointments(response.data.appointments || [])
     } catch (error) {
       console.error('Failed to fetch patient appointments:', error)
       toast.error('Failed to load patient appointments')
@@ -126,6 +105,9 @@ const PatientRecords = () => {
       case 'pending': return 'text-yellow-600 bg-yellow-100'
       case 'completed': return 'text-blue-600 bg-blue-100'
       case 'cancelled': return 'text-red-600 bg-red-100'
+      case 'no_show': return 'text-gray-700 bg-gray-200'
+      case 'missed': return 'text-orange-600 bg-orange-100'
+      case 'expired': return 'text-gray-600 bg-gray-100'
       default: return 'text-gray-600 bg-gray-100'
     }
   }
@@ -144,14 +126,6 @@ const PatientRecords = () => {
     return age
   }
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-64">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
-      </div>
-    )
-  }
-
   return (
     <div className="space-y-6">
       <div>
@@ -162,28 +136,47 @@ const PatientRecords = () => {
       {/* Search and Stats */}
       <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
         <div className="lg:col-span-3 card">
-          <div className="relative">
-            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
-            <input
-              type="text"
-              placeholder="Search patients by name or email..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              className="input-field pl-10"
-            />
-          </div>
+          <form onSubmit={handleSearch} className="flex flex-col md:flex-row gap-3">
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+              <input
+                type="text"
+                placeholder="Search patients by name or email..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="input-field pl-10"
+              />
+            </div>
+            <select
+              value={sort}
+              onChange={(e) => {
+                setSort(e.target.value)
+                setPage(1)
+              }}
+              className="input-field md:w-44"
+            >
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button type="submit" className="btn-primary">Search</button>
+          </form>
         </div>
 
         <div className="card">
           <div className="text-center">
-            <p className="text-2xl font-bold text-primary-600">{patients.length}</p>
+            <p className="text-2xl font-bold text-primary-600">{total}</p>
             <p className="text-sm text-gray-600">Total Patients</p>
           </div>
         </div>
       </div>
 
       {/* Patient List */}
-      {filteredPatients.length === 0 ? (
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : patients.length === 0 ? (
         <div className="text-center py-12">
           <User className="mx-auto text-gray-400 mb-4" size={48} />
           <h3 className="text-lg font-medium text-gray-800 mb-2">
@@ -198,7 +191,7 @@ const PatientRecords = () => {
         </div>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {filteredPatients.map((patient, index) => (
+          {patients.map((patient, index) => (
             <motion.div
               key={patient._id}
               initial={{ opacity: 0, y: 20 }}
@@ -248,10 +241,10 @@ const PatientRecords = () => {
                   <span className="text-gray-600">Last Visit:</span>
                   <span className="font-medium">{formatDate(patient.lastVisit)}</span>
                 </div>
-                {patient.nextAppointment && (
+                {patient.nextVisit && (
                   <div className="flex justify-between">
                     <span className="text-gray-600">Next Visit:</span>
-                    <span className="font-medium text-green-600">{formatDate(patient.nextAppointment)}</span>
+                    <span className="font-medium text-green-600">{formatDate(patient.nextVisit)}</span>
                   </div>
                 )}
               </div>
@@ -267,6 +260,26 @@ const PatientRecords = () => {
         </div>
       )}
 
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center space-x-2">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
       {/* Patient Details Modal */}
       {showPatientDetails && selectedPatient && (
         <motion.div
@@ -360,6 +373,10 @@ const PatientRecords = () => {
                       </div>
                     </div>
                   </div>
+
+                  <div className="bg-gray-50 rounded-lg p-4">
+                    <MedicalHistoryPanel patientId={selectedPatient._id} />
+                  </div>
                 </div>
 
                 {/* Appointment History */}
@@ -383,7 +400,7 @@ const PatientRecords = () => {
                                   {formatDateTime(appointment.appointmentDate)}
                                 </span>
                                 <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(appointment.status)}`}>
-                                  {appointment.status}
+                                  {appointment.status === 'no_show' ? 'no-show' : appointment.status}
                                 </span>
                               </div>
                               <p className="text-sm text-gray-600">
@@ -419,6 +436,22 @@ const PatientRecords = () => {
                               )}
                             </div>
                           )}
+
+                          <div className="mt-3">
+                            <button
+                              onClick={() => setHistoryOpenId(historyOpenId === appointment._id ? null : appointment._id)}
+                              className="flex items-center text-sm font-medium text-gray-600 hover:text-gray-800"
+                            >
+                              <History className="mr-2" size={16} />
+                              Status history
+                              <ChevronDown className={`ml-1 transition-transform ${historyOpenId === appointment._id ? 'rotate-180' : ''}`} size={14} />
+                            </button>
+                            {historyOpenId === appointment._id && (
+                              <div className="mt-3">
+                                <StatusTimeline history={appointment.statusHistory} timeZone={user?.timeZone} />
+                              </div>
+                            )}
+                          </div>
                         </div>
                       ))}
                     </div>
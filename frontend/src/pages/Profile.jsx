@@ -1,7 +1,12 @@
 import { useState } from 'react'
 import { motion } from 'framer-motion'
-import { User, Mail, Phone, Calendar, Stethoscope, DollarSign, Save } from 'lucide-react'
+import { User, Mail, Phone, Calendar, Stethoscope, DollarSign, Save, Clock, Plus, Trash2, Globe, Bell } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
+import DoctorVerificationPanel from '../components/DoctorVerificationPanel'
+import MedicalHistoryPanel from '../components/MedicalHistoryPanel'
+import ActiveSessionsPanel from '../components/ActiveSessionsPanel'
+import AccountSecurityPanel from '../components/AccountSecurityPanel'
+import TwoFactorPanel from '../components/TwoFactorPanel'
 import toast from 'react-hot-toast'
 
 const Profile = () => {
@@ -10,10 +15,19 @@ const Profile = () => {
     firstName: user?.firstName || '',
     lastName: user?.lastName || '',
     phone: user?.phone || '',
+    timeZone: user?.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    reminderChannels: {
+      inApp: user?.reminderChannels?.inApp ?? true,
+      email: user?.reminderChannels?.email ?? true,
+      push: user?.reminderChannels?.push ?? true
+    },
     // Doctor fields
     specialization: user?.specialization || '',
     experience: user?.experience || '',
     consultationFee: user?.consultationFee || '',
+    slotDuration: user?.slotDuration || 30,
+    cancellationCutoffHours: user?.cancellationCutoffHours ?? 24,
+    availability: (user?.availability || []).map(({ day, startTime, endTime }) => ({ day, startTime, endTime })),
     // Patient fields
     dateOfBirth: user?.dateOfBirth ? user.dateOfBirth.split('T')[0] : '',
     gender: user?.gender || ''
@@ -40,6 +54,49 @@ const Profile = () => {
     })
   }
 
+  const handleReminderChannelChange = (e) => {
+    setFormData({
+      ...formData,
+      reminderChannels: {
+        ...formData.reminderChannels,
+        [e.target.name]: e.target.checked
+      }
+    })
+  }
+
+  const handleAvailabilityChange = (index, field, value) => {
+    setFormData({
+      ...formData,
+      availability: formData.availability.map((window, i) =>
+        i === index ? { ...window, [field]: value } : window
+      )
+    })
+  }
+
+  const addAvailabilityWindow = () => {
+    setFormData({
+      ...formData,
+      availability: [...formData.availability, { day: 'monday', startTime: '09:00', endTime: '17:00' }]
+    })
+  }
+
+  const removeAvailabilityWindow = (index) => {
+    setFormData({
+      ...formData,
+      availability: formData.availability.filter((_, i) => i !== index)
+    })
+  }
+
+  const timeZones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [formData.timeZone]
+
+  const reminderChannelOptions = [
+    { key: 'inApp', label: 'In-app notifications' },
+    { key: 'email', label: 'Email' },
+    { key: 'push', label: 'Live pop-ups while signed in' }
+  ]
+
+  const weekDays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+
   const specializations = [
     'General Medicine',
     'Cardiology',
@@ -154,6 +211,57 @@ const Profile = () => {
                 />
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  <Globe className="inline mr-2" size={16} />
+                  Time Zone
+                </label>
+                <select
+                  name="timeZone"
+                  value={formData.timeZone}
+                  onChange={handleChange}
+                  className="input-field"
+                  required
+                >
+                  {!timeZones.includes(formData.timeZone) && (
+                    <option value={formData.timeZone}>{formData.timeZone}</option>
+                  )}
+                  {timeZones.map(zone => (
+                    <option key={zone} value={zone}>{zone}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  {user?.role === 'doctor'
+                    ? 'Your weekly hours are read in this time zone. Reminders and emails also use it.'
+                    : 'Appointment times, reminders and emails are shown in this time zone.'
+                  }
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  <Bell className="inline mr-2" size={16} />
+                  Appointment Reminders
+                </label>
+                <div className="flex flex-col sm:flex-row sm:space-x-6 space-y-2 sm:space-y-0">
+                  {reminderChannelOptions.map(option => (
+                    <label key={option.key} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        name={option.key}
+                        checked={formData.reminderChannels[option.key]}
+                        onChange={handleReminderChannelChange}
+                        className="mr-2 h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                      />
+                      {option.label}
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  Choose how you are reminded before each confirmed appointment.
+                </p>
+              </div>
+
               {/* Doctor-specific fields */}
               {user?.role === 'doctor' && (
                 <>
@@ -209,6 +317,107 @@ const Profile = () => {
                       />
                     </div>
                   </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        <Clock className="inline mr-2" size={16} />
+                        Appointment Length (minutes)
+                      </label>
+                      <input
+                        type="number"
+                        name="slotDuration"
+                        value={formData.slotDuration}
+                        onChange={handleChange}
+                        className="input-field"
+                        min="5"
+                        max="240"
+                        step="5"
+                        required
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        <Clock className="inline mr-2" size={16} />
+                        Cancellation Cutoff (hours)
+                      </label>
+                      <input
+                        type="number"
+                        name="cancellationCutoffHours"
+                        value={formData.cancellationCutoffHours}
+                        onChange={handleChange}
+                        className="input-field"
+                        min="0"
+                        max="168"
+                        required
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        Patients cannot cancel or reschedule a confirmed appointment within this many hours of its start.
+                      </p>
+                    </div>
+                  </div>
+
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="block text-sm font-medium text-gray-700">
+                        <Calendar className="inline mr-2" size={16} />
+                        Weekly Availability
+                      </label>
+                      <button
+                        type="button"
+                        onClick={addAvailabilityWindow}
+                        className="text-sm text-primary-600 hover:text-primary-700 flex items-center"
+                      >
+                        <Plus className="mr-1" size={14} />
+                        Add Hours
+                      </button>
+                    </div>
+
+                    {formData.availability.length === 0 ? (
+                      <p className="text-xs text-gray-500">
+                        No weekly hours set. Patients can book you from 9 AM to 5 PM every day until you add your own hours.
+                      </p>
+                    ) : (
+                      <div className="space-y-2">
+                        {formData.availability.map((window, index) => (
+                          <div key={index} className="grid grid-cols-8 gap-2 items-center">
+                            <select
+                              value={window.day}
+                              onChange={(e) => handleAvailabilityChange(index, 'day', e.target.value)}
+                              className="input-field col-span-3 capitalize"
+                            >
+                              {weekDays.map(day => (
+                                <option key={day} value={day}>{day.charAt(0).toUpperCase() + day.slice(1)}</option>
+                              ))}
+                            </select>
+                            <input
+                              type="time"
+                              value={window.startTime}
+                              onChange={(e) => handleAvailabilityChange(index, 'startTime', e.target.value)}
+                              className="input-field col-span-2"
+                              required
+                            />
+                            <input
+                              type="time"
+                              value={window.endTime}
+                              onChange={(e) => handleAvailabilityChange(index, 'endTime', e.target.value)}
+                              className="input-field col-span-2"
+                              required
+                            />
+                            <button
+                              type="button"
+                              onClick={() => removeAvailabilityWindow(index)}
+                              className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors justify-self-center"
+                              title="Remove"
+                            >
+                              <Trash2 size={16} />
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
                 </>
               )}
 
@@ -265,6 +474,11 @@ const Profile = () => {
         </motion.div>
       </div>
 
+      {user?.role === 'doctor' && <DoctorVerificationPanel />}
+      {user?.role === 'patient' && <MedicalHistoryPanel />}
+      <AccountSecurityPanel />
+      <TwoFactorPanel />
+      <ActiveSessionsPanel />
     </div>
   )
 }
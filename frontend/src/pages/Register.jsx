@@ -3,6 +3,7 @@ import { Link, Navigate, useNavigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import { Heart, Mail, Lock, User, Calendar, Eye, EyeOff, ArrowLeft, ArrowRight, Clock, RefreshCw, ShieldCheck, Phone } from 'lucide-react'
 import { useAuth } from '../contexts/AuthContext'
+import PasswordPolicyHint from '../components/PasswordPolicyHint'
 
 const Register = () => {
   const [step, setStep] = useState(1)
@@ -70,15 +71,9 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || (
     return () => clearInterval(interval)
   }, [step, otpData.timeLeft])
 
-  const handleSubmit = async (e) => {
+  // Registration happens only after the email is verified, so submitting the form itself does nothing
+  const handleSubmit = (e) => {
     e.preventDefault()
-    setLoading(true)
-    
-    const result = await register(formData)
-    
-    if (!result.success) {
-      setLoading(false)
-    }
   }
 
   const handleChange = (e) => {
@@ -184,7 +179,7 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || (
         // Proceed with registration after OTP verification
         setTimeout(async () => {
           setOtpData(prev => ({ ...prev, isVerifying: false }))
-          await handleFinalRegistration()
+          await handleFinalRegistration(data.verificationToken)
         }, 1500)
       } else {
         setOtpError(data.message || 'Invalid verification code')
@@ -197,13 +192,13 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || (
     }
   }
 
-  const handleFinalRegistration = async () => {
+  const handleFinalRegistration = async (verificationToken) => {
     setLoading(true)
-    const result = await register(formData)
+    const result = await register({ ...formData, verificationToken })
     setLoading(false)
     
     if (!result.success) {
-      setOtpError(result.message || 'Registration failed. Please try again.')
+      setOtpError(result.error || 'Registration failed. Please try again.')
     } else {
       // Registration successful - the auth context will update user state
       // and trigger redirect via the useEffect
@@ -406,7 +401,7 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || (
                       onChange={handleChange}
                       className="pl-10"
                       required
-                      minLength={6}
+                      minLength={8}
                       autoComplete="new-password"
                     />
                     <button
@@ -417,6 +412,9 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || (
                       {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
                     </button>
                   </div>
+                  <div className="mt-2">
+                    <PasswordPolicyHint password={formData.password} />
+                  </div>
                 </div>
 
                 <button
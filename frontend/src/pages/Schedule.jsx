@@ -4,6 +4,7 @@ import { Calendar, Clock, Plus, X, Save, CalendarDays, AlertCircle, Trash2 } fro
 import { useAuth } from '../contexts/AuthContext'
 import axios from 'axios'
 import toast from 'react-hot-toast'
+import LeaveConflictReview from '../components/LeaveConflictReview'
 
 const Schedule = () => {
   const { user } = useAuth()
@@ -13,6 +14,8 @@ const Schedule = () => {
   const [newLeave, setNewLeave] = useState({
     startDate: '',
     endDate: '',
+    startTime: '',
+    endTime: '',
     reason: '',
     type: 'vacation'
   })
@@ -20,16 +23,30 @@ const Schedule = () => {
   const [editLeave, setEditLeave] = useState({
     startDate: '',
     endDate: '',
+    startTime: '',
+    endTime: '',
     reason: '',
     type: 'vacation'
   })
   const [loading, setLoading] = useState(false)
   const [appointments, setAppointments] = useState([])
+  const [conflicts, setConflicts] = useState(null)
+  const [resolutions, setResolutions] = useState({})
+  const [conflictErrors, setConflictErrors] = useState({})
+  const timeZone = user?.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
 
   useEffect(() => {
     fetchScheduleData()
   }, [selectedDate])
 
+  // Different dates or hours cover different appointments
+  useEffect(() => {
+    resetConflicts()
+  }, [
+    newLeave.startDate, newLeave.endDate, newLeave.startTime, newLeave.endTime,
+    editLeave.startDate, editLeave.endDate, editLeave.startTime, editLeave.endTime
+  ])
+
   const fetchScheduleData = async () => {
     try {
       // Fetch appointments for the selected month
@@ -59,23 +76,66 @@ const Schedule = () => {
     }
   }
 
+  const resetConflicts = () => {
+    setConflicts(null)
+    setResolutions({})
+    setConflictErrors({})
+  }
+
+  const handleResolutionChange = (appointmentId, patch) => {
+    setResolutions(prev => ({ ...prev, [appointmentId]: { ...prev[appointmentId], ...patch } }))
+    setConflictErrors(prev => ({ ...prev, [appointmentId]: undefined }))
+  }
+
+  const getResolutionPayload = () => {
+    if (!conflicts) {
+      return undefined
+    }
+    return conflicts.map(conflict => ({ appointmentId: conflict._id, ...resolutions[conflict._id] }))
+  }
+
+  // The server lists the appointments inside the leave until each has a valid decision
+  const handleConflictResponse = (error) => {
+    if (error.response?.status !== 409 || !error.response.data.conflicts) {
+      return false
+    }
+
+    const { conflicts: leaveConflicts, errors = [] } = error.response.data
+    if (conflicts) {
+      setConflictErrors(Object.fromEntries(errors.map(item => [item.appointmentId, item.message])))
+      toast.error('Some choices need another look')
+    } else {
+      toast('Review the appointments inside this leave', { icon: '📋' })
+    }
+    setConflicts(leaveConflicts)
+    return true
+  }
+
   const handleAddLeave = async (e) => {
     e.preventDefault()
     setLoading(true)
 
     try {
-      const response = await axios.post('/api/doctor/leave', newLeave)
+      const response = await axios.post('/api/doctor/leave', {
+        ...newLeave,
+        resolutions: getResolutionPayload()
+      })
       
       setLeaveRequests(prev => [...prev, response.data])
       setNewLeave({
         startDate: '',
         endDate: '',
+        startTime: '',
+        endTime: '',
         reason: '',
         type: 'vacation'
       })
       setShowAddLeave(false)
-      toast.success('Leave marked successfully!')
+      toast.success('Leave request sent for approval!')
     } catch (error) {
+      if (handleConflictResponse(error)) {
+        return
+      }
       console.error('Failed to submit leave request:', error)
       const message = error.response?.data?.message || 'Failed to submit leave request'
       toast.error(message)
@@ -101,7 +161,9 @@ const Schedule = () => {
     setEditLeave({
       startDate: new Date(leave.startDate).toISOString().split('T')[0],
       endDate: new Date(leave.endDate).toISOString().split('T')[0],
-      reason: leave.reason,
+      startTime: leave.startTime || '',
+      endTime: leave.endTime || '',
+      reason: leave.reason || '',
       type: leave.type
     })
   }
@@ -111,8 +173,12 @@ const Schedule = () => {
     setLoading(true)
 
     try {
-      const response = await axios.put(`/api/doctor/leave/${editingLeave}`, editLeave)
+      const response = await axios.put(`/api/doctor/leave/${editingLeave}`, {
+        ...editLeave,
+        resolutions: getResolutionPayload()
+      })
 
+      const wasApproved = leaveRequests.some(leave => leave._id === editingLeave && leave.status === 'approved')
       setLeaveRequests(prev =>
         prev.map(leave =>
           leave._id === editingLeave ? response.data : leave
@@ -122,11 +188,18 @@ const Schedule = () => {
       setEditLeave({
         startDate: '',
         endDate: '',
+        startTime: '',
+        endTime: '',
         reason: '',
         type: 'vacation'
       })
-      toast.success('Leave updated successfully!')
+      toast.success(wasApproved && response.data.status === 'pending'
+        ? 'Leave updated. The new dates need approval again.'
+        : 'Leave updated successfully!')
     } catch (error) {
+      if (handleConflictResponse(error)) {
+        return
+      }
       console.error('Failed to update leave:', error)
       const message = error.response?.data?.message || 'Failed to update leave'
       toast.error(message)
@@ -136,10 +209,13 @@ const Schedule = () => {
   }
 
   const handleCancelEdit = () => {
+    resetConflicts()
     setEditingLeave(null)
     setEditLeave({
       startDate: '',
       endDate: '',
+      startTime: '',
+      endTime: '',
       reason: '',
       type: 'vacation'
     })
@@ -177,17 +253,31 @@ const Schedule = () => {
     })
   }
 
-  const isDateOnLeave = (date) => {
-    if (!date) return false
-    return leaveRequests.some(leave => {
-      if (leave.status !== 'approved') return false
-      const startDate = new Date(leave.startDate)
-      const endDate = new Date(leave.endDate)
-      startDate.setHours(0, 0, 0, 0)
-      endDate.setHours(23, 59, 59, 999)
-      return date >= startDate && date <= endDate
-    })
+  // Leave days are stored at UTC midnight, so compare them as YYYY-MM-DD keys
+  const getLeavesForDate = (date) => {
+    if (!date) return []
+    const dateKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+    return leaveRequests.filter(leave =>
+      leave.status === 'approved' &&
+      leave.startDate.slice(0, 10) <= dateKey &&
+      leave.endDate.slice(0, 10) >= dateKey
+    )
+  }
+
+  const formatLeaveType = (type) => {
+    return type === 'busy' ? 'Busy' : type.charAt(0).toUpperCase() + type.slice(1)
+  }
+
+  // The form being filled in, for adding or editing
+  const leaveForm = editingLeave ? editLeave : newLeave
+  const updateLeaveForm = (changes) => {
+    if (editingLeave) {
+      setEditLeave({ ...editLeave, ...changes })
+    } else {
+      setNewLeave({ ...newLeave, ...changes })
+    }
   }
+  const isPartialDay = Boolean(leaveForm.startTime || leaveForm.endTime)
 
   const navigateMonth = (direction) => {
     const newDate = new Date(selectedDate)
@@ -266,7 +356,9 @@ const Schedule = () => {
             {/* Calendar days */}
             {getDaysInMonth(selectedDate).map((date, index) => {
               const dayAppointments = getAppointmentsForDate(date)
-              const isOnLeave = isDateOnLeave(date)
+              const dayLeaves = getLeavesForDate(date)
+              const isOnLeave = dayLeaves.some(leave => !leave.startTime)
+              const dayBlocks = dayLeaves.filter(leave => leave.startTime)
               const isToday = date && date.toDateString() === new Date().toDateString()
               
               return (
@@ -290,6 +382,16 @@ const Schedule = () => {
                           On Leave
                         </div>
                       )}
+
+                      {dayBlocks.map(block => (
+                        <div
+                          key={block._id}
+                          className="text-xs bg-orange-100 text-orange-700 px-2 py-1 rounded mb-1 truncate"
+                          title={block.reason || formatLeaveType(block.type)}
+                        >
+                          {block.startTime}–{block.endTime} {formatLeaveType(block.type)}
+                        </div>
+                      ))}
                       
                       {dayAppointments.slice(0, 2).map((apt, idx) => (
                         <div
@@ -374,11 +476,16 @@ const Schedule = () => {
                     <div className="flex items-start justify-between">
                       <div className="flex-1">
                         <div className="text-sm font-medium text-gray-800">
-                          {leave.type.charAt(0).toUpperCase() + leave.type.slice(1)} Leave
+                          {leave.type === 'busy' ? 'Busy Block' : `${formatLeaveType(leave.type)} Leave`}
                         </div>
                         <div className="text-xs text-gray-600">
-                          {new Date(leave.startDate).toLocaleDateString()} - {new Date(leave.endDate).toLocaleDateString()}
+                          {new Date(leave.startDate).toLocaleDateString(undefined, { timeZone: 'UTC' })} - {new Date(leave.endDate).toLocaleDateString(undefined, { timeZone: 'UTC' })}
                         </div>
+                        {leave.startTime && (
+                          <div className="text-xs text-gray-600">
+                            {leave.startTime}–{leave.endTime} each day
+                          </div>
+                        )}
                         <div className={`text-xs px-2 py-1 rounded mt-1 inline-block ${
                           leave.status === 'approved' ? 'bg-green-100 text-green-700' :
                           leave.status === 'pending' ? 'bg-yellow-100 text-yellow-700' :
@@ -386,9 +493,14 @@ const Schedule = () => {
                         }`}>
                           {leave.status}
                         </div>
+                        {leave.status === 'rejected' && leave.rejectionReason && (
+                          <div className="text-xs text-red-600 mt-1">
+                            {leave.rejectionReason}
+                          </div>
+                        )}
                       </div>
                       <div className="flex items-center space-x-1 ml-2">
-                        {leave.status === 'approved' && (
+                        {(leave.status === 'approved' || leave.status === 'pending') && (
                           <>
                             <button
                               onClick={() => handleEditLeave(leave)}
@@ -406,15 +518,6 @@ const Schedule = () => {
                             </button>
                           </>
                         )}
-                        {leave.status === 'pending' && (
-                          <button
-                            onClick={() => handleDeleteLeave(leave._id)}
-                            className="p-1 text-red-600 hover:bg-red-50 rounded"
-                            title="Delete"
-                          >
-                            <Trash2 size={12} />
-                          </button>
-                        )}
                       </div>
                     </div>
                   </div>
@@ -439,6 +542,10 @@ const Schedule = () => {
                 <div className="w-3 h-3 bg-red-100 rounded mr-2"></div>
                 <span>Leave Days</span>
               </div>
+              <div className="flex items-center">
+                <div className="w-3 h-3 bg-orange-100 rounded mr-2"></div>
+                <span>Hourly Leave and Busy Blocks</span>
+              </div>
             </div>
           </div>
         </div>
@@ -454,7 +561,7 @@ const Schedule = () => {
           <motion.div
             initial={{ scale: 0.9, opacity: 0 }}
             animate={{ scale: 1, opacity: 1 }}
-            className="bg-white rounded-xl shadow-2xl max-w-md w-full"
+            className={`bg-white rounded-xl shadow-2xl w-full max-h-[90vh] overflow-y-auto ${conflicts ? 'max-w-2xl' : 'max-w-md'}`}
           >
             <div className="flex items-center justify-between p-6 border-b border-gray-200">
               <h2 className="text-xl font-semibold text-gray-800">
@@ -491,6 +598,8 @@ const Schedule = () => {
                   <option value="vacation">Vacation</option>
                   <option value="sick">Sick Leave</option>
                   <option value="emergency">Emergency</option>
+                  <option value="conference">Conference</option>
+                  <option value="busy">Busy Block</option>
                   <option value="other">Other</option>
                 </select>
               </div>
@@ -537,6 +646,54 @@ const Schedule = () => {
                 </div>
               </div>
 
+              <div>
+                <label className="flex items-center text-sm font-medium text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={isPartialDay || leaveForm.type === 'busy'}
+                    onChange={(e) => updateLeaveForm(e.target.checked
+                      ? { startTime: '09:00', endTime: '10:00' }
+                      : { startTime: '', endTime: '' }
+                    )}
+                    disabled={leaveForm.type === 'busy'}
+                    className="mr-2"
+                  />
+                  Only part of the day
+                </label>
+                {(isPartialDay || leaveForm.type === 'busy') && (
+                  <div className="grid grid-cols-2 gap-4 mt-2">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        From
+                      </label>
+                      <input
+                        type="time"
+                        value={leaveForm.startTime}
+                        onChange={(e) => updateLeaveForm({ startTime: e.target.value })}
+                        className="input-field"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        To
+                      </label>
+                      <input
+                        type="time"
+                        value={leaveForm.endTime}
+                        onChange={(e) => updateLeaveForm({ endTime: e.target.value })}
+                        min={leaveForm.startTime}
+                        className="input-field"
+                        required
+                      />
+                    </div>
+                    <p className="col-span-2 text-xs text-gray-500">
+                      Blocked on each day of the leave. Only the overlapping slots are removed.
+                    </p>
+                  </div>
+                )}
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Reason
@@ -553,19 +710,30 @@ const Schedule = () => {
                   rows={3}
                   className="input-field"
                   placeholder="Please provide a reason for your leave..."
-                  required
+                  required={leaveForm.type !== 'busy'}
                 />
               </div>
 
-              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
-                <div className="flex items-start">
-                  <AlertCircle className="text-yellow-600 mr-2 mt-0.5" size={16} />
-                  <div className="text-sm text-yellow-800">
-                    <p className="font-medium">Important:</p>
-                    <p>During your leave period, you will not be visible to patients for booking appointments.</p>
+              {conflicts ? (
+                <LeaveConflictReview
+                  conflicts={conflicts}
+                  resolutions={resolutions}
+                  errors={conflictErrors}
+                  timeZone={timeZone}
+                  onChange={handleResolutionChange}
+                />
+              ) : (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                  <div className="flex items-start">
+                    <AlertCircle className="text-yellow-600 mr-2 mt-0.5" size={16} />
+                    <div className="text-sm text-yellow-800">
+                      <p className="font-medium">Important:</p>
+                      <p>Leave requests are reviewed by an administrator. Once approved, you will not be visible to patients for booking appointments during your leave.</p>
+                      <p>If you have appointments on these days, you will be asked to cancel, reschedule or hand off each one. Your choices are carried out, and patients notified, when the leave is approved. Changing the dates of approved leave needs approval again.</p>
+                    </div>
                   </div>
                 </div>
-              </div>
+              )}
 
               <div className="flex items-center justify-end space-x-3 pt-4">
                 <button
@@ -584,7 +752,7 @@ const Schedule = () => {
                   className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
                 >
                   <Save className="mr-2" size={16} />
-                  {loading ? 'Saving...' : (editingLeave ? 'Update Leave' : 'Mark as Leave')}
+                  {loading ? 'Saving...' : conflicts ? 'Confirm Leave' : (editingLeave ? 'Update Leave' : 'Mark as Leave')}
                 </button>
               </div>
             </form>
@@ -1,11 +1,12 @@
 import { useState, useEffect } from 'react'
 import { useParams, Link, useNavigate } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
-import { Video, VideoOff, Mic, MicOff, Phone, ArrowLeft, User, PhoneOff, FileText, MessageCircle, X } from 'lucide-react'
+import { Video, VideoOff, Mic, MicOff, Phone, ArrowLeft, User, PhoneOff, FileText, MessageCircle, X, ClipboardList } from 'lucide-react'
 import { useSocket } from '../contexts/SocketContext'
 import { useAuth } from '../contexts/AuthContext'
 import useWebRTC from '../hooks/useWebRTC'
 import PrescriptionNotes from '../components/PrescriptionNotes'
+import MedicalHistoryPanel from '../components/MedicalHistoryPanel'
 import axios from 'axios'
 import toast from 'react-hot-toast'
 
@@ -20,6 +21,7 @@ const VideoCall = () => {
   const [isAudioEnabled, setIsAudioEnabled] = useState(true)
   const [callStatus, setCallStatus] = useState('idle') // idle, calling, ringing, connected, ended
   const [showPrescription, setShowPrescription] = useState(false)
+  const [showMedicalHistory, setShowMedicalHistory] = useState(false)
   const [showChatPanel, setShowChatPanel] = useState(false)
   const [messages, setMessages] = useState([])
   const [newMessage, setNewMessage] = useState('')
@@ -85,12 +87,11 @@ const VideoCall = () => {
 
   const fetchAppointment = async () => {
     try {
-      const response = await axios.get('/api/appointments')
-      const appointment = response.data.appointments.find(apt => apt._id === appointmentId)
-      setAppointment(appointment)
+      const response = await axios.get(`/api/appointments/${appointmentId}`)
+      setAppointment(response.data)
     } catch (error) {
       console.error('Failed to fetch appointment:', error)
-      toast.error('Failed to load appointment details')
+      toast.error(error.response?.data?.message || 'Failed to load appointment details')
     } finally {
       setLoading(false)
     }
@@ -396,6 +397,17 @@ const VideoCall = () => {
                     </button>
                   )}
 
+                  {/* Medical History Button (Doctor Only) */}
+                  {user?.role === 'doctor' && appointment?.patient && (
+                    <button
+                      onClick={() => setShowMedicalHistory(true)}
+                      className="p-2 sm:p-3 bg-purple-600 hover:bg-purple-700 text-white rounded-full transition-colors touch-target"
+                      title="Medical History"
+                    >
+                      <ClipboardList size={16} />
+                    </button>
+                  )}
+
                   {callStatus === 'idle' && (
                     <button
                       onClick={initiateCall}
@@ -570,6 +582,38 @@ const VideoCall = () => {
         </div>
       </motion.div>
 
+      {/* Medical History Modal */}
+      <AnimatePresence>
+        {showMedicalHistory && appointment?.patient && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          >
+            <motion.div
+              initial={{ scale: 0.9, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.9, opacity: 0 }}
+              className="bg-white rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6"
+            >
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-sm text-gray-600">
+                  {appointment.patient.firstName} {appointment.patient.lastName}
+                </p>
+                <button
+                  onClick={() => setShowMedicalHistory(false)}
+                  className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                >
+                  <X size={20} />
+                </button>
+              </div>
+              <MedicalHistoryPanel patientId={appointment.patient._id} />
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Prescription Modal */}
       <AnimatePresence>
         {showPrescription && (